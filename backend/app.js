@@ -0,0 +1,59 @@
+const express = require('express');
+const cors = require('cors');
+
+const app = express();
+
+// todo.txt syncs send the file as is, whatever content type the client gives
+// it, so it is read as text before JSON parsing can claim it
+app.put('/api/tasks/todotxt', express.text({ type: () => true, limit: '1mb' }));
+
+// Body parser middleware
+app.use(express.json());
+
+// CalDAV, for calendar and task apps. These aren't browsers and send
+// OPTIONS requests of their own, which CORS would answer.
+app.all('/.well-known/caldav', (req, res) => res.redirect(301, '/caldav/'));
+app.use('/caldav', require('./routes/caldav'));
+
+// Enable CORS
+app.use(cors({
+  origin: process.env.FRONTEND_URL || 'http://localhost:5173',
+  credentials: true
+}));
+
+// Define routes
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/tasks', require('./routes/tasks'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/projects', require('./routes/projects'));
+app.use('/api/workflow', require('./routes/workflow'));
+app.use('/api/fields', require('./routes/fields'));
+app.use('/api/time', require('./routes/time'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/views', require('./routes/views'));
+app.use('/api/calendar', require('./routes/calendar'));
+
+// Health check route
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'OK', message: 'Server is running' });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({
+    success: false,
+    message: 'Server Error',
+    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    message: 'Route not found'
+  });
+});
+
+module.exports = app;
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { DAY_MS, addDays, dayIn, listDays, parseDayRange } = require('../utils/dates');
+
+const MAX_RANGE_DAYS = 366;
+const INTERVALS = ['day', 'week'];
+
+// Monday of the week a day falls in
+const weekOf = (day) => addDays(day, -((new Date(day).getUTCDay() + 6) % 7));
+
+const average = (values) => (values.length
+  ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return Math.round(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+// Longest run of consecutive days, and the run ending today or yesterday
+const getStreaks = (days, today) => {
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && addDays(days[index - 1], 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const last = days[days.length - 1];
+  const current = last && (last === today || last === addDays(today, -1)) ? run : 0;
+  return { current, longest, lastCompletedOn: last || null };
+};
+
+/**
+ * @desc    Productivity over a date range: tasks created vs completed per
+ *          day or week, cycle time (creation to completion), overdue rate
+ *          and completion streaks. `from` and `to` are inclusive days
+ *          (YYYY-MM-DD, default the last 30 days) in time zone `tz` (IANA
+ *          name, default UTC); `interval` is `day` (default) or `week`
+ *          (weeks start on Monday).
+ * @route   GET /api/tasks/analytics
+ * @access  Private
+ */
+exports.getAnalytics = async (req, res) => {
+  try {
+    const range = parseDayRange(req.query, { defaultDays: 30, maxDays: MAX_RANGE_DAYS });
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+    const { from, to, timeZone } = range;
+
+    const interval = req.query.interval || 'day';
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Interval must be day or week'
+      });
+    }
+
+    const user = new mongoose.Types.ObjectId(req.user.id);
+    const today = dayIn(new Date(), timeZone);
+    const localDay = (path) => ({ $dateToString: { format: '%Y-%m-%d', date: path, timezone: timeZone } });
+    // A day either side of the range covers every time zone offset; the exact
+    // cut is made on the local day
+    const window = {
+      $gte: new Date(new Date(from).getTime() - DAY_MS),
+      $lt: new Date(new Date(to).getTime() + 2 * DAY_MS)
+    };
+
+    const [created, completed, completionDays, due] = await Promise.all([
+      Task.aggregate([
+        { $match: { user, deletedAt: null, createdAt: window } },
+        { $group: { _id: localDay('$createdAt'), count: { $sum: 1 } } }
+      ]),
+      Task.aggregate([
+        { $match: { user, deletedAt: null, completedAt: window } },
+        {
+          $project: {
+            day: localDay('$completedAt'),
+            seconds: { $divide: [{ $subtract: ['$completedAt', '$createdAt'] }, 1000] }
+          }
+        },
+        { $match: { day: { $gte: from, $lte: to } } }
+      ]),
+      // Every day with a completion, for the streaks
+      Task.aggregate([
+        { $match: { user, deletedAt: null, completedAt: { $ne: null } } },
+        { $group: { _id: localDay('$completedAt') } },
+        { $sort: { _id: 1 } }
+      ]),
+      // Due dates are whole days; only those already past can be missed
+      Task.find({
+        user,
+        deletedAt: null,
+        dueDate: { $gte: new Date(from), $lt: new Date(Math.min(new Date(addDays(to, 1)), new Date(today))) }
+      }).select('dueDate completedAt')
+    ]);
+
+    const createdByDay = Object.fromEntries(created.map(c => [c._id, c.count]));
+    const completedByDay = {};
+    completed.forEach(c => {
+      (completedByDay[c.day] = completedByDay[c.day] || []).push(c.seconds);
+    });
+    const series = [];
+    for (const day of listDays(from, to)) {
+      const period = interval === 'week' ? weekOf(day) : day;
+      if (series.length === 0 || series[series.length - 1].period !== period) {
+        series.push({ period, created: 0, completed: 0, cycleSeconds: [] });
+      }
+      const bucket = series[series.length - 1];
+      bucket.created += createdByDay[day] || 0;
+      bucket.completed += (completedByDay[day] || []).length;
+      bucket.cycleSeconds.push(...(completedByDay[day] || []));
+    }
+
+    // Late when still open, or finished after the due day ended locally
+    const overdue = due.filter(task => !task.completedAt ||
+      dayIn(task.completedAt, timeZone) > task.dueDate.toISOString().split('T')[0]).length;
+
+    const cycleSeconds = completed.map(c => c.seconds);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        timeZone,
+        interval,
+        series: series.map(({ cycleSeconds: seconds, ...bucket }) => ({
+          ...bucket,
+          averageCycleSeconds: average(seconds)
+        })),
+        totals: {
+          created: created.filter(c => c._id >= from && c._id <= to).reduce((sum, c) => sum + c.count, 0),
+          completed: completed.length
+        },
+        cycleTime: {
+          completed: cycleSeconds.length,
+          averageSeconds: average(cycleSeconds),
+          medianSeconds: median(cycleSeconds)
+        },
+        overdue: {
+          due: due.length,
+          overdue,
+          rate: due.length ? overdue / due.length : null
+        },
+        streaks: getStreaks(completionDays.map(d => d._id), today)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,135 @@
+const {
+  ArchiveError,
+  restoreArchive,
+  getExportStatus,
+  requestExport,
+  openExport
+} = require('../utils/accountArchive');
+const { sendStream } = require('../utils/download');
+
+/**
+ * @desc    Start an export of all the user's data
+ * @route   POST /api/auth/export
+ * @access  Private
+ *
+ * The archive is built in the background; poll GET /api/auth/export for its
+ * status. A notification says when it is ready.
+ */
+exports.requestDataExport = async (req, res) => {
+  try {
+    const status = await requestExport(req.user.id);
+
+    res.status(202).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the status of the user's latest data export
+ * @route   GET /api/auth/export
+ * @access  Private
+ */
+exports.getDataExport = async (req, res) => {
+  try {
+    const status = await getExportStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Download the user's finished data export
+ * @route   GET /api/auth/export/download
+ * @access  Private
+ */
+exports.downloadDataExport = async (req, res) => {
+  try {
+    const status = await getExportStatus(req.user.id);
+
+    if (status.status !== 'done') {
+      return res.status(404).json({
+        success: false,
+        message: 'No finished export to download'
+      });
+    }
+
+    const day = status.finishedAt.toISOString().split('T')[0];
+    sendStream(res, openExport(req.user.id), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': status.size,
+        'Content-Disposition': `attachment; filename="task-manager-export-${day}.json"`
+      },
+      missingMessage: 'The export file is gone; start a new export'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Restore an exported archive into this account
+ * @route   POST /api/auth/import
+ * @access  Private
+ *
+ * Multipart field `file`. The account must not have any data of its own yet.
+ */
+exports.importArchive = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an archive'
+      });
+    }
+
+    let archive;
+    try {
+      archive = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'The archive is not valid JSON'
+      });
+    }
+
+    let counts;
+    try {
+      counts = await restoreArchive(req.user.id, archive);
+    } catch (error) {
+      if (!(error instanceof ArchiveError)) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: counts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
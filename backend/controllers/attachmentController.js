@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const Attachment = require('../models/Attachment');
+const Task = require('../models/Task');
+const { getStorage } = require('../storage');
+const { sendStream } = require('../utils/download');
+
+/**
+ * @desc    Get attachments for a task
+ * @route   GET /api/tasks/:id/attachments
+ * @access  Private
+ */
+exports.getAttachments = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    const attachments = await Attachment.find({ task: task._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      data: attachments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Upload attachments (multipart, field "files")
+ * @route   POST /api/tasks/:id/attachments
+ * @access  Private
+ */
+exports.uploadAttachments = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach at least one file'
+      });
+    }
+
+    const attachments = req.files.map(file => new Attachment({
+      task: task._id,
+      user: req.user.id,
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      // Random keys keep user-supplied names out of the storage layout
+      storageKey: `${req.user.id}/${task._id}/${crypto.randomUUID()}`
+    }));
+
+    // Check every file before storing any, so a bad one leaves nothing behind
+    try {
+      for (const attachment of attachments) await attachment.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    const storage = getStorage();
+    for (const [index, attachment] of attachments.entries()) {
+      await storage.save(attachment.storageKey, req.files[index].buffer);
+      try {
+        await attachment.save();
+      } catch (error) {
+        await storage.remove(attachment.storageKey);
+        throw error;
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      count: attachments.length,
+      data: attachments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Download attachment (add ?download=true to force a save dialog)
+ * @route   GET /api/tasks/:id/attachments/:attachmentId
+ * @access  Private
+ */
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    const attachment = await Attachment.findOne({
+      _id: req.params.attachmentId,
+      task: task._id
+    }).select('+storageKey');
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    const asciiName = attachment.filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    sendStream(res, getStorage().createReadStream(attachment.storageKey), {
+      headers: {
+        'Content-Type': attachment.mimeType,
+        'Content-Length': attachment.size,
+        'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+        'X-Content-Type-Options': 'nosniff'
+      },
+      missingMessage: 'Attachment file is missing'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete attachment
+ * @route   DELETE /api/tasks/:id/attachments/:attachmentId
+ * @access  Private
+ */
+exports.deleteAttachment = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    const attachment = await Attachment.findOne({
+      _id: req.params.attachmentId,
+      task: task._id
+    }).select('+storageKey');
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    await getStorage().remove(attachment.storageKey);
+    await attachment.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
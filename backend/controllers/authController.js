@@ -1,4 +1,6 @@
 const User = require('../models/User');
+const { EMAIL_TYPES, verifyUnsubscribeToken } = require('../utils/unsubscribe');
+const { removeAccountData } = require('../utils/accountArchive');
 
 /**
  * @desc    Register user
@@ -191,6 +193,82 @@ exports.changePassword = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Turn email types on or off, e.g. { overdue: false }
+ * @route   PUT /api/auth/emailpreferences
+ * @access  Private
+ */
+exports.updateEmailPreferences = async (req, res) => {
+  try {
+    const changes = {};
+    for (const type of EMAIL_TYPES) {
+      if (req.body[type] === undefined) continue;
+      if (typeof req.body[type] !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: `${type} must be true or false`
+        });
+      }
+      changes[`emailPreferences.${type}`] = req.body[type];
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, changes, {
+      new: true,
+      runValidators: true
+    });
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Turn off one type of email with the signed token from its
+ *          unsubscribe link
+ * @route   POST /api/auth/unsubscribe
+ * @access  Public
+ */
+exports.unsubscribe = async (req, res) => {
+  try {
+    const claims = verifyUnsubscribeToken(req.body.token);
+
+    if (!claims) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(claims.userId, {
+      [`emailPreferences.${claims.type}`]: false
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { type: claims.type, email: user.email }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 /**
  * @desc    Delete user account
  * @route   DELETE /api/auth/deleteaccount
@@ -198,7 +276,8 @@ exports.changePassword = async (req, res) => {
  */
 exports.deleteAccount = async (req, res) => {
   try {
-    // Delete all user tasks first
+    // Delete all user data first, so a failure leaves an account to retry with
+    await removeAccountData(req.user.id);
     await User.findByIdAndDelete(req.user.id);
 
     res.status(200).json({
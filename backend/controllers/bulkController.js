@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { SearchSyntaxError } = require('../utils/searchQuery');
+const { buildTaskQuery } = require('../utils/taskQuery');
+const { applyTaskChanges, trashTask } = require('../utils/taskChanges');
+
+// Largest number of tasks one bulk request may touch
+const MAX_BULK_ITEMS = 500;
+
+// Fields an `update` operation may set
+const BULK_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'tags', 'project', 'customFields'];
+
+const OPERATION_TYPES = ['update', 'status', 'move', 'delete'];
+
+/**
+ * Fold the operation list into one set of field changes plus a delete flag.
+ * Returns { error } when the list is malformed.
+ */
+const collectChanges = (operations) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return { error: 'Please provide at least one operation' };
+  }
+
+  const changes = {};
+  let remove = false;
+
+  for (const [index, operation] of operations.entries()) {
+    if (!operation || !OPERATION_TYPES.includes(operation.type)) {
+      return { error: `Operation ${index + 1} must have a type of ${OPERATION_TYPES.join(', ')}` };
+    }
+    if (remove) {
+      return { error: 'Delete must be the last operation' };
+    }
+
+    if (operation.type === 'update') {
+      const fields = operation.fields || {};
+      const unknown = Object.keys(fields).find(field => !BULK_FIELDS.includes(field));
+      if (unknown) {
+        return { error: `Field "${unknown}" cannot be bulk updated` };
+      }
+      Object.assign(changes, fields);
+    } else if (operation.type === 'status') {
+      if (!operation.status) {
+        return { error: `Operation ${index + 1} needs a status` };
+      }
+      changes.status = operation.status;
+      if (operation.overrideBlockers) changes.overrideBlockers = true;
+    } else if (operation.type === 'move') {
+      if (operation.project === undefined) {
+        return { error: `Operation ${index + 1} needs a project (null to remove it)` };
+      }
+      changes.project = operation.project;
+    } else {
+      remove = true;
+    }
+  }
+
+  return { changes, remove };
+};
+
+/**
+ * @desc    Apply operations to many tasks, by ID or by search filter
+ * @route   POST /api/tasks/bulk
+ * @access  Private
+ */
+exports.bulkTasks = async (req, res) => {
+  try {
+    const { ids, filter, operations } = req.body;
+
+    if (Array.isArray(ids) === (typeof filter === 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide either a list of task ids or a filter'
+      });
+    }
+
+    const { changes, remove, error } = collectChanges(operations);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Work out the target IDs; a filter matches what the task list shows for
+    // the same search, so only the user's own tasks outside archived projects
+    let targetIds;
+    if (Array.isArray(ids)) {
+      targetIds = [...new Set(ids.map(String))];
+    } else {
+      let query;
+      try {
+        ({ query } = await buildTaskQuery(req.user.id, { search: filter }));
+      } catch (searchError) {
+        if (!(searchError instanceof SearchSyntaxError)) throw searchError;
+        return res.status(400).json({
+          success: false,
+          message: searchError.message,
+          position: searchError.position
+        });
+      }
+
+      const matches = await Task.find(query).select('_id').limit(MAX_BULK_ITEMS + 1);
+      targetIds = matches.map(task => task._id.toString());
+    }
+
+    if (targetIds.length > MAX_BULK_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `A bulk request can change at most ${MAX_BULK_ITEMS} tasks`
+      });
+    }
+
+    const tasks = await Task.find({
+      _id: { $in: targetIds.filter(id => mongoose.isValidObjectId(id)) },
+      deletedAt: null
+    });
+    const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+
+    // One item at a time, so each sees the effects of the ones before it
+    // (e.g. completing a blocker unblocks later tasks in the same request)
+    const results = [];
+    for (const id of targetIds) {
+      const task = tasksById.get(id);
+
+      if (!task) {
+        results.push({ id, success: false, status: 404, message: 'Task not found' });
+        continue;
+      }
+
+      // Make sure user owns task
+      if (task.user.toString() !== req.user.id) {
+        results.push({ id, success: false, status: 403, message: 'Not authorized to update this task' });
+        continue;
+      }
+
+      let result = { status: 200, task };
+      if (Object.keys(changes).length > 0) {
+        result = await applyTaskChanges(task, changes, req.user.id);
+      }
+      if (result.status === 200 && remove) {
+        result = await trashTask(result.task, req.user.id);
+      }
+
+      results.push(result.status === 200
+        ? { id, success: true, status: 200, deleted: remove, data: remove ? undefined : result.task, next: result.next || undefined }
+        : { id, success: false, status: result.status, message: result.message, blockers: result.blockers });
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
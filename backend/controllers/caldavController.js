@@ -0,0 +1,292 @@
+const Workflow = require('../models/Workflow');
+const { parseXml, childOf, childrenOf, XmlError } = require('../utils/xml');
+const {
+  HOME,
+  PRINCIPAL,
+  COLLECTION,
+  NAMESPACES,
+  CALENDAR_DATA,
+  CaldavError,
+  key,
+  loadResources,
+  findResource,
+  nameFromHref,
+  multistatus,
+  homeProperties,
+  principalProperties,
+  collectionProperties,
+  resourceProperties,
+  readTodo,
+  todoChanges
+} = require('../utils/caldav');
+const { addTask, applyTaskChanges, trashTask } = require('../utils/taskChanges');
+
+const ALLOWED_METHODS = 'OPTIONS, PROPFIND, REPORT, GET, HEAD, PUT, DELETE';
+
+// CalDAV clients show plain text errors, if anything
+const fail = (res, status, message) => res.status(status).type('text/plain').send(message);
+
+const sendMultistatus = (res, responses) => {
+  res.status(207).type('application/xml; charset=utf-8').send(multistatus(responses));
+};
+
+// The request body's root element, or null when there is none. Throws
+// XmlError.
+const readBody = (req) => {
+  const body = typeof req.body === 'string' ? req.body.trim() : '';
+  return body ? parseXml(body) : null;
+};
+
+// Property keys a PROPFIND or REPORT asks for, or null for all of them
+const requestedProperties = (root) => {
+  const prop = childOf(root, NAMESPACES.d, 'prop');
+  return prop ? prop.children.map(child => key(child.ns, child.name)) : null;
+};
+
+// Depth 0 is the resource alone; 1 and infinity add its children
+const withChildren = (req) => req.get('Depth') !== '0';
+
+// Does an If-Match or If-None-Match header match a resource's ETag?
+const matches = (header, resource) => Boolean(resource) && (
+  header.trim() === '*' || header.split(',').some(tag => tag.trim().replace(/^W\//, '') === resource.etag)
+);
+
+const propfind = (load) => async (req, res) => {
+  try {
+    let requested;
+    try {
+      const root = readBody(req);
+      if (root && !(root.ns === NAMESPACES.d && root.name === 'propfind')) {
+        return fail(res, 400, 'Expected a propfind request');
+      }
+      requested = root ? requestedProperties(root) : null;
+    } catch (error) {
+      if (!(error instanceof XmlError)) throw error;
+      return fail(res, 400, error.message);
+    }
+
+    const responses = await load(req);
+    if (!responses) {
+      return fail(res, 404, 'Not found');
+    }
+    sendMultistatus(res, responses.map(response => ({ ...response, requested })));
+  } catch (error) {
+    fail(res, 500, error.message);
+  }
+};
+
+/**
+ * @desc    What the CalDAV server supports
+ * @route   OPTIONS /caldav/*
+ * @access  Public
+ */
+exports.options = (req, res) => {
+  res.set({
+    DAV: '1, 3, calendar-access',
+    Allow: ALLOWED_METHODS
+  });
+  res.status(200).end();
+};
+
+/**
+ * @desc    Methods the CalDAV server doesn't support
+ * @route   * /caldav/*
+ * @access  Private
+ */
+exports.notAllowed = (req, res) => {
+  res.set('Allow', ALLOWED_METHODS);
+  fail(res, 405, `${req.method} is not supported here`);
+};
+
+/**
+ * @desc    Properties of the calendar home, and of the task collection in it
+ * @route   PROPFIND /caldav/
+ * @access  Private
+ */
+exports.propfindHome = propfind(async (req) => {
+  const responses = [{ href: HOME, properties: homeProperties(req.user) }];
+  if (withChildren(req)) {
+    const resources = await loadResources(req.user.id);
+    responses.push({ href: COLLECTION, properties: collectionProperties(req.user, resources) });
+  }
+  return responses;
+});
+
+/**
+ * @desc    Properties of the signed-in user's principal
+ * @route   PROPFIND /caldav/principal/
+ * @access  Private
+ */
+exports.propfindPrincipal = propfind(async (req) => [
+  { href: PRINCIPAL, properties: principalProperties(req.user) }
+]);
+
+/**
+ * @desc    Properties of the task collection, and of the tasks in it
+ * @route   PROPFIND /caldav/tasks/
+ * @access  Private
+ */
+exports.propfindCollection = propfind(async (req) => {
+  const resources = await loadResources(req.user.id);
+  const responses = [{ href: COLLECTION, properties: collectionProperties(req.user, resources) }];
+  if (withChildren(req)) {
+    resources.forEach(resource => {
+      responses.push({ href: resource.href, properties: resourceProperties(resource) });
+    });
+  }
+  return responses;
+});
+
+/**
+ * @desc    Properties of a task
+ * @route   PROPFIND /caldav/tasks/:name
+ * @access  Private
+ */
+exports.propfindResource = propfind(async (req) => {
+  const resource = await findResource(req.user.id, req.params.name);
+  return resource && [{ href: resource.href, properties: resourceProperties(resource) }];
+});
+
+/**
+ * @desc    Tasks with their to-dos, by href (calendar-multiget) or all of
+ *          them (calendar-query)
+ * @route   REPORT /caldav/tasks/
+ * @access  Private
+ *
+ * Queries for anything but to-dos match nothing. Other query filters are
+ * ignored, so clients get every to-do and filter them themselves.
+ */
+exports.report = async (req, res) => {
+  try {
+    let root;
+    try {
+      root = readBody(req);
+    } catch (error) {
+      if (!(error instanceof XmlError)) throw error;
+      return fail(res, 400, error.message);
+    }
+    const report = root && root.ns === NAMESPACES.c ? root.name : null;
+    if (!['calendar-multiget', 'calendar-query'].includes(report)) {
+      return fail(res, 403, 'Only the calendar-multiget and calendar-query reports are supported');
+    }
+
+    const requested = requestedProperties(root);
+    const withData = !requested || requested.includes(CALENDAR_DATA);
+    const resources = await loadResources(req.user.id);
+    const respond = resource => ({
+      href: resource.href,
+      properties: resourceProperties(resource, { withData }),
+      requested
+    });
+
+    if (report === 'calendar-multiget') {
+      return sendMultistatus(res, childrenOf(root, NAMESPACES.d, 'href').map(href => {
+        const name = nameFromHref(href.text);
+        const resource = name && resources.find(r => r.name === name);
+        return resource ? respond(resource) : { href: href.text.trim(), status: '404 Not Found' };
+      }));
+    }
+
+    // The VCALENDAR filter holds the one for the component type
+    const calendarFilter = childOf(childOf(root, NAMESPACES.c, 'filter'), NAMESPACES.c, 'comp-filter');
+    const componentFilter = childOf(calendarFilter, NAMESPACES.c, 'comp-filter');
+    if (componentFilter && componentFilter.attrs.name !== 'VTODO') {
+      return sendMultistatus(res, []);
+    }
+    sendMultistatus(res, resources.map(respond));
+  } catch (error) {
+    fail(res, 500, error.message);
+  }
+};
+
+/**
+ * @desc    A task as an iCalendar to-do
+ * @route   GET /caldav/tasks/:name
+ * @access  Private
+ */
+exports.getResource = async (req, res) => {
+  try {
+    const resource = await findResource(req.user.id, req.params.name);
+
+    if (!resource) {
+      return fail(res, 404, 'Not found');
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      ETag: resource.etag
+    });
+    res.send(resource.body);
+  } catch (error) {
+    fail(res, 500, error.message);
+  }
+};
+
+/**
+ * @desc    Create or update a task from an iCalendar to-do
+ * @route   PUT /caldav/tasks/:name
+ * @access  Private
+ *
+ * Changes are checked like any task update. The stored to-do may differ
+ * from the one sent, so no ETag is returned and clients fetch it again.
+ */
+exports.putResource = async (req, res) => {
+  try {
+    const resource = await findResource(req.user.id, req.params.name);
+
+    const ifMatch = req.get('If-Match');
+    const ifNoneMatch = req.get('If-None-Match');
+    if ((ifMatch && !matches(ifMatch, resource)) || (ifNoneMatch && matches(ifNoneMatch, resource))) {
+      return fail(res, 412, 'The task has changed since it was fetched');
+    }
+
+    let changes;
+    let caldav;
+    try {
+      const entry = readTodo(req.body);
+      const workflow = await Workflow.forUser(req.user.id);
+      changes = await todoChanges(entry, { task: resource && resource.task, workflow, userId: req.user.id });
+      caldav = { name: req.params.name, uid: entry.uid || undefined };
+    } catch (error) {
+      if (!(error instanceof CaldavError)) throw error;
+      return fail(res, error.status, error.message);
+    }
+
+    const result = resource
+      ? await applyTaskChanges(resource.task, changes, req.user.id)
+      : await addTask(changes, req.user.id, { caldav });
+    if (result.status >= 400) {
+      return fail(res, result.status, result.message);
+    }
+
+    res.status(resource ? 204 : 201).end();
+  } catch (error) {
+    fail(res, 500, error.message);
+  }
+};
+
+/**
+ * @desc    Move a task to the trash
+ * @route   DELETE /caldav/tasks/:name
+ * @access  Private
+ */
+exports.deleteResource = async (req, res) => {
+  try {
+    const resource = await findResource(req.user.id, req.params.name);
+
+    if (!resource) {
+      return fail(res, 404, 'Not found');
+    }
+
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && !matches(ifMatch, resource)) {
+      return fail(res, 412, 'The task has changed since it was fetched');
+    }
+
+    await trashTask(resource.task, req.user.id);
+
+    res.status(204).end();
+  } catch (error) {
+    fail(res, 500, error.message);
+  }
+};
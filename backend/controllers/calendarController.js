@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Workflow = require('../models/Workflow');
+const { IcalError, parseCalendar } = require('../utils/ical');
+const { FEED_TYPES, IMPORT_COLUMNS, buildFeed, calendarRows } = require('../utils/taskCalendar');
+const { ImportError, prepareImport, runImport, summarizeImport } = require('../utils/taskTransfer');
+
+// Where calendar apps reach the API. Behind a proxy that rewrites the host,
+// set PUBLIC_API_URL.
+const publicUrl = (req, path) => {
+  const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}${path}`;
+};
+
+// The feed, and the CalDAV server (routes/caldav.js) for two-way sync
+const feedStatus = (req, token) => ({
+  enabled: Boolean(token),
+  url: token ? publicUrl(req, `/api/calendar/feed/${token}.ics`) : null,
+  caldavUrl: publicUrl(req, '/caldav/')
+});
+
+/**
+ * @desc    Get the user's calendar feed and CalDAV URLs
+ * @route   GET /api/calendar
+ * @access  Private
+ */
+exports.getCalendar = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+
+    res.status(200).json({
+      success: true,
+      data: feedStatus(req, user.calendarToken)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Turn the calendar feed on with a new secret URL
+ * @route   POST /api/calendar/token
+ * @access  Private
+ *
+ * Any earlier feed URL stops working.
+ */
+exports.regenerateToken = async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    await User.updateOne({ _id: req.user.id }, { $set: { calendarToken: token } });
+
+    res.status(200).json({
+      success: true,
+      data: feedStatus(req, token)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Turn the calendar feed off
+ * @route   DELETE /api/calendar/token
+ * @access  Private
+ */
+exports.disableFeed = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarToken: 1 } });
+
+    res.status(200).json({
+      success: true,
+      data: feedStatus(req, null)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Calendar feed of the due dates of a user's tasks
+ * @route   GET /api/calendar/feed/:token.ics?type=event|todo
+ * @access  Public (the token is the secret)
+ *
+ * Trashed tasks and tasks in archived projects are left out.
+ */
+exports.getFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      });
+    }
+
+    const type = req.query.type || 'event';
+    if (!FEED_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type must be event or todo'
+      });
+    }
+
+    const query = { user: user._id, deletedAt: null, dueDate: { $ne: null } };
+    const archivedIds = await Project.archivedIds(user._id);
+    if (archivedIds.length > 0) {
+      query.project = { $nin: archivedIds };
+    }
+    const [tasks, tags] = await Promise.all([
+      Task.find(query).sort({ dueDate: 1 }).lean(),
+      Tag.find({ user: user._id }).lean()
+    ]);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="tasks.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(buildFeed({ name: user.name, tasks, tags, type }));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create tasks from the events and to-dos of an .ics file
+ * @route   POST /api/calendar/import
+ * @access  Private
+ *
+ * Multipart fields: `file`, and optionally `dryRun` ("true" to only check the
+ * entries) and `duplicates` ("skip", the default, or "import"). Rows in the
+ * response are numbered by entry, from 1.
+ */
+exports.importCalendar = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an .ics file'
+      });
+    }
+
+    const { dryRun, duplicates = 'skip' } = req.body;
+    if (!['skip', 'import'].includes(duplicates)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duplicates must be skip or import'
+      });
+    }
+
+    let prepared;
+    let skipped;
+    try {
+      const workflow = await Workflow.forUser(req.user.id);
+      const calendar = calendarRows(parseCalendar(req.file.buffer.toString('utf8')), workflow.statuses);
+      skipped = calendar.skipped;
+      prepared = await prepareImport(req.user.id, calendar.rows, IMPORT_COLUMNS, { firstRow: 1 });
+    } catch (error) {
+      if (!(error instanceof IcalError) && !(error instanceof ImportError)) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const isDryRun = dryRun === 'true';
+    const tasks = isDryRun
+      ? []
+      : await runImport(req.user.id, prepared, { skipDuplicates: duplicates === 'skip' });
+
+    const result = summarizeImport(prepared, tasks);
+    res.status(isDryRun ? 200 : 201).json({
+      success: true,
+      dryRun: isDryRun,
+      ...result,
+      summary: { ...result.summary, skipped }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
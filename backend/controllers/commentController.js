@@ -0,0 +1,201 @@
+const Comment = require('../models/Comment');
+const Task = require('../models/Task');
+
+/**
+ * @desc    Get comments for a task
+ * @route   GET /api/tasks/:id/comments
+ * @access  Private
+ */
+exports.getComments = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    const comments = await Comment.find({ task: task._id })
+      .sort({ createdAt: 1 })
+      .populate('user', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      data: comments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add comment to a task
+ * @route   POST /api/tasks/:id/comments
+ * @access  Private
+ */
+exports.addComment = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to comment on this task'
+      });
+    }
+
+    const comment = await Comment.create({
+      task: task._id,
+      user: req.user.id,
+      body: req.body.body
+    });
+    await comment.populate('user', 'name');
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Edit comment
+ * @route   PUT /api/tasks/:id/comments/:commentId
+ * @access  Private
+ */
+exports.updateComment = async (req, res) => {
+  try {
+    // Comments on a trashed task are frozen until it is restored
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to comment on this task'
+      });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    // Only the author can edit a comment
+    if (comment.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = Date.now();
+    await comment.save();
+    await comment.populate('user', 'name');
+
+    res.status(200).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete comment
+ * @route   DELETE /api/tasks/:id/comments/:commentId
+ * @access  Private
+ */
+exports.deleteComment = async (req, res) => {
+  try {
+    // Comments on a trashed task are frozen until it is restored
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to comment on this task'
+      });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    // Only the author can delete a comment
+    if (comment.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    await comment.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,224 @@
+const CustomField = require('../models/CustomField');
+const Task = require('../models/Task');
+
+// Case-insensitive match, same as the unique index on CustomField
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Field key derived from a name, e.g. "Story Points" -> "story_points"
+const slugify = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '')
+  .slice(0, 30) || 'field';
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+/**
+ * @desc    Get all custom fields for current user, with usage counts
+ * @route   GET /api/fields
+ * @access  Private
+ */
+exports.getFields = async (req, res) => {
+  try {
+    const fields = await CustomField.find({ user: req.user.id }).sort({ createdAt: 1 });
+
+    const counts = await Promise.all(fields.map(field => Task.countDocuments({
+      user: req.user.id,
+      deletedAt: null,
+      [`customFields.${field.key}`]: { $ne: null }
+    })));
+
+    res.status(200).json({
+      success: true,
+      count: fields.length,
+      data: fields.map((field, index) => ({ ...field.toObject(), taskCount: counts[index] }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create custom field
+ * @route   POST /api/fields
+ * @access  Private
+ */
+exports.createField = async (req, res) => {
+  try {
+    const { name, type, options = [], required = false } = req.body;
+
+    const existingField = await CustomField.findOne({ user: req.user.id, name }).collation(NAME_COLLATION);
+    if (existingField) {
+      return res.status(400).json({
+        success: false,
+        message: 'A field with this name already exists'
+      });
+    }
+
+    // The key is what tasks store values under, so it must not collide
+    const base = slugify(name);
+    const taken = new Set((await CustomField.find({ user: req.user.id }).select('key')).map(f => f.key));
+    let key = base;
+    for (let n = 2; taken.has(key); n++) key = `${base}_${n}`;
+
+    let field;
+    try {
+      field = await CustomField.create({
+        user: req.user.id,
+        name,
+        key,
+        type,
+        options: type === 'select' ? options : [],
+        required
+      });
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: field
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Rename a custom field, change its options or whether it's required.
+ *          The type can't change. Values using a removed option are cleared.
+ * @route   PUT /api/fields/:id
+ * @access  Private
+ */
+exports.updateField = async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: 'Field not found'
+      });
+    }
+
+    // Make sure user owns field
+    if (field.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this field'
+      });
+    }
+
+    const { name, type, options, required } = req.body;
+
+    if (type && type !== field.type) {
+      return res.status(400).json({
+        success: false,
+        message: "A field's type can't be changed - create a new field instead"
+      });
+    }
+
+    if (name) {
+      const existingField = await CustomField.findOne({
+        user: req.user.id,
+        name,
+        _id: { $ne: field._id }
+      }).collation(NAME_COLLATION);
+
+      if (existingField) {
+        return res.status(400).json({
+          success: false,
+          message: 'A field with this name already exists'
+        });
+      }
+      field.name = name;
+    }
+
+    const removedOptions = field.type === 'select' && Array.isArray(options)
+      ? field.options.filter(option => !options.includes(option))
+      : [];
+    if (field.type === 'select' && Array.isArray(options)) field.options = options;
+    if (required !== undefined) field.required = required;
+
+    try {
+      await field.save();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    if (removedOptions.length > 0) {
+      const path = `customFields.${field.key}`;
+      await Task.updateMany(
+        { user: req.user.id, [path]: { $in: removedOptions } },
+        { $unset: { [path]: 1 } }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: field
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete custom field and its value on every task
+ * @route   DELETE /api/fields/:id
+ * @access  Private
+ */
+exports.deleteField = async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: 'Field not found'
+      });
+    }
+
+    // Make sure user owns field
+    if (field.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this field'
+      });
+    }
+
+    // Trashed tasks too, so a restore doesn't bring back an orphaned value
+    await Task.updateMany(
+      { user: req.user.id },
+      { $unset: { [`customFields.${field.key}`]: 1 } }
+    );
+    await field.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { wouldCreateCycle, getDependencyChain } = require('../utils/dependencies');
+
+/**
+ * @desc    Mark task as blocked by another task
+ * @route   POST /api/tasks/:id/dependencies
+ * @access  Private
+ */
+exports.addDependency = async (req, res) => {
+  try {
+    const { blockedBy } = req.body;
+
+    if (!mongoose.isValidObjectId(blockedBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid blocking task ID'
+      });
+    }
+
+    const [task, blocker] = await Promise.all([
+      Task.findOne({ _id: req.params.id, deletedAt: null }),
+      Task.findOne({ _id: blockedBy, deletedAt: null })
+    ]);
+
+    if (!task || !blocker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns both tasks
+    if (task.user.toString() !== req.user.id || blocker.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (await wouldCreateCycle(req.user.id, task._id, blocker._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This dependency would create a cycle'
+      });
+    }
+
+    task.blockedBy.addToSet(blocker._id);
+    await task.save();
+    await task.populate('blockedBy', 'title status statusCategory');
+
+    res.status(201).json({
+      success: true,
+      data: task,
+      dependencies: await getDependencyChain(task)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove a blocked-by link
+ * @route   DELETE /api/tasks/:id/dependencies/:blockerId
+ * @access  Private
+ */
+exports.removeDependency = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    task.blockedBy.pull(req.params.blockerId);
+    await task.save();
+    await task.populate('blockedBy', 'title status statusCategory');
+
+    res.status(200).json({
+      success: true,
+      data: task,
+      dependencies: await getDependencyChain(task)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,138 @@
+const Notification = require('../models/Notification');
+
+const PAGE_SIZE = 50;
+
+/**
+ * @desc    Get the current user's latest notifications, newest first, with
+ *          the unread count. `unread=true` returns unread ones only.
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.unread === 'true') {
+      query.readAt = null;
+    }
+
+    const [notifications, unread] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(PAGE_SIZE),
+      Notification.countDocuments({ user: req.user.id, readAt: null })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unread,
+      data: notifications
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+exports.markRead = async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    // Make sure user owns notification
+    if (notification.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this notification'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = Date.now();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+exports.markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, readAt: null },
+      { readAt: Date.now() }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a notification
+ * @route   DELETE /api/notifications/:id
+ * @access  Private
+ */
+exports.deleteNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    // Make sure user owns notification
+    if (notification.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this notification'
+      });
+    }
+
+    await notification.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,191 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const SavedView = require('../models/SavedView');
+
+/**
+ * @desc    Get all projects for current user
+ * @route   GET /api/projects
+ * @access  Private
+ */
+exports.getProjects = async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+
+    // Archived projects are only listed on request
+    if (req.query.archived === 'true') {
+      query.archived = true;
+    } else if (req.query.archived !== 'all') {
+      query.archived = false;
+    }
+
+    const projects = await Project.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: projects.length,
+      data: projects
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single project
+ * @route   GET /api/projects/:id
+ * @access  Private
+ */
+exports.getProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Make sure user owns project
+    if (project.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create project
+ * @route   POST /api/projects
+ * @access  Private
+ */
+exports.createProject = async (req, res) => {
+  try {
+    const { name, description, color } = req.body;
+
+    const project = await Project.create({
+      user: req.user.id,
+      name,
+      description,
+      color
+    });
+
+    res.status(201).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update project (including archiving)
+ * @route   PUT /api/projects/:id
+ * @access  Private
+ */
+exports.updateProject = async (req, res) => {
+  try {
+    let project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Make sure user owns project
+    if (project.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this project'
+      });
+    }
+
+    // Build project object
+    const { name, description, color, archived } = req.body;
+    const projectFields = { updatedAt: Date.now() };
+    if (name !== undefined) projectFields.name = name;
+    if (description !== undefined) projectFields.description = description;
+    if (color !== undefined) projectFields.color = color;
+    if (archived !== undefined) projectFields.archived = archived;
+
+    project = await Project.findByIdAndUpdate(req.params.id, projectFields, {
+      new: true,
+      runValidators: true
+    });
+
+    res.status(200).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete project (its tasks are kept, without a project)
+ * @route   DELETE /api/projects/:id
+ * @access  Private
+ */
+exports.deleteProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Make sure user owns project
+    if (project.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this project'
+      });
+    }
+
+    await Task.updateMany({ user: req.user.id, project: project._id }, { $unset: { project: '' } });
+    // Saved views of the project fall back to all projects
+    await SavedView.updateMany(
+      { user: req.user.id, 'filters.project': project._id.toString() },
+      { 'filters.project': 'all' }
+    );
+    await project.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
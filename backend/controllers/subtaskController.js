@@ -0,0 +1,194 @@
+const Task = require('../models/Task');
+
+/**
+ * @desc    Add subtask to task
+ * @route   POST /api/tasks/:id/subtasks
+ * @access  Private
+ */
+exports.addSubtask = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    task.subtasks.push({ title: req.body.title });
+    await task.save();
+
+    res.status(201).json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update subtask (title or done state)
+ * @route   PUT /api/tasks/:id/subtasks/:subtaskId
+ * @access  Private
+ */
+exports.updateSubtask = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+
+    const { title, done } = req.body;
+    if (title !== undefined) subtask.title = title;
+    if (done !== undefined) subtask.done = done;
+
+    await task.save();
+
+    res.status(200).json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete subtask
+ * @route   DELETE /api/tasks/:id/subtasks/:subtaskId
+ * @access  Private
+ */
+exports.deleteSubtask = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+
+    subtask.deleteOne();
+    await task.save();
+
+    res.status(200).json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reorder subtasks
+ * @route   PUT /api/tasks/:id/subtasks/reorder
+ * @access  Private
+ */
+exports.reorderSubtasks = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    // The new order must list every existing subtask exactly once
+    const { order } = req.body;
+    const currentIds = task.subtasks.map(subtask => subtask._id.toString());
+
+    if (
+      !Array.isArray(order) ||
+      order.length !== currentIds.length ||
+      new Set(order).size !== order.length ||
+      !order.every(id => currentIds.includes(id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must contain each subtask ID exactly once'
+      });
+    }
+
+    task.subtasks = order.map(id => task.subtasks.id(id).toObject());
+    await task.save();
+
+    res.status(200).json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const SavedView = require('../models/SavedView');
+
+// Case-insensitive match, same as the unique index on Tag
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * @desc    Get all tags for current user, with usage counts
+ * @route   GET /api/tags
+ * @access  Private
+ */
+exports.getTags = async (req, res) => {
+  try {
+    const tags = await Tag.find({ user: req.user.id }).sort({ name: 1 }).collation(NAME_COLLATION);
+
+    const usage = await Task.aggregate([
+      { $match: { user: req.user._id, deletedAt: null } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+    const counts = Object.fromEntries(usage.map(u => [u._id.toString(), u.count]));
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      data: tags.map(tag => ({ ...tag.toObject(), taskCount: counts[tag._id.toString()] || 0 }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create tag
+ * @route   POST /api/tags
+ * @access  Private
+ */
+exports.createTag = async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    const existingTag = await Tag.findOne({ user: req.user.id, name }).collation(NAME_COLLATION);
+    if (existingTag) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tag with this name already exists'
+      });
+    }
+
+    const tag = await Tag.create({ user: req.user.id, name, color });
+
+    res.status(201).json({
+      success: true,
+      data: tag
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Rename or recolor tag
+ * @route   PUT /api/tags/:id
+ * @access  Private
+ */
+exports.updateTag = async (req, res) => {
+  try {
+    let tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    // Make sure user owns tag
+    if (tag.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this tag'
+      });
+    }
+
+    const { name, color } = req.body;
+
+    if (name) {
+      const existingTag = await Tag.findOne({
+        user: req.user.id,
+        name,
+        _id: { $ne: tag._id }
+      }).collation(NAME_COLLATION);
+
+      if (existingTag) {
+        return res.status(400).json({
+          success: false,
+          message: 'A tag with this name already exists - merge the tags instead'
+        });
+      }
+    }
+
+    // Tasks reference tags by ID, so a rename shows up on every task at once
+    const tagFields = {};
+    if (name) tagFields.name = name;
+    if (color) tagFields.color = color;
+
+    tag = await Tag.findByIdAndUpdate(req.params.id, tagFields, {
+      new: true,
+      runValidators: true
+    });
+
+    res.status(200).json({
+      success: true,
+      data: tag
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Merge tag into another tag
+ * @route   POST /api/tags/:id/merge
+ * @access  Private
+ */
+exports.mergeTag = async (req, res) => {
+  try {
+    const { into } = req.body;
+
+    if (!mongoose.isValidObjectId(into)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid tag to merge into'
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Tag.findById(req.params.id),
+      Tag.findById(into)
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    // Make sure user owns both tags
+    if (source.user.toString() !== req.user.id || target.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to merge these tags'
+      });
+    }
+
+    // Compared as IDs, as the same tag can be written more than one way
+    if (source._id.equals(target._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a different tag to merge into'
+      });
+    }
+
+    // Add the target tag to every task carrying the source, then drop the source
+    const filter = { user: req.user.id, tags: source._id };
+    await Task.updateMany(filter, { $addToSet: { tags: target._id } });
+    const result = await Task.updateMany(filter, { $pull: { tags: source._id } });
+
+    // Saved views filtering by the source filter by the target instead
+    const viewFilter = { user: req.user.id, 'filters.tags': source._id };
+    await SavedView.updateMany(viewFilter, { $addToSet: { 'filters.tags': target._id } });
+    await SavedView.updateMany(viewFilter, { $pull: { 'filters.tags': source._id } });
+
+    await source.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: target,
+      tasksUpdated: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete tag and remove it from all tasks
+ * @route   DELETE /api/tags/:id
+ * @access  Private
+ */
+exports.deleteTag = async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    // Make sure user owns tag
+    if (tag.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this tag'
+      });
+    }
+
+    await Task.updateMany({ user: req.user.id, tags: tag._id }, { $pull: { tags: tag._id } });
+    await SavedView.updateMany({ user: req.user.id, 'filters.tags': tag._id }, { $pull: { 'filters.tags': tag._id } });
+    await tag.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,4 +1,15 @@
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Activity = require('../models/Activity');
+const Workflow = require('../models/Workflow');
+const { parseLimit, decodeCursor, findPage } = require('../utils/pagination');
+const { SearchSyntaxError } = require('../utils/searchQuery');
+const { CustomFieldError } = require('../utils/customFields');
+const { TaskQueryError, buildTaskQuery } = require('../utils/taskQuery');
+const { addTask, applyTaskChanges, trashTask } = require('../utils/taskChanges');
+const { getDependencyChain } = require('../utils/dependencies');
+const { rankBetween } = require('../utils/rank');
 
 /**
  * @desc    Create new task
@@ -7,13 +18,18 @@ const Task = require('../models/Task');
  */
 exports.createTask = async (req, res) => {
   try {
-    req.body.user = req.user.id;
+    const result = await addTask(req.body, req.user.id);
 
-    const task = await Task.create(req.body);
+    if (result.status !== 201) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
 
     res.status(201).json({
       success: true,
-      data: task
+      data: result.task
     });
   } catch (error) {
     res.status(500).json({
@@ -24,51 +40,66 @@ exports.createTask = async (req, res) => {
 };
 
 /**
- * @desc    Get all tasks for current user
+ * @desc    Get tasks for current user, one page at a time
  * @route   GET /api/tasks
  * @access  Private
  */
 exports.getTasks = async (req, res) => {
   try {
-    const { status, priority, search, sort } = req.query;
-
-    // Build query object
-    const query = { user: req.user.id };
-
-    // Filter by status
-    if (status && status !== 'all') {
-      query.status = status;
-    }
-
-    // Filter by priority
-    if (priority && priority !== 'all') {
-      query.priority = priority;
-    }
+    const { after, before } = req.query;
 
-    // Search by title or description
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    let taskQuery;
+    try {
+      taskQuery = await buildTaskQuery(req.user.id, req.query);
+    } catch (error) {
+      if (error instanceof SearchSyntaxError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          position: error.position
+        });
+      }
+      if (error instanceof CustomFieldError || error instanceof TaskQueryError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
     }
+    const { query, sort } = taskQuery;
+    const limit = parseLimit(req.query.limit);
 
-    // Determine sort order
-    let sortOption = { createdAt: -1 }; // Default: newest first
-    if (sort === 'oldest') {
-      sortOption = { createdAt: 1 };
-    } else if (sort === 'title') {
-      sortOption = { title: 1 };
-    } else if (sort === 'priority') {
-      sortOption = { priority: -1 }; // high to low
+    // Cursors only make sense for the sort they were issued with
+    const position = after || before ? decodeCursor(sort, after || before) : null;
+    if ((after || before) && !position) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
     }
 
-    const tasks = await Task.find(query).sort(sortOption);
+    const page = await findPage(Task, query, {
+      sort,
+      limit,
+      after: after ? position : null,
+      before: before && !after ? position : null,
+      populate: [
+        ['tags', 'name color'],
+        ['blockedBy', 'title status statusCategory']
+      ]
+    });
 
     res.status(200).json({
       success: true,
-      count: tasks.length,
-      data: tasks
+      count: page.data.length,
+      total: page.total,
+      data: page.data,
+      pagination: {
+        limit,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -85,7 +116,9 @@ exports.getTasks = async (req, res) => {
  */
 exports.getTask = async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null })
+      .populate('tags', 'name color')
+      .populate('blockedBy', 'title status statusCategory');
 
     if (!task) {
       return res.status(404).json({
@@ -104,7 +137,8 @@ exports.getTask = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: task
+      data: task,
+      dependencies: await getDependencyChain(task)
     });
   } catch (error) {
     res.status(500).json({
@@ -121,7 +155,7 @@ exports.getTask = async (req, res) => {
  */
 exports.updateTask = async (req, res) => {
   try {
-    let task = await Task.findById(req.params.id);
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
 
     if (!task) {
       return res.status(404).json({
@@ -138,14 +172,20 @@ exports.updateTask = async (req, res) => {
       });
     }
 
-    task = await Task.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+    const result = await applyTaskChanges(task, req.body, req.user.id);
+
+    if (result.status !== 200) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        blockers: result.blockers
+      });
+    }
 
     res.status(200).json({
       success: true,
-      data: task
+      data: result.task,
+      next: result.next
     });
   } catch (error) {
     res.status(500).json({
@@ -156,13 +196,13 @@ exports.updateTask = async (req, res) => {
 };
 
 /**
- * @desc    Delete task
+ * @desc    Move task to the trash
  * @route   DELETE /api/tasks/:id
  * @access  Private
  */
 exports.deleteTask = async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
 
     if (!task) {
       return res.status(404).json({
@@ -179,7 +219,7 @@ exports.deleteTask = async (req, res) => {
       });
     }
 
-    await task.deleteOne();
+    await trashTask(task, req.user.id);
 
     res.status(200).json({
       success: true,
@@ -193,6 +233,130 @@ exports.deleteTask = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Move task in the manual order, directly before or after another
+ *          task (`{ before: taskId }` or `{ after: taskId }`). Only the
+ *          moved task's rank is written.
+ * @route   PUT /api/tasks/:id/reorder
+ * @access  Private
+ */
+exports.reorderTask = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    const { before, after } = req.body;
+    const neighbourId = before || after;
+    if ((before && after) || !mongoose.isValidObjectId(neighbourId) || String(neighbourId) === task._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give one other task to move before or after'
+      });
+    }
+
+    const neighbour = await Task.findOne({ _id: neighbourId, user: req.user.id, deletedAt: null }).select('rank');
+    if (!neighbour || !neighbour.rank) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task to move next to not found'
+      });
+    }
+
+    // The task lands between the neighbour and whichever task is next to it
+    // on that side, even when the caller's filters hide that one. Trashed
+    // tasks count too, so restoring one doesn't land on a taken rank.
+    const others = { user: req.user.id, _id: { $ne: task._id } };
+    const rankNextTo = async (neighbourRank) => {
+      if (after) {
+        const next = await Task.findOne({ ...others, rank: { $gt: neighbourRank } })
+          .sort({ rank: 1 })
+          .select('rank');
+        return rankBetween(neighbourRank, next ? next.rank : null);
+      }
+      const previous = await Task.findOne({ ...others, rank: { $lt: neighbourRank } })
+        .sort({ rank: -1 })
+        .select('rank');
+      return rankBetween(previous ? previous.rank : null, neighbourRank);
+    };
+
+    let rank = await rankNextTo(neighbour.rank);
+    if (rank.length > Task.MAX_RANK_LENGTH) {
+      await Task.rebalanceRanks(req.user.id);
+      const { rank: neighbourRank } = await Task.findById(neighbour._id).select('rank');
+      rank = await rankNextTo(neighbourRank);
+    }
+
+    // A new position isn't an edit, so updatedAt and the activity log stay as they are
+    await Task.updateOne({ _id: task._id }, { rank });
+
+    res.status(200).json({
+      success: true,
+      data: { _id: task._id, rank }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get change history of a task, oldest first
+ * @route   GET /api/tasks/:id/activity
+ * @access  Private
+ */
+exports.getTaskActivity = async (req, res) => {
+  try {
+    // Trashed tasks included, so their history can be checked before restoring
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    const activity = await Activity.find({ task: task._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('actor', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: activity.length,
+      data: activity
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get task statistics
  * @route   GET /api/tasks/stats
@@ -200,8 +364,12 @@ exports.deleteTask = async (req, res) => {
  */
 exports.getTaskStats = async (req, res) => {
   try {
+    // Status and priority counts leave out archived projects, like getTasks
+    const archivedIds = await Project.archivedIds(req.user.id);
+    const activeMatch = { user: req.user._id, deletedAt: null, project: { $nin: archivedIds } };
+
     const stats = await Task.aggregate([
-      { $match: { user: req.user._id } },
+      { $match: activeMatch },
       {
         $group: {
           _id: '$status',
@@ -210,8 +378,25 @@ exports.getTaskStats = async (req, res) => {
       }
     ]);
 
+    // One entry per workflow status, in workflow order, including empty ones
+    const workflow = await Workflow.forUser(req.user.id);
+    const countOf = (key) => (stats.find(stat => stat._id === key) || { count: 0 }).count;
+    const byStatus = workflow.statuses.map(status => ({
+      _id: status.key,
+      name: status.name,
+      category: status.category,
+      count: countOf(status.key)
+    }));
+
+    const byCategory = Workflow.CATEGORIES.map(category => ({
+      _id: category,
+      count: byStatus
+        .filter(status => status.category === category)
+        .reduce((sum, status) => sum + status.count, 0)
+    }));
+
     const priorityStats = await Task.aggregate([
-      { $match: { user: req.user._id } },
+      { $match: activeMatch },
       {
         $group: {
           _id: '$priority',
@@ -220,11 +405,27 @@ exports.getTaskStats = async (req, res) => {
       }
     ]);
 
+    // Per-project counts (null for tasks without a project)
+    const projectStats = await Task.aggregate([
+      { $match: { user: req.user._id, deletedAt: null } },
+      {
+        $group: {
+          _id: '$project',
+          count: { $sum: 1 },
+          completed: {
+            $sum: { $cond: [{ $eq: ['$statusCategory', 'done'] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
     res.status(200).json({
       success: true,
       data: {
-        byStatus: stats,
-        byPriority: priorityStats
+        byStatus,
+        byCategory,
+        byPriority: priorityStats,
+        byProject: projectStats
       }
     });
   } catch (error) {
@@ -0,0 +1,457 @@
+const mongoose = require('mongoose');
+const TimeEntry = require('../models/TimeEntry');
+const Task = require('../models/Task');
+const { DAY_MS, listDays, parseDayRange } = require('../utils/dates');
+
+const MAX_REPORT_DAYS = 366;
+
+// Keep the task's `timeSpent` in step with its finished entries
+const syncTimeSpent = async (taskId) => {
+  await Task.updateOne({ _id: taskId }, { timeSpent: await TimeEntry.totalForTask(taskId) });
+};
+
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: Object.values(error.errors).map(e => e.message).join(', ')
+});
+
+// Stop the user's running timer, if any. Returns the stopped entry or null.
+const stopRunningTimer = async (userId) => {
+  const entry = await TimeEntry.findOne({ user: userId, running: true });
+  if (!entry) return null;
+
+  // A timer stopped in the same second it started still ends after it
+  entry.endedAt = new Date(Math.max(Date.now(), entry.startedAt.getTime() + 1000));
+  await entry.save();
+  await syncTimeSpent(entry.task);
+  return entry;
+};
+
+/**
+ * @desc    Get the current user's running timer, or null
+ * @route   GET /api/time/timer
+ * @access  Private
+ */
+exports.getTimer = async (req, res) => {
+  try {
+    const timer = await TimeEntry.findOne({ user: req.user.id, running: true })
+      .populate('task', 'title');
+
+    res.status(200).json({
+      success: true,
+      data: timer
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Start a timer on a task, stopping any timer already running
+ * @route   POST /api/tasks/:id/timer
+ * @access  Private
+ */
+exports.startTimer = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to track time on this task'
+      });
+    }
+
+    const stopped = await stopRunningTimer(req.user.id);
+
+    let timer;
+    try {
+      timer = await TimeEntry.create({
+        task: task._id,
+        user: req.user.id,
+        startedAt: Date.now(),
+        source: 'timer',
+        note: req.body.note
+      });
+    } catch (error) {
+      // Another request started a timer in between
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'A timer is already running'
+        });
+      }
+      if (error.name === 'ValidationError') return sendValidationError(res, error);
+      throw error;
+    }
+    await timer.populate('task', 'title');
+
+    res.status(201).json({
+      success: true,
+      data: timer,
+      stopped
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Stop the current user's running timer
+ * @route   POST /api/time/timer/stop
+ * @access  Private
+ */
+exports.stopTimer = async (req, res) => {
+  try {
+    const entry = await stopRunningTimer(req.user.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'No timer is running'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get time entries for a task, newest first, with the total
+ * @route   GET /api/tasks/:id/time
+ * @access  Private
+ */
+exports.getTaskTime = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    const entries = await TimeEntry.find({ task: task._id }).sort({ startedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total: task.timeSpent || 0,
+      data: entries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Log time on a task by hand: `startedAt` plus `endedAt` or
+ *          `duration` (seconds)
+ * @route   POST /api/tasks/:id/time
+ * @access  Private
+ */
+exports.addTimeEntry = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to track time on this task'
+      });
+    }
+
+    const { startedAt, endedAt, duration, note } = req.body;
+    if (!startedAt || (!endedAt && !duration)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a start time and an end time or duration'
+      });
+    }
+
+    const start = new Date(startedAt);
+    const end = endedAt ? new Date(endedAt) : new Date(start.getTime() + Number(duration) * 1000);
+    if (isNaN(start) || isNaN(end)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start time, end time or duration'
+      });
+    }
+
+    let entry;
+    try {
+      entry = await TimeEntry.create({
+        task: task._id,
+        user: req.user.id,
+        startedAt: start,
+        endedAt: end,
+        source: 'manual',
+        note
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') return sendValidationError(res, error);
+      throw error;
+    }
+    await syncTimeSpent(task._id);
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Change a finished time entry's times or note
+ * @route   PUT /api/time/entries/:entryId
+ * @access  Private
+ */
+exports.updateTimeEntry = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findById(req.params.entryId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    // Make sure user owns entry
+    if (entry.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this time entry'
+      });
+    }
+
+    if (entry.running) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stop the timer before editing it'
+      });
+    }
+
+    const { startedAt, endedAt, duration, note } = req.body;
+    // A finished entry stays finished: no clearing its end to restart it
+    const start = startedAt !== undefined ? new Date(startedAt) : entry.startedAt;
+    let end = entry.endedAt;
+    if (endedAt !== undefined) {
+      end = endedAt === null ? null : new Date(endedAt);
+    } else if (duration !== undefined) {
+      end = new Date(start.getTime() + Number(duration) * 1000);
+    }
+    if (startedAt === null || !end || isNaN(start) || isNaN(end)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start time, end time or duration'
+      });
+    }
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'An entry must end after it starts'
+      });
+    }
+
+    entry.startedAt = start;
+    entry.endedAt = end;
+    if (note !== undefined) entry.note = note;
+
+    try {
+      await entry.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') return sendValidationError(res, error);
+      throw error;
+    }
+    await syncTimeSpent(entry.task);
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a time entry (a running timer is discarded)
+ * @route   DELETE /api/time/entries/:entryId
+ * @access  Private
+ */
+exports.deleteTimeEntry = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findById(req.params.entryId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    // Make sure user owns entry
+    if (entry.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this time entry'
+      });
+    }
+
+    await entry.deleteOne();
+    await syncTimeSpent(entry.task);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Tracked time per day, task and priority over a date range.
+ *          `from` and `to` are inclusive days (YYYY-MM-DD, default the last
+ *          7 days) in time zone `tz` (IANA name, default UTC). Entries count
+ *          toward the day they started on.
+ * @route   GET /api/time/report
+ * @access  Private
+ */
+exports.getTimeReport = async (req, res) => {
+  try {
+    const range = parseDayRange(req.query, { defaultDays: 7, maxDays: MAX_REPORT_DAYS });
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+    const { from, to, timeZone } = range;
+
+    // A day either side of the range covers every time zone offset; the exact
+    // cut is made on the local day
+    const [result] = await TimeEntry.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(req.user.id),
+          running: false,
+          startedAt: {
+            $gte: new Date(new Date(from).getTime() - DAY_MS),
+            $lt: new Date(new Date(to).getTime() + 2 * DAY_MS)
+          }
+        }
+      },
+      { $addFields: { day: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt', timezone: timeZone } } } },
+      { $match: { day: { $gte: from, $lte: to } } },
+      { $lookup: { from: 'tasks', localField: 'task', foreignField: '_id', as: 'task' } },
+      { $addFields: { task: { $first: '$task' } } },
+      {
+        $facet: {
+          total: [{ $group: { _id: null, seconds: { $sum: '$duration' } } }],
+          byDay: [{ $group: { _id: '$day', seconds: { $sum: '$duration' } } }],
+          byTask: [
+            {
+              $group: {
+                _id: '$task._id',
+                title: { $first: '$task.title' },
+                priority: { $first: '$task.priority' },
+                seconds: { $sum: '$duration' },
+                entries: { $sum: 1 }
+              }
+            },
+            { $sort: { seconds: -1 } }
+          ],
+          byPriority: [{ $group: { _id: '$task.priority', seconds: { $sum: '$duration' } } }]
+        }
+      }
+    ]);
+
+    // Every day of the range, including ones without time
+    const secondsByDay = Object.fromEntries(result.byDay.map(d => [d._id, d.seconds]));
+    const byDay = listDays(from, to).map(date => ({ date, seconds: secondsByDay[date] || 0 }));
+
+    const byPriority = ['high', 'medium', 'low'].map(priority => ({
+      priority,
+      seconds: (result.byPriority.find(p => p._id === priority) || { seconds: 0 }).seconds
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        timeZone,
+        total: result.total[0] ? result.total[0].seconds : 0,
+        byDay,
+        byTask: result.byTask.map(t => ({
+          task: t._id,
+          title: t.title || '(deleted task)',
+          priority: t.priority,
+          seconds: t.seconds,
+          entries: t.entries
+        })),
+        byPriority
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
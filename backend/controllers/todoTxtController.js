@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const Task = require('../models/Task');
+const Workflow = require('../models/Workflow');
+const {
+  taskEntry,
+  formatLine,
+  parseLine,
+  parseTodoTxt,
+  entryKey,
+  entryMetadata
+} = require('../utils/todoTxt');
+const { addTask, applyTaskChanges } = require('../utils/taskChanges');
+
+// Scripts read errors as they are, so they are plain text too
+const fail = (res, status, message) => res.status(status).type('text/plain').send(`${message}\n`);
+
+// The user's tasks as todo.txt, oldest first, with an ETag for the file
+const loadFile = async (userId) => {
+  const tasks = await Task.find({ user: userId, deletedAt: null }).sort({ createdAt: 1 });
+  const text = tasks.map(task => `${formatLine(taskEntry(task))}\n`).join('');
+  return {
+    tasks,
+    text,
+    etag: `"${crypto.createHash('sha1').update(text).digest('hex')}"`
+  };
+};
+
+const sendFile = (res, { text, etag }) => {
+  res.set({
+    'Content-Type': 'text/plain; charset=utf-8',
+    ETag: etag
+  });
+  res.send(text);
+};
+
+// Lines without an ID match a task with the same title (ignoring case) and
+// due day, as imports do
+const matchKey = (title, dueDate) => `${String(title).trim().toLowerCase()}|${dueDate || ''}`;
+
+// Change a task to what its line says; a finished line without a priority
+// keeps the task's. Lines that leave it as it is don't touch it, so the
+// activity log only shows real edits.
+const updateFromLine = async (task, fields, workflow, userId) => {
+  const entry = { ...fields, priority: fields.priority || task.priority };
+
+  // The task as its own line would read back, as a line can't keep runs of
+  // spaces in its title
+  if (entryKey(parseLine(formatLine(taskEntry(task)))) === entryKey(entry)) {
+    return { status: 200, task };
+  }
+
+  const changes = {
+    title: entry.title,
+    priority: entry.priority,
+    dueDate: entry.dueDate || null
+  };
+  // Only finishing and reopening move a task; other statuses stay
+  if (entry.done !== (task.statusCategory === 'done')) {
+    changes.status = entry.done
+      ? workflow.statuses.find(status => status.category === 'done').key
+      : workflow.defaultStatus().key;
+  }
+  return applyTaskChanges(task, changes, userId, { todoTxt: entryMetadata(entry) });
+};
+
+const createFromLine = async (entry, workflow, userId) => {
+  const body = {
+    title: entry.title,
+    priority: entry.priority || 'medium',
+    dueDate: entry.dueDate || undefined
+  };
+  if (entry.done) body.status = workflow.statuses.find(status => status.category === 'done').key;
+  const managed = { todoTxt: entryMetadata(entry) || undefined };
+  if (entry.creationDate) managed.createdAt = entry.creationDate;
+
+  const result = await addTask(body, userId, managed);
+
+  // New tasks count as finished when they are created, unless the line says
+  // when
+  const completedAt = new Date(entry.completionDate);
+  if (result.status === 201 && entry.done && !isNaN(completedAt)) {
+    await Task.updateOne({ _id: result.task._id }, { completedAt });
+  }
+  return result;
+};
+
+/**
+ * @desc    Download every task as a todo.txt file
+ * @route   GET /api/tasks/todotxt
+ * @access  Private
+ *
+ * Tasks in the trash are left out. The ETag can be sent back in If-Match
+ * when syncing.
+ */
+exports.exportTodoTxt = async (req, res) => {
+  try {
+    sendFile(res, await loadFile(req.user.id));
+  } catch (error) {
+    fail(res, 500, error.message);
+  }
+};
+
+/**
+ * @desc    Sync a todo.txt file: apply its lines, then send the tasks back
+ * @route   PUT /api/tasks/todotxt
+ * @access  Private
+ *
+ * Lines with the id: of a task change it with the same checks as
+ * PUT /api/tasks/:id; ones whose task is in the trash or gone are dropped.
+ * Other lines create tasks, or change the task with the same title and due
+ * day. Tasks missing from the file are kept. With If-Match, the file is
+ * refused (412) when tasks changed since it was fetched.
+ */
+exports.syncTodoTxt = async (req, res) => {
+  try {
+    if (typeof req.body !== 'string') {
+      return fail(res, 400, 'Send the todo.txt file as the request body');
+    }
+
+    const current = await loadFile(req.user.id);
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && ifMatch.trim() !== '*' && !ifMatch.split(',').some(tag => tag.trim() === current.etag)) {
+      return fail(res, 412, 'Tasks have changed since the file was fetched; fetch it again');
+    }
+
+    const workflow = await Workflow.forUser(req.user.id);
+    const byId = new Map(current.tasks.map(task => [String(task._id), task]));
+    const byTitle = new Map(current.tasks.map(task => [matchKey(task.title, taskEntry(task).dueDate), task]));
+
+    // One line at a time, so later lines see what earlier ones did
+    const errors = [];
+    for (const { line, entry } of parseTodoTxt(req.body)) {
+      const task = entry.id ? byId.get(entry.id) : byTitle.get(matchKey(entry.title, entry.dueDate));
+      if (entry.id && !task) continue;
+
+      const result = task
+        ? await updateFromLine(task, entry, workflow, req.user.id)
+        : await createFromLine(entry, workflow, req.user.id);
+      if (result.status >= 400) {
+        errors.push(`Line ${line}: ${result.message}`);
+        continue;
+      }
+      byId.set(String(result.task._id), result.task);
+      byTitle.set(matchKey(result.task.title, taskEntry(result.task).dueDate), result.task);
+    }
+
+    if (errors.length > 0) {
+      return fail(res, 400, [...errors, 'The other lines were saved. Fix these and send the file again.'].join('\n'));
+    }
+
+    sendFile(res, await loadFile(req.user.id));
+  } catch (error) {
+    fail(res, 500, error.message);
+  }
+};
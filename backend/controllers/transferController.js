@@ -0,0 +1,177 @@
+const Task = require('../models/Task');
+const { findSorted } = require('../utils/pagination');
+const { SearchSyntaxError } = require('../utils/searchQuery');
+const { CustomFieldError } = require('../utils/customFields');
+const { TaskQueryError, buildTaskQuery } = require('../utils/taskQuery');
+const { CsvError, parseCsv, formatCsvRow } = require('../utils/csv');
+const {
+  ImportError,
+  loadLookups,
+  toExportRecord,
+  csvHeader,
+  csvValues,
+  prepareImport,
+  runImport,
+  summarizeImport
+} = require('../utils/taskTransfer');
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+// Write a chunk, waiting for the client to catch up when its buffer is full.
+// Resolves false once the client has gone.
+const write = (res, chunk) => {
+  if (res.write(chunk)) return Promise.resolve(true);
+  return new Promise(resolve => {
+    const done = (drained) => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      resolve(drained);
+    };
+    const onDrain = () => done(true);
+    const onClose = () => done(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+};
+
+/**
+ * @desc    Download the task list as CSV or JSON
+ * @route   GET /api/tasks/export?format=csv|json
+ * @access  Private
+ *
+ * Takes the same filter and sort parameters as GET /api/tasks and streams
+ * every matching task, not just one page.
+ */
+exports.exportTasks = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or json'
+      });
+    }
+
+    let taskQuery;
+    try {
+      taskQuery = await buildTaskQuery(req.user.id, req.query);
+    } catch (error) {
+      if (error instanceof SearchSyntaxError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          position: error.position
+        });
+      }
+      if (error instanceof CustomFieldError || error instanceof TaskQueryError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const lookups = await loadLookups(req.user.id);
+    const day = new Date().toISOString().split('T')[0];
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format],
+      'Content-Disposition': `attachment; filename="tasks-${day}.${format}"`
+    });
+
+    let open = await write(res, format === 'csv' ? formatCsvRow(csvHeader(lookups)) : '[');
+    let first = true;
+    const cursor = findSorted(Task, taskQuery.query, taskQuery.sort).cursor();
+    for (let task = await cursor.next(); task && open; task = await cursor.next()) {
+      const record = toExportRecord(task, lookups);
+      const chunk = format === 'csv'
+        ? formatCsvRow(csvValues(record, lookups))
+        : `${first ? '' : ','}\n${JSON.stringify(record)}`;
+      first = false;
+      open = await write(res, chunk);
+    }
+    await cursor.close();
+
+    if (open) res.end(format === 'json' ? '\n]\n' : '');
+  } catch (error) {
+    // Once the file has started there is no status code left to change
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Import tasks from an uploaded CSV file
+ * @route   POST /api/tasks/import
+ * @access  Private
+ *
+ * Multipart fields: `file`, and optionally `mapping` (a JSON array giving the
+ * task field of each column, '' to skip one; guessed from the header when
+ * left out), `dryRun` ("true" to only check the rows) and `duplicates`
+ * ("skip", the default, or "import").
+ */
+exports.importTasks = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV file'
+      });
+    }
+
+    const { dryRun, duplicates = 'skip' } = req.body;
+    if (!['skip', 'import'].includes(duplicates)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duplicates must be skip or import'
+      });
+    }
+
+    let mapping = null;
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Mapping must be a JSON array'
+        });
+      }
+    }
+
+    let prepared;
+    try {
+      prepared = await prepareImport(req.user.id, parseCsv(req.file.buffer.toString('utf8')), mapping);
+    } catch (error) {
+      if (!(error instanceof CsvError) && !(error instanceof ImportError)) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const isDryRun = dryRun === 'true';
+    const tasks = isDryRun
+      ? []
+      : await runImport(req.user.id, prepared, { skipDuplicates: duplicates === 'skip' });
+
+    res.status(isDryRun ? 200 : 201).json({
+      success: true,
+      dryRun: isDryRun,
+      columns: prepared.columns,
+      mapping: prepared.mapping,
+      ...summarizeImport(prepared, tasks)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,150 @@
+const Task = require('../models/Task');
+const { wouldCreateCycle } = require('../utils/dependencies');
+const { recordActivity } = require('../utils/activity');
+const { getRetentionDays, getPurgeDate, purgeTasks } = require('../utils/trash');
+const { syncReminderJobs } = require('../utils/reminders');
+
+/**
+ * @desc    Get trashed tasks, most recently deleted first
+ * @route   GET /api/tasks/trash
+ * @access  Private
+ */
+exports.getTrash = async (req, res) => {
+  try {
+    const tasks = await Task.find({ user: req.user.id, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .populate('tags', 'name color');
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      retentionDays: getRetentionDays(),
+      data: tasks.map(task => ({ ...task.toJSON(), purgeAt: getPurgeDate(task.deletedAt) }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Restore task from the trash
+ * @route   POST /api/tasks/trash/:id/restore
+ * @access  Private
+ */
+exports.restoreTask = async (req, res) => {
+  try {
+    let task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+      .select('+trashedDependents');
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to restore this task'
+      });
+    }
+
+    // Block the same tasks again, skipping any that are gone or would now loop
+    const dependents = await Task.find({
+      _id: { $in: task.trashedDependents || [] },
+      user: req.user.id,
+      deletedAt: null
+    }).select('_id');
+
+    for (const dependent of dependents) {
+      if (!(await wouldCreateCycle(req.user.id, dependent._id, task._id))) {
+        await Task.updateOne({ _id: dependent._id }, { $addToSet: { blockedBy: task._id } });
+      }
+    }
+
+    task = await Task.findByIdAndUpdate(task._id, {
+      deletedAt: null,
+      trashedDependents: []
+    }, { new: true })
+      .populate('tags', 'name color')
+      .populate('blockedBy', 'title status statusCategory');
+
+    await recordActivity({ task, actor: req.user.id, action: 'restored' });
+    await syncReminderJobs(task);
+
+    res.status(200).json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Permanently delete a trashed task
+ * @route   DELETE /api/tasks/trash/:id
+ * @access  Private
+ */
+exports.deleteTaskPermanently = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    // Make sure user owns task
+    if (task.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this task'
+      });
+    }
+
+    await purgeTasks([task._id]);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Permanently delete every trashed task
+ * @route   DELETE /api/tasks/trash
+ * @access  Private
+ */
+exports.emptyTrash = async (req, res) => {
+  try {
+    const tasks = await Task.find({ user: req.user.id, deletedAt: { $ne: null } }).select('_id');
+    const deleted = await purgeTasks(tasks.map(task => task._id));
+
+    res.status(200).json({
+      success: true,
+      deleted
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
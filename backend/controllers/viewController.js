@@ -0,0 +1,217 @@
+const SavedView = require('../models/SavedView');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+
+// Case-insensitive match, same as the unique index on SavedView
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Problem with the tags or project a view filters by, or null
+const checkFilterRefs = async (userId, filters = {}) => {
+  if (!(await Tag.belongToUser(userId, filters.tags))) {
+    return 'One or more tags do not exist';
+  }
+  if (!['all', 'none'].includes(filters.project) && !(await Project.belongsToUser(userId, filters.project))) {
+    return 'Project does not exist';
+  }
+  return null;
+};
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+/**
+ * @desc    Get saved views for current user, by name
+ * @route   GET /api/views
+ * @access  Private
+ */
+exports.getViews = async (req, res) => {
+  try {
+    const views = await SavedView.find({ user: req.user.id }).sort({ name: 1 }).collation(NAME_COLLATION);
+
+    res.status(200).json({
+      success: true,
+      count: views.length,
+      data: views
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Save filters as a named view (`isDefault` makes it the default)
+ * @route   POST /api/views
+ * @access  Private
+ */
+exports.createView = async (req, res) => {
+  try {
+    const { name, filters, isDefault } = req.body;
+
+    const existingView = await SavedView.findOne({ user: req.user.id, name }).collation(NAME_COLLATION);
+    if (existingView) {
+      return res.status(400).json({
+        success: false,
+        message: 'A view with this name already exists'
+      });
+    }
+
+    const refError = await checkFilterRefs(req.user.id, filters);
+    if (refError) {
+      return res.status(400).json({
+        success: false,
+        message: refError
+      });
+    }
+
+    const view = new SavedView({ user: req.user.id, name, filters, isDefault: Boolean(isDefault) });
+    try {
+      await view.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    // Only one view can be the default
+    if (view.isDefault) {
+      await SavedView.updateMany({ user: req.user.id, isDefault: true }, { isDefault: false });
+    }
+    await view.save();
+
+    res.status(201).json({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Rename view, replace its filters or make it (or stop it being)
+ *          the default
+ * @route   PUT /api/views/:id
+ * @access  Private
+ */
+exports.updateView = async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    // Make sure user owns view
+    if (view.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this view'
+      });
+    }
+
+    const { name, filters, isDefault } = req.body;
+
+    if (name !== undefined) {
+      const existingView = await SavedView.findOne({
+        user: req.user.id,
+        name,
+        _id: { $ne: view._id }
+      }).collation(NAME_COLLATION);
+
+      if (existingView) {
+        return res.status(400).json({
+          success: false,
+          message: 'A view with this name already exists'
+        });
+      }
+      view.name = name;
+    }
+
+    // Filters are replaced as a whole, like saving the filter bar again
+    if (filters !== undefined) {
+      const refError = await checkFilterRefs(req.user.id, filters);
+      if (refError) {
+        return res.status(400).json({
+          success: false,
+          message: refError
+        });
+      }
+      view.filters = filters;
+    }
+
+    if (isDefault !== undefined) view.isDefault = Boolean(isDefault);
+
+    try {
+      await view.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    if (view.isModified('isDefault') && view.isDefault) {
+      await SavedView.updateMany({ user: req.user.id, isDefault: true }, { isDefault: false });
+    }
+    await view.save();
+
+    res.status(200).json({
+      success: true,
+      data: view
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete view
+ * @route   DELETE /api/views/:id
+ * @access  Private
+ */
+exports.deleteView = async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    // Make sure user owns view
+    if (view.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this view'
+      });
+    }
+
+    await view.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,156 @@
+const Workflow = require('../models/Workflow');
+const Task = require('../models/Task');
+const SavedView = require('../models/SavedView');
+
+// Status key derived from a name, e.g. "In Review" -> "in-review"
+const slugify = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 30) || 'status';
+
+// Task counts per status key, trashed tasks included since they can come back
+const countByStatus = async (userId) => {
+  const counts = await Task.aggregate([
+    { $match: { user: userId } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(counts.map(c => [c._id, c.count]));
+};
+
+const withCounts = (workflow, counts) => ({
+  ...workflow.toObject(),
+  statuses: workflow.statuses.map(status => ({
+    ...status.toObject(),
+    taskCount: counts[status.key] || 0
+  }))
+});
+
+/**
+ * @desc    Get the current user's workflow, with task counts per status
+ * @route   GET /api/workflow
+ * @access  Private
+ */
+exports.getWorkflow = async (req, res) => {
+  try {
+    const workflow = await Workflow.forUser(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: withCounts(workflow, await countByStatus(req.user._id))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Replace the workflow's statuses. Tasks in a removed status move to
+ *          the status given for it in `replacements` ({ oldKey: newKey }).
+ * @route   PUT /api/workflow
+ * @access  Private
+ */
+exports.updateWorkflow = async (req, res) => {
+  try {
+    const { statuses, replacements = {} } = req.body;
+
+    if (!Array.isArray(statuses) || statuses.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a list of statuses'
+      });
+    }
+
+    const workflow = await Workflow.forUser(req.user.id);
+    const oldKeys = workflow.statuses.map(status => status.key);
+
+    // Existing statuses keep their key; new ones get one from their name
+    const taken = new Set(statuses.map(status => status.key).filter(Boolean));
+    const nextStatuses = statuses.map(({ key, name, category, color, transitions }) => {
+      if (!key) {
+        const base = slugify(name);
+        key = base;
+        for (let n = 2; taken.has(key); n++) key = `${base}-${n}`;
+        taken.add(key);
+      }
+      return { key, name, category, color, transitions: transitions || [] };
+    });
+    const newKeys = nextStatuses.map(status => status.key);
+
+    // Tasks can't be left in a status that no longer exists
+    const counts = await countByStatus(req.user._id);
+    const stranded = oldKeys
+      .filter(key => !newKeys.includes(key) && counts[key] > 0)
+      .filter(key => !newKeys.includes(replacements[key]));
+    if (stranded.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose where to move the tasks in each removed status',
+        inUse: stranded.map(key => ({
+          key,
+          name: workflow.getStatus(key).name,
+          count: counts[key]
+        }))
+      });
+    }
+
+    workflow.statuses = nextStatuses;
+    try {
+      await workflow.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors).map(e => e.message).join(', ')
+        });
+      }
+      throw error;
+    }
+
+    for (const key of oldKeys.filter(key => !newKeys.includes(key) && counts[key] > 0)) {
+      const target = workflow.getStatus(replacements[key]);
+      await Task.updateMany(
+        { user: req.user.id, status: key },
+        [{ $set: {
+          status: target.key,
+          statusCategory: target.category,
+          completedAt: Task.completedAtFor(target.category),
+          updatedAt: '$$NOW'
+        } }]
+      );
+    }
+
+    // Saved views follow their status to its replacement, or show all statuses
+    for (const key of oldKeys.filter(key => !newKeys.includes(key))) {
+      await SavedView.updateMany(
+        { user: req.user.id, 'filters.status': key },
+        { 'filters.status': workflow.getStatus(replacements[key]) ? replacements[key] : 'all' }
+      );
+    }
+
+    // Keep the copied categories in step with the workflow
+    for (const status of workflow.statuses) {
+      await Task.updateMany(
+        { user: req.user.id, status: status.key, statusCategory: { $ne: status.category } },
+        [{ $set: {
+          statusCategory: status.category,
+          completedAt: Task.completedAtFor(status.category),
+          updatedAt: '$$NOW'
+        } }]
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: withCounts(workflow, await countByStatus(req.user._id))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
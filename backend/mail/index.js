@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const templates = require('./templates');
+
+// Mail transports. Pick one with MAIL_TRANSPORT:
+//   smtp    delivers through SMTP_HOST (the default when it is set)
+//   file    writes each message to MAIL_DIR as an .eml file (the default otherwise)
+//   stream  builds messages without sending them; sendMail() resolves with
+//           the raw message in `info.message`, for tests
+const transports = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  }),
+
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox');
+    const stream = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+      async sendMail(message) {
+        const info = await stream.sendMail(message);
+        const name = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, name), info.message);
+        return { ...info, path: path.join(dir, name) };
+      }
+    };
+  },
+
+  stream: () => nodemailer.createTransport({ streamTransport: true, buffer: true })
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+/**
+ * Render a template from mail/templates.js and send it. `headers` are added
+ * to the message as is.
+ */
+const sendTemplate = (template, to, data, { headers } = {}) => {
+  if (!templates[template]) {
+    throw new Error(`Unknown mail template: ${template}`);
+  }
+  const { subject, html, text } = templates[template](data);
+
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Task Manager <no-reply@localhost>',
+    to,
+    subject,
+    html,
+    text,
+    headers
+  });
+};
+
+module.exports = { getTransport, sendTemplate };
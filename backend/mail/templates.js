@@ -0,0 +1,95 @@
+// Email templates. Each takes the template's data and returns
+// { subject, html, text }; every email carries an unsubscribe link.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDay = (date) => new Date(date).toLocaleDateString('en-US', {
+  timeZone: 'UTC',
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+const pluralize = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// Shared HTML frame: heading, body and the footer with the unsubscribe link
+const layout = ({ heading, body, unsubscribeUrl, preferencesUrl }) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f9fafb;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(heading)}</h1>
+    ${body}
+  </div>
+  <p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#6b7280;text-align:center;">
+    <a href="${escapeHtml(unsubscribeUrl)}" style="color:#6b7280;">Unsubscribe from these emails</a>
+    &middot;
+    <a href="${escapeHtml(preferencesUrl)}" style="color:#6b7280;">Email preferences</a>
+  </p>
+</body>
+</html>`;
+
+const textFooter = ({ unsubscribeUrl, preferencesUrl }) => [
+  '--',
+  `Unsubscribe from these emails: ${unsubscribeUrl}`,
+  `Email preferences: ${preferencesUrl}`
+].join('\n');
+
+const taskListHtml = (tasks) => `<ul style="padding-left:20px;margin:0 0 16px;">
+${tasks.map(task => `    <li style="margin-bottom:6px;">
+      <strong>${escapeHtml(task.title)}</strong>
+      <span style="color:#6b7280;"> &middot; due ${escapeHtml(formatDay(task.dueDate))} &middot; ${escapeHtml(task.priority)} priority</span>
+    </li>`).join('\n')}
+  </ul>`;
+
+const taskListText = (tasks) => tasks
+  .map(task => `- ${task.title} (due ${formatDay(task.dueDate)}, ${task.priority} priority)`)
+  .join('\n');
+
+const buttonHtml = (url, label) => `<p style="margin:0;">
+    <a href="${escapeHtml(url)}" style="display:inline-block;background:#2563eb;color:#ffffff;text-decoration:none;padding:10px 16px;border-radius:6px;">${escapeHtml(label)}</a>
+  </p>`;
+
+// Tasks listed in a digest email. `tasks` may be the first few of `total`.
+const taskDigest = ({ subject, intro }) => (data) => {
+  const { name, tasks, total = tasks.length, appUrl } = data;
+  const more = total > tasks.length ? `...and ${total - tasks.length} more` : '';
+  return {
+    subject: subject(total),
+    html: layout({
+      ...data,
+      heading: subject(total),
+      body: `<p style="margin:0 0 16px;">Hi ${escapeHtml(name)}, ${escapeHtml(intro(total))}</p>
+  ${taskListHtml(tasks)}
+  ${more ? `<p style="margin:0 0 16px;color:#6b7280;">${escapeHtml(more)}</p>` : ''}
+  ${buttonHtml(appUrl, 'Open Task Manager')}`
+    }),
+    text: [
+      `Hi ${name}, ${intro(total)}`,
+      '',
+      taskListText(tasks),
+      ...(more ? [more] : []),
+      '',
+      `Open Task Manager: ${appUrl}`,
+      '',
+      textFooter(data)
+    ].join('\n')
+  };
+};
+
+module.exports = {
+  overdueTasks: taskDigest({
+    subject: count => `You have ${pluralize(count, 'overdue task')}`,
+    intro: count => `${count === 1 ? 'this task is' : 'these tasks are'} past their due date:`
+  }),
+
+  upcomingTasks: taskDigest({
+    subject: count => `${pluralize(count, 'task')} due soon`,
+    intro: count => `${count === 1 ? 'this task is' : 'these tasks are'} due today or tomorrow:`
+  })
+};
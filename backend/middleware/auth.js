@@ -43,3 +43,40 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Protect routes for clients that can't log in for a JWT, such as CalDAV
+ * apps - verify an email and password sent with HTTP Basic authentication
+ */
+exports.protectBasic = async (req, res, next) => {
+  const unauthorized = () => res
+    .status(401)
+    .set('WWW-Authenticate', 'Basic realm="Task Manager", charset="UTF-8"')
+    .type('text/plain')
+    .send('Sign in with your email and password');
+
+  const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Basic' || !encoded) {
+    return unauthorized();
+  }
+
+  try {
+    const credentials = Buffer.from(encoded, 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    if (separator === -1) {
+      return unauthorized();
+    }
+
+    const email = credentials.slice(0, separator).toLowerCase();
+    const user = await User.findOne({ email }).select('+password');
+    if (!user || !(await user.matchPassword(credentials.slice(separator + 1)))) {
+      return unauthorized();
+    }
+
+    user.password = undefined;
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
@@ -0,0 +1,139 @@
+const multer = require('multer');
+
+const MB = 1024 * 1024;
+
+/**
+ * Middleware accepting up to `maxFiles` files (one by default) in `field`,
+ * kept in memory. Each file must be at most `maxSize` bytes and pass
+ * `allowed(file)`. A size, count or type limit that is hit answers with a
+ * 400 and the matching entry of `messages` ({ size, count, type }).
+ */
+const makeUpload = ({ field, maxSize, maxFiles = 1, allowed, messages }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxSize,
+      files: maxFiles
+    },
+    fileFilter: (req, file, cb) => {
+      if (allowed(file)) {
+        cb(null, true);
+      } else {
+        cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+      }
+    }
+  });
+  const errorMessages = {
+    LIMIT_FILE_SIZE: messages.size,
+    LIMIT_FILE_COUNT: messages.count,
+    LIMIT_UNEXPECTED_FILE: messages.type
+  };
+  const receive = maxFiles === 1 ? upload.single(field) : upload.array(field, maxFiles);
+
+  return (req, res, next) => {
+    receive(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: errorMessages[err.code] || err.message
+        });
+      }
+      next(err);
+    });
+  };
+};
+
+const MAX_FILE_SIZE = (parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 10) * MB;
+const MAX_FILES = 5;
+
+// Screenshots, PDFs and other common documents by default
+const ALLOWED_TYPES = (
+  process.env.ALLOWED_UPLOAD_TYPES ||
+  'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain'
+).split(',').map(type => type.trim());
+
+const attachmentMessages = {
+  size: `Files cannot be larger than ${MAX_FILE_SIZE / MB} MB`,
+  count: `Cannot upload more than ${MAX_FILES} files at once`,
+  type: `File type not allowed. Allowed types: ${ALLOWED_TYPES.join(', ')}`
+};
+
+/**
+ * Why a file can't be an attachment (its type or size), or null when it can
+ */
+const checkAttachment = ({ mimeType, size }) => {
+  if (!ALLOWED_TYPES.includes(mimeType)) return attachmentMessages.type;
+  if (size > MAX_FILE_SIZE) return attachmentMessages.size;
+  return null;
+};
+
+/**
+ * Accept up to MAX_FILES attachments in the `files` field
+ */
+const attachmentUpload = makeUpload({
+  field: 'files',
+  maxSize: MAX_FILE_SIZE,
+  maxFiles: MAX_FILES,
+  allowed: file => ALLOWED_TYPES.includes(file.mimetype),
+  messages: attachmentMessages
+});
+
+// Browsers and spreadsheets label CSV files inconsistently, so the name counts too
+const CSV_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+const MAX_CSV_SIZE = 2 * MB;
+
+/**
+ * Accept one CSV file in the `file` field
+ */
+const csvUpload = makeUpload({
+  field: 'file',
+  maxSize: MAX_CSV_SIZE,
+  allowed: file => CSV_TYPES.includes(file.mimetype) || /\.csv$/i.test(file.originalname),
+  messages: {
+    size: `CSV files cannot be larger than ${MAX_CSV_SIZE / MB} MB`,
+    count: 'Upload one CSV file at a time',
+    type: 'Upload a CSV file in the `file` field'
+  }
+});
+
+// Archives carry attachment files, so they get a larger limit of their own
+const MAX_ARCHIVE_SIZE = (parseInt(process.env.MAX_ARCHIVE_SIZE_MB, 10) || 100) * MB;
+
+/**
+ * Accept one JSON archive in the `file` field
+ */
+const archiveUpload = makeUpload({
+  field: 'file',
+  maxSize: MAX_ARCHIVE_SIZE,
+  allowed: file => file.mimetype === 'application/json' || /\.json$/i.test(file.originalname),
+  messages: {
+    size: `Archives cannot be larger than ${MAX_ARCHIVE_SIZE / MB} MB`,
+    count: 'Upload one archive at a time',
+    type: 'Upload a JSON archive in the `file` field'
+  }
+});
+
+const MAX_ICS_SIZE = 2 * MB;
+
+/**
+ * Accept one iCalendar file in the `file` field
+ */
+const icsUpload = makeUpload({
+  field: 'file',
+  maxSize: MAX_ICS_SIZE,
+  allowed: file => file.mimetype === 'text/calendar' || /\.ics$/i.test(file.originalname),
+  messages: {
+    size: `Calendar files cannot be larger than ${MAX_ICS_SIZE / MB} MB`,
+    count: 'Upload one calendar file at a time',
+    type: 'Upload an .ics file in the `file` field'
+  }
+});
+
+module.exports = {
+  makeUpload,
+  checkAttachment,
+  attachmentUpload,
+  csvUpload,
+  archiveUpload,
+  icsUpload
+};
@@ -0,0 +1,19 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * Reject requests that failed the route's express-validator rules with a 400
+ * listing each failing field's first message. Goes after the rules, e.g.
+ * router.post('/', tagValidation, validate, createTag)
+ */
+exports.validate = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array({ onlyFirstError: true }).map(error => error.msg).join(', ')
+    });
+  }
+
+  next();
+};
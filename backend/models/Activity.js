@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One field that changed, with its value before and after
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+const activitySchema = new mongoose.Schema({
+  // Entries are kept while the task sits in the trash and purged with it
+  task: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // Owner of the task
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who made the change
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted', 'restored'],
+    required: true
+  },
+  changes: [changeSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+activitySchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { getStorage } = require('../storage');
+
+const attachmentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Original file name as uploaded
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Where the storage adapter keeps the file
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+attachmentSchema.index({ task: 1, createdAt: 1 });
+
+// Remove every attachment of a task, files included
+attachmentSchema.statics.removeForTask = async function(taskId) {
+  const attachments = await this.find({ task: taskId }).select('+storageKey');
+  const storage = getStorage();
+
+  await Promise.all(attachments.map(attachment => storage.remove(attachment.storageKey)));
+  await this.deleteMany({ task: taskId });
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
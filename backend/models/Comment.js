@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // Author of the comment
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Please provide a comment'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters']
+  },
+  // Set whenever the author edits the comment
+  editedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+commentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
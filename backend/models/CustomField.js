@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'checkbox', 'url'];
+
+// A user-defined field that tasks can carry a value for. Values live on the
+// task under `customFields.<key>`, see utils/customFields.js.
+const customFieldSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a field name'],
+    trim: true,
+    maxlength: [40, 'Field name cannot be more than 40 characters']
+  },
+  // Stored on tasks, so it never changes once the field exists
+  key: {
+    type: String,
+    required: true,
+    match: [/^[a-z0-9]+(_[a-z0-9]+)*$/, 'Field keys may only contain lowercase letters, digits and underscores']
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    required: [true, 'Please provide a field type']
+  },
+  // Choices for `select` fields
+  options: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Option cannot be more than 50 characters']
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+customFieldSchema.pre('validate', function(next) {
+  if (this.type === 'select') {
+    if (this.options.length === 0) {
+      this.invalidate('options', 'A select field needs at least one option');
+    }
+    if (new Set(this.options).size !== this.options.length) {
+      this.invalidate('options', 'Options must be unique');
+    }
+  }
+  next();
+});
+
+// Field names and keys are unique per user
+customFieldSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+customFieldSchema.index({ user: 1, key: 1 }, { unique: true });
+
+customFieldSchema.statics.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = mongoose.model('CustomField', customFieldSchema);
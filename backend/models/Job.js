@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A unit of background work for utils/scheduler.js. Jobs live in the
+// database, so they survive restarts, and are claimed atomically, so each
+// runs once even with several servers polling.
+const jobSchema = new mongoose.Schema({
+  // Which handler runs the job
+  name: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Identifies the job for rescheduling and cancelling, e.g. one per reminder
+  key: {
+    type: String
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'done', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Set while a worker runs the job; a stale lock means the worker died
+  lockedAt: {
+    type: Date
+  },
+  lockedBy: {
+    type: String
+  },
+  lastError: {
+    type: String
+  },
+  finishedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+// Finished jobs are kept for a week, for troubleshooting
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
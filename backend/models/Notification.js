@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// An in-app notification, such as a fired task reminder or a finished data
+// export
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['reminder', 'export'],
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Identifies what the notification is about, so the same event can't
+  // notify twice
+  key: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const projectSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a project name'],
+    trim: true,
+    maxlength: [50, 'Project name cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Please provide a hex color like #3b82f6'],
+    default: '#3b82f6'
+  },
+  // Archived projects and their tasks are hidden from the default views
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+projectSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+projectSchema.index({ user: 1, archived: 1 });
+
+// Check that a project ID (if any) belongs to the given user
+projectSchema.statics.belongsToUser = async function(userId, projectId) {
+  if (!projectId) return true;
+  if (!mongoose.isValidObjectId(projectId)) return false;
+
+  return !!(await this.exists({ _id: projectId, user: userId }));
+};
+
+// IDs of the user's archived projects
+projectSchema.statics.archivedIds = function(userId) {
+  return this.find({ user: userId, archived: true }).distinct('_id');
+};
+
+module.exports = mongoose.model('Project', projectSchema);
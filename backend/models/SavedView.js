@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { getSortOption } = require('../utils/pagination');
+
+// The Dashboard filter bar, as saved in a view. Values are the ones the
+// task list takes as query parameters.
+const filtersSchema = new mongoose.Schema({
+  search: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Search cannot be more than 200 characters'],
+    default: ''
+  },
+  // Status key, or 'all'
+  status: {
+    type: String,
+    default: 'all'
+  },
+  priority: {
+    type: String,
+    enum: ['all', 'low', 'medium', 'high'],
+    default: 'all'
+  },
+  sort: {
+    type: String,
+    default: 'newest',
+    validate: {
+      validator: (sort) => Boolean(getSortOption(sort)),
+      message: 'Invalid sort'
+    }
+  },
+  tags: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Tag'
+  }],
+  tagMatch: {
+    type: String,
+    enum: ['any', 'all'],
+    default: 'any'
+  },
+  // Project ID, 'none' or 'all'
+  project: {
+    type: String,
+    default: 'all',
+    validate: {
+      validator: (project) => ['all', 'none'].includes(project) || mongoose.isValidObjectId(project),
+      message: 'Invalid project'
+    }
+  }
+}, { _id: false });
+
+const savedViewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a view name'],
+    trim: true,
+    maxlength: [50, 'View name cannot be more than 50 characters']
+  },
+  filters: {
+    type: filtersSchema,
+    default: () => ({})
+  },
+  // The view the Dashboard opens with; at most one per user
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+savedViewSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// View names are unique per user
+savedViewSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+savedViewSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isDefault: true }, name: 'one_default_view' });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const tagSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a tag name'],
+    trim: true,
+    maxlength: [30, 'Tag name cannot be more than 30 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Please provide a hex color like #3b82f6'],
+    default: '#6b7280'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Tag names are unique per user
+tagSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Check that every tag ID belongs to the given user
+tagSchema.statics.belongToUser = async function(userId, tagIds) {
+  if (!tagIds || tagIds.length === 0) return true;
+  if (!tagIds.every(id => mongoose.isValidObjectId(id))) return false;
+
+  const uniqueIds = [...new Set(tagIds.map(String))];
+  const count = await this.countDocuments({ _id: { $in: uniqueIds }, user: userId });
+  return count === uniqueIds.length;
+};
+
+module.exports = mongoose.model('Tag', tagSchema);
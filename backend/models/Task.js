@@ -1,4 +1,104 @@
 const mongoose = require('mongoose');
+const Workflow = require('./Workflow');
+const { WEEKDAYS, getNextOccurrence } = require('../utils/recurrence');
+const { rankBetween, ranksAfter } = require('../utils/rank');
+
+// Priorities as numbers, highest last, for sorting by priority
+const PRIORITY_RANKS = {
+  low: 1,
+  medium: 2,
+  high: 3
+};
+
+const subtaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a subtask title'],
+    trim: true,
+    maxlength: [100, 'Subtask title cannot be more than 100 characters']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// RRULE-style recurrence, see utils/recurrence.js
+const recurrenceSchema = new mongoose.Schema({
+  freq: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: [true, 'Please provide a recurrence frequency']
+  },
+  interval: {
+    type: Number,
+    min: [1, 'Interval must be at least 1'],
+    default: 1
+  },
+  byDay: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  byMonthDay: {
+    type: Number,
+    min: [1, 'Day of month must be between 1 and 31'],
+    max: [31, 'Day of month must be between 1 and 31']
+  },
+  bySetPos: {
+    type: Number,
+    enum: [1, 2, 3, 4, -1]
+  },
+  until: {
+    type: Date
+  },
+  count: {
+    type: Number,
+    min: [1, 'Count must be at least 1']
+  },
+  // Which occurrence of the series this task is (1-based)
+  occurrence: {
+    type: Number,
+    default: 1
+  }
+}, { _id: false });
+
+// When to remind the user about a task: `before` minutes before the due
+// date, or at a fixed time. See utils/reminders.js
+const reminderSchema = new mongoose.Schema({
+  before: {
+    type: Number,
+    min: [0, 'A reminder cannot be after the due date'],
+    max: [60 * 24 * 365, 'A reminder can be at most a year before the due date']
+  },
+  at: {
+    type: Date
+  }
+});
+
+reminderSchema.pre('validate', function(next) {
+  if ((this.before == null) === (this.at == null)) {
+    this.invalidate('before', 'A reminder needs either a time before the due date or a date and time');
+  }
+  next();
+});
+
+// Resource name and UID a CalDAV client gave a task, see utils/caldav.js
+const caldavSchema = new mongoose.Schema({
+  name: String,
+  uid: String
+}, { _id: false });
+
+// +project and @context tokens and other key:value tags of a task's todo.txt
+// line, see utils/todoTxt.js
+const todoTxtSchema = new mongoose.Schema({
+  projects: [String],
+  contexts: [String],
+  extensions: [String]
+}, { _id: false });
 
 const taskSchema = new mongoose.Schema({
   user: {
@@ -17,19 +117,100 @@ const taskSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Description cannot be more than 500 characters']
   },
+  // Key of a status in the user's workflow (models/Workflow.js)
   status: {
     type: String,
-    enum: ['pending', 'in-progress', 'completed'],
-    default: 'pending'
+    required: [true, 'Please provide a status']
+  },
+  // Category of that status, copied here so queries don't need the workflow
+  statusCategory: {
+    type: String,
+    enum: ['todo', 'doing', 'done'],
+    default: 'todo'
+  },
+  // When the task last moved into a "done" status; null while it is open
+  completedAt: {
+    type: Date,
+    default: null
   },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],
     default: 'medium'
   },
+  // Rank of that priority (PRIORITY_RANKS), copied here so tasks sort by it
+  priorityRank: {
+    type: Number
+  },
+  // Position in the user's manual order (utils/rank.js)
+  rank: {
+    type: String
+  },
   dueDate: {
     type: Date
   },
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project'
+  },
+  // Checklist items, kept in display order
+  subtasks: [subtaskSchema],
+  // Tasks that must be completed before this one can start
+  blockedBy: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task'
+  }],
+  tags: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Tag'
+  }],
+  recurrence: {
+    type: recurrenceSchema,
+    default: undefined
+  },
+  reminders: {
+    type: [reminderSchema],
+    validate: [reminders => reminders.length <= 5, 'A task can have at most 5 reminders']
+  },
+  // Seconds tracked in finished time entries (models/TimeEntry.js)
+  timeSpent: {
+    type: Number,
+    default: 0
+  },
+  // Values of the user's custom fields by field key, see utils/customFields.js
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Set once the next occurrence of a recurring task has been generated
+  nextOccurrence: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task'
+  },
+  // Set when the task is moved to the trash; purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Kept from todo.txt, where the task was last edited as a line
+  todoTxt: {
+    type: todoTxtSchema,
+    default: undefined
+  },
+  // Set when a CalDAV client created the task
+  caldav: {
+    type: caldavSchema,
+    default: undefined,
+    select: false
+  },
+  // Tasks this one blocked when it was trashed, relinked on restore
+  trashedDependents: {
+    type: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'Task'
+    }],
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -38,6 +219,112 @@ const taskSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Checklist progress, e.g. { done: 3, total: 5 }
+taskSchema.virtual('progress').get(function() {
+  const subtasks = this.subtasks || [];
+  return {
+    done: subtasks.filter(subtask => subtask.done).length,
+    total: subtasks.length
+  };
+});
+
+// True when any blocker is still open. Only meaningful when `blockedBy` has
+// been populated with each blocker's status category.
+taskSchema.virtual('blocked').get(function() {
+  return (this.blockedBy || []).some(blocker => blocker.statusCategory && blocker.statusCategory !== 'done');
+});
+
+// Create the next task in a recurring series. Returns null when the series
+// has ended or the next occurrence was already generated.
+taskSchema.methods.createNextOccurrence = async function() {
+  if (!this.recurrence || !this.recurrence.freq) return null;
+
+  const nextDueDate = getNextOccurrence(this.recurrence, this.dueDate || Date.now());
+  if (!nextDueDate) return null;
+
+  // Claim the slot first so completing the same task twice can't spawn twice
+  const nextId = new mongoose.Types.ObjectId();
+  const claimed = await this.constructor.updateOne(
+    { _id: this._id, nextOccurrence: null },
+    { nextOccurrence: nextId }
+  );
+  if (claimed.modifiedCount !== 1) return null;
+  this.nextOccurrence = nextId;
+
+  const workflow = await Workflow.forUser(this.user);
+  const status = workflow.defaultStatus();
+
+  return this.constructor.create({
+    _id: nextId,
+    user: this.user,
+    title: this.title,
+    description: this.description,
+    status: status.key,
+    statusCategory: status.category,
+    priority: this.priority,
+    dueDate: nextDueDate,
+    subtasks: this.subtasks.map(subtask => ({ title: subtask.title })),
+    project: this.project,
+    tags: this.tags,
+    customFields: this.customFields,
+    // Reminders at a fixed time don't carry over to later occurrences
+    reminders: this.reminders
+      .filter(reminder => reminder.before != null)
+      .map(reminder => ({ before: reminder.before })),
+    recurrence: {
+      ...this.recurrence.toObject(),
+      occurrence: (this.recurrence.occurrence || 1) + 1
+    }
+  });
+};
+
+// Value for `completedAt` in an update pipeline that moves tasks into a
+// status of `category`: kept for tasks that were already done, stamped for
+// ones that become done and cleared otherwise
+taskSchema.statics.completedAtFor = function(category) {
+  return category === 'done' ? { $ifNull: ['$completedAt', '$$NOW'] } : null;
+};
+
+taskSchema.statics.PRIORITY_RANKS = PRIORITY_RANKS;
+
+// Inserting at the same place over and over makes ranks longer each time.
+// A rank past this length respaces the user's whole order first.
+taskSchema.statics.MAX_RANK_LENGTH = 16;
+
+// Rewrite the user's ranks evenly spaced, keeping their order. Trashed tasks
+// keep their place too, so restoring one still puts it back where it was.
+taskSchema.statics.rebalanceRanks = async function(userId) {
+  const tasks = await this.find({ user: userId, rank: { $ne: null } })
+    .sort({ rank: 1 })
+    .select('_id');
+  const ranks = ranksAfter(null, tasks.length);
+  await this.bulkWrite(tasks.map((task, index) => ({
+    updateOne: { filter: { _id: task._id }, update: { $set: { rank: ranks[index] } } }
+  })));
+};
+
+// Rank for a task at the top of the user's manual order
+taskSchema.statics.topRank = async function(userId) {
+  const first = await this.findOne({ user: userId, rank: { $ne: null } })
+    .sort({ rank: 1 })
+    .select('rank');
+  const rank = rankBetween(null, first ? first.rank : null);
+  if (rank.length <= this.MAX_RANK_LENGTH) return rank;
+
+  await this.rebalanceRanks(userId);
+  return this.topRank(userId);
+};
+
+// The priority rank always follows the priority. Updates that bypass
+// documents set both, see utils/taskChanges.js.
+taskSchema.pre('validate', function(next) {
+  this.priorityRank = PRIORITY_RANKS[this.priority];
+  next();
 });
 
 // Update the updatedAt field before saving
@@ -46,9 +333,29 @@ taskSchema.pre('save', function(next) {
   next();
 });
 
+// New tasks go to the top of the user's manual order
+taskSchema.pre('save', async function() {
+  if (!this.isNew || this.rank) return;
+  this.rank = await this.constructor.topRank(this.user);
+});
+
 // Index for efficient searching
 taskSchema.index({ user: 1, status: 1 });
+taskSchema.index({ user: 1, statusCategory: 1 });
+taskSchema.index({ user: 1, completedAt: 1 });
 taskSchema.index({ user: 1, priority: 1 });
+taskSchema.index({ user: 1, priorityRank: 1 });
+taskSchema.index({ user: 1, rank: 1 });
+taskSchema.index({ user: 1, tags: 1 });
+taskSchema.index({ user: 1, project: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ user: 1, 'caldav.name': 1 }, { sparse: true });
+taskSchema.index({ user: 1, deletedAt: 1 });
+// Full-text search, with title matches ranked above description matches
+taskSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 3, description: 1 }, name: 'task_text_search' }
+);
 
 module.exports = mongoose.model('Task', taskSchema);
 
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Time spent on a task, from a timer or entered by hand. A running timer is
+// an entry without `endedAt`; each user has at most one.
+const timeEntrySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Please provide a start time']
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Seconds between startedAt and endedAt, 0 while running
+  duration: {
+    type: Number,
+    default: 0,
+    min: [0, 'Duration cannot be negative']
+  },
+  // Backs the one-running-timer-per-user index
+  running: {
+    type: Boolean,
+    default: false
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    default: 'manual'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot be more than 200 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+timeEntrySchema.pre('validate', function(next) {
+  if (this.endedAt) {
+    if (this.endedAt <= this.startedAt) {
+      this.invalidate('endedAt', 'An entry must end after it starts');
+    } else {
+      this.duration = Math.round((this.endedAt - this.startedAt) / 1000);
+    }
+  }
+  this.running = !this.endedAt;
+  next();
+});
+
+// Total seconds tracked on a task, running timers excluded
+timeEntrySchema.statics.totalForTask = async function(taskId) {
+  const [result] = await this.aggregate([
+    { $match: { task: new mongoose.Types.ObjectId(String(taskId)), running: false } },
+    { $group: { _id: null, total: { $sum: '$duration' } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+timeEntrySchema.index({ task: 1, startedAt: -1 });
+timeEntrySchema.index({ user: 1, startedAt: 1 });
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { running: true } });
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
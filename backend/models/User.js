@@ -25,6 +25,31 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Which emails the user gets, see utils/dueDateEmails.js
+  emailPreferences: {
+    overdue: {
+      type: Boolean,
+      default: true
+    },
+    upcoming: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // UTC day (YYYY-MM-DD) of the last due-date emails, so a day's emails go
+  // out once
+  dueDateEmailsSentOn: {
+    type: String,
+    select: false
+  },
+  // Secret part of the calendar feed's URL, see controllers/calendarController.js.
+  // Unset while the feed is off.
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
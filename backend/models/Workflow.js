@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Every status belongs to one of these. The category is what the rest of the
+// app goes by: "done" means completed, "doing" means started.
+const CATEGORIES = ['todo', 'doing', 'done'];
+
+// The statuses every user starts with; the keys match the values tasks had
+// before workflows could be customised
+const DEFAULT_STATUSES = [
+  { key: 'pending', name: 'Pending', category: 'todo', color: '#6b7280' },
+  { key: 'in-progress', name: 'In Progress', category: 'doing', color: '#3b82f6' },
+  { key: 'completed', name: 'Completed', category: 'done', color: '#22c55e' }
+];
+
+const statusSchema = new mongoose.Schema({
+  // Stored on tasks, so it never changes once the status exists
+  key: {
+    type: String,
+    required: [true, 'Please provide a status key'],
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Status keys may only contain lowercase letters, digits and dashes'],
+    maxlength: [30, 'Status key cannot be more than 30 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a status name'],
+    trim: true,
+    maxlength: [30, 'Status name cannot be more than 30 characters']
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    required: [true, 'Please provide a status category']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Please provide a hex color like #3b82f6'],
+    default: '#6b7280'
+  },
+  // Keys of the statuses a task may move to from this one; empty allows any
+  transitions: [{
+    type: String
+  }]
+}, { _id: false });
+
+// A user's ordered set of task statuses
+const workflowSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  statuses: [statusSchema],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+workflowSchema.pre('validate', function(next) {
+  const keys = this.statuses.map(status => status.key);
+
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    this.invalidate('statuses', `Status "${duplicate}" is listed twice`);
+  }
+
+  for (const category of ['todo', 'done']) {
+    if (!this.statuses.some(status => status.category === category)) {
+      this.invalidate('statuses', `The workflow needs at least one "${category}" status`);
+    }
+  }
+
+  for (const status of this.statuses) {
+    const unknown = status.transitions.find(key => !keys.includes(key));
+    if (unknown) {
+      this.invalidate('statuses', `Status "${status.name}" moves to unknown status "${unknown}"`);
+    }
+  }
+
+  next();
+});
+
+workflowSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+workflowSchema.methods.getStatus = function(key) {
+  return this.statuses.find(status => status.key === key) || null;
+};
+
+// Status new tasks start in: the first "todo" status
+workflowSchema.methods.defaultStatus = function() {
+  return this.statuses.find(status => status.category === 'todo');
+};
+
+// Can a task move from one status to another? Moves out of a status that no
+// longer exists are always allowed.
+workflowSchema.methods.canTransition = function(from, to) {
+  if (from === to) return true;
+  const current = this.getStatus(from);
+  if (!current || current.transitions.length === 0) return true;
+  return current.transitions.includes(to);
+};
+
+// The user's workflow, created with the default statuses on first use
+workflowSchema.statics.forUser = function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { statuses: DEFAULT_STATUSES } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+workflowSchema.statics.CATEGORIES = CATEGORIES;
+workflowSchema.statics.DEFAULT_STATUSES = DEFAULT_STATUSES;
+
+module.exports = mongoose.model('Workflow', workflowSchema);
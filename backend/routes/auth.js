@@ -1,7 +1,24 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { signup, login, getMe, updateProfile, changePassword, deleteAccount } = require('../controllers/authController');
+const {
+  signup,
+  login,
+  getMe,
+  updateProfile,
+  changePassword,
+  updateEmailPreferences,
+  unsubscribe,
+  deleteAccount
+} = require('../controllers/authController');
+const {
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
+  importArchive
+} = require('../controllers/archiveController');
 const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { archiveUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -27,15 +44,28 @@ const passwordValidation = [
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
 ];
 
+const emailPreferencesValidation = [
+  body('overdue').optional().isBoolean({ strict: true }).withMessage('overdue must be true or false'),
+  body('upcoming').optional().isBoolean({ strict: true }).withMessage('upcoming must be true or false')
+];
+
 // Public routes
-router.post('/signup', signupValidation, signup);
-router.post('/login', loginValidation, login);
+router.post('/signup', signupValidation, validate, signup);
+router.post('/login', loginValidation, validate, login);
+router.post('/unsubscribe', unsubscribe);
 
 // Protected routes
 router.get('/me', protect, getMe);
-router.put('/updateprofile', protect, updateValidation, updateProfile);
-router.put('/changepassword', protect, passwordValidation, changePassword);
+router.put('/updateprofile', protect, updateValidation, validate, updateProfile);
+router.put('/changepassword', protect, passwordValidation, validate, changePassword);
+router.put('/emailpreferences', protect, emailPreferencesValidation, validate, updateEmailPreferences);
 router.delete('/deleteaccount', protect, deleteAccount);
 
+// Taking data out of an account and into another
+router.post('/export', protect, requestDataExport);
+router.get('/export', protect, getDataExport);
+router.get('/export/download', protect, downloadDataExport);
+router.post('/import', protect, archiveUpload, importArchive);
+
 module.exports = router;
 
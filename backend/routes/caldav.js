@@ -0,0 +1,39 @@
+const express = require('express');
+const {
+  options,
+  notAllowed,
+  propfindHome,
+  propfindPrincipal,
+  propfindCollection,
+  propfindResource,
+  report,
+  getResource,
+  putResource,
+  deleteResource
+} = require('../controllers/caldavController');
+const { protectBasic } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Request bodies are XML or iCalendar, whatever their content type says
+router.use(express.text({ type: () => true, limit: '1mb' }));
+
+// Public route: clients ask what the server supports before signing in
+router.options('*', options);
+
+// Protected routes: CalDAV clients sign in with the account's email and
+// password
+router.use(protectBasic);
+
+router.propfind('/', propfindHome);
+router.propfind('/principal/', propfindPrincipal);
+router.propfind('/tasks/', propfindCollection);
+router.report('/tasks/', report);
+router.propfind('/tasks/:name', propfindResource);
+router.get('/tasks/:name', getResource);
+router.put('/tasks/:name', putResource);
+router.delete('/tasks/:name', deleteResource);
+
+router.all('*', notAllowed);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getCalendar,
+  regenerateToken,
+  disableFeed,
+  getFeed,
+  importCalendar
+} = require('../controllers/calendarController');
+const { protect } = require('../middleware/auth');
+const { icsUpload } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Public route: calendar apps can't log in, the token in the URL is the secret
+router.get('/feed/:token.ics', getFeed);
+
+// Protected routes
+router.get('/', protect, getCalendar);
+router.post('/token', protect, regenerateToken);
+router.delete('/token', protect, disableFeed);
+router.post('/import', protect, icsUpload, importCalendar);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getFields,
+  createField,
+  updateField,
+  deleteField
+} = require('../controllers/customFieldController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'checkbox', 'url'];
+
+const router = express.Router();
+
+// Validation rules
+const fieldValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Field name cannot be empty'),
+  body('name').optional().isLength({ max: 40 }).withMessage('Field name cannot exceed 40 characters'),
+  body('type').optional().isIn(FIELD_TYPES).withMessage(`Field type must be one of: ${FIELD_TYPES.join(', ')}`),
+  body('options').optional().isArray().withMessage('Options must be a list'),
+  body('options.*').optional().isString().trim().notEmpty().withMessage('Options cannot be empty'),
+  body('required').optional().isBoolean().withMessage('Required must be true or false')
+];
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getFields)
+  .post(fieldValidation, validate, createField);
+
+router.route('/:id')
+  .put(fieldValidation, validate, updateField)
+  .delete(deleteField);
+
+module.exports = router;
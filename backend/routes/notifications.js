@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getNotifications,
+  markRead,
+  markAllRead,
+  deleteNotification
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.route('/').get(getNotifications);
+
+// Declared before /:id so "read-all" isn't read as a notification ID
+router.route('/read-all').put(markAllRead);
+
+router.route('/:id').delete(deleteNotification);
+router.route('/:id/read').put(markRead);
+
+module.exports = router;
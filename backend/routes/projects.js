@@ -0,0 +1,36 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject
+} = require('../controllers/projectController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Validation rules
+const projectValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Project name cannot be empty'),
+  body('name').optional().isLength({ max: 50 }).withMessage('Project name cannot exceed 50 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #3b82f6'),
+  body('archived').optional().isBoolean().withMessage('Archived must be true or false')
+];
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getProjects)
+  .post(projectValidation, validate, createProject);
+
+router.route('/:id')
+  .get(getProject)
+  .put(projectValidation, validate, updateProject)
+  .delete(deleteProject);
+
+module.exports = router;
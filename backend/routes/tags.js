@@ -0,0 +1,35 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getTags,
+  createTag,
+  updateTag,
+  mergeTag,
+  deleteTag
+} = require('../controllers/tagController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Validation rules
+const tagValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Tag name cannot be empty'),
+  body('name').optional().isLength({ max: 30 }).withMessage('Tag name cannot exceed 30 characters'),
+  body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #3b82f6')
+];
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getTags)
+  .post(tagValidation, validate, createTag);
+
+router.route('/:id')
+  .put(tagValidation, validate, updateTag)
+  .delete(deleteTag);
+
+router.route('/:id/merge').post(mergeTag);
+
+module.exports = router;
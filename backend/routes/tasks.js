@@ -6,20 +6,99 @@ const {
   getTask, 
   updateTask, 
   deleteTask,
-  getTaskStats 
+  getTaskStats,
+  getTaskActivity,
+  reorderTask
 } = require('../controllers/taskController');
+const {
+  addSubtask,
+  updateSubtask,
+  deleteSubtask,
+  reorderSubtasks
+} = require('../controllers/subtaskController');
+const { addDependency, removeDependency } = require('../controllers/dependencyController');
+const {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const {
+  getAttachments,
+  uploadAttachments,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const {
+  getTrash,
+  restoreTask,
+  deleteTaskPermanently,
+  emptyTrash
+} = require('../controllers/trashController');
+const { bulkTasks } = require('../controllers/bulkController');
+const { exportTasks, importTasks } = require('../controllers/transferController');
+const { exportTodoTxt, syncTodoTxt } = require('../controllers/todoTxtController');
+const { getAnalytics } = require('../controllers/analyticsController');
+const { startTimer, getTaskTime, addTimeEntry } = require('../controllers/timeController');
 const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { attachmentUpload, csvUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
-// Validation rules
+// Validation rules. Updates may leave out any field, the title included.
+const taskFieldValidation = [
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('status').optional({ values: 'falsy' }).isString().trim().notEmpty().withMessage('Invalid status'),
+  body('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid priority'),
+  body('dueDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid due date format'),
+  body('project').optional({ values: 'null' }).isMongoId().withMessage('Invalid project ID'),
+  body('blockedBy').optional().isArray().withMessage('Blocked-by must be a list'),
+  body('blockedBy.*').optional().isMongoId().withMessage('Invalid blocking task ID'),
+  body('overrideBlockers').optional().isBoolean().withMessage('overrideBlockers must be true or false'),
+  body('tags').optional().isArray().withMessage('Tags must be a list'),
+  body('tags.*').optional().isMongoId().withMessage('Invalid tag ID'),
+  body('recurrence.freq').optional().isIn(['daily', 'weekly', 'monthly']).withMessage('Invalid recurrence frequency'),
+  body('recurrence.interval').optional().isInt({ min: 1 }).withMessage('Recurrence interval must be a positive number'),
+  body('recurrence.byDay').optional().isArray().withMessage('Recurrence weekdays must be a list'),
+  body('recurrence.byDay.*').optional().isIn(['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']).withMessage('Invalid recurrence weekday'),
+  body('recurrence.byMonthDay').optional().isInt({ min: 1, max: 31 }).withMessage('Day of month must be between 1 and 31'),
+  body('recurrence.bySetPos').optional().isIn([1, 2, 3, 4, -1]).withMessage('Invalid recurrence week of month'),
+  body('recurrence.until').optional().isISO8601().withMessage('Invalid recurrence end date'),
+  body('recurrence.count').optional().isInt({ min: 1 }).withMessage('Recurrence count must be a positive number'),
+  body('reminders').optional().isArray({ max: 5 }).withMessage('A task can have at most 5 reminders'),
+  body('reminders.*.before').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Invalid reminder offset'),
+  body('reminders.*.at').optional({ values: 'null' }).isISO8601().withMessage('Invalid reminder time')
+];
+
 const taskValidation = [
   body('title').trim().notEmpty().withMessage('Task title is required'),
   body('title').isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
-  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
-  body('status').optional().isIn(['pending', 'in-progress', 'completed']).withMessage('Invalid status'),
-  body('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid priority'),
-  body('dueDate').optional().isISO8601().withMessage('Invalid due date format')
+  ...taskFieldValidation
+];
+
+const taskUpdateValidation = [
+  body('title').optional().trim().notEmpty().withMessage('Task title cannot be empty'),
+  body('title').optional().isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  ...taskFieldValidation
+];
+
+const subtaskValidation = [
+  body('title').optional().trim().notEmpty().withMessage('Subtask title cannot be empty'),
+  body('title').optional().isLength({ max: 100 }).withMessage('Subtask title cannot exceed 100 characters'),
+  body('done').optional().isBoolean().withMessage('Done must be true or false')
+];
+
+const timeEntryValidation = [
+  body('startedAt').isISO8601().withMessage('Invalid start time'),
+  body('endedAt').optional().isISO8601().withMessage('Invalid end time'),
+  body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be a positive number of seconds'),
+  body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters')
+];
+
+const commentValidation = [
+  body('body').trim().notEmpty().withMessage('Comment cannot be empty'),
+  body('body').isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters')
 ];
 
 // All routes are protected
@@ -28,14 +107,72 @@ router.use(protect);
 // Task CRUD routes
 router.route('/')
   .get(getTasks)
-  .post(taskValidation, createTask);
+  .post(taskValidation, validate, createTask);
 
 router.route('/stats').get(getTaskStats);
+router.route('/analytics').get(getAnalytics);
+router.route('/bulk').post(bulkTasks);
+router.route('/export').get(exportTasks);
+router.route('/import').post(csvUpload, importTasks);
+
+// todo.txt, read (in app.js, ahead of the JSON parser) and sent as plain
+// text whatever the content type says
+router.route('/todotxt')
+  .get(exportTodoTxt)
+  .put(syncTodoTxt);
+
+// Trash routes (declared before /:id so "trash" isn't read as a task ID)
+router.route('/trash')
+  .get(getTrash)
+  .delete(emptyTrash);
+
+router.route('/trash/:id').delete(deleteTaskPermanently);
+router.route('/trash/:id/restore').post(restoreTask);
 
 router.route('/:id')
   .get(getTask)
-  .put(taskValidation, updateTask)
+  .put(taskUpdateValidation, validate, updateTask)
   .delete(deleteTask);
 
+router.route('/:id/activity').get(getTaskActivity);
+router.route('/:id/reorder').put(reorderTask);
+
+// Subtask (checklist) routes
+router.route('/:id/subtasks').post(subtaskValidation, validate, addSubtask);
+router.route('/:id/subtasks/reorder').put(reorderSubtasks);
+
+router.route('/:id/subtasks/:subtaskId')
+  .put(subtaskValidation, validate, updateSubtask)
+  .delete(deleteSubtask);
+
+// Dependency (blocked-by) routes
+router.route('/:id/dependencies').post(addDependency);
+router.route('/:id/dependencies/:blockerId').delete(removeDependency);
+
+// Comment routes
+router.route('/:id/comments')
+  .get(getComments)
+  .post(commentValidation, validate, addComment);
+
+router.route('/:id/comments/:commentId')
+  .put(commentValidation, validate, updateComment)
+  .delete(deleteComment);
+
+// Time tracking routes (timer stop, entry edits and reports are under /api/time)
+router.route('/:id/timer').post(startTimer);
+
+router.route('/:id/time')
+  .get(getTaskTime)
+  .post(timeEntryValidation, validate, addTimeEntry);
+
+// Attachment routes
+router.route('/:id/attachments')
+  .get(getAttachments)
+  .post(attachmentUpload, uploadAttachments);
+
+router.route('/:id/attachments/:attachmentId')
+  .get(downloadAttachment)
+  .delete(deleteAttachment);
+
 module.exports = router;
 
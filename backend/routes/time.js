@@ -0,0 +1,35 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getTimer,
+  stopTimer,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimeReport
+} = require('../controllers/timeController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Validation rules
+const timeEntryValidation = [
+  body('startedAt').optional().isISO8601().withMessage('Invalid start time'),
+  body('endedAt').optional().isISO8601().withMessage('Invalid end time'),
+  body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be a positive number of seconds'),
+  body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters')
+];
+
+// All routes are protected
+router.use(protect);
+
+router.route('/timer').get(getTimer);
+router.route('/timer/stop').post(stopTimer);
+
+router.route('/entries/:entryId')
+  .put(timeEntryValidation, validate, updateTimeEntry)
+  .delete(deleteTimeEntry);
+
+router.route('/report').get(getTimeReport);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getViews,
+  createView,
+  updateView,
+  deleteView
+} = require('../controllers/viewController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Validation rules
+const viewValidation = [
+  body('name').optional().trim().notEmpty().withMessage('View name cannot be empty'),
+  body('name').optional().isLength({ max: 50 }).withMessage('View name cannot exceed 50 characters'),
+  body('filters').optional().isObject().withMessage('Filters must be an object'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false')
+];
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getViews)
+  .post(viewValidation, validate, createView);
+
+router.route('/:id')
+  .put(viewValidation, validate, updateView)
+  .delete(deleteView);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { getWorkflow, updateWorkflow } = require('../controllers/workflowController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Validation rules
+const workflowValidation = [
+  body('statuses').isArray({ min: 1 }).withMessage('Please provide a list of statuses'),
+  body('statuses.*.name').trim().notEmpty().withMessage('Status name cannot be empty'),
+  body('statuses.*.name').isLength({ max: 30 }).withMessage('Status name cannot exceed 30 characters'),
+  body('statuses.*.category').isIn(['todo', 'doing', 'done']).withMessage('Status category must be todo, doing or done'),
+  body('statuses.*.color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #3b82f6'),
+  body('statuses.*.transitions').optional().isArray().withMessage('Transitions must be a list of status keys'),
+  body('replacements').optional().isObject().withMessage('Replacements must map removed status keys to new ones')
+];
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getWorkflow)
+  .put(workflowValidation, validate, updateWorkflow);
+
+module.exports = router;
@@ -1,48 +1,27 @@
 require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
 const connectDB = require('./config/db');
+const { scheduleTrashPurge } = require('./utils/trash');
+const { runMigrations } = require('./utils/migrations');
+const { startScheduler } = require('./utils/scheduler');
+const { scheduleDueDateEmails } = require('./utils/dueDateEmails');
 
 // Connect to database
 connectDB();
 
-const app = express();
+// Bring data from older versions up to date
+runMigrations();
 
-// Body parser middleware
-app.use(express.json());
+// Purge tasks that have been in the trash past the retention period
+scheduleTrashPurge();
 
-// Enable CORS
-app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  credentials: true
-}));
+// Run background jobs, such as task reminders, as they come due
+startScheduler();
 
-// Define routes
-app.use('/api/auth', require('./routes/auth'));
-app.use('/api/tasks', require('./routes/tasks'));
+// Email users about overdue tasks and tasks due soon, once a day
+scheduleDueDateEmails();
 
-// Health check route
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Server is running' });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: 'Server Error',
-    error: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
-});
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found'
-  });
-});
+// The Express app, with every route; kept apart so tests can load it
+const app = require('./app');
 
 const PORT = process.env.PORT || 5000;
 
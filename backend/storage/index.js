@@ -0,0 +1,28 @@
+const path = require('path');
+const createLocalDiskStorage = require('./localDisk');
+
+// Storage adapters for uploaded files. Every adapter exposes:
+//   save(key, buffer)      -> Promise
+//   createReadStream(key)  -> Readable stream
+//   remove(key)            -> Promise (no error if the key is missing)
+// Pick one with STORAGE_DRIVER; only 'local' ships for now.
+const drivers = {
+  local: () => createLocalDiskStorage({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads')
+  })
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+module.exports = { getStorage };
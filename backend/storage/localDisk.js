@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local-disk storage adapter. Files live under `root`, one file per key.
+ */
+const createLocalDiskStorage = ({ root }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    // Keys are generated server-side, but never let one escape the root
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        // Already gone is as good as removed
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = createLocalDiskStorage;
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+process.env.UPLOAD_DIR = uploadDir;
+
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Tag = require('../models/Tag');
+const Workflow = require('../models/Workflow');
+const CustomField = require('../models/CustomField');
+const SavedView = require('../models/SavedView');
+const Comment = require('../models/Comment');
+const Activity = require('../models/Activity');
+const TimeEntry = require('../models/TimeEntry');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('../storage');
+const { ArchiveError, buildArchive, restoreArchive } = require('../utils/accountArchive');
+
+const oldUserId = new mongoose.Types.ObjectId();
+const newUserId = new mongoose.Types.ObjectId();
+const models = [Task, Project, Tag, CustomField, SavedView, Comment, Activity, TimeEntry, Attachment];
+
+// No database: every model's records as plain objects, plus the workflow and
+// profile updates a restore makes
+let stored = {};
+let updates = [];
+const query = (records) => {
+  const chain = {
+    sort: () => chain,
+    lean: () => chain,
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(records).then(resolve, reject)
+  };
+  return chain;
+};
+const ownedBy = (Model, user) => (stored[Model.modelName] || []).filter(record => record.user.equals(user));
+for (const Model of models) {
+  Model.find = ({ user }) => query(ownedBy(Model, user));
+  Model.exists = async ({ user }) => (ownedBy(Model, user).length > 0 ? { _id: ownedBy(Model, user)[0]._id } : null);
+  Model.insertMany = async (docs) => {
+    stored[Model.modelName] = [...(stored[Model.modelName] || []), ...docs.map(doc => doc.toObject())];
+    return docs;
+  };
+  Model.deleteMany = async ({ user }) => {
+    stored[Model.modelName] = (stored[Model.modelName] || []).filter(record => !record.user.equals(user));
+  };
+}
+User.findById = () => query(new User({ _id: oldUserId, name: 'Sam', email: 'sam@example.com', password: 'secret123' }).toObject());
+User.updateOne = async (filter, update) => updates.push(['User', filter, update]);
+Workflow.findOne = () => query({ user: oldUserId, statuses: Workflow.DEFAULT_STATUSES });
+Workflow.updateOne = async (filter, update) => updates.push(['Workflow', filter, update]);
+
+const add = (Model, data) => {
+  const record = new Model({ user: oldUserId, ...data }).toObject();
+  stored[Model.modelName] = [...(stored[Model.modelName] || []), record];
+  return record;
+};
+
+// An archive as downloaded: the old user's records, through JSON
+const exported = async () => JSON.parse(JSON.stringify(await buildArchive(oldUserId)));
+
+test.beforeEach(async () => {
+  stored = {};
+  updates = [];
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+
+  const home = add(Project, { name: 'Home' });
+  const errands = add(Tag, { name: 'errands' });
+  const rent = add(Task, { title: 'Pay rent', status: 'pending', rank: 'V', project: home._id, tags: [errands._id] });
+  add(Task, { title: 'Post receipt', status: 'pending', rank: 'W', blockedBy: [rent._id] });
+  add(SavedView, { name: 'Home', filters: { project: String(home._id), tags: [String(errands._id)] } });
+  add(Comment, { task: rent._id, body: 'Paid by card' });
+  add(Activity, {
+    task: rent._id,
+    actor: oldUserId,
+    action: 'updated',
+    changes: [{ field: 'project', from: null, to: String(home._id) }, { field: 'title', from: 'Rent', to: 'Pay rent' }]
+  });
+  const storageKey = `${oldUserId}/${rent._id}/receipt`;
+  add(Attachment, { task: rent._id, filename: 'receipt.txt', mimeType: 'text/plain', size: 5, storageKey });
+  await getStorage().save(storageKey, Buffer.from('hello'));
+});
+
+test.after(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+test('an archive holds every record with its files', async () => {
+  const archive = await exported();
+
+  assert.equal(archive.profile.email, 'sam@example.com');
+  assert.equal(archive.profile.password, undefined);
+  assert.deepEqual(archive.workflow.statuses.map(status => status.key), ['pending', 'in-progress', 'completed']);
+  assert.deepEqual(archive.tasks.map(task => task.title), ['Pay rent', 'Post receipt']);
+  assert.equal(archive.tasks[0].user, undefined);
+  assert.equal(archive.attachments[0].storageKey, undefined);
+  assert.equal(Buffer.from(archive.attachments[0].content, 'base64').toString(), 'hello');
+});
+
+test('restoring gives every record a new ID and rewrites the references', async () => {
+  const archive = await exported();
+  // A comment whose task is not in the archive
+  archive.comments.push({ _id: String(new mongoose.Types.ObjectId()), task: String(new mongoose.Types.ObjectId()), body: 'Lost' });
+
+  const counts = await restoreArchive(newUserId, archive);
+
+  assert.deepEqual(counts, {
+    customFields: 0,
+    projects: 1,
+    tags: 1,
+    tasks: 2,
+    savedViews: 1,
+    comments: 1,
+    activity: 1,
+    timeEntries: 0,
+    attachments: 1
+  });
+  const [project] = ownedBy(Project, newUserId);
+  const [tag] = ownedBy(Tag, newUserId);
+  const [rent, receipt] = ownedBy(Task, newUserId);
+  assert.notEqual(String(project._id), archive.projects[0]._id);
+  assert.equal(String(rent.project), String(project._id));
+  assert.deepEqual(rent.tags.map(String), [String(tag._id)]);
+  assert.deepEqual(receipt.blockedBy.map(String), [String(rent._id)]);
+
+  const [view] = ownedBy(SavedView, newUserId);
+  assert.equal(view.filters.project, String(project._id));
+  assert.deepEqual(view.filters.tags.map(String), [String(tag._id)]);
+
+  assert.deepEqual(ownedBy(Comment, newUserId).map(comment => [comment.body, String(comment.task)]), [['Paid by card', String(rent._id)]]);
+  const [entry] = ownedBy(Activity, newUserId);
+  assert.equal(String(entry.actor), String(newUserId));
+  assert.deepEqual(entry.changes.map(change => change.to), [String(project._id), 'Pay rent']);
+
+  const [attachment] = ownedBy(Attachment, newUserId);
+  assert.ok(attachment.storageKey.startsWith(`${newUserId}/${rent._id}/`));
+  const chunks = [];
+  for await (const chunk of getStorage().createReadStream(attachment.storageKey)) chunks.push(chunk);
+  assert.equal(Buffer.concat(chunks).toString(), 'hello');
+
+  assert.deepEqual(updates.map(([model]) => model), ['Workflow', 'User']);
+});
+
+test('rejects files that are not archives of this version', async () => {
+  const archive = await exported();
+
+  await assert.rejects(restoreArchive(newUserId, { ...archive, format: 'other' }), {
+    name: 'ArchiveError',
+    message: 'This file is not a task manager archive'
+  });
+  await assert.rejects(restoreArchive(newUserId, { ...archive, version: 2 }), {
+    message: 'Archive version 2 is not supported'
+  });
+  await assert.rejects(restoreArchive(newUserId, { ...archive, tasks: {} }), {
+    message: 'The archive\'s tasks are not a list'
+  });
+});
+
+test('only restores into an empty account', async () => {
+  await assert.rejects(restoreArchive(oldUserId, await exported()), {
+    name: 'ArchiveError',
+    message: 'Archives can only be imported into an account with no tasks, projects, tags, fields, views or time entries'
+  });
+});
+
+test('writes nothing when any record is invalid', async () => {
+  const archive = await exported();
+  archive.tasks[1].title = '';
+  archive.attachments[0].mimeType = 'application/x-msdownload';
+
+  await assert.rejects(restoreArchive(newUserId, archive), (error) => {
+    assert.ok(error instanceof ArchiveError);
+    assert.match(error.message, /^The archive has invalid records: attachments: receipt\.txt: File type not allowed/);
+    assert.match(error.message, /tasks: .*Please provide a task title/);
+    return true;
+  });
+  for (const Model of models) {
+    assert.deepEqual(ownedBy(Model, newUserId), []);
+  }
+  assert.deepEqual(updates, []);
+  assert.deepEqual(fs.readdirSync(uploadDir), [oldUserId.toString()]);
+});
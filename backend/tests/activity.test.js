@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const Task = require('../models/Task');
+const { diffTask, recordActivity } = require('../utils/activity');
+
+const userId = new mongoose.Types.ObjectId();
+
+// No database: entries are recorded here
+let entries = [];
+Activity.create = async (data) => {
+  entries.push(data);
+  return data;
+};
+
+const [work, home] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+const task = (fields = {}) => new Task({
+  user: userId,
+  title: 'Buy milk',
+  status: 'todo',
+  priority: 'medium',
+  tags: [work, home],
+  ...fields
+});
+
+test.beforeEach(() => {
+  entries = [];
+});
+
+test('lists each changed field with its old and new value', () => {
+  const before = task();
+  const after = task({ title: 'Buy oat milk', dueDate: new Date('2026-10-20T00:00:00Z') });
+
+  assert.deepEqual(diffTask(before, after), [
+    { field: 'title', from: 'Buy milk', to: 'Buy oat milk' },
+    { field: 'dueDate', from: null, to: '2026-10-20T00:00:00.000Z' }
+  ]);
+});
+
+test('ignores the order of tags and whether references are populated', () => {
+  const before = task();
+  const after = { ...task().toObject(), tags: [{ _id: home, name: 'home' }, work] };
+
+  assert.deepEqual(diffTask(before, after), []);
+});
+
+test('diffs custom fields one by one', () => {
+  const before = task({ customFields: { size: 'L', cost: 3 } });
+  const after = task({ customFields: { size: 'M', cost: 3 } });
+
+  assert.deepEqual(diffTask(before.toObject(), after.toObject()), [
+    { field: 'customFields.size', from: 'L', to: 'M' }
+  ]);
+});
+
+test('creations list every set field; updates that change nothing are skipped', async () => {
+  const created = task();
+  await recordActivity({ task: created, actor: userId, action: 'created', after: created });
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].action, 'created');
+  assert.deepEqual(entries[0].changes.map(change => change.field), ['title', 'status', 'priority', 'tags']);
+
+  assert.equal(await recordActivity({ task: created, actor: userId, action: 'updated', before: created, after: task() }), null);
+  assert.equal(entries.length, 1);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { getAnalytics } = require('../controllers/analyticsController');
+const { addDays, dayIn, parseDayRange } = require('../utils/dates');
+
+const userId = new mongoose.Types.ObjectId();
+const today = dayIn(new Date(), 'UTC');
+
+// No database: what each aggregation would return, told apart by its first
+// $match stage
+const results = {
+  created: [
+    { _id: '2026-10-04', count: 5 },
+    { _id: '2026-10-06', count: 2 },
+    { _id: '2026-10-13', count: 3 }
+  ],
+  completed: [
+    { day: '2026-10-06', seconds: 3600 },
+    { day: '2026-10-07', seconds: 7200 },
+    { day: '2026-10-14', seconds: 600 }
+  ],
+  completionDays: [-6, -5, -4, -1].map(offset => ({ _id: addDays(today, offset) })),
+  due: [
+    { dueDate: new Date('2026-10-06T00:00:00Z'), completedAt: new Date('2026-10-06T20:00:00Z') },
+    { dueDate: new Date('2026-10-07T00:00:00Z'), completedAt: new Date('2026-10-09T10:00:00Z') },
+    { dueDate: new Date('2026-10-08T00:00:00Z'), completedAt: null }
+  ]
+};
+Task.aggregate = async ([{ $match }]) => {
+  if ($match.createdAt) return results.created;
+  return $match.completedAt.$ne === null ? results.completionDays : results.completed;
+};
+Task.find = () => ({ select: async () => results.due });
+
+// Call the handler like Express would, returning the status and JSON body
+const analytics = (query) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json(data) {
+      resolve({ status: this.code, body: data });
+    }
+  };
+  getAnalytics({ query, user: { id: String(userId) } }, res);
+});
+
+test('day ranges default to the last days up to today and are checked', () => {
+  assert.deepEqual(parseDayRange({ to: '2026-10-18' }, { defaultDays: 30, maxDays: 366 }), {
+    from: '2026-09-19',
+    to: '2026-10-18',
+    timeZone: 'UTC',
+    days: 30
+  });
+  assert.equal(parseDayRange({ tz: 'Mars/Olympus' }, { defaultDays: 30, maxDays: 366 }).error, 'Invalid time zone');
+  assert.equal(parseDayRange({ from: '18/10/2026' }, { defaultDays: 30, maxDays: 366 }).error, 'Dates must be in YYYY-MM-DD format');
+  assert.equal(
+    parseDayRange({ from: '2026-10-18', to: '2026-10-01' }, { defaultDays: 30, maxDays: 366 }).error,
+    'The range must run forward and cover at most 366 days'
+  );
+});
+
+test('sums created and completed tasks per week', async () => {
+  const { status, body } = await analytics({ from: '2026-10-05', to: '2026-10-18', interval: 'week' });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.series, [
+    { period: '2026-10-05', created: 2, completed: 2, averageCycleSeconds: 5400 },
+    { period: '2026-10-12', created: 3, completed: 1, averageCycleSeconds: 600 }
+  ]);
+  assert.deepEqual(body.data.totals, { created: 5, completed: 3 });
+  assert.deepEqual(body.data.cycleTime, { completed: 3, averageSeconds: 3800, medianSeconds: 3600 });
+});
+
+test('counts tasks finished after their due day as overdue', async () => {
+  const { body } = await analytics({ from: '2026-10-05', to: '2026-10-18' });
+
+  assert.deepEqual(body.data.overdue, { due: 3, overdue: 2, rate: 2 / 3 });
+});
+
+test('a streak ending yesterday still counts', async () => {
+  const { body } = await analytics({});
+
+  assert.deepEqual(body.data.streaks, { current: 1, longest: 3, lastCompletedOn: addDays(today, -1) });
+});
+
+test('rejects unknown intervals', async () => {
+  const { status, body } = await analytics({ interval: 'month' });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Interval must be day or week');
+});
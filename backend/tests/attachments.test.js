@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+process.env.UPLOAD_DIR = uploadDir;
+
+const Attachment = require('../models/Attachment');
+const Task = require('../models/Task');
+const { uploadAttachments } = require('../controllers/attachmentController');
+
+const userId = new mongoose.Types.ObjectId();
+const task = { _id: new mongoose.Types.ObjectId(), user: userId };
+
+// No database: saves only validate, unless the test makes them fail
+let failSave = false;
+Task.findOne = async () => task;
+Attachment.prototype.save = async function() {
+  await this.validate();
+  if (failSave) throw new Error('Database unavailable');
+  return this;
+};
+
+const file = (originalname) => ({
+  originalname,
+  mimetype: 'text/plain',
+  size: 5,
+  buffer: Buffer.from('hello')
+});
+
+// Files stored for the task so far
+const storedFiles = () => {
+  const dir = path.join(uploadDir, String(userId), String(task._id));
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+};
+
+// Call the handler like Express would, returning the status and JSON body
+const upload = (files) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json(data) {
+      resolve({ status: this.code, body: data });
+    }
+  };
+  uploadAttachments({ params: { id: String(task._id) }, user: { id: String(userId) }, files }, res);
+});
+
+test.beforeEach(() => {
+  failSave = false;
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+test.after(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+test('stores each uploaded file', async () => {
+  const { status, body } = await upload([file('a.txt'), file('b.txt')]);
+
+  assert.equal(status, 201);
+  assert.deepEqual(body.data.map(attachment => attachment.filename), ['a.txt', 'b.txt']);
+  assert.equal(storedFiles().length, 2);
+});
+
+test('an invalid file name fails the whole upload without storing anything', async () => {
+  const { status, body } = await upload([file('ok.txt'), file(`${'x'.repeat(256)}.txt`)]);
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'File name cannot be more than 255 characters');
+  assert.deepEqual(storedFiles(), []);
+});
+
+test('a file is removed again when its record cannot be saved', async () => {
+  failSave = true;
+  const { status } = await upload([file('a.txt')]);
+
+  assert.equal(status, 500);
+  assert.deepEqual(storedFiles(), []);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Activity = require('../models/Activity');
+const Job = require('../models/Job');
+const { bulkTasks } = require('../controllers/bulkController');
+
+const userId = new mongoose.Types.ObjectId();
+
+// No database: the tasks by ID, and the ones moved to the trash
+let tasks = [];
+let trashed = [];
+Task.find = (filter) => {
+  const found = filter._id ? tasks.filter(task => filter._id.$in.includes(String(task._id))) : [];
+  const query = Promise.resolve(found);
+  query.select = () => query;
+  return query;
+};
+Task.updateMany = async () => ({ modifiedCount: 0 });
+Task.updateOne = async ({ _id }, update) => {
+  if (update.deletedAt) trashed.push(String(_id));
+};
+Project.archivedIds = async () => [];
+Activity.create = async () => null;
+Job.deleteMany = async () => ({ deletedCount: 0 });
+
+const addTask = (user = userId) => {
+  const task = new Task({ user, title: 'Task', status: 'pending' });
+  tasks.push(task);
+  return String(task._id);
+};
+
+// Call the handler like Express would, returning the status and JSON body
+const bulk = (body) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json(data) {
+      resolve({ status: this.code, body: data });
+    }
+  };
+  bulkTasks({ user: { id: String(userId) }, body }, res);
+});
+
+test.beforeEach(() => {
+  tasks = [];
+  trashed = [];
+});
+
+test('rejects malformed requests before touching any task', async () => {
+  const ids = [addTask()];
+  for (const [body, message] of [
+    [{ ids, operations: [] }, 'Please provide at least one operation'],
+    [{ ids, filter: 'milk', operations: [{ type: 'delete' }] }, 'Please provide either a list of task ids or a filter'],
+    [{ ids, operations: [{ type: 'archive' }] }, 'Operation 1 must have a type of update, status, move, delete'],
+    [{ ids, operations: [{ type: 'delete' }, { type: 'move', project: null }] }, 'Delete must be the last operation'],
+    [{ ids, operations: [{ type: 'update', fields: { user: 'someone' } }] }, 'Field "user" cannot be bulk updated'],
+    [{ ids, operations: [{ type: 'status' }] }, 'Operation 1 needs a status'],
+    [{ ids: Array.from({ length: 501 }, addTask), operations: [{ type: 'delete' }] }, 'A bulk request can change at most 500 tasks']
+  ]) {
+    const { status, body: response } = await bulk(body);
+
+    assert.equal(status, 400, message);
+    assert.equal(response.message, message);
+  }
+  assert.deepEqual(trashed, []);
+});
+
+test('reports each task on its own', async () => {
+  const mine = addTask();
+  const theirs = addTask(new mongoose.Types.ObjectId());
+  const missing = String(new mongoose.Types.ObjectId());
+
+  const { status, body } = await bulk({ ids: [mine, theirs, missing, mine], operations: [{ type: 'delete' }] });
+
+  assert.equal(status, 200);
+  assert.equal(body.succeeded, 1);
+  assert.equal(body.failed, 2);
+  assert.deepEqual(body.results.map(result => result.status), [200, 403, 404]);
+  assert.deepEqual(trashed, [mine]);
+});
+
+test('a filter with a search syntax error is a 400', async () => {
+  const { status, body } = await bulk({ filter: 'milk "oat', operations: [{ type: 'delete' }] });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body, { success: false, message: 'Unterminated quote', position: 5 });
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Workflow = require('../models/Workflow');
+const { IcalError, foldLine, escapeText, parseCalendar, getProperty, parseDay } = require('../utils/ical');
+const { buildFeed, calendarRows } = require('../utils/taskCalendar');
+const { getFeed } = require('../controllers/calendarController');
+
+const userId = new mongoose.Types.ObjectId();
+const errands = { _id: new mongoose.Types.ObjectId(), name: 'errands, etc' };
+const archivedProject = new mongoose.Types.ObjectId();
+const now = new Date('2026-10-18T08:00:00Z');
+
+const task = (data) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: userId,
+  status: 'pending',
+  statusCategory: 'todo',
+  priority: 'medium',
+  tags: [],
+  createdAt: new Date('2026-10-01T09:00:00Z'),
+  ...data
+});
+const tasks = [
+  task({ title: 'Pay rent', dueDate: new Date('2026-11-01T00:00:00Z'), priority: 'high', tags: [errands._id], description: 'Line one\nthen; two' }),
+  task({ title: 'File taxes', dueDate: new Date('2026-10-31T00:00:00Z'), status: 'completed', statusCategory: 'done', completedAt: now })
+];
+
+// No database: one user with a feed token, whose tasks are `tasks`
+let feedQuery = null;
+User.findOne = async ({ calendarToken }) => (calendarToken === 'secret' ? { _id: userId, name: 'Sam' } : null);
+Project.archivedIds = async () => [archivedProject];
+Task.find = (query) => {
+  feedQuery = query;
+  return { sort: () => ({ lean: async () => tasks }) };
+};
+Tag.find = () => ({ lean: async () => [errands] });
+
+// Call the feed handler like Express would, returning the status, headers and
+// body
+const feed = (token, query = {}) => new Promise((resolve) => {
+  const res = {
+    code: 200,
+    headers: {},
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    set(headers) {
+      Object.assign(this.headers, headers);
+      return this;
+    },
+    json(data) {
+      resolve({ status: this.code, body: data });
+    },
+    send(data) {
+      resolve({ status: this.code, headers: this.headers, body: data });
+    }
+  };
+  getFeed({ params: { token }, query }, res);
+});
+
+const entry = (name, lines) => ['BEGIN:VCALENDAR', `BEGIN:${name}`, ...lines, `END:${name}`, 'END:VCALENDAR'].join('\r\n');
+
+test('long lines fold at 75 octets without splitting characters and unfold again', () => {
+  const summary = `SUMMARY:${escapeText('Café, crème; ✓ '.repeat(8))}`;
+  const folded = foldLine(summary);
+
+  assert.ok(folded.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+  assert.ok(folded.split('\r\n').slice(1).every(line => line.startsWith(' ')));
+
+  const [property] = parseCalendar(entry('VTODO', [folded])).components[0].properties;
+  assert.equal(`SUMMARY:${property.value}`, summary);
+});
+
+test('reads days from DATE and DATE-TIME values', () => {
+  assert.equal(parseDay('20261018'), '2026-10-18');
+  assert.equal(parseDay('20261018T233000'), '2026-10-18');
+  assert.equal(parseDay('20261018T233000Z'), '2026-10-18');
+  assert.equal(parseDay('20260230'), null);
+  assert.equal(parseDay('2026-10-18'), null);
+});
+
+test('rejects files that are not calendars', () => {
+  for (const [text, message] of [
+    ['title,due\nMow,', 'Not an iCalendar line: "title,due"'],
+    ['BEGIN:VEVENT\r\nEND:VEVENT', 'This file is not an iCalendar file'],
+    ['BEGIN:VCALENDAR\r\nBEGIN:VTODO\r\nEND:VCALENDAR', 'Unexpected END:VCALENDAR'],
+    ['BEGIN:VCALENDAR\r\nBEGIN:VTODO', 'The file ends inside a VTODO']
+  ]) {
+    assert.throws(() => parseCalendar(text), { name: 'IcalError', message });
+  }
+  assert.throws(() => parseCalendar(''), IcalError);
+});
+
+test('the feed shows tasks as all-day events, finished ones checked off', async () => {
+  const { status, headers, body } = await feed('secret');
+
+  assert.equal(status, 200);
+  assert.equal(headers['Content-Type'], 'text/calendar; charset=utf-8');
+  assert.deepEqual(feedQuery.project, { $nin: [archivedProject] });
+  assert.equal(feedQuery.deletedAt, null);
+
+  const calendar = parseCalendar(body);
+  assert.equal(getProperty(calendar, 'X-WR-CALNAME').value, 'Sam\'s tasks');
+  const [rent, taxes] = calendar.components;
+  assert.equal(rent.name, 'VEVENT');
+  assert.equal(getProperty(rent, 'UID').value, `${tasks[0]._id}@task-manager`);
+  assert.equal(getProperty(rent, 'DTSTART').value, '20261101');
+  assert.equal(getProperty(rent, 'DTEND').value, '20261102');
+  assert.equal(getProperty(rent, 'PRIORITY').value, '1');
+  assert.equal(getProperty(rent, 'DESCRIPTION').value, 'Line one\\nthen\\; two');
+  assert.equal(getProperty(rent, 'CATEGORIES').value, 'errands\\, etc');
+  assert.equal(getProperty(taxes, 'SUMMARY').value, '✓ File taxes');
+});
+
+test('the feed can list to-dos instead', async () => {
+  const { body } = await feed('secret', { type: 'todo' });
+  const [rent, taxes] = parseCalendar(body).components;
+
+  assert.equal(rent.name, 'VTODO');
+  assert.equal(getProperty(rent, 'DUE').value, '20261101');
+  assert.equal(getProperty(rent, 'STATUS').value, 'NEEDS-ACTION');
+  assert.equal(getProperty(taxes, 'SUMMARY').value, 'File taxes');
+  assert.equal(getProperty(taxes, 'STATUS').value, 'COMPLETED');
+  assert.equal(getProperty(taxes, 'COMPLETED').value, '20261018T080000Z');
+});
+
+test('unknown tokens and feed types are refused', async () => {
+  const missing = await feed('guess');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.message, 'Calendar not found');
+
+  const wrongType = await feed('secret', { type: 'journal' });
+  assert.equal(wrongType.status, 400);
+  assert.equal(wrongType.body.message, 'Type must be event or todo');
+});
+
+test('a feed imports back as the same tasks', () => {
+  const calendar = parseCalendar(buildFeed({ name: 'Sam', tasks, tags: [errands], now }));
+  const { rows, skipped } = calendarRows(calendar, Workflow.DEFAULT_STATUSES);
+
+  assert.equal(skipped, 0);
+  assert.deepEqual(rows, [
+    ['title', 'description', 'status', 'priority', 'dueDate', 'tags'],
+    ['Pay rent', 'Line one\nthen; two', '', 'high', '2026-11-01', 'errands, etc'],
+    ['File taxes', '', 'completed', 'medium', '2026-10-31', '']
+  ]);
+});
+
+test('imports to-dos by status and skips cancelled entries and changed occurrences', () => {
+  const calendar = parseCalendar([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VTODO', 'SUMMARY:Sweep', 'STATUS:IN-PROCESS', 'PRIORITY:7', 'DUE:20261020T230000Z', 'CATEGORIES:home,chores', 'CATEGORIES:home', 'END:VTODO',
+    'BEGIN:VTODO', 'SUMMARY:Mop', 'DTSTART;VALUE=DATE:20261021', 'END:VTODO',
+    'BEGIN:VEVENT', 'SUMMARY:Party', 'DTSTART:2026-10-22', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Gone', 'STATUS:CANCELLED', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Moved', 'RECURRENCE-ID:20261023', 'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n'));
+
+  const { rows, skipped } = calendarRows(calendar, Workflow.DEFAULT_STATUSES);
+
+  assert.equal(skipped, 2);
+  assert.deepEqual(rows.slice(1), [
+    ['Sweep', '', 'in-progress', 'low', '2026-10-20', 'home, chores'],
+    ['Mop', '', '', '', '2026-10-21', ''],
+    // Passed on as written, so the import reports the bad date
+    ['Party', '', '', '', 'DTSTART:2026-10-22', '']
+  ]);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Task = require('../models/Task');
+const { addComment, updateComment, deleteComment } = require('../controllers/commentController');
+
+const userId = new mongoose.Types.ObjectId();
+
+// No database: one task with one comment, which the test can move to the trash
+let task = null;
+let comment = null;
+let deleted = false;
+Task.findOne = async ({ deletedAt }) => (deletedAt === null && task.deletedAt ? null : task);
+Comment.findOne = async () => comment;
+Comment.create = async (data) => new Comment(data);
+Comment.prototype.save = async function() {
+  await this.validate();
+  return this;
+};
+Comment.prototype.deleteOne = async function() {
+  deleted = true;
+};
+Comment.prototype.populate = async function() {
+  return this;
+};
+
+// Call a handler like Express would, returning the status and JSON body
+const call = (handler, body) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json(data) {
+      resolve({ status: this.code, body: data });
+    }
+  };
+  handler({
+    params: { id: String(task._id), commentId: String(comment._id) },
+    user: { id: String(userId) },
+    body
+  }, res);
+});
+
+test.beforeEach(() => {
+  task = new Task({ user: userId, title: 'Buy milk', status: 'todo' });
+  comment = new Comment({ task: task._id, user: userId, body: 'Semi-skimmed' });
+  deleted = false;
+});
+
+test('the author can edit and delete a comment', async () => {
+  const edited = await call(updateComment, { body: 'Whole milk' });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.data.body, 'Whole milk');
+  assert.ok(edited.body.data.editedAt);
+
+  const removed = await call(deleteComment);
+  assert.equal(removed.status, 200);
+  assert.equal(deleted, true);
+});
+
+test('comments on a trashed task cannot be added, edited or deleted', async () => {
+  task.deletedAt = new Date();
+
+  for (const handler of [addComment, updateComment, deleteComment]) {
+    const { status, body } = await call(handler, { body: 'Oat milk' });
+
+    assert.equal(status, 404, handler.name);
+    assert.equal(body.message, 'Task not found');
+  }
+  assert.equal(comment.body, 'Semi-skimmed');
+  assert.equal(deleted, false);
+});
+
+test('comments on another user\'s task cannot be edited or deleted', async () => {
+  task.user = new mongoose.Types.ObjectId();
+
+  for (const handler of [updateComment, deleteComment]) {
+    const { status } = await call(handler, { body: 'Oat milk' });
+
+    assert.equal(status, 403, handler.name);
+  }
+  assert.equal(deleted, false);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CustomFieldError, validateCustomFields, buildCustomFieldFilters } = require('../utils/customFields');
+
+const definitions = [
+  { key: 'notes', name: 'Notes', type: 'text' },
+  { key: 'points', name: 'Points', type: 'number', required: true },
+  { key: 'launch', name: 'Launch', type: 'date' },
+  { key: 'size', name: 'Size', type: 'select', options: ['S', 'M', 'L'] },
+  { key: 'billable', name: 'Billable', type: 'checkbox' },
+  { key: 'link', name: 'Link', type: 'url' }
+];
+
+const rejects = (input, message, options) => {
+  assert.throws(() => validateCustomFields(definitions, input, options), error => {
+    assert.ok(error instanceof CustomFieldError);
+    assert.equal(error.message, message);
+    return true;
+  });
+};
+
+test('stores values in their native types', () => {
+  const { set, unset } = validateCustomFields(definitions, {
+    notes: '  call first ',
+    points: '3',
+    launch: '2026-11-01',
+    size: 'M',
+    billable: 'true',
+    link: 'https://example.com/spec'
+  });
+
+  assert.deepEqual(set, {
+    notes: 'call first',
+    points: 3,
+    launch: new Date('2026-11-01T00:00:00Z'),
+    size: 'M',
+    billable: true,
+    link: 'https://example.com/spec'
+  });
+  assert.deepEqual(unset, []);
+});
+
+test('rejects values that do not fit the field', () => {
+  rejects({ points: 'many' }, 'Invalid number value for "Points"');
+  rejects({ launch: 'soon' }, 'Invalid date value for "Launch"');
+  rejects({ size: 'XL' }, '"Size" must be one of: S, M, L');
+  rejects({ billable: 'yes' }, 'Invalid checkbox value for "Billable"');
+  rejects({ link: 'javascript:alert(1)' }, 'Invalid url value for "Link"');
+  rejects({ notes: 'x'.repeat(501) }, '"Notes" cannot exceed 500 characters');
+  rejects({ colour: 'red' }, 'Unknown custom field "colour"');
+  rejects(['points'], 'Custom fields must map field keys to values');
+});
+
+test('required fields need a value on creation and cannot be cleared', () => {
+  rejects({ notes: 'hi' }, '"Points" is required', { creating: true });
+  rejects({ points: '' }, '"Points" is required');
+
+  assert.deepEqual(validateCustomFields(definitions, { notes: null, points: 1 }), { set: { points: 1 }, unset: ['notes'] });
+});
+
+test('builds filters for each field type', () => {
+  assert.deepEqual(buildCustomFieldFilters(definitions, {
+    points: '>=5',
+    launch: '<2026-11-01',
+    size: 'S,M',
+    billable: 'false',
+    notes: 'a.b',
+    link: 'none'
+  }), [
+    { 'customFields.points': { $gte: 5 } },
+    { 'customFields.launch': { $lt: new Date('2026-11-01T00:00:00Z') } },
+    { 'customFields.size': { $in: ['S', 'M'] } },
+    { 'customFields.billable': { $ne: true } },
+    { 'customFields.notes': { $regex: 'a\\.b', $options: 'i' } },
+    { 'customFields.link': null }
+  ]);
+
+  assert.throws(() => buildCustomFieldFilters(definitions, { launch: 'next week' }), CustomFieldError);
+  assert.throws(() => buildCustomFieldFilters(definitions, 'points=5'), CustomFieldError);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { tasksBelongToUser, wouldCreateCycle } = require('../utils/dependencies');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Blocked-by lists by task ID, standing in for the tasks collection
+let graph = new Map();
+Task.find = ({ _id }) => ({
+  select: async () => _id.$in
+    .filter(id => graph.has(id))
+    .map(id => ({ _id: id, blockedBy: graph.get(id) }))
+});
+
+const ids = (count) => Array.from({ length: count }, () => new mongoose.Types.ObjectId().toString());
+
+// tasks[i] is blocked by tasks[i + 1]
+const chain = (tasks) => new Map(tasks.map((id, index) => [id, tasks.slice(index + 1, index + 2)]));
+
+test('a task cannot block itself', async () => {
+  const [task] = ids(1);
+  graph = new Map([[task, []]]);
+
+  assert.equal(await wouldCreateCycle(userId, task, task), true);
+});
+
+test('finds a loop closed through other tasks', async () => {
+  const tasks = ids(3);
+  graph = chain(tasks);
+
+  assert.equal(await wouldCreateCycle(userId, tasks[2], tasks[0]), true);
+  assert.equal(await wouldCreateCycle(userId, tasks[0], tasks[2]), false);
+});
+
+test('finds loops however long the path closing them is', async () => {
+  const tasks = ids(120);
+  graph = chain(tasks);
+
+  assert.equal(await wouldCreateCycle(userId, tasks[119], tasks[0]), true);
+});
+
+test('stops on loops already in the graph', async () => {
+  const [a, b, c] = ids(3);
+  graph = new Map([[a, [b]], [b, [a]], [c, []]]);
+
+  assert.equal(await wouldCreateCycle(userId, c, a), false);
+});
+
+test('blockers must be valid IDs of the user\'s tasks', async () => {
+  Task.countDocuments = async ({ _id }) => _id.$in.length - 1;
+
+  assert.equal(await tasksBelongToUser(userId, []), true);
+  assert.equal(await tasksBelongToUser(userId, ['nope']), false);
+  assert.equal(await tasksBelongToUser(userId, ids(2)), false);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'stream';
+
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { getTransport } = require('../mail');
+const { getNextRun, sendDueDateEmails } = require('../utils/dueDateEmails');
+const { createUnsubscribeToken, verifyUnsubscribeToken } = require('../utils/unsubscribe');
+
+// No database: one user, whose emails were sent on `sentOn`, with overdue
+// and upcoming tasks
+let user = null;
+let sentOn = null;
+User.find = async () => (sentOn === '2026-10-18' ? [] : [user]);
+User.updateOne = async (filter, { dueDateEmailsSentOn }) => {
+  const modifiedCount = sentOn === dueDateEmailsSentOn ? 0 : 1;
+  sentOn = dueDateEmailsSentOn;
+  return { modifiedCount };
+};
+const tasks = {
+  overdue: [{ title: 'Pay <rent>', dueDate: new Date('2026-10-10T00:00:00Z'), priority: 'high' }],
+  upcoming: [{ title: 'Dentist', dueDate: new Date('2026-10-19T00:00:00Z'), priority: 'medium' }]
+};
+const tasksFor = ({ dueDate }) => (dueDate.$gte ? tasks.upcoming : tasks.overdue);
+Task.find = (query) => ({ sort: () => ({ limit: async () => tasksFor(query) }) });
+Task.countDocuments = async (query) => tasksFor(query).length + 30;
+
+// Messages handed to the stream transport
+let messages = [];
+const transport = getTransport();
+const sendMail = transport.sendMail.bind(transport);
+transport.sendMail = (message) => {
+  messages.push(message);
+  return sendMail(message);
+};
+
+const now = new Date('2026-10-18T08:00:00Z');
+
+test.beforeEach(() => {
+  messages = [];
+  sentOn = null;
+  user = new User({ name: 'Sam', email: 'sam@example.com', password: 'secret123' });
+  delete process.env.DUE_DATE_EMAIL_HOUR;
+});
+
+test('emails go out daily at the configured hour', () => {
+  assert.equal(getNextRun(new Date('2026-10-18T07:59:00Z')).toISOString(), '2026-10-18T08:00:00.000Z');
+  assert.equal(getNextRun(now).toISOString(), '2026-10-19T08:00:00.000Z');
+
+  process.env.DUE_DATE_EMAIL_HOUR = '17';
+  assert.equal(getNextRun(now).toISOString(), '2026-10-18T17:00:00.000Z');
+});
+
+test('sends each email type once a day', async () => {
+  assert.equal(await sendDueDateEmails(now), 2);
+  assert.deepEqual(messages.map(message => message.subject), ['You have 31 overdue tasks', '31 tasks due soon']);
+
+  const [overdue] = messages;
+  assert.equal(overdue.to, 'sam@example.com');
+  assert.match(overdue.html, /Pay &lt;rent&gt;/);
+  assert.match(overdue.text, /\.\.\.and 30 more/);
+  assert.match(overdue.headers['List-Unsubscribe'], /\/unsubscribe\?token=/);
+
+  assert.equal(await sendDueDateEmails(now), 0);
+  assert.equal(messages.length, 2);
+});
+
+test('skips the types the user turned off', async () => {
+  user.emailPreferences.upcoming = false;
+
+  assert.equal(await sendDueDateEmails(now), 1);
+  assert.deepEqual(messages.map(message => message.subject), ['You have 31 overdue tasks']);
+});
+
+test('unsubscribe tokens cannot be forged or pointed elsewhere', () => {
+  const userId = String(new mongoose.Types.ObjectId());
+  const token = createUnsubscribeToken(userId, 'overdue');
+
+  assert.deepEqual(verifyUnsubscribeToken(token), { userId, type: 'overdue' });
+
+  const [, signature] = token.split('.');
+  const otherPayload = Buffer.from(`${userId}:upcoming`).toString('base64url');
+  assert.equal(verifyUnsubscribeToken(`${otherPayload}.${signature}`), null);
+  assert.equal(verifyUnsubscribeToken(createUnsubscribeToken(userId, 'everything')), null);
+  assert.equal(verifyUnsubscribeToken('garbage'), null);
+  assert.equal(verifyUnsubscribeToken(undefined), null);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { decodeCursor, findPage } = require('../utils/pagination');
+
+// Orders two values of a field: numbers by size, IDs by their hex string
+const compare = (a, b) => (typeof a === 'number' ? a - b : String(a).localeCompare(String(b)));
+
+// Just enough of a query filter for keyset pages: equality, $gt, $lt, $and
+// and $or
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  const value = doc.get(key);
+  if (condition && condition.$gt !== undefined) return compare(value, condition.$gt) > 0;
+  if (condition && condition.$lt !== undefined) return compare(value, condition.$lt) < 0;
+  return compare(value, condition) === 0;
+});
+
+// A model over documents in memory, sorted and limited like a query
+const inMemoryModel = (docs) => ({
+  find: (filter) => {
+    let sort = {};
+    let limit = Infinity;
+    const query = {
+      sort: (spec) => { sort = spec; return query; },
+      limit: (count) => { limit = count; return query; },
+      then: (resolve, reject) => Promise.resolve(docs
+        .filter(doc => matches(doc, filter))
+        .sort((a, b) => Object.entries(sort).reduce(
+          (order, [field, direction]) => order || compare(a.get(field), b.get(field)) * direction,
+          0
+        ))
+        .slice(0, limit)).then(resolve, reject)
+    };
+    return query;
+  },
+  countDocuments: async (filter) => docs.filter(doc => matches(doc, filter)).length
+});
+
+const userId = new mongoose.Types.ObjectId();
+const tasks = ['low', 'high', 'medium', 'high', 'low', 'medium', 'high'].map((priority, index) => new Task({
+  user: userId,
+  title: `Task ${index + 1}`,
+  status: 'pending',
+  priority
+}));
+
+test.before(async () => {
+  for (const task of tasks) await task.validate();
+});
+
+test('tasks carry the rank of their priority', () => {
+  assert.deepEqual(tasks.map(task => task.priorityRank), [1, 3, 2, 3, 1, 2, 3]);
+});
+
+test('pages of the priority sort go high, medium, low without gaps or repeats', async () => {
+  const Model = inMemoryModel(tasks);
+
+  const seen = [];
+  let after = null;
+  do {
+    const page = await findPage(Model, { user: userId }, { sort: 'priority', limit: 2, after });
+    seen.push(...page.data);
+    after = page.nextCursor && decodeCursor('priority', page.nextCursor);
+  } while (after);
+
+  assert.deepEqual(seen.map(task => task.priority), ['high', 'high', 'high', 'medium', 'medium', 'low', 'low']);
+  assert.equal(new Set(seen.map(task => task.id)).size, tasks.length);
+});
+
+test('paging back returns the tasks paged forward from', async () => {
+  const Model = inMemoryModel(tasks);
+
+  const first = await findPage(Model, {}, { sort: 'priority', limit: 3 });
+  const second = await findPage(Model, {}, { sort: 'priority', limit: 3, after: decodeCursor('priority', first.nextCursor) });
+  const back = await findPage(Model, {}, { sort: 'priority', limit: 3, before: decodeCursor('priority', second.prevCursor) });
+
+  assert.deepEqual(second.data.map(task => task.priority), ['medium', 'medium', 'low']);
+  assert.deepEqual(back.data.map(task => task.id), first.data.map(task => task.id));
+});
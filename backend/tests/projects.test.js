@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const SavedView = require('../models/SavedView');
+const { deleteProject } = require('../controllers/projectController');
+const { buildTaskQuery } = require('../utils/taskQuery');
+
+const userId = new mongoose.Types.ObjectId();
+
+// No database: the user's projects, and the updates made when one goes
+let projects = new Map();
+let updates = [];
+let deleted = [];
+Project.findById = async (id) => projects.get(String(id)) || null;
+Project.exists = async ({ _id, user }) => {
+  const project = projects.get(String(_id));
+  return project && project.user.equals(user) ? { _id } : null;
+};
+Project.archivedIds = async (user) => [...projects.values()]
+  .filter(project => project.user.equals(user) && project.archived)
+  .map(project => project._id);
+Project.prototype.deleteOne = async function() {
+  deleted.push(this.name);
+};
+Task.updateMany = async (filter, update) => {
+  updates.push(['Task', filter, update]);
+};
+SavedView.updateMany = async (filter, update) => {
+  updates.push(['SavedView', filter, update]);
+};
+
+const addProject = (name, fields = {}) => {
+  const project = new Project({ user: userId, name, ...fields });
+  projects.set(String(project._id), project);
+  return project;
+};
+
+// Call a handler like Express would, returning the status and JSON body
+const call = (handler, params) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json(data) {
+      resolve({ status: this.code, body: data });
+    }
+  };
+  handler({ params, user: { id: String(userId) }, body: {} }, res);
+});
+
+test.beforeEach(() => {
+  projects = new Map();
+  updates = [];
+  deleted = [];
+});
+
+test('tasks can only go into the user\'s own projects', async () => {
+  const mine = addProject('Garden');
+  const theirs = addProject('Office', { user: new mongoose.Types.ObjectId() });
+
+  assert.equal(await Project.belongsToUser(userId, null), true);
+  assert.equal(await Project.belongsToUser(userId, String(mine._id)), true);
+  assert.equal(await Project.belongsToUser(userId, String(theirs._id)), false);
+  assert.equal(await Project.belongsToUser(userId, 'not-an-id'), false);
+});
+
+test('the task list hides archived projects unless asked for', async () => {
+  addProject('Garden');
+  const archived = addProject('Old house', { archived: true });
+
+  assert.deepEqual((await buildTaskQuery(userId, {})).query.project, { $nin: [archived._id] });
+  assert.equal((await buildTaskQuery(userId, { includeArchived: 'true' })).query.project, undefined);
+  assert.equal((await buildTaskQuery(userId, { project: String(archived._id) })).query.project, String(archived._id));
+  assert.equal((await buildTaskQuery(userId, { project: 'none' })).query.project, null);
+});
+
+test('deleting a project keeps its tasks and points its views at all projects', async () => {
+  const project = addProject('Garden');
+
+  const { status } = await call(deleteProject, { id: String(project._id) });
+
+  assert.equal(status, 200);
+  assert.deepEqual(updates, [
+    ['Task', { user: String(userId), project: project._id }, { $unset: { project: '' } }],
+    ['SavedView', { user: String(userId), 'filters.project': String(project._id) }, { 'filters.project': 'all' }]
+  ]);
+  assert.deepEqual(deleted, ['Garden']);
+});
+
+test('another user\'s project cannot be deleted', async () => {
+  const project = addProject('Office', { user: new mongoose.Types.ObjectId() });
+
+  const { status } = await call(deleteProject, { id: String(project._id) });
+
+  assert.equal(status, 403);
+  assert.deepEqual(updates, []);
+  assert.deepEqual(deleted, []);
+});
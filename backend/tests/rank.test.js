@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { rankBetween, ranksAfter } = require('../utils/rank');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Ranks by task ID, standing in for the tasks collection
+let ranks = new Map();
+const sorted = () => [...ranks].sort(([, a], [, b]) => (a < b ? -1 : 1));
+Task.findOne = () => ({
+  sort: () => ({
+    select: async () => {
+      let first = null;
+      for (const [_id, rank] of ranks) if (!first || rank < first.rank) first = { _id, rank };
+      return first;
+    }
+  })
+});
+Task.find = () => ({
+  sort: () => ({ select: async () => sorted().map(([_id]) => ({ _id })) })
+});
+Task.bulkWrite = async (operations) => {
+  for (const { updateOne } of operations) {
+    ranks.set(updateOne.filter._id, updateOne.update.$set.rank);
+  }
+};
+
+const insertAtTop = async (count) => {
+  for (let i = 0; i < count; i++) {
+    ranks.set(`task${ranks.size}`, await Task.topRank(userId));
+  }
+};
+
+test('keys between two others sort between them', () => {
+  const keys = ['1', '1V', 'U', 'V', 'V0V', 'zz'];
+  for (let i = 0; i < keys.length - 1; i++) {
+    const rank = rankBetween(keys[i], keys[i + 1]);
+    assert.ok(keys[i] < rank && rank < keys[i + 1], `${rank} between ${keys[i]} and ${keys[i + 1]}`);
+    assert.notEqual(rank.at(-1), '0');
+  }
+});
+
+test('keys at the ends grow a place every 61 inserts', () => {
+  let top = rankBetween(null, null);
+  let bottom = top;
+  for (let i = 0; i < 5000; i++) {
+    const nextTop = rankBetween(null, top);
+    const nextBottom = rankBetween(bottom, null);
+    assert.ok(nextTop < top && nextBottom > bottom);
+    assert.notEqual(nextTop.at(-1), '0');
+    top = nextTop;
+    bottom = nextBottom;
+  }
+
+  assert.ok(top.length <= Math.ceil(5000 / 61) + 1, `top key has ${top.length} places`);
+  assert.ok(bottom.length <= Math.ceil(5000 / 61) + 1, `bottom key has ${bottom.length} places`);
+});
+
+test('evenly spaced keys keep their order', () => {
+  const keys = ranksAfter('V', 5000);
+  assert.ok(keys[0] > 'V');
+  for (let i = 0; i < keys.length - 1; i++) assert.ok(keys[i] < keys[i + 1]);
+});
+
+test('new tasks at the top respace the order instead of growing keys', async () => {
+  ranks = new Map();
+  await insertAtTop(5000);
+
+  const order = sorted().map(([id]) => id);
+  assert.deepEqual(order, Array.from({ length: 5000 }, (_, index) => `task${4999 - index}`));
+  for (const rank of ranks.values()) assert.ok(rank.length <= Task.MAX_RANK_LENGTH);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Workflow = require('../models/Workflow');
+const { getNextOccurrence } = require('../utils/recurrence');
+
+const userId = new mongoose.Types.ObjectId();
+
+// No database: whether the slot for the next occurrence is still free
+let claimed = false;
+Workflow.forUser = async () => new Workflow({ user: userId, statuses: Workflow.DEFAULT_STATUSES });
+Task.updateOne = async () => {
+  const modifiedCount = claimed ? 0 : 1;
+  claimed = true;
+  return { modifiedCount };
+};
+Task.create = async (data) => new Task(data);
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+const next = (rule, from) => {
+  const date = getNextOccurrence(rule, day(from));
+  return date && date.toISOString().slice(0, 10);
+};
+
+// 2026-10-01 is a Thursday
+
+test('daily rules step by the interval', () => {
+  assert.equal(next({ freq: 'daily' }, '2026-10-01'), '2026-10-02');
+  assert.equal(next({ freq: 'daily', interval: 2 }, '2026-10-01'), '2026-10-03');
+});
+
+test('weekly rules move to the next listed weekday', () => {
+  const rule = { freq: 'weekly', byDay: ['MO', 'TH'] };
+
+  assert.equal(next(rule, '2026-10-01'), '2026-10-05');
+  assert.equal(next(rule, '2026-10-05'), '2026-10-08');
+  assert.equal(next({ freq: 'weekly' }, '2026-10-01'), '2026-10-08');
+});
+
+test('weekly rules skip the weeks in between', () => {
+  assert.equal(next({ freq: 'weekly', interval: 2, byDay: ['MO'] }, '2026-10-01'), '2026-10-12');
+});
+
+test('a monthly day clamps to the end of short months', () => {
+  const rule = { freq: 'monthly', byMonthDay: 31 };
+
+  assert.equal(next(rule, '2026-01-31'), '2026-02-28');
+  assert.equal(next(rule, '2026-02-28'), '2026-03-31');
+});
+
+test('monthly rules can pick the nth or last weekday', () => {
+  assert.equal(next({ freq: 'monthly', byDay: ['FR'], bySetPos: -1 }, '2026-10-01'), '2026-10-30');
+  assert.equal(next({ freq: 'monthly', byDay: ['TU'], bySetPos: 2 }, '2026-10-30'), '2026-11-10');
+});
+
+test('a series ends after its count or until date', () => {
+  assert.equal(next({ freq: 'daily', count: 3, occurrence: 2 }, '2026-10-01'), '2026-10-02');
+  assert.equal(next({ freq: 'daily', count: 3, occurrence: 3 }, '2026-10-01'), null);
+  assert.equal(next({ freq: 'daily', until: day('2026-10-01') }, '2026-10-01'), null);
+  assert.equal(next(null, '2026-10-01'), null);
+});
+
+test('completing a recurring task spawns the next occurrence once', async () => {
+  const task = new Task({
+    user: userId,
+    title: 'Water plants',
+    status: 'completed',
+    dueDate: day('2026-10-01'),
+    subtasks: [{ title: 'Balcony', done: true }],
+    reminders: [{ before: 60 }, { at: new Date('2026-10-01T08:00:00Z') }],
+    recurrence: { freq: 'weekly', byDay: ['TH'], count: 5 }
+  });
+
+  const spawned = await task.createNextOccurrence();
+  assert.equal(spawned.dueDate.toISOString().slice(0, 10), '2026-10-08');
+  assert.equal(spawned.recurrence.occurrence, 2);
+  assert.equal(spawned.subtasks[0].done, false);
+  assert.deepEqual(spawned.reminders.map(reminder => reminder.before), [60]);
+  assert.equal(String(task.nextOccurrence), String(spawned._id));
+
+  assert.equal(await task.createNextOccurrence(), null);
+});
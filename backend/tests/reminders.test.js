@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Job = require('../models/Job');
+const Notification = require('../models/Notification');
+const { getReminderTime, syncReminderJobs } = require('../utils/reminders');
+const { defineJob, runDueJobs } = require('../utils/scheduler');
+
+const userId = new mongoose.Types.ObjectId();
+const HOUR_MS = 60 * 60 * 1000;
+
+// No database: the jobs collection, the task the reminders belong to and the
+// notifications sent
+let jobs = [];
+let task = null;
+let notifications = [];
+Job.findOneAndUpdate = async (filter, update) => {
+  if (filter.key) {
+    let job = jobs.find(candidate => candidate.key === filter.key);
+    if (!job) {
+      job = { _id: new mongoose.Types.ObjectId(), key: filter.key };
+      jobs.push(job);
+    }
+    return Object.assign(job, update.$set);
+  }
+  const due = jobs
+    .filter(job => job.status === 'pending' && job.runAt <= new Date())
+    .sort((a, b) => a.runAt - b.runAt)[0];
+  if (!due) return null;
+  Object.assign(due, update.$set, { attempts: due.attempts + 1 });
+  return { ...due };
+};
+Job.updateOne = async ({ _id }, update) => {
+  Object.assign(jobs.find(job => job._id.equals(_id)), update.$set);
+};
+Job.deleteMany = async ({ key }) => {
+  const pattern = new RegExp(key.$regex);
+  const before = jobs.length;
+  jobs = jobs.filter(job => job.status !== 'pending' || !pattern.test(job.key) || key.$nin.includes(job.key));
+  return { deletedCount: before - jobs.length };
+};
+Task.findOne = async () => task;
+Notification.create = async (data) => {
+  if (notifications.some(notification => notification.key === data.key)) {
+    throw Object.assign(new Error('Duplicate key'), { code: 11000 });
+  }
+  notifications.push(data);
+};
+
+const inHours = (hours) => new Date(Date.now() + hours * HOUR_MS);
+
+test.beforeEach(() => {
+  jobs = [];
+  notifications = [];
+  task = new Task({
+    user: userId,
+    title: 'Dentist',
+    status: 'pending',
+    statusCategory: 'todo',
+    dueDate: new Date('2099-01-02T00:00:00Z'),
+    reminders: [{ before: 60 }, { at: inHours(-1) }]
+  });
+});
+
+test('reminders count back from the due date or sit at a fixed time', () => {
+  const at = new Date('2026-10-20T08:00:00Z');
+
+  assert.equal(getReminderTime({ before: 90 }, new Date('2026-10-20T00:00:00Z')).toISOString(), '2026-10-19T22:30:00.000Z');
+  assert.equal(getReminderTime({ at }, null).getTime(), at.getTime());
+  assert.equal(getReminderTime({ before: 90 }, null), null);
+});
+
+test('only upcoming reminders of open tasks get a job', async () => {
+  await syncReminderJobs(task);
+  assert.deepEqual(jobs.map(job => job.runAt.toISOString()), ['2099-01-01T23:00:00.000Z']);
+
+  task.statusCategory = 'done';
+  await syncReminderJobs(task);
+  assert.deepEqual(jobs, []);
+});
+
+test('a due reminder notifies once, and not after it was moved', async () => {
+  task.reminders = [{ at: inHours(-1) }];
+  const [reminder] = task.reminders;
+  jobs = [{
+    _id: new mongoose.Types.ObjectId(),
+    name: 'task-reminder',
+    status: 'pending',
+    attempts: 0,
+    runAt: reminder.at,
+    data: { task: task._id, reminder: reminder._id, remindAt: reminder.at }
+  }];
+
+  assert.equal(await runDueJobs(), 1);
+  assert.equal(jobs[0].status, 'done');
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].title, 'Dentist');
+
+  // Run again, as after a crash: the notification key stops a second one
+  jobs[0].status = 'pending';
+  await runDueJobs();
+  assert.equal(notifications.length, 1);
+
+  // Moved since the job was queued
+  reminder.at = inHours(-2);
+  notifications = [];
+  jobs[0].status = 'pending';
+  await runDueJobs();
+  assert.deepEqual(notifications, []);
+});
+
+test('a failing job is retried later, then given up on', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  defineJob('flaky', async () => {
+    throw new Error('Mail server down');
+  });
+  jobs = [{ _id: new mongoose.Types.ObjectId(), name: 'flaky', status: 'pending', attempts: 0, runAt: inHours(-1) }];
+
+  await runDueJobs();
+  assert.equal(jobs[0].status, 'pending');
+  assert.equal(jobs[0].lastError, 'Mail server down');
+  assert.ok(jobs[0].runAt > new Date());
+
+  for (let attempt = 2; attempt <= 3; attempt++) {
+    jobs[0].runAt = inHours(-1);
+    await runDueJobs();
+  }
+  assert.equal(jobs[0].status, 'failed');
+  assert.equal(jobs[0].attempts, 3);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SavedView = require('../models/SavedView');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const { createView, updateView } = require('../controllers/viewController');
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+
+// No database: the stored views as plain objects, and which tags and
+// projects the user owns
+let views = [];
+const ownTags = [new mongoose.Types.ObjectId()].map(String);
+const ownProjects = [new mongoose.Types.ObjectId()].map(String);
+SavedView.findOne = ({ name, _id }) => ({
+  collation: async () => views.find(view => view.name.toLowerCase() === name.toLowerCase() &&
+    !(_id && view._id.equals(_id.$ne))) || null
+});
+SavedView.findById = async (id) => {
+  const view = views.find(stored => stored._id.equals(id));
+  return view ? SavedView.hydrate(view) : null;
+};
+SavedView.updateMany = async ({ user }, update) => {
+  views.filter(view => view.user.equals(user)).forEach(view => Object.assign(view, update));
+};
+SavedView.prototype.save = async function() {
+  const index = views.findIndex(view => view._id.equals(this._id));
+  views.splice(index === -1 ? views.length : index, 1, this.toObject());
+  return this;
+};
+Tag.belongToUser = async (user, tags = []) => tags.every(tag => ownTags.includes(String(tag)));
+Project.belongsToUser = async (user, project) => !project || ownProjects.includes(String(project));
+
+// Call a handler like Express would, returning the status and JSON body
+const call = (handler, body, params = {}) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json(data) {
+      resolve({ status: this.code, body: data });
+    }
+  };
+  handler({ params, user: { id: String(userId) }, body }, res);
+});
+
+test.beforeEach(() => {
+  views = [];
+});
+
+test('saves the filter bar under a unique name', async () => {
+  const filters = { search: 'milk', priority: 'high', tags: ownTags, project: ownProjects[0], sort: 'priority' };
+  const { status, body } = await call(createView, { name: 'Shopping', filters });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.filters.search, 'milk');
+  assert.equal(body.data.filters.tagMatch, 'any');
+
+  const duplicate = await call(createView, { name: 'shopping' });
+  assert.equal(duplicate.status, 400);
+  assert.equal(duplicate.body.message, 'A view with this name already exists');
+});
+
+test('rejects filters the task list would not take', async () => {
+  for (const [filters, message] of [
+    [{ tags: [String(new mongoose.Types.ObjectId())] }, 'One or more tags do not exist'],
+    [{ project: String(new mongoose.Types.ObjectId()) }, 'Project does not exist'],
+    [{ priority: 'urgent' }, '`urgent` is not a valid enum value for path `priority`.'],
+    [{ sort: 'colour' }, 'Invalid sort']
+  ]) {
+    const { status, body } = await call(createView, { name: 'View', filters });
+
+    assert.equal(status, 400, message);
+    assert.equal(body.message, message);
+  }
+  assert.deepEqual(views, []);
+});
+
+test('only one view is the default', async () => {
+  const first = (await call(createView, { name: 'Today', isDefault: true })).body.data;
+  await call(createView, { name: 'Work', isDefault: true });
+  assert.deepEqual(views.map(view => view.isDefault), [false, true]);
+
+  await call(updateView, { isDefault: true }, { id: String(first._id) });
+  assert.deepEqual(views.map(view => view.isDefault), [true, false]);
+});
+
+test('another user\'s view cannot be changed', async () => {
+  const view = new SavedView({ user: otherUserId, name: 'Theirs' }).toObject();
+  views.push(view);
+
+  const { status } = await call(updateView, { name: 'Mine now' }, { id: String(view._id) });
+
+  assert.equal(status, 403);
+  assert.equal(views[0].name, 'Theirs');
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Workflow = require('../models/Workflow');
+const { SearchSyntaxError, parseSearchQuery, buildSearchConditions } = require('../utils/searchQuery');
+
+const userId = new mongoose.Types.ObjectId();
+const foodShop = new Tag({ user: userId, name: 'Food shop' });
+
+// No database: the default workflow and one tag
+Workflow.forUser = async () => new Workflow({ user: userId, statuses: Workflow.DEFAULT_STATUSES });
+Tag.find = () => ({
+  collation: () => ({ select: async () => [foodShop] })
+});
+Project.find = () => ({
+  collation: () => ({ select: async () => [] })
+});
+
+const syntaxError = (input) => {
+  try {
+    parseSearchQuery(input);
+  } catch (error) {
+    assert.ok(error instanceof SearchSyntaxError);
+    return { message: error.message, position: error.position };
+  }
+  assert.fail(`"${input}" parsed`);
+};
+
+test('splits a query into text terms and field filters', () => {
+  const { terms, filters } = parseSearchQuery('milk "oat milk" -cow priority:High,low -due:<=2026-11-01');
+
+  assert.deepEqual(terms.map(({ value, phrase, negated }) => ({ value, phrase, negated })), [
+    { value: 'milk', phrase: false, negated: false },
+    { value: 'oat milk', phrase: true, negated: false },
+    { value: 'cow', phrase: false, negated: true }
+  ]);
+  assert.deepEqual(filters[0], { field: 'priority', negated: false, position: 21, op: '=', values: ['high', 'low'] });
+  assert.equal(filters[1].negated, true);
+  assert.equal(filters[1].op, '<=');
+  assert.equal(filters[1].values[0].toISOString(), '2026-11-01T00:00:00.000Z');
+});
+
+test('reports where a query goes wrong', () => {
+  assert.deepEqual(syntaxError('milk "oat'), { message: 'Unterminated quote', position: 5 });
+  assert.deepEqual(syntaxError('owner:me'), { message: 'Unknown field "owner"', position: 0 });
+  assert.deepEqual(syntaxError('priority:urgent'), {
+    message: 'Unknown priority "urgent", expected one of: low, medium, high',
+    position: 9
+  });
+  assert.deepEqual(syntaxError('due:2026-02-30'), { message: 'Invalid date "2026-02-30", use YYYY-MM-DD', position: 4 });
+  assert.deepEqual(syntaxError('-cow'), {
+    message: 'Add at least one word to search for alongside excluded words',
+    position: 0
+  });
+});
+
+test('builds Mongo conditions and the text search string', async () => {
+  const parsed = parseSearchQuery('"oat milk" -cow status:!completed due:none tag:"food shop" project:none');
+  const { conditions, text } = await buildSearchConditions(parsed, userId);
+
+  assert.equal(text, '"oat milk" -cow');
+  assert.deepEqual(conditions, [
+    { $nor: [{ status: { $in: ['completed'] } }] },
+    { dueDate: null },
+    { tags: { $in: [foodShop._id] } },
+    { project: { $in: [null] } }
+  ]);
+});
+
+test('date filters cover whole days', async () => {
+  const { conditions } = await buildSearchConditions(parseSearchQuery('due:2026-11-01 created:>2026-10-01'), userId);
+
+  assert.deepEqual(conditions, [
+    { dueDate: { $gte: new Date('2026-11-01T00:00:00Z'), $lt: new Date('2026-11-02T00:00:00Z') } },
+    { createdAt: { $gte: new Date('2026-10-02T00:00:00Z') } }
+  ]);
+});
+
+test('unknown names and statuses are reported', async () => {
+  await assert.rejects(
+    buildSearchConditions(parseSearchQuery('project:Garden'), userId),
+    { name: 'SearchSyntaxError', message: 'No project named "Garden"' }
+  );
+  await assert.rejects(
+    buildSearchConditions(parseSearchQuery('status:blocked'), userId),
+    { name: 'SearchSyntaxError', message: 'No status named "blocked"' }
+  );
+});
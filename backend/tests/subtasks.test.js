@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { addSubtask, updateSubtask, deleteSubtask, reorderSubtasks } = require('../controllers/subtaskController');
+
+const userId = new mongoose.Types.ObjectId();
+
+// No database: one task, saved by validating it
+let task = null;
+Task.findOne = async () => task;
+Task.prototype.save = async function() {
+  await this.validate();
+  return this;
+};
+
+// Call a handler like Express would, returning the status and JSON body
+const call = (handler, body, subtaskId) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json(data) {
+      resolve({ status: this.code, body: data });
+    }
+  };
+  handler({ params: { id: String(task._id), subtaskId }, user: { id: String(userId) }, body }, res);
+});
+
+const subtaskIds = () => task.subtasks.map(subtask => String(subtask._id));
+
+test.beforeEach(() => {
+  task = new Task({
+    user: userId,
+    title: 'Pack for the trip',
+    status: 'todo',
+    subtasks: [{ title: 'Passport' }, { title: 'Charger' }]
+  });
+});
+
+test('progress counts the done subtasks', async () => {
+  const [passport] = subtaskIds();
+  const { status, body } = await call(updateSubtask, { done: true }, passport);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.progress, { done: 1, total: 2 });
+});
+
+test('adds and deletes subtasks', async () => {
+  const added = await call(addSubtask, { title: 'Socks' });
+  assert.equal(added.status, 201);
+  assert.deepEqual(task.subtasks.map(subtask => subtask.title), ['Passport', 'Charger', 'Socks']);
+
+  const [passport] = subtaskIds();
+  const removed = await call(deleteSubtask, {}, passport);
+  assert.equal(removed.status, 200);
+  assert.deepEqual(task.subtasks.map(subtask => subtask.title), ['Charger', 'Socks']);
+
+  const missing = await call(deleteSubtask, {}, passport);
+  assert.equal(missing.status, 404);
+});
+
+test('reorders subtasks when every one is listed once', async () => {
+  const [passport, charger] = subtaskIds();
+
+  const { status } = await call(reorderSubtasks, { order: [charger, passport] });
+  assert.equal(status, 200);
+  assert.deepEqual(subtaskIds(), [charger, passport]);
+
+  for (const order of [[charger], [charger, charger], [charger, String(new mongoose.Types.ObjectId())], 'all']) {
+    const { status: rejected } = await call(reorderSubtasks, { order });
+    assert.equal(rejected, 400, JSON.stringify(order));
+  }
+  assert.deepEqual(subtaskIds(), [charger, passport]);
+});
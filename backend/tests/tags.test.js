@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const SavedView = require('../models/SavedView');
+const { mergeTag } = require('../controllers/tagController');
+const { buildTaskQuery } = require('../utils/taskQuery');
+
+const userId = new mongoose.Types.ObjectId();
+
+// No database: the user's tags, and the updates and deletes made to them
+let tags = new Map();
+let updates = [];
+let deleted = [];
+Tag.findById = async (id) => tags.get(String(id)) || null;
+Tag.countDocuments = async ({ _id, user }) => _id.$in
+  .filter(id => tags.has(id) && tags.get(id).user.equals(user))
+  .length;
+Tag.prototype.deleteOne = async function() {
+  deleted.push(this.name);
+};
+Task.updateMany = async (filter, update) => {
+  updates.push(['Task', update]);
+  return { modifiedCount: 2 };
+};
+SavedView.updateMany = async (filter, update) => {
+  updates.push(['SavedView', update]);
+};
+Project.archivedIds = async () => [];
+
+const addTag = (name, user = userId) => {
+  const tag = new Tag({ user, name });
+  tags.set(String(tag._id), tag);
+  return tag;
+};
+
+// Call a handler like Express would, returning the status and JSON body
+const call = (handler, params, body) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json(data) {
+      resolve({ status: this.code, body: data });
+    }
+  };
+  handler({ params, user: { id: String(userId) }, body }, res);
+});
+
+test.beforeEach(() => {
+  tags = new Map();
+  updates = [];
+  deleted = [];
+});
+
+test('tags must all belong to the user', async () => {
+  const [work, home] = [addTag('work'), addTag('home')].map(tag => String(tag._id));
+  const theirs = String(addTag('secret', new mongoose.Types.ObjectId())._id);
+
+  assert.equal(await Tag.belongToUser(userId, []), true);
+  assert.equal(await Tag.belongToUser(userId, [work, home, work]), true);
+  assert.equal(await Tag.belongToUser(userId, [work, theirs]), false);
+  assert.equal(await Tag.belongToUser(userId, ['not-an-id']), false);
+});
+
+test('the task list matches any of the tags unless asked for all', async () => {
+  const [work, home] = [addTag('work'), addTag('home')].map(tag => String(tag._id));
+
+  const anyOf = await buildTaskQuery(userId, { tags: `${work},${home}` });
+  assert.deepEqual(anyOf.query.tags, { $in: [work, home] });
+
+  const allOf = await buildTaskQuery(userId, { tags: `${work},${home}`, tagMatch: 'all' });
+  assert.deepEqual(allOf.query.tags, { $all: [work, home] });
+});
+
+test('merging moves tasks and saved views to the target tag', async () => {
+  const source = addTag('wrok');
+  const target = addTag('work');
+
+  const { status, body } = await call(mergeTag, { id: String(source._id) }, { into: String(target._id) });
+
+  assert.equal(status, 200);
+  assert.equal(body.tasksUpdated, 2);
+  assert.deepEqual(updates, [
+    ['Task', { $addToSet: { tags: target._id } }],
+    ['Task', { $pull: { tags: source._id } }],
+    ['SavedView', { $addToSet: { 'filters.tags': target._id } }],
+    ['SavedView', { $pull: { 'filters.tags': source._id } }]
+  ]);
+  assert.deepEqual(deleted, ['wrok']);
+});
+
+test('a tag cannot be merged into itself or into another user\'s tag', async () => {
+  const source = addTag('work');
+  const theirs = addTag('work', new mongoose.Types.ObjectId());
+
+  const self = await call(mergeTag, { id: String(source._id) }, { into: String(source._id) });
+  assert.equal(self.status, 400);
+
+  const other = await call(mergeTag, { id: String(source._id) }, { into: String(theirs._id) });
+  assert.equal(other.status, 403);
+
+  assert.deepEqual(updates, []);
+  assert.deepEqual(deleted, []);
+});
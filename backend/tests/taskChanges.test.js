@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Workflow = require('../models/Workflow');
+const CustomField = require('../models/CustomField');
+const Activity = require('../models/Activity');
+const Job = require('../models/Job');
+const { addTask, applyTaskChanges } = require('../utils/taskChanges');
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+
+// No database: writes are recorded here
+let created = null;
+let updated = null;
+Workflow.forUser = async () => new Workflow({ user: userId, statuses: Workflow.DEFAULT_STATUSES });
+CustomField.find = async () => [];
+Tag.belongToUser = async () => true;
+Project.belongsToUser = async () => true;
+Activity.create = async () => null;
+Job.deleteMany = async () => ({ deletedCount: 0 });
+Task.prototype.populate = async function() {
+  return this;
+};
+Task.create = async (data) => {
+  created = data;
+  return new Task(data);
+};
+Task.findByIdAndUpdate = (id, changes) => {
+  updated = changes;
+  const result = Promise.resolve(new Task({ _id: id, user: userId, title: 'Task', status: 'pending', ...changes }));
+  result.populate = () => result;
+  return result;
+};
+
+// Fields only the server may set, as a client might send them
+const serverFields = () => ({
+  user: otherUserId,
+  statusCategory: 'done',
+  completedAt: new Date(),
+  rank: '0',
+  priorityRank: 99,
+  timeSpent: 3600,
+  deletedAt: new Date(),
+  trashedDependents: [new mongoose.Types.ObjectId()],
+  nextOccurrence: new mongoose.Types.ObjectId(),
+  caldav: { name: 'stolen.ics' },
+  todoTxt: { projects: ['sneaky'] },
+  createdAt: new Date('2000-01-01')
+});
+
+const existingTask = () => new Task({
+  user: userId,
+  title: 'Task',
+  status: 'pending',
+  statusCategory: 'todo',
+  priority: 'medium'
+});
+
+test('new tasks only take editable fields from the request', async () => {
+  const result = await addTask({ title: 'Plan trip', priority: 'high', ...serverFields() }, userId);
+
+  assert.equal(result.status, 201);
+  assert.equal(created.title, 'Plan trip');
+  assert.equal(created.user, userId);
+  assert.equal(created.statusCategory, 'todo');
+  assert.equal(created.completedAt, null);
+  for (const field of ['rank', 'priorityRank', 'timeSpent', 'deletedAt', 'trashedDependents', 'nextOccurrence', 'caldav', 'todoTxt', 'createdAt']) {
+    assert.equal(created[field], undefined, field);
+  }
+});
+
+test('new tasks take server-set fields from the caller', async () => {
+  await addTask({ title: 'From a client' }, userId, { caldav: { name: 'a.ics' }, createdAt: '2026-09-01' });
+
+  assert.deepEqual(created.caldav, { name: 'a.ics' });
+  assert.equal(created.createdAt, '2026-09-01');
+});
+
+test('updates only take editable fields from the request', async () => {
+  const result = await applyTaskChanges(existingTask(), { priority: 'low', ...serverFields() }, userId);
+
+  assert.equal(result.status, 200);
+  assert.deepEqual(Object.keys(updated).sort(), ['priority', 'priorityRank', 'updatedAt']);
+  assert.equal(updated.priorityRank, Task.PRIORITY_RANKS.low);
+});
+
+test('updates take server-set fields from the caller', async () => {
+  await applyTaskChanges(existingTask(), { title: 'Renamed' }, userId, { todoTxt: null });
+
+  assert.equal(updated.title, 'Renamed');
+  assert.equal(updated.todoTxt, null);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { TaskQueryError, buildTaskQuery } = require('../utils/taskQuery');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const userId = new mongoose.Types.ObjectId();
+
+// No database: no archived projects, and every token belongs to the user
+User.findById = async () => ({ _id: userId, id: String(userId) });
+Project.archivedIds = async () => [];
+
+const app = require('../app');
+
+const get = async (path) => {
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://localhost:${server.address().port}${path}`, {
+      headers: { Authorization: `Bearer ${jwt.sign({ id: String(userId) }, process.env.JWT_SECRET)}` }
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+};
+
+test('builds filters from single query parameters', async () => {
+  const [tag, project] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()].map(String);
+  const { query, sort } = await buildTaskQuery(userId, {
+    status: 'todo',
+    tags: `${tag},not-an-id`,
+    tagMatch: 'all',
+    project,
+    search: 'milk'
+  });
+
+  assert.equal(query.status, 'todo');
+  assert.deepEqual(query.tags, { $all: [tag] });
+  assert.equal(query.project, project);
+  assert.deepEqual(query.$text, { $search: 'milk' });
+  assert.equal(sort, 'relevance');
+});
+
+test('rejects parameters given more than once', async () => {
+  for (const params of [{ tags: ['a', 'b'] }, { search: ['milk', 'eggs'] }, { status: { $ne: 'done' } }]) {
+    await assert.rejects(buildTaskQuery(userId, params), TaskQueryError, JSON.stringify(params));
+  }
+});
+
+test('rejects a project that is not an ID', async () => {
+  await assert.rejects(buildTaskQuery(userId, { project: 'nope' }), { message: 'Invalid project ID' });
+});
+
+test('the task list answers bad parameters with a 400', async () => {
+  for (const [path, message] of [
+    ['/api/tasks?tags=a&tags=b', 'Give "tags" only once'],
+    ['/api/tasks?search=milk&search=eggs', 'Give "search" only once'],
+    ['/api/tasks?project=nope', 'Invalid project ID']
+  ]) {
+    const { status, body } = await get(path);
+
+    assert.equal(status, 400, path);
+    assert.deepEqual(body, { success: false, message }, path);
+  }
+});
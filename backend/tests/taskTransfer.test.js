@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Tag = require('../models/Tag');
+const Workflow = require('../models/Workflow');
+const CustomField = require('../models/CustomField');
+const Activity = require('../models/Activity');
+const { CsvError, parseCsv, formatCsvRow } = require('../utils/csv');
+const {
+  ImportError,
+  loadLookups,
+  toExportRecord,
+  csvHeader,
+  csvValues,
+  prepareImport,
+  runImport,
+  summarizeImport
+} = require('../utils/taskTransfer');
+
+const userId = new mongoose.Types.ObjectId();
+const home = new Project({ user: userId, name: 'Home' });
+const errands = new Tag({ user: userId, name: 'errands' });
+const points = new CustomField({ user: userId, name: 'Story points', key: 'points', type: 'number' });
+const existing = new Task({ user: userId, title: 'Pay rent', status: 'pending', dueDate: new Date('2026-11-01T00:00:00Z') });
+
+// No database: the user's lookups and tasks, and what an import inserts
+let inserted = {};
+Workflow.forUser = async () => new Workflow({ user: userId, statuses: Workflow.DEFAULT_STATUSES });
+Project.find = async () => [home];
+Tag.find = async () => [errands];
+CustomField.find = () => ({ sort: async () => [points] });
+Task.find = () => ({ collation: () => ({ select: async () => [existing] }) });
+Task.findOne = () => ({ sort: () => ({ select: async () => ({ rank: 'V' }) }) });
+for (const Model of [Task, Project, Tag, Activity]) {
+  Model.insertMany = async (docs) => {
+    inserted[Model.modelName] = docs;
+    return docs.map(doc => new Model(doc));
+  };
+}
+
+test.beforeEach(() => {
+  inserted = {};
+});
+
+test('CSV fields round-trip through quoting and formula escaping', () => {
+  const values = ['Plain', 'Comma, and "quotes"', 'Two\nlines', '=SUM(A1)', '', -5];
+  const text = `\uFEFF${formatCsvRow(values)}\r\n,,\r\n${formatCsvRow(['last'])}`;
+
+  assert.equal(formatCsvRow(values), 'Plain,"Comma, and ""quotes""","Two\nlines",\'=SUM(A1),,\'-5\r\n');
+  assert.deepEqual(parseCsv(text), [['Plain', 'Comma, and "quotes"', 'Two\nlines', '=SUM(A1)', '', '-5'], ['last']]);
+  assert.throws(() => parseCsv('title\n"unclosed'), CsvError);
+});
+
+test('exports names instead of IDs', async () => {
+  const lookups = await loadLookups(userId);
+  const task = new Task({
+    user: userId,
+    title: 'Sweep',
+    status: 'in-progress',
+    dueDate: new Date('2026-10-20T00:00:00Z'),
+    project: home._id,
+    tags: [errands._id],
+    customFields: { points: 3 }
+  });
+
+  const record = toExportRecord(task, lookups);
+  assert.equal(record.status, 'In Progress');
+  assert.equal(record.project, 'Home');
+  assert.deepEqual(record.tags, ['errands']);
+  assert.equal(record.dueDate, '2026-10-20');
+
+  assert.deepEqual(csvHeader(lookups).slice(-2), ['completedAt', 'Story points']);
+  assert.deepEqual(csvValues(record, lookups).slice(1, 9), ['Sweep', '', 'In Progress', 'medium', '2026-10-20', 'Home', 'errands', 0]);
+  assert.equal(csvValues(record, lookups).at(-1), 3);
+});
+
+test('a dry run checks every row and guesses the mapping from the header', async () => {
+  const prepared = await prepareImport(userId, [
+    ['Name', 'Due', 'Status', 'Project', 'Tags', 'Story points'],
+    ['Plant bulbs', '2026-10-25', '', 'Garden', 'outside, errands', '2'],
+    ['Mow', '', 'someday', '', '', ''],
+    ['pay rent', '2026-11-01', 'pending', '', '', ''],
+    ['Plant bulbs', '2026-10-25', '', '', '', ''],
+    ['Paint fence', 'whenever', '', '', '', 'lots']
+  ], null);
+
+  assert.deepEqual(prepared.mapping, ['title', 'dueDate', 'status', 'project', 'tags', 'customFields.points']);
+  assert.deepEqual(prepared.newProjects, ['Garden']);
+  assert.deepEqual(prepared.newTags, ['outside']);
+
+  const { summary, rows } = summarizeImport(prepared, []);
+  assert.deepEqual(summary, { rows: 5, valid: 1, invalid: 2, duplicates: 2, imported: 0 });
+  assert.deepEqual(rows.map(row => [row.row, row.status]), [
+    [2, 'valid'],
+    [3, 'invalid'],
+    [4, 'duplicate'],
+    [5, 'duplicate'],
+    [6, 'invalid']
+  ]);
+  assert.deepEqual(rows[1].errors, ['Unknown status "someday"']);
+  assert.equal(rows[2].duplicateOf.task, existing._id);
+  assert.deepEqual(rows[3].duplicateOf, { row: 2, title: 'Plant bulbs' });
+  assert.equal(rows[4].errors.length, 2);
+  assert.deepEqual(inserted, {});
+});
+
+test('rejects mappings that cannot work', async () => {
+  for (const [mapping, message] of [
+    [['title'], 'The mapping needs one entry per column'],
+    [['title', 'owner'], 'Column "Due" is mapped to unknown field "owner"'],
+    [['title', 'title'], 'More than one column is mapped to "title"'],
+    [['description', ''], 'Map a column to the task title']
+  ]) {
+    await assert.rejects(prepareImport(userId, [['Name', 'Due'], ['Mow', '']], mapping), { name: 'ImportError', message });
+  }
+  await assert.rejects(prepareImport(userId, [], null), ImportError);
+});
+
+test('imports valid rows at the end of the order with their new projects and tags', async () => {
+  const prepared = await prepareImport(userId, [
+    ['Title', 'Due date', 'Project', 'Tags'],
+    ['Plant bulbs', '', 'Garden', 'outside'],
+    ['Pay rent', '2026-11-01', '', ''],
+    ['Weed', '', 'garden', 'Outside, errands']
+  ], null);
+
+  const tasks = await runImport(userId, prepared);
+
+  assert.deepEqual(tasks.map(task => task.title), ['Plant bulbs', 'Weed']);
+  assert.deepEqual(inserted.Project.map(project => project.name), ['Garden']);
+  assert.deepEqual(inserted.Tag.map(tag => tag.name), ['outside']);
+  assert.ok(tasks[0].rank > 'V' && tasks[1].rank > tasks[0].rank);
+  assert.equal(String(tasks[1].project), String(tasks[0].project));
+  assert.equal(inserted.Activity.length, 2);
+
+  const withDuplicates = await runImport(userId, prepared, { skipDuplicates: false });
+  assert.equal(withDuplicates.length, 3);
+});
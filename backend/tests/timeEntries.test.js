@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const TimeEntry = require('../models/TimeEntry');
+const Task = require('../models/Task');
+const { updateTimeEntry } = require('../controllers/timeController');
+
+const userId = new mongoose.Types.ObjectId();
+
+// No database: one entry, and the task totals it would update
+let entry = null;
+const totals = [];
+TimeEntry.findById = async () => entry;
+TimeEntry.aggregate = async () => [{ total: entry.duration }];
+TimeEntry.prototype.save = async function() {
+  await this.validate();
+  return this;
+};
+Task.updateOne = async (filter, update) => {
+  totals.push(update.timeSpent);
+};
+
+const finishedEntry = () => new TimeEntry({
+  task: new mongoose.Types.ObjectId(),
+  user: userId,
+  startedAt: new Date('2026-10-01T09:00:00Z'),
+  endedAt: new Date('2026-10-01T10:00:00Z')
+});
+
+// Call the handler like Express would, returning the status and JSON body
+const update = (body) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.code = code;
+      return this;
+    },
+    json(data) {
+      resolve({ status: this.code, body: data });
+    }
+  };
+  updateTimeEntry({ params: { entryId: String(entry._id) }, user: { id: String(userId) }, body }, res);
+});
+
+test.beforeEach(async () => {
+  entry = finishedEntry();
+  await entry.validate();
+});
+
+test('finished entries know their duration and are not running', () => {
+  assert.equal(entry.duration, 3600);
+  assert.equal(entry.running, false);
+});
+
+test('edits recompute the duration and the task total', async () => {
+  const { status, body } = await update({ duration: 600, note: 'Review' });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.endedAt.toISOString(), '2026-10-01T09:10:00.000Z');
+  assert.equal(body.data.duration, 600);
+  assert.equal(body.data.note, 'Review');
+  assert.equal(totals.pop(), 600);
+});
+
+test('edits cannot clear or garble the end time', async () => {
+  for (const body of [{ endedAt: null }, { endedAt: 'soon' }, { startedAt: null }, { duration: 'long' }]) {
+    const { status, body: response } = await update(body);
+
+    assert.equal(status, 400, JSON.stringify(body));
+    assert.equal(response.message, 'Invalid start time, end time or duration');
+  }
+  assert.equal(entry.running, false);
+});
+
+test('edits cannot end an entry before it starts', async () => {
+  for (const body of [{ endedAt: '2026-10-01T08:00:00Z' }, { startedAt: '2026-10-01T11:00:00Z' }]) {
+    const { status, body: response } = await update(body);
+
+    assert.equal(status, 400, JSON.stringify(body));
+    assert.equal(response.message, 'An entry must end after it starts');
+  }
+});
+
+test('running timers must be stopped before they are edited', async () => {
+  entry = new TimeEntry({ task: new mongoose.Types.ObjectId(), user: userId, startedAt: new Date() });
+  await entry.validate();
+
+  const { status, body } = await update({ note: 'Still going' });
+
+  assert.equal(entry.running, true);
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Stop the timer before editing it');
+});
+
+test('only the owner can edit an entry', async () => {
+  entry.user = new mongoose.Types.ObjectId();
+
+  const { status } = await update({ note: 'Not mine' });
+
+  assert.equal(status, 403);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { taskEntry, formatLine, parseLine, parseTodoTxt } = require('../utils/todoTxt');
+
+const task = (fields) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  title: 'Write report',
+  priority: 'high',
+  statusCategory: 'todo',
+  createdAt: new Date('2026-10-01T09:00:00Z'),
+  ...fields
+});
+
+// A task's line, read back
+const roundTrip = (fields) => parseLine(formatLine(taskEntry(task(fields))));
+
+test('reads projects, contexts and tags after the title', () => {
+  const entry = parseLine('(A) 2026-10-01 Call the bank +finance @phone due:2026-10-20 area:home');
+
+  assert.equal(entry.title, 'Call the bank');
+  assert.equal(entry.priority, 'high');
+  assert.equal(entry.creationDate, '2026-10-01');
+  assert.deepEqual(entry.projects, ['finance']);
+  assert.deepEqual(entry.contexts, ['phone']);
+  assert.equal(entry.dueDate, '2026-10-20');
+  assert.deepEqual(entry.extensions, ['area:home']);
+});
+
+test('keeps metadata-like words inside the title as title text', () => {
+  const entry = parseLine('Meet @home at 10:30 +1 day later @phone');
+
+  assert.equal(entry.title, 'Meet @home at 10:30 +1 day later');
+  assert.deepEqual(entry.contexts, ['phone']);
+  assert.deepEqual(entry.projects, []);
+  assert.deepEqual(entry.extensions, []);
+});
+
+test('keeps URLs in the title', () => {
+  assert.equal(parseLine('Read https://example.com/post').title, 'Read https://example.com/post');
+});
+
+test('escapes title words that would read as metadata', () => {
+  const line = formatLine(taskEntry(task({ title: 'Standup at 10:30 +1', todoTxt: { projects: ['work'] } })));
+
+  assert.equal(line, '(A) 2026-10-01 Standup at \\10:30 \\+1 +work id:64b7f0c2a1b2c3d4e5f60718');
+});
+
+test('reads escaped titles back as they were', () => {
+  const titles = [
+    'Standup at 10:30',
+    'Vote +1',
+    'Work @home',
+    'Check due:tomorrow',
+    'Path C:\\temp',
+    'Escaped \\+1 already',
+    'Back\\slash at the end\\',
+    'A \\n that is not a line break'
+  ];
+  titles.forEach(title => {
+    const entry = roundTrip({ title, todoTxt: { contexts: ['office'] } });
+    assert.equal(entry.title, title);
+    assert.deepEqual(entry.contexts, ['office']);
+    assert.equal(entry.id, '64b7f0c2a1b2c3d4e5f60718');
+  });
+});
+
+test('writes line breaks in titles as \\n so they stay on one line', () => {
+  const line = formatLine(taskEntry(task({ title: 'First\nSecond\r\nThird' })));
+
+  assert.equal(line.includes('\n'), false);
+  assert.equal(parseTodoTxt(`${line}\n`).length, 1);
+  assert.equal(parseLine(line).title, 'First\nSecond\nThird');
+});
+
+test('keeps the priority of finished tasks in a pri: tag', () => {
+  const entry = roundTrip({ priority: 'low', statusCategory: 'done', completedAt: new Date('2026-10-18T12:00:00Z') });
+
+  assert.equal(entry.done, true);
+  assert.equal(entry.completionDate, '2026-10-18');
+  assert.equal(entry.priority, 'low');
+});
+
+test('leaves the priority of finished lines without one unset', () => {
+  assert.equal(parseLine('x 2026-10-18 Write report').priority, null);
+});
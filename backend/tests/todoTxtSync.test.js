@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Workflow = require('../models/Workflow');
+const taskChanges = require('../utils/taskChanges');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const userId = new mongoose.Types.ObjectId();
+const tasks = [];
+const added = [];
+
+// No database: the user, their tasks and new tasks live here
+User.findById = async () => ({ _id: userId, id: String(userId) });
+Task.find = () => ({ sort: async () => tasks });
+Workflow.forUser = async () => new Workflow({ user: userId, statuses: Workflow.DEFAULT_STATUSES });
+taskChanges.addTask = async (body, id, managed) => {
+  const task = {
+    _id: new mongoose.Types.ObjectId(),
+    ...body,
+    ...managed,
+    statusCategory: 'todo',
+    createdAt: new Date('2026-10-01T09:00:00Z')
+  };
+  added.push({ ...body, ...managed });
+  tasks.push(task);
+  return { status: 201, task };
+};
+
+const app = require('../app');
+
+const put = async (body, contentType) => {
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://localhost:${server.address().port}/api/tasks/todotxt`, {
+      method: 'PUT',
+      headers: {
+        Authorization: `Bearer ${jwt.sign({ id: String(userId) }, process.env.JWT_SECRET)}`,
+        'Content-Type': contentType
+      },
+      body
+    });
+    return { status: response.status, text: await response.text() };
+  } finally {
+    server.close();
+  }
+};
+
+test('syncs a file sent as text/plain', async () => {
+  const { status, text } = await put('(A) Write report +work\n', 'text/plain');
+
+  assert.equal(status, 200);
+  assert.deepEqual(added.pop(), {
+    title: 'Write report',
+    priority: 'high',
+    dueDate: undefined,
+    todoTxt: { projects: ['work'], contexts: [], extensions: [] }
+  });
+  assert.match(text, /^\(A\) 2026-10-01 Write report \+work id:[a-f\d]{24}\n$/);
+});
+
+test('syncs a file whatever content type it is labelled with', async () => {
+  for (const contentType of ['application/json', 'application/x-www-form-urlencoded']) {
+    const { status } = await put(`(C) Sent as ${contentType.split('/')[1]}\n`, contentType);
+
+    assert.equal(status, 200);
+    assert.equal(added.pop().title, `Sent as ${contentType.split('/')[1]}`);
+  }
+});
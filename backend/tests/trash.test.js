@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const Attachment = require('../models/Attachment');
+const Activity = require('../models/Activity');
+const TimeEntry = require('../models/TimeEntry');
+const Notification = require('../models/Notification');
+const { getRetentionDays, getPurgeDate, purgeTasks, purgeExpiredTasks } = require('../utils/trash');
+
+// No database: trashed tasks by deletion date, and what got purged
+let trashed = [];
+let purged = [];
+Task.find = ({ deletedAt }) => ({
+  select: async () => trashed.filter(task => task.deletedAt <= deletedAt.$lte)
+});
+Task.deleteMany = async ({ _id }) => {
+  purged.push(['Task', _id.$in]);
+  return { deletedCount: _id.$in.length };
+};
+Task.updateMany = async (filter, update) => {
+  purged.push(['blockedBy', update.$pull.blockedBy.$in]);
+};
+Attachment.removeForTask = async (taskId) => {
+  purged.push(['Attachment', [taskId]]);
+};
+for (const model of [Comment, Activity, TimeEntry, Notification]) {
+  model.deleteMany = async ({ task }) => {
+    purged.push([model.modelName, task.$in]);
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+test.beforeEach(() => {
+  trashed = [];
+  purged = [];
+  delete process.env.TRASH_RETENTION_DAYS;
+});
+
+test('trashed tasks are kept for the retention period', () => {
+  assert.equal(getRetentionDays(), 30);
+  assert.equal(getPurgeDate('2026-10-01T00:00:00Z').toISOString(), '2026-10-31T00:00:00.000Z');
+
+  process.env.TRASH_RETENTION_DAYS = '7';
+  assert.equal(getPurgeDate('2026-10-01T00:00:00Z').toISOString(), '2026-10-08T00:00:00.000Z');
+
+  process.env.TRASH_RETENTION_DAYS = 'never';
+  assert.equal(getRetentionDays(), 30);
+});
+
+test('purging removes everything hanging off the tasks', async () => {
+  const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+  assert.equal(await purgeTasks(ids), 2);
+  assert.deepEqual(purged, [
+    ['Attachment', [ids[0]]],
+    ['Attachment', [ids[1]]],
+    ['Comment', ids],
+    ['Activity', ids],
+    ['TimeEntry', ids],
+    ['Notification', ids],
+    ['blockedBy', ids],
+    ['Task', ids]
+  ]);
+  assert.equal(await purgeTasks([]), 0);
+});
+
+test('only tasks past the retention period are purged', async () => {
+  const old = { _id: new mongoose.Types.ObjectId(), deletedAt: daysAgo(31) };
+  const recent = { _id: new mongoose.Types.ObjectId(), deletedAt: daysAgo(29) };
+  trashed = [old, recent];
+
+  assert.equal(await purgeExpiredTasks(), 1);
+  assert.deepEqual(purged.at(-1), ['Task', [old._id]]);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const userId = new mongoose.Types.ObjectId();
+
+// No database: requests that pass validation are answered here
+User.findById = async () => ({ _id: userId, id: String(userId) });
+Task.findOne = async () => null;
+
+const app = require('../app');
+
+const send = async (method, path, body) => {
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://localhost:${server.address().port}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${jwt.sign({ id: String(userId) }, process.env.JWT_SECRET)}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+};
+
+test('rejects a request that breaks the route rules with a 400', async () => {
+  const { status, body } = await send('POST', '/api/auth/signup', { name: 'Sam', email: 'not-an-email', password: '123' });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body, {
+    success: false,
+    message: 'Please provide a valid email, Password must be at least 6 characters'
+  });
+});
+
+test('gives one message per field', async () => {
+  const { status, body } = await send('POST', '/api/tasks', { title: ' ', priority: 'urgent' });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Task title is required, Invalid priority');
+});
+
+test('lets partial task updates through to the handler', async () => {
+  const { status, body } = await send('PUT', `/api/tasks/${new mongoose.Types.ObjectId()}`, { dueDate: '', status: 'done' });
+
+  assert.equal(status, 404);
+  assert.equal(body.message, 'Task not found');
+});
+
+test('checks project, workflow and time entry rules too', async () => {
+  const project = await send('POST', '/api/projects', { name: ' ', color: 'blue' });
+  assert.equal(project.status, 400);
+  assert.equal(project.body.message, 'Project name cannot be empty, Color must be a hex value like #3b82f6');
+
+  const update = await send('PUT', `/api/projects/${new mongoose.Types.ObjectId()}`, { archived: 'maybe' });
+  assert.equal(update.status, 400);
+  assert.equal(update.body.message, 'Archived must be true or false');
+
+  const workflow = await send('PUT', '/api/workflow', { statuses: [] });
+  assert.equal(workflow.status, 400);
+  assert.equal(workflow.body.message, 'Please provide a list of statuses');
+
+  const entry = await send('PUT', `/api/time/entries/${new mongoose.Types.ObjectId()}`, { endedAt: null });
+  assert.equal(entry.status, 400);
+  assert.equal(entry.body.message, 'Invalid end time');
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Workflow = require('../models/Workflow');
+const Activity = require('../models/Activity');
+const Job = require('../models/Job');
+const { applyTaskChanges } = require('../utils/taskChanges');
+
+const userId = new mongoose.Types.ObjectId();
+
+// A review step that must be passed before a task is done
+const reviewWorkflow = () => new Workflow({
+  user: userId,
+  statuses: [
+    { key: 'backlog', name: 'Backlog', category: 'todo', transitions: ['doing'] },
+    { key: 'doing', name: 'Doing', category: 'doing' },
+    { key: 'review', name: 'Review', category: 'doing', transitions: ['shipped', 'doing'] },
+    { key: 'shipped', name: 'Shipped', category: 'done' }
+  ]
+});
+
+// No database: the update that would be written
+let updated = null;
+Workflow.forUser = async () => reviewWorkflow();
+Activity.create = async () => null;
+Job.deleteMany = async () => ({ deletedCount: 0 });
+Task.findByIdAndUpdate = (id, changes) => {
+  updated = changes;
+  const result = Promise.resolve(new Task({ _id: id, user: userId, title: 'Task', ...changes }));
+  result.populate = () => result;
+  return result;
+};
+
+const task = (status, category) => new Task({ user: userId, title: 'Task', status, statusCategory: category });
+
+const validationMessages = async (workflow) => {
+  const error = await workflow.validate().then(() => null, error => error);
+  return error ? Object.values(error.errors).map(e => e.message) : [];
+};
+
+test.beforeEach(() => {
+  updated = null;
+});
+
+test('a workflow needs todo and done statuses, unique keys and known transitions', async () => {
+  assert.deepEqual(await validationMessages(reviewWorkflow()), []);
+
+  const open = { key: 'open', name: 'Open', category: 'todo' };
+  const closed = { key: 'closed', name: 'Closed', category: 'done' };
+  for (const [statuses, message] of [
+    [[open, closed, { ...open, name: 'Also open' }], 'Status "open" is listed twice'],
+    [[open], 'The workflow needs at least one "done" status'],
+    [[closed], 'The workflow needs at least one "todo" status'],
+    [[{ ...open, transitions: ['closed', 'gone'] }, closed], 'Status "Open" moves to unknown status "gone"']
+  ]) {
+    assert.deepEqual(await validationMessages(new Workflow({ user: userId, statuses })), [message]);
+  }
+});
+
+test('new tasks start in the first todo status', () => {
+  assert.equal(reviewWorkflow().defaultStatus().key, 'backlog');
+});
+
+test('tasks only move along the allowed transitions', async () => {
+  const skipped = await applyTaskChanges(task('backlog', 'todo'), { status: 'shipped' }, String(userId));
+  assert.equal(skipped.status, 400);
+  assert.equal(skipped.message, 'A task can\'t move from "Backlog" to "Shipped"');
+  assert.equal(updated, null);
+
+  const unknown = await applyTaskChanges(task('backlog', 'todo'), { status: 'archived' }, String(userId));
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.message, 'Invalid status');
+
+  // No transitions listed means any move is allowed
+  const shipped = await applyTaskChanges(task('doing', 'doing'), { status: 'shipped' }, String(userId));
+  assert.equal(shipped.status, 200);
+  assert.equal(updated.statusCategory, 'done');
+  assert.ok(updated.completedAt instanceof Date);
+});
+
+test('a task in a status that no longer exists can move anywhere', async () => {
+  const { status } = await applyTaskChanges(task('pending', 'todo'), { status: 'review' }, String(userId));
+
+  assert.equal(status, 200);
+  assert.equal(updated.statusCategory, 'doing');
+  assert.equal(updated.completedAt, null);
+});
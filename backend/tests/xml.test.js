@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseXml, XmlError } = require('../utils/xml');
+
+const propfind = (text) => `<d:propfind xmlns:d="DAV:"><d:prop><d:displayname>${text}</d:displayname></d:prop></d:propfind>`;
+
+// The display name element's text
+const displayName = (text) => parseXml(propfind(text)).children[0].children[0].text;
+
+test('decodes named, decimal and hexadecimal references', () => {
+  assert.equal(displayName('Tom &amp; Jerry &lt;3 &#233;t&#xE9; &#x1F600;'), 'Tom & Jerry <3 été 😀');
+});
+
+test('rejects unknown entities', () => {
+  assert.throws(() => displayName('&nbsp;'), XmlError);
+});
+
+test('rejects character references outside the characters XML allows', () => {
+  for (const reference of ['&#99999999;', '&#x110000;', '&#0;', '&#x1;', '&#xD800;', '&#xFFFE;', '&#99999999999999999999;']) {
+    assert.throws(() => displayName(reference), XmlError, reference);
+  }
+});
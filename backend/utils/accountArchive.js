@@ -0,0 +1,377 @@
+// Account archives: everything a user has, in one versioned JSON file
+//
+// An archive holds the profile and every record that belongs to the user,
+// each with its original `_id` so the references between them line up.
+// Attachment files are included, base64 encoded. Restoring gives every
+// record a new ID and rewrites the references to match, so an archive can be
+// loaded into a fresh account on this server or another one.
+//
+// Exports run as a background job (utils/scheduler.js) that stores the file
+// with the storage driver and notifies the user when it is ready. The file is
+// removed EXPORT_RETENTION_DAYS later, or replaced by the next export.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Tag = require('../models/Tag');
+const Workflow = require('../models/Workflow');
+const CustomField = require('../models/CustomField');
+const SavedView = require('../models/SavedView');
+const Comment = require('../models/Comment');
+const Activity = require('../models/Activity');
+const TimeEntry = require('../models/TimeEntry');
+const Attachment = require('../models/Attachment');
+const Notification = require('../models/Notification');
+const Job = require('../models/Job');
+const { getStorage } = require('../storage');
+const { defineJob, schedule, cancel } = require('./scheduler');
+const { syncReminderJobs } = require('./reminders');
+const { checkAttachment } = require('../middleware/upload');
+
+const ARCHIVE_FORMAT = 'task-manager-archive';
+const ARCHIVE_VERSION = 1;
+
+// Matches how long the scheduler keeps finished jobs, which hold the
+// export's status
+const EXPORT_RETENTION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPORT_JOB = 'account-export';
+const CLEANUP_JOB = 'account-export-cleanup';
+
+// Records a user owns, by archive section, in the order they are restored
+const SECTIONS = {
+  customFields: CustomField,
+  projects: Project,
+  tags: Tag,
+  tasks: Task,
+  savedViews: SavedView,
+  comments: Comment,
+  activity: Activity,
+  timeEntries: TimeEntry,
+  attachments: Attachment
+};
+
+// Activity changes of these fields hold record IDs
+const REFERENCE_FIELDS = ['project', 'tags', 'blockedBy'];
+
+// An archive that can't be restored
+class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+const exportJobKey = (userId) => `${EXPORT_JOB}:${userId}`;
+const exportFileKey = (userId) => `${userId}/export.json`;
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// A record as archived: everything but the owner, which is implied
+const toArchived = ({ user, __v, ...record }) => record;
+
+/**
+ * Everything the user has, as an archive object.
+ */
+const buildArchive = async (userId) => {
+  const user = await User.findById(userId).lean();
+  const workflow = await Workflow.findOne({ user: userId }).lean();
+
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date(),
+    profile: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      emailPreferences: user.emailPreferences,
+      createdAt: user.createdAt
+    },
+    workflow: workflow ? { statuses: workflow.statuses } : null
+  };
+
+  for (const [section, Model] of Object.entries(SECTIONS)) {
+    const query = Model.find({ user: userId }).sort({ createdAt: 1 }).lean();
+    const records = await (Model === Attachment ? query.select('+storageKey') : query);
+    archive[section] = records.map(toArchived);
+  }
+
+  const storage = getStorage();
+  for (const [index, { storageKey, ...attachment }] of archive.attachments.entries()) {
+    const content = await readAll(storage.createReadStream(storageKey));
+    archive.attachments[index] = { ...attachment, content: content.toString('base64') };
+  }
+
+  return archive;
+};
+
+/**
+ * Load an archive into an account that has no data of its own yet. Every
+ * record gets a new ID; references to records missing from the archive are
+ * dropped. Nothing is written unless every record passes validation. Throws
+ * ArchiveError. Returns how many records of each section were restored.
+ */
+const restoreArchive = async (userId, archive) => {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw new ArchiveError('This file is not a task manager archive');
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    throw new ArchiveError(`Archive version ${archive.version} is not supported`);
+  }
+  for (const section of Object.keys(SECTIONS)) {
+    if (!Array.isArray(archive[section] || [])) {
+      throw new ArchiveError(`The archive's ${section} are not a list`);
+    }
+  }
+
+  const existing = await Promise.all(
+    [Task, Project, Tag, CustomField, SavedView, TimeEntry].map(Model => Model.exists({ user: userId }))
+  );
+  if (existing.some(Boolean)) {
+    throw new ArchiveError('Archives can only be imported into an account with no tasks, projects, tags, fields, views or time entries');
+  }
+
+  // New IDs for every archived record, and the new owner for the old one
+  const ids = new Map();
+  for (const section of Object.keys(SECTIONS)) {
+    for (const record of archive[section] || []) {
+      if (record && record._id) ids.set(String(record._id), new mongoose.Types.ObjectId());
+    }
+  }
+  const oldUserId = archive.profile && archive.profile._id ? String(archive.profile._id) : null;
+  const ref = (id) => {
+    if (id === null || id === undefined) return null;
+    if (String(id) === oldUserId) return userId;
+    return ids.get(String(id)) || null;
+  };
+  const refs = (list) => (list || []).map(ref).filter(Boolean);
+  const remapValue = (value) => {
+    if (Array.isArray(value)) return value.map(remapValue);
+    return typeof value === 'string' && ids.has(value) ? ids.get(value).toString() : value;
+  };
+
+  const withIds = (section, build) => (archive[section] || [])
+    .filter(record => record && ids.has(String(record._id)))
+    .map(record => ({ ...build(record), _id: ids.get(String(record._id)), user: userId }));
+  // Records hanging off a task go when their task isn't in the archive
+  const ofTasks = (section, build) => withIds(section, build).filter(record => record.task);
+
+  const storage = getStorage();
+  const records = {
+    customFields: withIds('customFields', field => field),
+    projects: withIds('projects', project => project),
+    tags: withIds('tags', tag => tag),
+    tasks: withIds('tasks', task => ({
+      ...task,
+      project: ref(task.project),
+      tags: refs(task.tags),
+      blockedBy: refs(task.blockedBy),
+      trashedDependents: refs(task.trashedDependents),
+      nextOccurrence: ref(task.nextOccurrence)
+    })),
+    savedViews: withIds('savedViews', view => ({
+      ...view,
+      filters: view.filters && {
+        ...view.filters,
+        tags: refs(view.filters.tags),
+        project: ['all', 'none'].includes(view.filters.project)
+          ? view.filters.project
+          : ref(view.filters.project) || 'all'
+      }
+    })),
+    comments: ofTasks('comments', comment => ({ ...comment, task: ref(comment.task) })),
+    activity: ofTasks('activity', entry => ({
+      ...entry,
+      task: ref(entry.task),
+      actor: ref(entry.actor) || userId,
+      changes: (entry.changes || []).map(change => (REFERENCE_FIELDS.includes(change.field)
+        ? { ...change, from: remapValue(change.from), to: remapValue(change.to) }
+        : change))
+    })),
+    timeEntries: ofTasks('timeEntries', entry => ({ ...entry, task: ref(entry.task) })),
+    attachments: ofTasks('attachments', ({ content, ...attachment }) => {
+      const task = ref(attachment.task);
+      const buffer = Buffer.from(content || '', 'base64');
+      return {
+        ...attachment,
+        task,
+        storageKey: `${userId}/${task}/${crypto.randomUUID()}`,
+        size: buffer.length,
+        content: buffer
+      };
+    })
+  };
+
+  // Validate everything before writing anything
+  const docs = {};
+  const errors = [];
+  // Files go through the same checks as uploads
+  for (const attachment of records.attachments) {
+    const problem = checkAttachment(attachment);
+    if (problem) errors.push(`attachments: ${attachment.filename}: ${problem}`);
+  }
+  const workflow = archive.workflow && new Workflow({ user: userId, statuses: archive.workflow.statuses });
+  if (workflow) {
+    await workflow.validate().catch(error => errors.push(`Workflow: ${error.message}`));
+  }
+  for (const [section, Model] of Object.entries(SECTIONS)) {
+    docs[section] = records[section].map(record => new Model(record));
+    for (const doc of docs[section]) {
+      await doc.validate().catch(error => errors.push(`${section}: ${error.message}`));
+    }
+  }
+  if (errors.length > 0) {
+    throw new ArchiveError(`The archive has invalid records: ${errors.slice(0, 5).join('; ')}`);
+  }
+
+  const saved = [];
+  try {
+    for (const [index, doc] of docs.attachments.entries()) {
+      await storage.save(doc.storageKey, records.attachments[index].content);
+      saved.push(doc.storageKey);
+    }
+    for (const [section, Model] of Object.entries(SECTIONS)) {
+      if (docs[section].length > 0) await Model.insertMany(docs[section]);
+    }
+    if (workflow) {
+      await Workflow.updateOne(
+        { user: userId },
+        { $set: { statuses: workflow.toObject().statuses, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    }
+    if (archive.profile && archive.profile.emailPreferences) {
+      const { overdue, upcoming } = archive.profile.emailPreferences;
+      await User.updateOne({ _id: userId }, { $set: { emailPreferences: { overdue, upcoming } } });
+    }
+  } catch (error) {
+    // The account was empty, so taking everything back out undoes the import
+    await Promise.all(Object.values(SECTIONS).map(Model => Model.deleteMany({ user: userId })));
+    await Promise.all(saved.map(key => storage.remove(key)));
+    throw error;
+  }
+
+  for (const task of docs.tasks) {
+    if (task.reminders.length > 0) await syncReminderJobs(task);
+  }
+
+  return Object.fromEntries(Object.keys(SECTIONS).map(section => [section, docs[section].length]));
+};
+
+/**
+ * The user's latest export: its status (none, pending, running, done or
+ * failed) and, once done, its size and when it is removed.
+ */
+const getExportStatus = async (userId) => {
+  const job = await Job.findOne({ key: exportJobKey(userId) });
+  if (!job) return { status: 'none' };
+
+  const status = {
+    status: job.status,
+    requestedAt: job.runAt
+  };
+  if (job.status === 'done') {
+    status.finishedAt = job.finishedAt;
+    status.size = job.data.size;
+    status.expiresAt = new Date(job.finishedAt.getTime() + EXPORT_RETENTION_DAYS * DAY_MS);
+  }
+  if (job.status === 'failed') {
+    status.error = job.lastError;
+  }
+  return status;
+};
+
+/**
+ * Queue an export of the user's data, unless one is already on its way.
+ */
+const requestExport = async (userId) => {
+  const current = await getExportStatus(userId);
+  if (['pending', 'running'].includes(current.status)) return current;
+
+  await schedule(EXPORT_JOB, { user: String(userId) }, new Date(), { key: exportJobKey(userId) });
+  return getExportStatus(userId);
+};
+
+// The finished export file, as a readable stream
+const openExport = (userId) => getStorage().createReadStream(exportFileKey(userId));
+
+defineJob(EXPORT_JOB, async ({ user: userId }, job) => {
+  const user = await User.exists({ _id: userId });
+  if (!user) return;
+
+  const file = Buffer.from(JSON.stringify(await buildArchive(userId)));
+  await getStorage().save(exportFileKey(userId), file);
+  await Job.updateOne({ _id: job._id }, { $set: { 'data.size': file.length } });
+
+  const expiresAt = new Date(Date.now() + EXPORT_RETENTION_DAYS * DAY_MS);
+  await schedule(CLEANUP_JOB, { user: userId }, expiresAt, { key: `${CLEANUP_JOB}:${userId}` });
+
+  try {
+    await Notification.create({
+      user: userId,
+      type: 'export',
+      title: 'Your data export is ready',
+      message: 'Download it from the Danger Zone tab of your profile',
+      key: `${EXPORT_JOB}:${job._id}:${job.runAt.toISOString()}`
+    });
+  } catch (error) {
+    // Already notified
+    if (error.code !== 11000) throw error;
+  }
+});
+
+defineJob(CLEANUP_JOB, async ({ user: userId }) => {
+  await getStorage().remove(exportFileKey(userId));
+});
+
+/**
+ * Drop the user's export file and its pending jobs, e.g. with the account.
+ */
+const removeExport = async (userId) => {
+  await cancel({ key: { $in: [exportJobKey(userId), `${CLEANUP_JOB}:${userId}`] } });
+  await getStorage().remove(exportFileKey(userId));
+};
+
+/**
+ * Delete everything the user has: every archived record and its files, the
+ * workflow, notifications, pending reminders and the export. The user
+ * record itself is left to the caller.
+ */
+const removeAccountData = async (userId) => {
+  const [tasks, attachments] = await Promise.all([
+    Task.find({ user: userId }).select('_id').lean(),
+    Attachment.find({ user: userId }).select('+storageKey').lean()
+  ]);
+
+  await cancel({ name: 'task-reminder', 'data.task': { $in: tasks.map(task => task._id) } });
+  await removeExport(userId);
+
+  const storage = getStorage();
+  for (const attachment of attachments) {
+    await storage.remove(attachment.storageKey);
+  }
+
+  const models = [...Object.values(SECTIONS), Workflow, Notification];
+  await Promise.all(models.map(Model => Model.deleteMany({ user: userId })));
+};
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  ArchiveError,
+  buildArchive,
+  restoreArchive,
+  getExportStatus,
+  requestExport,
+  openExport,
+  removeExport,
+  removeAccountData
+};
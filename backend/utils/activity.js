@@ -0,0 +1,98 @@
+// Field-level change tracking for tasks
+//
+// Values are normalised to plain JSON (IDs as strings, dates as ISO strings)
+// before comparing, so populated and unpopulated references diff the same way.
+
+const Activity = require('../models/Activity');
+
+// Task fields worth recording; subtasks, comments and attachments have their
+// own endpoints and histories
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'project',
+  'tags',
+  'blockedBy',
+  'recurrence'
+];
+
+// Fields holding a set of references, where order does not matter
+const SET_FIELDS = ['tags', 'blockedBy'];
+
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toString();
+    // Populated reference
+    if (value._id) return value._id.toString();
+    const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+    return JSON.parse(JSON.stringify(plain));
+  }
+  return value;
+};
+
+const normalizeField = (field, value) => {
+  const normalized = normalize(value);
+  if (SET_FIELDS.includes(field)) {
+    return normalized && normalized.length ? [...normalized].sort() : null;
+  }
+  return normalized;
+};
+
+/**
+ * Diff the tracked fields of two task snapshots (documents or plain objects).
+ * Either side may be null, for creations and deletions. Custom field values
+ * are diffed one by one, as `customFields.<key>`.
+ */
+const diffTask = (before, after) => {
+  const changes = [];
+  const push = (field, from, to) => {
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  };
+
+  for (const field of TRACKED_FIELDS) {
+    push(
+      field,
+      before ? normalizeField(field, before[field]) : null,
+      after ? normalizeField(field, after[field]) : null
+    );
+  }
+
+  const customBefore = (before && before.customFields) || {};
+  const customAfter = (after && after.customFields) || {};
+  const keys = new Set([...Object.keys(customBefore), ...Object.keys(customAfter)]);
+  for (const key of keys) {
+    push(`customFields.${key}`, normalize(customBefore[key]), normalize(customAfter[key]));
+  }
+
+  return changes;
+};
+
+/**
+ * Store an activity entry. Updates that changed nothing are skipped.
+ */
+const recordActivity = async ({ task, actor, action, before = null, after = null }) => {
+  const changes = diffTask(before, after);
+  if (action === 'updated' && changes.length === 0) return null;
+
+  return Activity.create({
+    task: task._id,
+    user: task.user._id || task.user,
+    actor,
+    action,
+    changes
+  });
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffTask,
+  recordActivity
+};
@@ -0,0 +1,286 @@
+// CalDAV (RFC 4791): the user's tasks as a to-do collection that calendar
+// and task apps can sync both ways
+//
+// The layout is fixed and the same for every user, who is whoever signed in:
+// /caldav/ is the calendar home and holds one collection, /caldav/tasks/,
+// with a to-do resource per task that isn't in the trash. /caldav/principal/
+// stands for the user.
+//
+// A task's resource is named after its ID, unless a client created the task
+// under a name of its own. ETags hash the to-do as served, so any change that
+// shows in it, made by a client or in the web app, gives a new ETag; the
+// collection's CTag hashes all of them, for clients that check it first.
+//
+// Edits from clients go through the same code as the task endpoints
+// (utils/taskChanges.js). Only what a to-do carries changes: title,
+// description, due date, priority, status (by category) and tags, which are
+// created by name when missing.
+
+const crypto = require('crypto');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const { escapeXml } = require('./xml');
+const { parseCalendar, getProperty } = require('./ical');
+const { buildTodo, readEntry } = require('./taskCalendar');
+
+const NAMESPACES = {
+  d: 'DAV:',
+  c: 'urn:ietf:params:xml:ns:caldav',
+  cs: 'http://calendarserver.org/ns/'
+};
+
+const HOME = '/caldav/';
+const PRINCIPAL = '/caldav/principal/';
+const COLLECTION = '/caldav/tasks/';
+
+// A PUT body that can't be stored, with the HTTP status to answer with
+class CaldavError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'CaldavError';
+    this.status = status;
+  }
+}
+
+// Property keys in Clark notation: {namespace}name
+const key = (ns, name) => `{${ns}}${name}`;
+
+const hash = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+const resourceName = (task) => (task.caldav && task.caldav.name) || `${task._id}.ics`;
+
+// A task as served: its name, href, to-do and ETag
+const toResource = (task, tags) => {
+  const body = buildTodo(task, { tags, uid: task.caldav && task.caldav.uid });
+  const name = resourceName(task);
+  return {
+    task,
+    name,
+    href: `${COLLECTION}${encodeURIComponent(name)}`,
+    body,
+    etag: `"${hash(body)}"`
+  };
+};
+
+/**
+ * Every resource in the user's collection.
+ */
+const loadResources = async (userId) => {
+  const [tasks, tags] = await Promise.all([
+    Task.find({ user: userId, deletedAt: null }).select('+caldav').sort({ createdAt: 1 }),
+    Tag.find({ user: userId })
+  ]);
+  return tasks.map(task => toResource(task, tags));
+};
+
+/**
+ * The resource called `name` in the user's collection, or null.
+ */
+const findResource = async (userId, name) => {
+  let task = await Task.findOne({ user: userId, deletedAt: null, 'caldav.name': name }).select('+caldav');
+
+  // Tasks a client didn't name go by their ID
+  const match = /^([a-f\d]{24})\.ics$/.exec(name);
+  if (!task && match) {
+    task = await Task.findOne({ _id: match[1], user: userId, deletedAt: null }).select('+caldav');
+    if (task && task.caldav && task.caldav.name) task = null;
+  }
+  if (!task) return null;
+
+  return toResource(task, await Tag.find({ user: userId }));
+};
+
+// Changes whenever any resource in the collection does
+const collectionTag = (resources) => `"${hash(resources.map(r => `${r.name} ${r.etag}`).sort().join('\n'))}"`;
+
+// The resource name an href points at, when it is in the collection
+const nameFromHref = (href) => {
+  let path;
+  try {
+    path = decodeURIComponent(new URL(href.trim(), 'http://localhost').pathname);
+  } catch (error) {
+    return null;
+  }
+  if (!path.startsWith(COLLECTION)) return null;
+  const name = path.slice(COLLECTION.length);
+  return name && !name.includes('/') ? name : null;
+};
+
+// An element for a property key, prefixed when its namespace is known
+const propertyElement = (propertyKey, content = '') => {
+  const [, ns, name] = /^\{(.*)\}(.+)$/.exec(propertyKey);
+  const prefix = Object.keys(NAMESPACES).find(p => NAMESPACES[p] === ns);
+  const tag = prefix ? `${prefix}:${name}` : `x:${name}`;
+  const declaration = prefix ? '' : ` xmlns:x="${escapeXml(ns)}"`;
+  return content === '' ? `<${tag}${declaration}/>` : `<${tag}${declaration}>${content}</${tag}>`;
+};
+
+const propstat = (elements, status) => [
+  '<d:propstat>',
+  `<d:prop>${elements.join('')}</d:prop>`,
+  `<d:status>HTTP/1.1 ${status}</d:status>`,
+  '</d:propstat>'
+].join('');
+
+/**
+ * A 207 Multi-Status body. Each response has an href and either a `status`
+ * or the `properties` it has (key to XML content) with the keys asked for;
+ * without `requested`, every property it has is listed.
+ */
+const multistatus = (responses) => {
+  const body = responses.map(({ href, status, properties, requested }) => {
+    if (status) {
+      return `<d:response><d:href>${escapeXml(href)}</d:href><d:status>HTTP/1.1 ${status}</d:status></d:response>`;
+    }
+    const keys = requested || Object.keys(properties);
+    const found = keys.filter(k => k in properties);
+    const missing = keys.filter(k => !(k in properties));
+    return [
+      '<d:response>',
+      `<d:href>${escapeXml(href)}</d:href>`,
+      found.length > 0 ? propstat(found.map(k => propertyElement(k, properties[k])), '200 OK') : '',
+      missing.length > 0 ? propstat(missing.map(k => propertyElement(k)), '404 Not Found') : '',
+      '</d:response>'
+    ].join('');
+  });
+
+  const declarations = Object.entries(NAMESPACES).map(([prefix, ns]) => ` xmlns:${prefix}="${ns}"`).join('');
+  return `<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus${declarations}>${body.join('')}</d:multistatus>\n`;
+};
+
+const href = (path) => `<d:href>${escapeXml(path)}</d:href>`;
+
+const PRIVILEGES = ['read', 'write', 'write-content', 'bind', 'unbind']
+  .map(privilege => `<d:privilege><d:${privilege}/></d:privilege>`)
+  .join('');
+
+const REPORTS = ['c:calendar-multiget', 'c:calendar-query']
+  .map(report => `<d:supported-report><d:report><${report}/></d:report></d:supported-report>`)
+  .join('');
+
+// Properties everything has
+const commonProperties = (user) => ({
+  [key(NAMESPACES.d, 'current-user-principal')]: href(PRINCIPAL),
+  [key(NAMESPACES.c, 'calendar-home-set')]: href(HOME),
+  [key(NAMESPACES.d, 'owner')]: href(PRINCIPAL),
+  [key(NAMESPACES.c, 'calendar-user-address-set')]: href(`mailto:${user.email}`)
+});
+
+const homeProperties = (user) => ({
+  ...commonProperties(user),
+  [key(NAMESPACES.d, 'resourcetype')]: '<d:collection/>',
+  [key(NAMESPACES.d, 'displayname')]: escapeXml(user.name)
+});
+
+const principalProperties = (user) => ({
+  ...commonProperties(user),
+  [key(NAMESPACES.d, 'resourcetype')]: '<d:principal/>',
+  [key(NAMESPACES.d, 'displayname')]: escapeXml(user.name),
+  [key(NAMESPACES.d, 'principal-URL')]: href(PRINCIPAL)
+});
+
+const collectionProperties = (user, resources) => ({
+  ...commonProperties(user),
+  [key(NAMESPACES.d, 'resourcetype')]: '<d:collection/><c:calendar/>',
+  [key(NAMESPACES.d, 'displayname')]: 'Tasks',
+  [key(NAMESPACES.c, 'supported-calendar-component-set')]: '<c:comp name="VTODO"/>',
+  [key(NAMESPACES.d, 'current-user-privilege-set')]: PRIVILEGES,
+  [key(NAMESPACES.d, 'supported-report-set')]: REPORTS,
+  [key(NAMESPACES.cs, 'getctag')]: escapeXml(collectionTag(resources))
+});
+
+const CALENDAR_DATA = key(NAMESPACES.c, 'calendar-data');
+
+// `withData` adds the to-do itself, which only REPORT hands out
+const resourceProperties = (resource, { withData = false } = {}) => ({
+  [key(NAMESPACES.d, 'resourcetype')]: '',
+  [key(NAMESPACES.d, 'getetag')]: escapeXml(resource.etag),
+  [key(NAMESPACES.d, 'getcontenttype')]: 'text/calendar; charset=utf-8; component=VTODO',
+  [key(NAMESPACES.d, 'current-user-privilege-set')]: PRIVILEGES,
+  ...(withData ? { [CALENDAR_DATA]: escapeXml(resource.body) } : {})
+});
+
+/**
+ * The to-do of a PUT body, read into task fields. Throws CaldavError.
+ */
+const readTodo = (body) => {
+  let calendar;
+  try {
+    calendar = parseCalendar(body || '');
+  } catch (error) {
+    throw new CaldavError(400, error.message);
+  }
+
+  // Changed occurrences of a recurring to-do can't be kept apart from it
+  const todo = calendar.components.find(component => (
+    component.name === 'VTODO' && !getProperty(component, 'RECURRENCE-ID')
+  ));
+  if (!todo) {
+    throw new CaldavError(403, 'This collection only holds to-dos (VTODO)');
+  }
+  return readEntry(todo);
+};
+
+/**
+ * Tag IDs for tag names, creating the user's missing tags. Throws
+ * CaldavError for names a tag can't have.
+ */
+const tagIdsFor = async (userId, names) => {
+  const tags = await Tag.find({ user: userId });
+  const ids = [];
+  for (const name of names) {
+    let tag = tags.find(t => t.name.toLowerCase() === name.toLowerCase());
+    if (!tag) {
+      tag = new Tag({ user: userId, name });
+      const error = tag.validateSync();
+      if (error) {
+        throw new CaldavError(400, Object.values(error.errors).map(e => e.message).join(', '));
+      }
+      await tag.save();
+      tags.push(tag);
+    }
+    if (!ids.some(id => id.equals(tag._id))) ids.push(tag._id);
+  }
+  return ids;
+};
+
+/**
+ * Request-style task fields for a to-do read with readTodo: everything it
+ * carries, and the status when its category differs from the task's (or
+ * for a new task). Throws CaldavError.
+ */
+const todoChanges = async (entry, { task, workflow, userId }) => {
+  const changes = {
+    title: entry.title,
+    description: entry.description,
+    priority: entry.priority || 'medium',
+    dueDate: entry.dueDate || null,
+    tags: await tagIdsFor(userId, entry.tags)
+  };
+
+  if (entry.category && (!task || task.statusCategory !== entry.category)) {
+    const status = workflow.statuses.find(s => s.category === entry.category);
+    if (status) changes.status = status.key;
+  }
+  return changes;
+};
+
+module.exports = {
+  HOME,
+  PRINCIPAL,
+  COLLECTION,
+  NAMESPACES,
+  CALENDAR_DATA,
+  CaldavError,
+  key,
+  loadResources,
+  findResource,
+  nameFromHref,
+  multistatus,
+  homeProperties,
+  principalProperties,
+  collectionProperties,
+  resourceProperties,
+  readTodo,
+  todoChanges
+};
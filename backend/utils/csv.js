@@ -0,0 +1,86 @@
+// CSV reading and writing (RFC 4180)
+//
+// Fields are separated by commas and rows by CRLF or LF. A field wrapped in
+// double quotes may hold commas, line breaks and doubled quotes ("").
+//
+// Spreadsheets run cells starting with =, +, -, @ or a tab as formulas, so
+// such cells are written with a leading apostrophe, which spreadsheets hide.
+// Reading strips that apostrophe again.
+// Mirrored in frontend/src/utils/csv.js for the mock API.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+class CsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CsvError';
+  }
+}
+
+/**
+ * Split CSV text into rows of fields. A leading byte order mark is skipped
+ * and rows with nothing in them (blank lines, or only commas as spreadsheets
+ * pad with) are dropped. Throws CsvError on an unclosed quote.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => {
+    row.push(/^'[=+\-@\t\r]/.test(field) ? field.slice(1) : field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(value => value !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new CsvError('The file ends inside a quoted field');
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, CRLF-terminated
+const formatCsvRow = (values) => `${values.map(formatField).join(',')}\r\n`;
+
+module.exports = {
+  CsvError,
+  parseCsv,
+  formatCsvRow
+};
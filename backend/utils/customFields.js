@@ -0,0 +1,182 @@
+// Custom field values on tasks
+//
+// Users define their fields (models/CustomField.js) and each task keeps its
+// values in `customFields`, keyed by field key. Values are stored in their
+// native type so they filter and sort naturally:
+//
+//   text      string, up to 500 characters
+//   number    finite number
+//   date      date (YYYY-MM-DD or an ISO timestamp)
+//   select    one of the field's options
+//   checkbox  true or false
+//   url       http(s) URL
+//
+// Sending null or '' for a key clears the value.
+
+const MAX_TEXT_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_OPERATORS = ['<=', '>=', '<', '>'];
+
+// A value or filter that doesn't fit the user's field definitions
+class CustomFieldError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CustomFieldError';
+  }
+}
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+// Parse one value for a field, or throw CustomFieldError
+const parseValue = (field, raw) => {
+  switch (field.type) {
+    case 'text': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') break;
+      const text = String(raw).trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        throw new CustomFieldError(`"${field.name}" cannot exceed ${MAX_TEXT_LENGTH} characters`);
+      }
+      return text;
+    }
+    case 'number': {
+      const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof number === 'number' && Number.isFinite(number)) return number;
+      break;
+    }
+    case 'date': {
+      const date = typeof raw === 'string' ? new Date(raw) : null;
+      if (date && !isNaN(date)) return date;
+      break;
+    }
+    case 'select':
+      if (field.options.includes(raw)) return raw;
+      throw new CustomFieldError(`"${field.name}" must be one of: ${field.options.join(', ')}`);
+    case 'checkbox':
+      if (typeof raw === 'boolean') return raw;
+      if (raw === 'true' || raw === 'false') return raw === 'true';
+      break;
+    case 'url': {
+      try {
+        const url = new URL(String(raw).trim());
+        if (['http:', 'https:'].includes(url.protocol)) return String(raw).trim();
+      } catch (error) {
+        // Falls through to the error below
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  throw new CustomFieldError(`Invalid ${field.type} value for "${field.name}"`);
+};
+
+/**
+ * Check custom field values sent for a task against the user's field
+ * definitions. Returns `{ set, unset }`: parsed values to store and keys to
+ * clear. When `creating`, every required field needs a value; on updates a
+ * required value can't be cleared.
+ */
+const validateCustomFields = (definitions, input, { creating = false } = {}) => {
+  if (input === undefined) input = {};
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    throw new CustomFieldError('Custom fields must map field keys to values');
+  }
+
+  const byKey = new Map(definitions.map(field => [field.key, field]));
+  const set = {};
+  const unset = [];
+
+  for (const [key, raw] of Object.entries(input)) {
+    const field = byKey.get(key);
+    if (!field) {
+      throw new CustomFieldError(`Unknown custom field "${key}"`);
+    }
+    if (isEmpty(raw)) {
+      unset.push(key);
+    } else {
+      set[key] = parseValue(field, raw);
+    }
+  }
+
+  for (const field of definitions.filter(f => f.required)) {
+    if (creating ? !(field.key in set) : unset.includes(field.key)) {
+      throw new CustomFieldError(`"${field.name}" is required`);
+    }
+  }
+
+  return { set, unset };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Condition for a number or date filter with an optional <, <=, > or >=
+const rangeCondition = (field, path, raw) => {
+  const op = DATE_OPERATORS.find(candidate => raw.startsWith(candidate)) || '=';
+  const value = op === '=' ? raw : raw.slice(op.length);
+
+  if (field.type === 'number') {
+    const number = parseValue(field, value);
+    const mongoOp = { '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte', '=': '$eq' }[op];
+    return { [path]: { [mongoOp]: number } };
+  }
+
+  // Dates compare by whole UTC day, like the search query language
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new CustomFieldError(`Invalid date "${value}" for "${field.name}", use YYYY-MM-DD`);
+  }
+  const day = parseValue(field, value);
+  const nextDay = new Date(day.getTime() + DAY_MS);
+  switch (op) {
+    case '<': return { [path]: { $lt: day } };
+    case '<=': return { [path]: { $lt: nextDay } };
+    case '>': return { [path]: { $gte: nextDay } };
+    case '>=': return { [path]: { $gte: day } };
+    default: return { [path]: { $gte: day, $lt: nextDay } };
+  }
+};
+
+/**
+ * Mongo conditions for `?cf[key]=value` filters on getTasks.
+ *
+ * - `none` matches tasks without a value
+ * - number/date: `5`, `>=5`, `<2026-11-01`
+ * - select: comma-separated options, any of
+ * - checkbox: `true` or `false`
+ * - text/url: case-insensitive substring
+ */
+const buildCustomFieldFilters = (definitions, filters) => {
+  if (!filters) return [];
+  if (typeof filters !== 'object') {
+    throw new CustomFieldError('Use cf[fieldKey]=value to filter on custom fields');
+  }
+
+  const byKey = new Map(definitions.map(field => [field.key, field]));
+  return Object.entries(filters).map(([key, raw]) => {
+    const field = byKey.get(key);
+    if (!field) {
+      throw new CustomFieldError(`Unknown custom field "${key}"`);
+    }
+    const value = String(raw);
+    const path = `customFields.${key}`;
+
+    if (value === 'none') return { [path]: null };
+
+    switch (field.type) {
+      case 'number':
+      case 'date':
+        return rangeCondition(field, path, value);
+      case 'select':
+        return { [path]: { $in: value.split(',').map(option => parseValue(field, option)) } };
+      case 'checkbox':
+        return parseValue(field, value) ? { [path]: true } : { [path]: { $ne: true } };
+      default:
+        return { [path]: { $regex: escapeRegex(value), $options: 'i' } };
+    }
+  });
+};
+
+module.exports = {
+  CustomFieldError,
+  validateCustomFields,
+  buildCustomFieldFilters
+};
@@ -0,0 +1,70 @@
+// Day and time zone helpers for reports over a range of calendar days
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+
+// Calendar day of `date` in a time zone, as YYYY-MM-DD
+const dayIn = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+// The day `count` days after `day` (before, when negative)
+const addDays = (day, count) => new Date(new Date(day).getTime() + count * DAY_MS).toISOString().split('T')[0];
+
+// Every day from `from` to `to`, inclusive
+const listDays = (from, to) => {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+/**
+ * Read `from`, `to` (inclusive days, YYYY-MM-DD) and `tz` (IANA name,
+ * default UTC) from a query string. `to` defaults to today in that time zone
+ * and `from` to `defaultDays` days up to `to`. Returns
+ * { from, to, timeZone, days } or { error }.
+ */
+const parseDayRange = (query, { defaultDays, maxDays }) => {
+  const timeZone = query.tz || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    return { error: 'Invalid time zone' };
+  }
+
+  const to = query.to || dayIn(new Date(), timeZone);
+  const from = query.from || (isDay(to) ? addDays(to, 1 - defaultDays) : to);
+  if (!isDay(from) || !isDay(to)) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+
+  const days = Math.round((new Date(to) - new Date(from)) / DAY_MS) + 1;
+  if (days < 1 || days > maxDays) {
+    return { error: `The range must run forward and cover at most ${maxDays} days` };
+  }
+
+  return { from, to, timeZone, days };
+};
+
+module.exports = {
+  DAY_MS,
+  isValidTimeZone,
+  isDay,
+  dayIn,
+  addDays,
+  listDays,
+  parseDayRange
+};
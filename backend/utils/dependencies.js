@@ -0,0 +1,108 @@
+// Helpers for blocked-by relationships between tasks
+//
+// Each task stores the IDs of the tasks blocking it in `blockedBy`; the
+// "blocks" side is found with a reverse lookup. All lookups stay within one
+// user's tasks.
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+
+// How far dependency chains are listed, to keep very large graphs cheap
+const MAX_DEPTH = 50;
+
+// ID of a reference that may or may not be populated
+const toId = (ref) => (ref._id || ref).toString();
+
+/**
+ * Check that every task ID belongs to the given user and is not in the trash.
+ */
+const tasksBelongToUser = async (userId, taskIds) => {
+  if (!taskIds || taskIds.length === 0) return true;
+  if (!taskIds.every(id => mongoose.isValidObjectId(id))) return false;
+
+  const uniqueIds = [...new Set(taskIds.map(String))];
+  const count = await Task.countDocuments({ _id: { $in: uniqueIds }, user: userId, deletedAt: null });
+  return count === uniqueIds.length;
+};
+
+/**
+ * Would making `taskId` blocked by `blockerId` close a loop?
+ * True when `taskId` already (transitively) blocks `blockerId`. The whole
+ * graph is walked, however deep: each task is visited once.
+ */
+const wouldCreateCycle = async (userId, taskId, blockerId) => {
+  const target = taskId.toString();
+  if (blockerId.toString() === target) return true;
+
+  const visited = new Set();
+  let frontier = [blockerId.toString()];
+
+  while (frontier.length > 0) {
+    frontier.forEach(id => visited.add(id));
+
+    const tasks = await Task.find({ _id: { $in: frontier }, user: userId }).select('blockedBy');
+    const next = [];
+    for (const task of tasks) {
+      for (const id of task.blockedBy.map(String)) {
+        if (id === target) return true;
+        if (!visited.has(id)) next.push(id);
+      }
+    }
+    frontier = [...new Set(next)];
+  }
+  return false;
+};
+
+/**
+ * Blockers of a task that are not done yet.
+ */
+const getOpenBlockers = async (task) => {
+  if (!task.blockedBy || task.blockedBy.length === 0) return [];
+
+  return Task.find({
+    _id: { $in: task.blockedBy.map(toId) },
+    user: task.user,
+    statusCategory: { $ne: 'done' }
+  }).select('title status statusCategory');
+};
+
+/**
+ * Full upstream chain of blockers (with their depth from the task) and the
+ * tasks this one directly blocks.
+ */
+const getDependencyChain = async (task) => {
+  const blockedBy = [];
+  const visited = new Set([task._id.toString()]);
+  let frontier = task.blockedBy.map(toId);
+
+  for (let depth = 1; frontier.length > 0 && depth <= MAX_DEPTH; depth++) {
+    frontier = frontier.filter(id => !visited.has(id));
+    frontier.forEach(id => visited.add(id));
+    if (frontier.length === 0) break;
+
+    const tasks = await Task.find({ _id: { $in: frontier }, user: task.user })
+      .select('title status statusCategory blockedBy');
+
+    tasks.forEach(t => blockedBy.push({
+      _id: t._id,
+      title: t.title,
+      status: t.status,
+      statusCategory: t.statusCategory,
+      depth,
+      blockedBy: t.blockedBy
+    }));
+    frontier = tasks.flatMap(t => t.blockedBy.map(String));
+  }
+
+  const blocks = await Task.find({ blockedBy: task._id, user: task.user, deletedAt: null })
+    .select('title status statusCategory');
+
+  return { blockedBy, blocks };
+};
+
+module.exports = {
+  tasksBelongToUser,
+  wouldCreateCycle,
+  getOpenBlockers,
+  getDependencyChain
+};
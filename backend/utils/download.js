@@ -0,0 +1,28 @@
+// Sending stored files (attachments, exports) to the client
+
+/**
+ * Pipe a storage read stream into the response with `headers`. A file that
+ * can't be opened answers with a 404 and `missingMessage`; one that fails
+ * partway through ends the response, as its status is already sent.
+ */
+const sendStream = (res, stream, { headers, missingMessage }) => {
+  stream.on('error', () => {
+    // Nothing sent yet means the file could not be opened at all
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    stream.unpipe(res);
+    Object.keys(headers).forEach(header => res.removeHeader(header));
+    res.status(404).json({
+      success: false,
+      message: missingMessage
+    });
+  });
+
+  res.set(headers);
+  stream.pipe(res);
+};
+
+module.exports = {
+  sendStream
+};
@@ -0,0 +1,122 @@
+// Daily emails about overdue tasks and tasks due soon
+//
+// A 'due-date-emails' job runs once a day at DUE_DATE_EMAIL_HOUR (UTC, default
+// 8) and schedules the next day's run. Each user gets at most one email of
+// each type a day, for the types they haven't turned off. Users are claimed
+// for the day before their emails go out, so a rerun never emails them twice.
+
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { sendTemplate } = require('../mail');
+const { defineJob, schedule, isScheduled } = require('./scheduler');
+const { getUnsubscribeUrl } = require('./unsubscribe');
+
+const JOB_KEY = 'due-date-emails';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Most tasks listed in one email; the rest are counted
+const MAX_LISTED_TASKS = 20;
+
+const getSendHour = () => {
+  const hour = parseInt(process.env.DUE_DATE_EMAIL_HOUR, 10);
+  return hour >= 0 && hour <= 23 ? hour : 8;
+};
+
+// Next time the emails go out after `now`
+const getNextRun = (now = new Date()) => {
+  const run = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), getSendHour()));
+  if (run <= now) run.setUTCDate(run.getUTCDate() + 1);
+  return run;
+};
+
+// Send one email type to a user if they have matching tasks
+const sendDigest = async (user, type, template, dueDate) => {
+  const query = { user: user._id, deletedAt: null, statusCategory: { $ne: 'done' }, dueDate };
+  const [tasks, total] = await Promise.all([
+    Task.find(query).sort({ dueDate: 1 }).limit(MAX_LISTED_TASKS),
+    Task.countDocuments(query)
+  ]);
+  if (total === 0) return false;
+
+  const appUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const unsubscribeUrl = getUnsubscribeUrl(user._id, type);
+  await sendTemplate(template, user.email, {
+    name: user.name,
+    tasks,
+    total,
+    appUrl: `${appUrl}/dashboard`,
+    preferencesUrl: `${appUrl}/profile`,
+    unsubscribeUrl
+  }, {
+    headers: { 'List-Unsubscribe': `<${unsubscribeUrl}>` }
+  });
+  return true;
+};
+
+/**
+ * Send today's overdue and upcoming emails to every user who hasn't had
+ * them yet. Due dates are days, so "today" is the UTC day. Returns how many
+ * emails went out.
+ */
+const sendDueDateEmails = async (now = new Date()) => {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const day = today.toISOString().split('T')[0];
+
+  const users = await User.find({
+    dueDateEmailsSentOn: { $ne: day },
+    $or: [
+      { 'emailPreferences.overdue': { $ne: false } },
+      { 'emailPreferences.upcoming': { $ne: false } }
+    ]
+  });
+
+  let sent = 0;
+  for (const user of users) {
+    const claimed = await User.updateOne(
+      { _id: user._id, dueDateEmailsSentOn: { $ne: day } },
+      { dueDateEmailsSentOn: day }
+    );
+    if (claimed.modifiedCount !== 1) continue;
+
+    try {
+      if (user.emailPreferences.overdue !== false &&
+        await sendDigest(user, 'overdue', 'overdueTasks', { $lt: today })) {
+        sent++;
+      }
+      if (user.emailPreferences.upcoming !== false &&
+        await sendDigest(user, 'upcoming', 'upcomingTasks', { $gte: today, $lt: new Date(today.getTime() + 2 * DAY_MS) })) {
+        sent++;
+      }
+    } catch (error) {
+      // Carry on with the other users; this one is skipped for the day
+      console.error(`Due date emails to ${user.email} failed: ${error.message}`);
+    }
+  }
+  return sent;
+};
+
+// Scheduling tomorrow's run resets this job to pending, so the scheduler
+// leaves it that way instead of marking it done
+defineJob(JOB_KEY, async () => {
+  try {
+    await sendDueDateEmails();
+  } finally {
+    await schedule(JOB_KEY, {}, getNextRun(), { key: JOB_KEY });
+  }
+});
+
+// Queue the daily run unless it is already queued, e.g. by an earlier start
+const scheduleDueDateEmails = async () => {
+  try {
+    if (!(await isScheduled(JOB_KEY))) {
+      await schedule(JOB_KEY, {}, getNextRun(), { key: JOB_KEY });
+    }
+  } catch (error) {
+    console.error(`Scheduling due date emails failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getNextRun,
+  sendDueDateEmails,
+  scheduleDueDateEmails
+};
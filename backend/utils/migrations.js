@@ -0,0 +1,99 @@
+// One-off data migrations, run at startup. Each one only touches documents
+// that still need it, so running them again is harmless.
+
+const Task = require('../models/Task');
+const Workflow = require('../models/Workflow');
+const Activity = require('../models/Activity');
+const { ranksAfter } = require('./rank');
+
+/**
+ * Tasks from before custom workflows have a status from the default workflow
+ * but no `statusCategory`; fill it in from the default statuses.
+ */
+const migrateStatusCategories = async () => {
+  for (const status of Workflow.DEFAULT_STATUSES) {
+    await Task.updateMany(
+      { status: status.key, statusCategory: { $exists: false } },
+      { $set: { statusCategory: status.category } }
+    );
+  }
+};
+
+/**
+ * Tasks completed before `completedAt` was recorded get the time of the
+ * change that moved them into their current status, from the activity log,
+ * or else their last update. Open tasks get null.
+ */
+const backfillCompletedAt = async () => {
+  await Task.updateMany(
+    { completedAt: { $exists: false }, statusCategory: { $ne: 'done' } },
+    { $set: { completedAt: null } }
+  );
+
+  const tasks = Task.find({ completedAt: { $exists: false }, statusCategory: 'done' })
+    .select('status createdAt updatedAt')
+    .cursor();
+
+  for await (const task of tasks) {
+    const completion = await Activity.findOne({
+      task: task._id,
+      changes: { $elemMatch: { field: 'status', to: task.status } }
+    }).sort({ createdAt: -1 });
+
+    await Task.updateOne(
+      { _id: task._id, completedAt: { $exists: false } },
+      { $set: { completedAt: completion ? completion.createdAt : task.updatedAt || task.createdAt } }
+    );
+  }
+};
+
+/**
+ * Tasks from before the manual order get ranks newest first, matching the
+ * default list order, below any tasks that are already ranked.
+ */
+const backfillRanks = async () => {
+  const users = await Task.distinct('user', { rank: null });
+
+  for (const user of users) {
+    const [last, unranked] = await Promise.all([
+      Task.findOne({ user, rank: { $ne: null } }).sort({ rank: -1 }).select('rank'),
+      Task.find({ user, rank: null }).sort({ createdAt: -1, _id: -1 }).select('_id')
+    ]);
+    const ranks = ranksAfter(last ? last.rank : null, unranked.length);
+
+    await Task.bulkWrite(unranked.map((task, index) => ({
+      updateOne: {
+        filter: { _id: task._id, rank: null },
+        update: { $set: { rank: ranks[index] } }
+      }
+    })));
+  }
+};
+
+/**
+ * Tasks from before priority sorting used ranks get the rank of their
+ * priority.
+ */
+const backfillPriorityRanks = async () => {
+  for (const [priority, priorityRank] of Object.entries(Task.PRIORITY_RANKS)) {
+    await Task.updateMany(
+      { priority, priorityRank: { $ne: priorityRank } },
+      { $set: { priorityRank } }
+    );
+  }
+};
+
+const runMigrations = async () => {
+  try {
+    await migrateStatusCategories();
+    await backfillCompletedAt();
+    await backfillRanks();
+    await backfillPriorityRanks();
+  } catch (error) {
+    console.error(`Migration failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  runMigrations
+};
@@ -0,0 +1,218 @@
+// Cursor (keyset) pagination for task lists
+//
+// Each sort mode orders by one field plus `_id` as a tie-breaker, so the order
+// is total and pages never skip or repeat tasks, even when many share a value.
+// A cursor is the sort key of the task at the edge of a page, base64url
+// encoded together with the sort mode it belongs to.
+//
+// The `relevance` sort orders by text search score, which only exists inside
+// an aggregation, so those pages are fetched with one and hydrated after.
+//
+// `priority` sorts by the task's numeric priority rank, highest first, as the
+// priority names don't sort in order.
+//
+// `manual` follows the user's own order (fractional ranks, see utils/rank.js).
+//
+// `field:<key>` and `field:<key>:desc` sort by a custom field value. Tasks
+// without a value sort as null: first when ascending, last when descending.
+
+const mongoose = require('mongoose');
+
+const SORT_OPTIONS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  title: { field: 'title', direction: 1 },
+  priority: { field: 'priorityRank', direction: -1 },
+  manual: { field: 'rank', direction: 1, nullable: true },
+  relevance: { field: 'score', direction: -1, textScore: true }
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const DATE_FIELDS = ['createdAt'];
+
+const CUSTOM_SORT = /^field:([a-z0-9]+(?:_[a-z0-9]+)*)(:desc)?$/;
+
+/**
+ * Sort spec for a sort mode, or null if there is no such mode. Custom field
+ * sorts carry the field `key`; the caller checks that the field exists.
+ */
+const getSortOption = (sort) => {
+  if (Object.prototype.hasOwnProperty.call(SORT_OPTIONS, sort)) return SORT_OPTIONS[sort];
+  const match = CUSTOM_SORT.exec(sort || '');
+  if (!match) return null;
+  return { field: `customFields.${match[1]}`, direction: match[2] ? -1 : 1, key: match[1], nullable: true };
+};
+
+// Value at a (possibly nested) path of a document or aggregation row
+const valueAt = (doc, field) => (typeof doc.get === 'function'
+  ? doc.get(field)
+  : field.split('.').reduce((value, part) => (value == null ? value : value[part]), doc));
+
+const parseLimit = (value) => {
+  const limit = parseInt(value, 10);
+  if (!limit || limit < 1) return DEFAULT_LIMIT;
+  return Math.min(limit, MAX_LIMIT);
+};
+
+// Dates are flagged so custom field dates come back as dates
+const encodeCursor = (sort, doc) => {
+  const raw = valueAt(doc, getSortOption(sort).field);
+  const cursor = { s: sort, v: raw === undefined ? null : raw, id: doc._id.toString() };
+  if (raw instanceof Date) {
+    cursor.v = raw.toISOString();
+    cursor.d = 1;
+  }
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+};
+
+/**
+ * Decode a cursor for the given sort mode. Returns null when the cursor is
+ * malformed or was issued for a different sort.
+ */
+const decodeCursor = (sort, cursor) => {
+  try {
+    const { s, v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (s !== sort || !mongoose.isValidObjectId(id) || v === undefined) return null;
+
+    const { field, nullable } = getSortOption(sort);
+    if (v === null && !nullable) return null;
+    const value = d || DATE_FIELDS.includes(field) ? new Date(v) : v;
+    if (value instanceof Date && isNaN(value)) return null;
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Condition matching everything strictly after `position` in `direction`.
+// For `nullable` fields, nulls sort before every value: first going up and
+// last going down.
+const keysetFilter = (field, direction, position, nullable = false) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  if (position.value === null) {
+    const tie = { [field]: null, _id: { [op]: position.id } };
+    return direction === 1 ? { $or: [{ [field]: { $ne: null } }, tie] } : tie;
+  }
+  if (nullable && direction === -1) {
+    return {
+      $or: [
+        { [field]: { $lt: position.value } },
+        { [field]: null },
+        { [field]: position.value, _id: { $lt: position.id } }
+      ]
+    };
+  }
+  return {
+    $or: [
+      { [field]: { [op]: position.value } },
+      { [field]: position.value, _id: { [op]: position.id } }
+    ]
+  };
+};
+
+// Rows sorted by text score, as plain objects carrying their `score`
+const aggregateByScore = (Model, query, { scanDirection, position, limit }) => {
+  // Aggregations skip Mongoose casting, so cast the filter up front
+  const pipeline = [
+    { $match: Model.find().cast(Model, query) },
+    { $addFields: { score: { $meta: 'textScore' } } }
+  ];
+  if (position) {
+    pipeline.push({ $match: keysetFilter('score', scanDirection, position) });
+  }
+  pipeline.push(
+    { $sort: { score: scanDirection, _id: scanDirection } },
+    { $limit: limit + 1 }
+  );
+  return Model.aggregate(pipeline);
+};
+
+/**
+ * Fetch one page of `query`.
+ *
+ * Pass `after` (a nextCursor) to page forward or `before` (a prevCursor) to
+ * page back; with neither, the first page is returned. Each is the decoded
+ * position from decodeCursor. `populate` is applied to the page's documents.
+ */
+const findPage = async (Model, query, { sort, limit, after, before, populate = [] }) => {
+  const { field, direction, textScore, nullable } = getSortOption(sort);
+  const backwards = Boolean(before);
+  const scanDirection = backwards ? -direction : direction;
+  const position = backwards ? before : after;
+
+  let rows;
+  if (textScore) {
+    rows = aggregateByScore(Model, query, { scanDirection, position, limit });
+  } else {
+    const pageQuery = position
+      ? { $and: [query, keysetFilter(field, scanDirection, position, nullable)] }
+      : query;
+
+    rows = Model.find(pageQuery)
+      .sort({ [field]: scanDirection, _id: scanDirection })
+      .limit(limit + 1);
+    populate.forEach(args => {
+      rows = rows.populate(...args);
+    });
+  }
+
+  const [docs, total] = await Promise.all([
+    rows,
+    Model.countDocuments(query)
+  ]);
+
+  // One extra row tells us whether there is more in the scan direction
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const first = page[0];
+  const last = page[page.length - 1];
+  const hasNext = backwards ? Boolean(last) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(after && first);
+
+  const nextCursor = hasNext ? encodeCursor(sort, last) : null;
+  const prevCursor = hasPrev ? encodeCursor(sort, first) : null;
+
+  let data = page;
+  if (textScore) {
+    data = page.map(row => Model.hydrate(row));
+    for (const [path, select] of populate) {
+      await Model.populate(data, { path, select });
+    }
+  }
+
+  return {
+    data,
+    total,
+    nextCursor,
+    prevCursor
+  };
+};
+
+/**
+ * Every document matching `query`, in the same order as the pages of
+ * `sort`. Returns the query, to be streamed with .cursor().
+ */
+const findSorted = (Model, query, sort) => {
+  const { field, direction, textScore } = getSortOption(sort);
+  if (textScore) {
+    return Model.find(query, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 });
+  }
+  return Model.find(query).sort({ [field]: direction, _id: direction });
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  getSortOption,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  decodeCursor,
+  findPage,
+  findSorted
+};
@@ -0,0 +1,90 @@
+// Task reminders
+//
+// Each reminder on an open task with a time in the future has a job in the
+// scheduler (utils/scheduler.js), keyed by task and reminder, which is kept in
+// step by syncReminderJobs() whenever the task changes. A reminder `before`
+// the due date counts back from the start of the due day (UTC), the way due
+// dates are stored.
+//
+// When the job fires it adds an in-app notification. The notification's key
+// includes the reminder time, so a job that runs twice notifies once.
+
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const { defineJob, schedule, cancel } = require('./scheduler');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * When a reminder is due, or null when it can't be placed (a `before`
+ * reminder on a task without a due date).
+ */
+const getReminderTime = (reminder, dueDate) => {
+  if (reminder.at) return new Date(reminder.at);
+  if (reminder.before == null || !dueDate) return null;
+  return new Date(new Date(dueDate).getTime() - reminder.before * MINUTE_MS);
+};
+
+// Pending reminder jobs of a task, except the ones listed
+const cancelReminderJobs = (taskId, keep = []) => cancel({
+  key: { $regex: `^reminder:${taskId}:`, $nin: keep }
+});
+
+/**
+ * Schedule a job for each upcoming reminder of a task and cancel the rest.
+ * Trashed and completed tasks have no reminders.
+ */
+const syncReminderJobs = async (task) => {
+  const keep = [];
+
+  if (!task.deletedAt && task.statusCategory !== 'done') {
+    for (const reminder of task.reminders || []) {
+      const remindAt = getReminderTime(reminder, task.dueDate);
+      if (!remindAt || remindAt.getTime() <= Date.now()) continue;
+
+      const key = `reminder:${task._id}:${reminder._id}`;
+      await schedule('task-reminder', {
+        task: task._id,
+        reminder: reminder._id,
+        remindAt
+      }, remindAt, { key });
+      keep.push(key);
+    }
+  }
+
+  await cancelReminderJobs(task._id, keep);
+};
+
+const describeDueDate = (dueDate) => dueDate
+  ? `Due ${new Date(dueDate).toISOString().split('T')[0]}`
+  : 'Reminder';
+
+defineJob('task-reminder', async ({ task: taskId, reminder: reminderId, remindAt }) => {
+  const task = await Task.findOne({ _id: taskId, deletedAt: null });
+  if (!task || task.statusCategory === 'done') return;
+
+  // Skip reminders removed or moved since the job was scheduled
+  const reminder = task.reminders.id(reminderId);
+  const time = reminder && getReminderTime(reminder, task.dueDate);
+  if (!time || time.getTime() !== new Date(remindAt).getTime()) return;
+
+  try {
+    await Notification.create({
+      user: task.user,
+      type: 'reminder',
+      task: task._id,
+      title: task.title,
+      message: describeDueDate(task.dueDate),
+      key: `reminder:${task._id}:${reminder._id}:${time.toISOString()}`
+    });
+  } catch (error) {
+    // Already notified
+    if (error.code !== 11000) throw error;
+  }
+});
+
+module.exports = {
+  getReminderTime,
+  syncReminderJobs,
+  cancelReminderJobs
+};
@@ -0,0 +1,161 @@
+// Background job scheduler backed by the `jobs` collection
+//
+// Handlers are registered by name with defineJob() and jobs are queued with
+// schedule(). Every server polls for due jobs (JOB_POLL_INTERVAL_MS, default
+// 15 seconds) and claims each one with an atomic update, so a job runs on one
+// server only and pending jobs survive restarts.
+//
+// A job whose handler throws is retried with a growing delay, up to
+// MAX_ATTEMPTS times. A job left `running` by a server that died is picked up
+// again once its lock is older than LOCK_TIMEOUT_MS; handlers should
+// therefore be safe to run twice (see utils/reminders.js).
+
+const os = require('os');
+const Job = require('../models/Job');
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = {};
+
+const getPollInterval = () => {
+  const ms = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10);
+  return ms > 0 ? ms : 15 * 1000;
+};
+
+/**
+ * Register the handler for jobs called `name`. It receives the job's data
+ * and the job itself.
+ */
+const defineJob = (name, handler) => {
+  handlers[name] = handler;
+};
+
+/**
+ * Queue a job to run at `runAt`. With a `key`, an existing job with that key
+ * is rescheduled instead, unless it already ran at that same time, so
+ * scheduling the same work twice doesn't run it twice.
+ */
+const schedule = async (name, data, runAt, { key } = {}) => {
+  if (!key) {
+    return Job.create({ name, data, runAt });
+  }
+
+  try {
+    return await Job.findOneAndUpdate(
+      { key, $or: [{ status: 'pending' }, { runAt: { $ne: runAt } }] },
+      {
+        $set: { name, data, runAt, status: 'pending', attempts: 0 },
+        $unset: { lockedAt: 1, lockedBy: 1, lastError: 1, finishedAt: 1 }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The key's job already ran for this time
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Remove pending jobs matching a filter, e.g. { key: { $regex: '^reminder:' } }.
+ */
+const cancel = async (filter) => {
+  const result = await Job.deleteMany({ ...filter, status: 'pending' });
+  return result.deletedCount;
+};
+
+/**
+ * Whether a job with this key is waiting to run or running.
+ */
+const isScheduled = async (key) => Boolean(await Job.exists({ key, status: { $in: ['pending', 'running'] } }));
+
+// Claim the next due job, or null when there is none
+const claimNext = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Run one claimed job and record how it went. The updates are conditional on
+// still holding the lock, in case the job was reclaimed meanwhile.
+const runJob = async (job) => {
+  const lock = { _id: job._id, lockedBy: WORKER_ID, lockedAt: job.lockedAt };
+  try {
+    const handler = handlers[job.name];
+    if (!handler) {
+      throw new Error(`No handler for job "${job.name}"`);
+    }
+    await handler(job.data, job);
+    await Job.updateOne(lock, {
+      $set: { status: 'done', finishedAt: new Date() },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+  } catch (error) {
+    const retry = job.attempts < MAX_ATTEMPTS;
+    await Job.updateOne(lock, {
+      $set: {
+        status: retry ? 'pending' : 'failed',
+        runAt: retry ? new Date(Date.now() + RETRY_DELAY_MS * job.attempts) : job.runAt,
+        lastError: error.message,
+        ...(retry ? {} : { finishedAt: new Date() })
+      },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+    console.error(`Job ${job.name} (${job._id}) failed: ${error.message}`);
+  }
+};
+
+/**
+ * Run every job that is due. Returns how many ran.
+ */
+const runDueJobs = async () => {
+  let count = 0;
+  for (let job = await claimNext(); job; job = await claimNext()) {
+    await runJob(job);
+    count++;
+  }
+  return count;
+};
+
+// Poll for due jobs for as long as the server is up
+const startScheduler = () => {
+  let busy = false;
+  const run = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await runDueJobs();
+    } catch (error) {
+      console.error(`Job scheduler failed: ${error.message}`);
+    } finally {
+      busy = false;
+    }
+  };
+
+  run();
+  setInterval(run, getPollInterval()).unref();
+};
+
+module.exports = {
+  defineJob,
+  schedule,
+  cancel,
+  isScheduled,
+  runDueJobs,
+  startScheduler
+};
@@ -0,0 +1,278 @@
+// Task search query language
+//
+//   priority:high status:!completed due:<2026-11-01 "exact phrase" -word
+//
+// - word / "exact phrase"   full-text terms, ranked by the text index
+// - -word / -"phrase"       exclude tasks containing the term
+// - field:value             filter; comma-separate values for any-of
+//                           (status:pending,in-progress)
+// - status: takes a status key or name from the user's workflow; category:
+//   takes todo, doing or done
+// - field:!value / -field:value   negated filter
+// - due:/created: take a date (YYYY-MM-DD or "today") with an optional
+//   <, <=, > or >= in front; due:none matches tasks without a due date
+// - tag:/project: take a name, quoted when it has spaces; project:none
+//   matches tasks without a project
+//
+// Mirrored by frontend/src/utils/searchQuery.js for the mock API and the
+// search box suggestions.
+
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Workflow = require('../models/Workflow');
+
+const SEARCH_FIELDS = {
+  status: { type: 'status' },
+  category: { type: 'enum', path: 'statusCategory', values: ['todo', 'doing', 'done'] },
+  priority: { type: 'enum', values: ['low', 'medium', 'high'] },
+  due: { type: 'date', path: 'dueDate', allowNone: true },
+  created: { type: 'date', path: 'createdAt' },
+  tag: { type: 'name' },
+  project: { type: 'name', allowNone: true }
+};
+
+const DATE_OPERATORS = ['<=', '>=', '<', '>'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A query that can't be parsed; `position` is the 0-based offset of the problem
+class SearchSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'SearchSyntaxError';
+    this.position = position;
+  }
+}
+
+const isSpace = (char) => /\s/.test(char);
+
+// Read a "quoted" string starting at the opening quote
+const readQuoted = (input, start) => {
+  const end = input.indexOf('"', start + 1);
+  if (end === -1) {
+    throw new SearchSyntaxError('Unterminated quote', start);
+  }
+  return { value: input.slice(start + 1, end), end: end + 1 };
+};
+
+// Read up to the next whitespace
+const readBare = (input, start) => {
+  let end = start;
+  while (end < input.length && !isSpace(input[end])) end++;
+  return { value: input.slice(start, end), end };
+};
+
+// Due dates are stored as UTC midnight, so whole days are compared in UTC
+const parseDay = (value, position) => {
+  if (value === 'today') {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  if (!date || date.getUTCMonth() !== +match[2] - 1) {
+    throw new SearchSyntaxError(`Invalid date "${value}", use YYYY-MM-DD`, position);
+  }
+  return date;
+};
+
+const parseFilterValue = (name, raw, position) => {
+  const field = SEARCH_FIELDS[name];
+
+  if (field.type === 'date') {
+    const op = DATE_OPERATORS.find(candidate => raw.startsWith(candidate)) || '=';
+    const value = op === '=' ? raw : raw.slice(op.length);
+    if (value === 'none' && op === '=' && field.allowNone) {
+      return { op, values: [null] };
+    }
+    return { op, values: [parseDay(value, position + (op === '=' ? 0 : op.length))] };
+  }
+
+  const values = raw.split(',');
+  let offset = position;
+  for (const value of values) {
+    if (!value) {
+      throw new SearchSyntaxError(`Missing value for "${name}"`, offset);
+    }
+    if (field.type === 'enum' && !field.values.includes(value.toLowerCase())) {
+      throw new SearchSyntaxError(
+        `Unknown ${name} "${value}", expected one of: ${field.values.join(', ')}`,
+        offset
+      );
+    }
+    offset += value.length + 1;
+  }
+
+  return {
+    op: '=',
+    values: values.map(value => {
+      if (field.type === 'enum') return value.toLowerCase();
+      if (value.toLowerCase() === 'none' && field.allowNone) return null;
+      return value;
+    })
+  };
+};
+
+/**
+ * Parse a search string into text terms and field filters.
+ * Throws SearchSyntaxError with the offending position.
+ */
+const parseSearchQuery = (input = '') => {
+  const terms = [];
+  const filters = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (isSpace(input[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    const negated = input[i] === '-';
+    if (negated) {
+      i++;
+      if (i >= input.length || isSpace(input[i])) {
+        throw new SearchSyntaxError('Expected a word or field after "-"', position);
+      }
+    }
+
+    if (input[i] === '"') {
+      const { value, end } = readQuoted(input, i);
+      if (!value.trim()) {
+        throw new SearchSyntaxError('Empty phrase', i);
+      }
+      terms.push({ value, phrase: true, negated, position });
+      i = end;
+      continue;
+    }
+
+    const fieldMatch = /^([a-zA-Z]+):/.exec(input.slice(i));
+    if (!fieldMatch) {
+      const { value, end } = readBare(input, i);
+      terms.push({ value: value.replace(/"/g, ''), phrase: false, negated, position });
+      i = end;
+      continue;
+    }
+
+    const name = fieldMatch[1].toLowerCase();
+    if (!SEARCH_FIELDS[name]) {
+      throw new SearchSyntaxError(`Unknown field "${fieldMatch[1]}"`, i);
+    }
+    i += fieldMatch[0].length;
+
+    let valueNegated = false;
+    if (input[i] === '!') {
+      valueNegated = true;
+      i++;
+    }
+
+    const valuePosition = i;
+    const { value, end } = input[i] === '"' ? readQuoted(input, i) : readBare(input, i);
+    if (!value) {
+      throw new SearchSyntaxError(`Missing value for "${name}"`, valuePosition);
+    }
+
+    const quoteOffset = input[i] === '"' ? 1 : 0;
+    filters.push({
+      field: name,
+      negated: negated !== valueNegated,
+      position,
+      ...parseFilterValue(name, value, valuePosition + quoteOffset)
+    });
+    i = end;
+  }
+
+  if (terms.length > 0 && terms.every(term => term.negated)) {
+    throw new SearchSyntaxError('Add at least one word to search for alongside excluded words', terms[0].position);
+  }
+
+  return { terms, filters };
+};
+
+// Condition for one date filter value
+const dateCondition = (path, op, day) => {
+  if (day === null) return { [path]: null };
+
+  const nextDay = new Date(day.getTime() + DAY_MS);
+  switch (op) {
+    case '<': return { [path]: { $lt: day } };
+    case '<=': return { [path]: { $lt: nextDay } };
+    case '>': return { [path]: { $gte: nextDay } };
+    case '>=': return { [path]: { $gte: day } };
+    default: return { [path]: { $gte: day, $lt: nextDay } };
+  }
+};
+
+// Look up tag or project IDs by name (case-insensitive) for the user
+const resolveNames = async (Model, userId, filter) => {
+  const names = filter.values.filter(value => value !== null);
+  const docs = await Model.find({ user: userId, name: { $in: names } })
+    .collation({ locale: 'en', strength: 2 })
+    .select('name');
+
+  const missing = names.find(name => !docs.some(doc => doc.name.toLowerCase() === name.toLowerCase()));
+  if (missing) {
+    throw new SearchSyntaxError(`No ${filter.field} named "${missing}"`, filter.position);
+  }
+
+  return [
+    ...docs.map(doc => doc._id),
+    ...(filter.values.includes(null) ? [null] : [])
+  ];
+};
+
+// Look up workflow status keys by key or name (case-insensitive)
+const resolveStatuses = (workflow, filter) => filter.values.map(value => {
+  const lower = value.toLowerCase();
+  const status = workflow.statuses.find(s => s.key === lower || s.name.toLowerCase() === lower);
+  if (!status) {
+    throw new SearchSyntaxError(`No status named "${value}"`, filter.position);
+  }
+  return status.key;
+});
+
+/**
+ * Turn a parsed query into Mongo conditions for the user's tasks.
+ * Returns `{ conditions, text }`; `text` is the $text search string, or null
+ * when the query has no free-text terms.
+ */
+const buildSearchConditions = async (parsed, userId) => {
+  const conditions = [];
+  let workflow = null;
+
+  for (const filter of parsed.filters) {
+    const field = SEARCH_FIELDS[filter.field];
+    let condition;
+
+    if (field.type === 'date') {
+      condition = dateCondition(field.path, filter.op, filter.values[0]);
+    } else if (field.type === 'enum') {
+      condition = { [field.path || filter.field]: { $in: filter.values } };
+    } else if (field.type === 'status') {
+      workflow = workflow || await Workflow.forUser(userId);
+      condition = { status: { $in: resolveStatuses(workflow, filter) } };
+    } else {
+      const Model = filter.field === 'tag' ? Tag : Project;
+      const path = filter.field === 'tag' ? 'tags' : 'project';
+      condition = { [path]: { $in: await resolveNames(Model, userId, filter) } };
+    }
+
+    conditions.push(filter.negated ? { $nor: [condition] } : condition);
+  }
+
+  const text = parsed.terms.length > 0
+    ? parsed.terms
+      .map(term => `${term.negated ? '-' : ''}${term.phrase ? `"${term.value.replace(/"/g, '')}"` : term.value}`)
+      .join(' ')
+    : null;
+
+  return { conditions, text };
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  SearchSyntaxError,
+  parseSearchQuery,
+  buildSearchConditions
+};
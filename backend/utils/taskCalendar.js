@@ -0,0 +1,236 @@
+// Tasks as iCalendar data: the due date feed and .ics imports
+//
+// The feed lists every task with a due date, either as all-day events
+// (VEVENT, what most calendar apps subscribe to) or as to-dos (VTODO). Events
+// have no status to show progress with, so finished tasks get a check mark in
+// front of their title instead.
+//
+// Imports go the other way: each event or to-do becomes a row for the CSV
+// import (utils/taskTransfer.js), so it gets the same checks and duplicate
+// detection as any imported task. CalDAV (utils/caldav.js) serves each task
+// as a to-do of its own and reads edited to-dos back the same way.
+// Mirrored in frontend/src/utils/taskCalendar.js for the mock API.
+
+const {
+  escapeText,
+  unescapeText,
+  parseTextList,
+  formatDate,
+  formatDateTime,
+  parseDay,
+  formatComponent,
+  getProperty
+} = require('./ical');
+
+const FEED_TYPES = ['event', 'todo'];
+
+const PRODUCT_ID = '-//Task Manager//Due Dates//EN';
+const UID_DOMAIN = 'task-manager';
+
+// How often calendar apps should check the feed
+const REFRESH_INTERVAL = 'PT1H';
+
+const DONE_MARK = '✓ ';
+
+// RFC 5545 priorities run from 1 (highest) to 9 (lowest)
+const PRIORITIES = {
+  high: 1,
+  medium: 5,
+  low: 9
+};
+
+// VTODO status of each status category
+const TODO_STATUSES = {
+  todo: 'NEEDS-ACTION',
+  doing: 'IN-PROCESS',
+  done: 'COMPLETED'
+};
+
+// Columns of the rows an .ics import produces
+const IMPORT_COLUMNS = ['title', 'description', 'status', 'priority', 'dueDate', 'tags'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const text = (name, value) => ({ name, value: escapeText(value) });
+
+const taskComponent = (task, { type, tags, now, uid = `${task._id}@${UID_DOMAIN}` }) => {
+  const done = task.statusCategory === 'done';
+  const tagNames = (task.tags || [])
+    .map(id => tags.find(tag => String(tag._id) === String(id)))
+    .filter(Boolean)
+    .map(tag => escapeText(tag.name));
+  const due = new Date(task.dueDate);
+
+  const properties = [
+    { name: 'UID', value: escapeText(uid) },
+    { name: 'DTSTAMP', value: formatDateTime(now) },
+    { name: 'CREATED', value: formatDateTime(task.createdAt) },
+    { name: 'LAST-MODIFIED', value: formatDateTime(task.updatedAt || task.createdAt) }
+  ];
+  if (type === 'event') {
+    properties.push(
+      { name: 'DTSTART', params: { VALUE: 'DATE' }, value: formatDate(due) },
+      { name: 'DTEND', params: { VALUE: 'DATE' }, value: formatDate(due.getTime() + DAY_MS) },
+      text('SUMMARY', `${done ? DONE_MARK : ''}${task.title}`),
+      { name: 'STATUS', value: 'CONFIRMED' },
+      // A day's worth of tasks shouldn't show the user as busy
+      { name: 'TRANSP', value: 'TRANSPARENT' }
+    );
+  } else {
+    properties.push(
+      { name: 'DUE', params: { VALUE: 'DATE' }, value: formatDate(due) },
+      text('SUMMARY', task.title),
+      { name: 'STATUS', value: TODO_STATUSES[task.statusCategory] || TODO_STATUSES.todo }
+    );
+    if (done && task.completedAt) {
+      properties.push(
+        { name: 'COMPLETED', value: formatDateTime(task.completedAt) },
+        { name: 'PERCENT-COMPLETE', value: '100' }
+      );
+    }
+  }
+  properties.push({ name: 'PRIORITY', value: String(PRIORITIES[task.priority] || PRIORITIES.medium) });
+  if (task.description) properties.push(text('DESCRIPTION', task.description));
+  if (tagNames.length > 0) properties.push({ name: 'CATEGORIES', value: tagNames.join(',') });
+
+  return { name: type === 'event' ? 'VEVENT' : 'VTODO', properties };
+};
+
+/**
+ * The .ics feed of `tasks` (each with a due date) for the user called
+ * `name`, as events or to-dos. `tags` are the user's tags, to name the
+ * tasks' tags with.
+ */
+const buildFeed = ({ name, tasks, tags, type = 'event', now = new Date() }) => formatComponent({
+  name: 'VCALENDAR',
+  properties: [
+    { name: 'VERSION', value: '2.0' },
+    { name: 'PRODID', value: PRODUCT_ID },
+    { name: 'CALSCALE', value: 'GREGORIAN' },
+    { name: 'METHOD', value: 'PUBLISH' },
+    text('X-WR-CALNAME', `${name}'s tasks`),
+    { name: 'REFRESH-INTERVAL', params: { VALUE: 'DURATION' }, value: REFRESH_INTERVAL },
+    { name: 'X-PUBLISHED-TTL', value: REFRESH_INTERVAL }
+  ],
+  components: tasks.map(task => taskComponent(task, { type, tags, now }))
+});
+
+/**
+ * One task as a calendar of its own holding a to-do, as CalDAV serves it.
+ * Only changes to the task change the output, so it can be hashed for an
+ * ETag. `uid` is the to-do's UID when a client chose one.
+ */
+const buildTodo = (task, { tags, uid }) => formatComponent({
+  name: 'VCALENDAR',
+  properties: [
+    { name: 'VERSION', value: '2.0' },
+    { name: 'PRODID', value: PRODUCT_ID }
+  ],
+  components: [taskComponent(task, { type: 'todo', tags, uid, now: task.createdAt })]
+});
+
+// Task priority of an RFC 5545 priority: 1-4 high, 5 medium, 6-9 low.
+// 0 (undefined) and anything else leave the default.
+const toPriority = (value) => {
+  const priority = parseInt(value, 10);
+  if (!(priority >= 1 && priority <= 9)) return '';
+  if (priority < 5) return 'high';
+  return priority === 5 ? 'medium' : 'low';
+};
+
+const textOf = (component, name) => {
+  const property = getProperty(component, name);
+  return property ? unescapeText(property.value) : '';
+};
+
+// Day of a date property. An unreadable one is passed on as its line, which
+// no date parser takes, so the import rejects it with the line in the error.
+const dayOf = (component, name) => {
+  const property = getProperty(component, name);
+  if (!property) return '';
+  return parseDay(property.value) || `${name}:${property.value}`;
+};
+
+/**
+ * The task fields of an event or to-do: title, description, priority ('' for
+ * none), the due day ('' for none), tag names, the status category its
+ * status stands for (null when it has none) and its UID. Its raw STATUS is
+ * in `status`.
+ */
+const readEntry = (component) => {
+  const status = (getProperty(component, 'STATUS')?.value || '').trim().toUpperCase();
+  let title = textOf(component, 'SUMMARY').trim();
+  let category = null;
+  if (component.name === 'VTODO') {
+    category = {
+      'NEEDS-ACTION': 'todo',
+      'IN-PROCESS': 'doing',
+      COMPLETED: 'done',
+      CANCELLED: 'done'
+    }[status] || (getProperty(component, 'COMPLETED') ? 'done' : null);
+  } else if (title.startsWith(DONE_MARK)) {
+    // Finished tasks as this app's feed shows them
+    title = title.slice(DONE_MARK.length).trim();
+    category = 'done';
+  }
+
+  const tags = component.properties
+    .filter(property => property.name === 'CATEGORIES')
+    .flatMap(property => parseTextList(property.value));
+
+  return {
+    uid: textOf(component, 'UID').trim(),
+    status,
+    title,
+    description: textOf(component, 'DESCRIPTION').trim(),
+    category,
+    priority: toPriority(getProperty(component, 'PRIORITY')?.value),
+    dueDate: component.name === 'VTODO'
+      ? dayOf(component, 'DUE') || dayOf(component, 'DTSTART')
+      : dayOf(component, 'DTSTART'),
+    tags: [...new Set(tags)]
+  };
+};
+
+/**
+ * Import rows (header first, see utils/taskTransfer.js) for the events and
+ * to-dos of a parsed calendar, with `statuses` the user's workflow statuses.
+ * Events become tasks due the day they start; recurring ones come in once.
+ * Cancelled entries and changed occurrences of a recurring event are
+ * skipped and counted.
+ */
+const calendarRows = (calendar, statuses) => {
+  const categoryStatus = (category) => statuses.find(status => status.category === category)?.key || '';
+
+  let skipped = 0;
+  const records = [];
+  calendar.components
+    .filter(component => ['VEVENT', 'VTODO'].includes(component.name))
+    .forEach(component => {
+      const entry = readEntry(component);
+      if (entry.status === 'CANCELLED' || getProperty(component, 'RECURRENCE-ID')) {
+        skipped++;
+        return;
+      }
+
+      records.push([
+        entry.title,
+        entry.description,
+        ['doing', 'done'].includes(entry.category) ? categoryStatus(entry.category) : '',
+        entry.priority,
+        entry.dueDate,
+        entry.tags.join(', ')
+      ]);
+    });
+
+  return { rows: [IMPORT_COLUMNS, ...records], skipped };
+};
+
+module.exports = {
+  FEED_TYPES,
+  IMPORT_COLUMNS,
+  buildFeed,
+  buildTodo,
+  readEntry,
+  calendarRows
+};
@@ -0,0 +1,248 @@
+// Create, update and trash logic shared by the task endpoints, bulk
+// operations and CalDAV
+//
+// No helper sends a response. Each returns a result the caller can send as
+// is, or collect per item:
+//   { status: 200 or 201, task, next }           on success
+//   { status: 4xx, message, blockers? }          when the change is refused
+
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Workflow = require('../models/Workflow');
+const CustomField = require('../models/CustomField');
+const { CustomFieldError, validateCustomFields } = require('./customFields');
+const { tasksBelongToUser, wouldCreateCycle, getOpenBlockers } = require('./dependencies');
+const { recordActivity } = require('./activity');
+const { syncReminderJobs, cancelReminderJobs } = require('./reminders');
+
+// Fields a request may set. The rest (owner, status category, completion,
+// ranks, tracked time, trash and sync state...) are kept by the server.
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'project',
+  'subtasks',
+  'blockedBy',
+  'tags',
+  'recurrence',
+  'reminders',
+  'customFields'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * Create a task for the user from request-style fields; only EDITABLE_FIELDS
+ * are read from `body`. `managed` holds fields the server sets itself, such
+ * as a CalDAV client's resource name. The task starts in the workflow's
+ * first "todo" status unless another is given, and goes to the top of the
+ * manual order. Checks custom field values, tags, project and blockers.
+ */
+const addTask = async (body, userId, managed = {}) => {
+  // The category and completion time always follow the status. New tasks
+  // go to the top of the manual order, see the Task model.
+  const data = { ...pickEditable(body), ...managed };
+  data.user = userId;
+
+  const workflow = await Workflow.forUser(userId);
+  const status = data.status ? workflow.getStatus(data.status) : workflow.defaultStatus();
+  if (!status) {
+    return { status: 400, message: 'Invalid status' };
+  }
+  data.status = status.key;
+  data.statusCategory = status.category;
+  data.completedAt = status.category === 'done' ? new Date() : null;
+
+  try {
+    const definitions = await CustomField.find({ user: userId });
+    const { set } = validateCustomFields(definitions, data.customFields, { creating: true });
+    data.customFields = Object.keys(set).length > 0 ? set : undefined;
+  } catch (error) {
+    if (!(error instanceof CustomFieldError)) throw error;
+    return { status: 400, message: error.message };
+  }
+
+  if (!(await Tag.belongToUser(userId, data.tags))) {
+    return { status: 400, message: 'One or more tags do not exist' };
+  }
+
+  if (!(await Project.belongsToUser(userId, data.project))) {
+    return { status: 400, message: 'Project does not exist' };
+  }
+
+  if (!(await tasksBelongToUser(userId, data.blockedBy))) {
+    return { status: 400, message: 'One or more blocking tasks do not exist' };
+  }
+
+  let task;
+  try {
+    task = await Task.create(data);
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return { status: 400, message: error.message };
+    }
+    throw error;
+  }
+  await recordActivity({ task, actor: userId, action: 'created', after: task });
+  await syncReminderJobs(task);
+  await task.populate([
+    { path: 'tags', select: 'name color' },
+    { path: 'blockedBy', select: 'title status statusCategory' }
+  ]);
+
+  return { status: 201, task, next: null };
+};
+
+/**
+ * Apply field changes to a task the user owns. Only EDITABLE_FIELDS are read
+ * from `body`; `managed` holds fields the server sets, as for addTask.
+ * Checks the status against the user's workflow, custom field values against
+ * their definitions (sent values are merged into the task's), tags, project
+ * and blockers, holds back blocked tasks unless `overrideBlockers` is set,
+ * logs the activity, reschedules reminders and spawns the next occurrence of
+ * a completed recurring task.
+ */
+const applyTaskChanges = async (task, body, userId, managed = {}) => {
+  // The category and completion time always follow the status, the priority
+  // rank the priority, and the rank only changes through a reorder
+  const { overrideBlockers } = body;
+  const { customFields, ...changes } = { ...pickEditable(body), ...managed };
+  if (changes.priority !== undefined) {
+    changes.priorityRank = Task.PRIORITY_RANKS[changes.priority];
+  }
+
+  const statusChanged = changes.status !== undefined && changes.status !== task.status;
+  if (statusChanged) {
+    const workflow = await Workflow.forUser(userId);
+    const target = workflow.getStatus(changes.status);
+    if (!target) {
+      return { status: 400, message: 'Invalid status' };
+    }
+    if (!workflow.canTransition(task.status, target.key)) {
+      const from = workflow.getStatus(task.status);
+      return { status: 400, message: `A task can't move from "${from.name}" to "${target.name}"` };
+    }
+    changes.statusCategory = target.category;
+    changes.completedAt = target.category === 'done'
+      ? (task.statusCategory === 'done' && task.completedAt) || new Date()
+      : null;
+  }
+
+  if (customFields !== undefined) {
+    try {
+      const definitions = await CustomField.find({ user: userId });
+      const { set, unset } = validateCustomFields(definitions, customFields);
+      for (const [key, value] of Object.entries(set)) {
+        changes[`customFields.${key}`] = value;
+      }
+      if (unset.length > 0) {
+        changes.$unset = Object.fromEntries(unset.map(key => [`customFields.${key}`, 1]));
+      }
+    } catch (error) {
+      if (!(error instanceof CustomFieldError)) throw error;
+      return { status: 400, message: error.message };
+    }
+  }
+
+  if (!(await Tag.belongToUser(userId, changes.tags))) {
+    return { status: 400, message: 'One or more tags do not exist' };
+  }
+
+  if (!(await Project.belongsToUser(userId, changes.project))) {
+    return { status: 400, message: 'Project does not exist' };
+  }
+
+  // New blockers must be the user's own tasks and must not close a loop
+  if (Array.isArray(changes.blockedBy)) {
+    if (!(await tasksBelongToUser(userId, changes.blockedBy))) {
+      return { status: 400, message: 'One or more blocking tasks do not exist' };
+    }
+
+    const existing = task.blockedBy.map(String);
+    for (const blockerId of changes.blockedBy.filter(id => !existing.includes(String(id)))) {
+      if (await wouldCreateCycle(userId, task._id, blockerId)) {
+        return { status: 400, message: 'This dependency would create a cycle' };
+      }
+    }
+  }
+
+  // Starting or finishing a task needs its blockers done, unless overridden
+  if (statusChanged && ['doing', 'done'].includes(changes.statusCategory) && !overrideBlockers) {
+    const blockers = await getOpenBlockers({
+      user: task.user,
+      blockedBy: changes.blockedBy || task.blockedBy
+    });
+
+    if (blockers.length > 0) {
+      return { status: 409, message: 'Task is blocked by open tasks', blockers };
+    }
+  }
+
+  const wasCompleted = task.statusCategory === 'done';
+  const before = task.toObject();
+
+  // Updates skip the save hook that stamps documents, and calendar feeds
+  // and CalDAV clients go by the time of the last change
+  changes.updatedAt = Date.now();
+
+  let updated;
+  try {
+    updated = await Task.findByIdAndUpdate(task._id, changes, {
+      new: true,
+      runValidators: true
+    })
+      .populate('tags', 'name color')
+      .populate('blockedBy', 'title status statusCategory');
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return { status: 400, message: error.message };
+    }
+    throw error;
+  }
+
+  await recordActivity({ task: updated, actor: userId, action: 'updated', before, after: updated });
+  await syncReminderJobs(updated);
+
+  // Completing a recurring task schedules its next occurrence
+  let next = null;
+  if (!wasCompleted && updated.statusCategory === 'done') {
+    next = await updated.createNextOccurrence();
+    if (next) {
+      await recordActivity({ task: next, actor: userId, action: 'created', after: next });
+      await syncReminderJobs(next);
+    }
+  }
+
+  return { status: 200, task: updated, next };
+};
+
+/**
+ * Move a task the user owns to the trash.
+ */
+const trashTask = async (task, userId) => {
+  // Unblock anything that was waiting on this task, remembering what to
+  // relink if it is restored
+  const dependents = await Task.find({ blockedBy: task._id, user: task.user }).select('_id');
+  await Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } });
+
+  await Task.updateOne({ _id: task._id }, {
+    deletedAt: Date.now(),
+    trashedDependents: dependents.map(dependent => dependent._id)
+  });
+  await recordActivity({ task, actor: userId, action: 'deleted', before: task });
+  await cancelReminderJobs(task._id);
+
+  return { status: 200, task };
+};
+
+module.exports = {
+  addTask,
+  applyTaskChanges,
+  trashTask
+};
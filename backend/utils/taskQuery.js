@@ -0,0 +1,104 @@
+// Filters and sort of the task list, shared by the list and its export
+
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const CustomField = require('../models/CustomField');
+const { getSortOption } = require('./pagination');
+const { parseSearchQuery, buildSearchConditions } = require('./searchQuery');
+const { CustomFieldError, buildCustomFieldFilters } = require('./customFields');
+
+// Parameters that take a single value; repeating one (?tags=a&tags=b) or
+// using brackets (?tags[x]=a) makes Express hand over an array or object
+const SINGLE_VALUE_PARAMS = ['status', 'priority', 'search', 'tags', 'tagMatch', 'project', 'includeArchived', 'sort'];
+
+// A query parameter that can't be used as given
+class TaskQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TaskQueryError';
+  }
+}
+
+/**
+ * Build the MongoDB query and sort mode for the task list's query
+ * parameters (status, priority, project, includeArchived, tags, tagMatch,
+ * search, cf and sort). Trashed tasks are never included. Throws
+ * SearchSyntaxError, CustomFieldError or TaskQueryError for bad input.
+ */
+const buildTaskQuery = async (userId, params) => {
+  const repeated = SINGLE_VALUE_PARAMS.find(name => params[name] !== undefined && typeof params[name] !== 'string');
+  if (repeated) {
+    throw new TaskQueryError(`Give "${repeated}" only once`);
+  }
+
+  const { status, priority, search, tags, tagMatch, project, includeArchived, cf } = params;
+
+  // Build query object (trashed tasks are only listed by getTrash)
+  const query = { user: userId, deletedAt: null };
+
+  // Filter by status
+  if (status && status !== 'all') {
+    query.status = status;
+  }
+
+  // Filter by priority
+  if (priority && priority !== 'all') {
+    query.priority = priority;
+  }
+
+  // Filter by project ('none' for tasks without one). Tasks in archived
+  // projects are hidden unless that project is asked for explicitly.
+  if (project === 'none') {
+    query.project = null;
+  } else if (project && project !== 'all') {
+    if (!mongoose.isValidObjectId(project)) {
+      throw new TaskQueryError('Invalid project ID');
+    }
+    query.project = project;
+  } else if (includeArchived !== 'true') {
+    const archivedIds = await Project.archivedIds(userId);
+    if (archivedIds.length > 0) {
+      query.project = { $nin: archivedIds };
+    }
+  }
+
+  // Filter by tags (comma-separated IDs); any-of by default, all-of with tagMatch=all
+  if (tags) {
+    const tagIds = tags.split(',').filter(id => mongoose.isValidObjectId(id));
+    if (tagIds.length > 0) {
+      query.tags = tagMatch === 'all' ? { $all: tagIds } : { $in: tagIds };
+    }
+  }
+
+  // Search query language, see utils/searchQuery.js
+  let text = null;
+  if (search && search.trim()) {
+    const searchQuery = await buildSearchConditions(parseSearchQuery(search), userId);
+    text = searchQuery.text;
+    if (text) query.$text = { $search: text };
+    if (searchQuery.conditions.length > 0) query.$and = searchQuery.conditions;
+  }
+
+  // Default: best match when searching for text, otherwise newest first.
+  // Relevance needs text to score against.
+  const sortOption = getSortOption(params.sort);
+  let sort = sortOption ? params.sort : (text ? 'relevance' : 'newest');
+  if (sort === 'relevance' && !text) sort = 'newest';
+
+  // Custom field filters (?cf[key]=value) and sorts (?sort=field:key[:desc])
+  if (cf || sortOption?.key) {
+    const definitions = await CustomField.find({ user: userId });
+    const conditions = buildCustomFieldFilters(definitions, cf);
+    if (conditions.length > 0) query.$and = [...(query.$and || []), ...conditions];
+    if (sortOption?.key && !definitions.some(field => field.key === sortOption.key)) {
+      throw new CustomFieldError(`Unknown custom field "${sortOption.key}"`);
+    }
+  }
+
+  return { query, sort };
+};
+
+module.exports = {
+  TaskQueryError,
+  buildTaskQuery
+};
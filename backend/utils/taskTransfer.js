@@ -0,0 +1,375 @@
+// Task export (CSV or JSON) and CSV import
+//
+// Exports use names instead of IDs (status, project and tag names) so the
+// file reads well in a spreadsheet, and imports match names back the same
+// way. Projects and tags an import names that don't exist yet are created.
+//
+// An import maps each CSV column to a task field, or to nothing. Each row is
+// checked with the same rules as creating a task, the Task schema validators
+// included, and compared with the user's tasks for duplicates: same title
+// (ignoring case) and same due day.
+
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Tag = require('../models/Tag');
+const Workflow = require('../models/Workflow');
+const CustomField = require('../models/CustomField');
+const Activity = require('../models/Activity');
+const { diffTask } = require('./activity');
+const { CustomFieldError, validateCustomFields } = require('./customFields');
+const { ranksAfter } = require('./rank');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Task fields an import column can fill, besides `customFields.<key>`
+const IMPORT_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'project', 'tags'];
+
+// Columns of a CSV export, before one column per custom field
+const EXPORT_COLUMNS = [
+  'id',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'project',
+  'tags',
+  'timeSpent',
+  'createdAt',
+  'completedAt'
+];
+
+// Tag names share one cell, separated by commas
+const TAG_SEPARATOR = ', ';
+
+// Import input that can't be used at all, as opposed to a bad row
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const toDay = (date) => (date ? new Date(date).toISOString().split('T')[0] : null);
+
+// Header text to compare with field names, e.g. "Due Date" -> "duedate"
+const simplify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Everything needed to turn IDs into names and back
+const loadLookups = async (userId) => {
+  const [workflow, projects, tags, fields] = await Promise.all([
+    Workflow.forUser(userId),
+    Project.find({ user: userId }),
+    Tag.find({ user: userId }),
+    CustomField.find({ user: userId }).sort({ createdAt: 1 })
+  ]);
+  return { workflow, projects, tags, fields };
+};
+
+/**
+ * A task as exported: status, project and tags by name, the due date as a
+ * day and custom field values by field key.
+ */
+const toExportRecord = (task, { workflow, projects, tags, fields }) => {
+  const customFields = {};
+  fields.forEach(field => {
+    const value = task.customFields?.[field.key];
+    if (value === undefined || value === null) return;
+    customFields[field.key] = field.type === 'date' ? toDay(value) : value;
+  });
+
+  return {
+    id: task._id.toString(),
+    title: task.title,
+    description: task.description || '',
+    status: workflow.getStatus(task.status)?.name || task.status,
+    priority: task.priority,
+    dueDate: toDay(task.dueDate),
+    project: projects.find(p => p._id.equals(task.project))?.name || null,
+    tags: task.tags.map(id => tags.find(t => t._id.equals(id))?.name).filter(Boolean),
+    subtasks: task.subtasks.map(({ title, done }) => ({ title, done })),
+    customFields,
+    timeSpent: task.timeSpent || 0,
+    createdAt: task.createdAt,
+    completedAt: task.completedAt || null
+  };
+};
+
+// CSV header: the export columns, then custom fields by name
+const csvHeader = ({ fields }) => [...EXPORT_COLUMNS, ...fields.map(field => field.name)];
+
+// CSV cells of an export record, in header order
+const csvValues = (record, { fields }) => [
+  ...EXPORT_COLUMNS.map(column => (column === 'tags' ? record.tags.join(TAG_SEPARATOR) : record[column])),
+  ...fields.map(field => record.customFields[field.key])
+];
+
+/**
+ * Best guess at the field each column holds, by header: a task field's name,
+ * or a custom field's key or name. Columns matching nothing, or a field an
+ * earlier column took, map to ''.
+ */
+const suggestMapping = (columns, { fields }) => {
+  const candidates = [
+    ...IMPORT_FIELDS.map(field => [simplify(field), field]),
+    ['name', 'title'],
+    ['due', 'dueDate'],
+    ...fields.flatMap(field => [
+      [simplify(field.key), `customFields.${field.key}`],
+      [simplify(field.name), `customFields.${field.key}`]
+    ])
+  ];
+  const taken = new Set();
+  return columns.map(column => {
+    const match = candidates.find(([name, field]) => name === simplify(column) && !taken.has(field));
+    if (!match) return '';
+    taken.add(match[1]);
+    return match[1];
+  });
+};
+
+// Check a mapping sent for `columns`; throws ImportError
+const checkMapping = (mapping, columns, { fields }) => {
+  const targets = [...IMPORT_FIELDS, ...fields.map(field => `customFields.${field.key}`)];
+  if (!Array.isArray(mapping) || mapping.length !== columns.length) {
+    throw new ImportError('The mapping needs one entry per column');
+  }
+  mapping.forEach((target, index) => {
+    if (target && !targets.includes(target)) {
+      throw new ImportError(`Column "${columns[index]}" is mapped to unknown field "${target}"`);
+    }
+    if (target && mapping.indexOf(target) !== index) {
+      throw new ImportError(`More than one column is mapped to "${target}"`);
+    }
+  });
+  if (!mapping.includes('title')) {
+    throw new ImportError('Map a column to the task title');
+  }
+};
+
+// Due dates are whole days. ISO days are taken as they are, other formats as
+// the calendar day they name. Unreadable values are left for the schema to reject.
+const parseDueDate = (raw) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
+  const date = new Date(raw);
+  if (isNaN(date)) return raw;
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+};
+
+const findStatus = (workflow, value) => workflow.statuses.find(status => (
+  status.key === value.toLowerCase() || status.name.toLowerCase() === value.toLowerCase()
+));
+
+/**
+ * Check every row of a parsed CSV (header first) against `mapping` (one
+ * task field per column, '' to skip it; suggested from the header when
+ * null). Nothing is written. Returns the columns, the mapping used, a result
+ * per row ({ row, status: valid|invalid|duplicate, errors, duplicateOf,
+ * values }, rows numbered from the header as row 1 unless `firstRow` says
+ * where the first record is) and the names of projects and tags an import
+ * would create.
+ */
+const prepareImport = async (userId, rows, mapping, { firstRow = 2 } = {}) => {
+  if (rows.length === 0) {
+    throw new ImportError('The file is empty');
+  }
+  const [columns, ...records] = rows;
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`A file can hold at most ${MAX_IMPORT_ROWS} tasks`);
+  }
+
+  const lookups = await loadLookups(userId);
+  const { workflow, fields } = lookups;
+  const columnFields = mapping || suggestMapping(columns, lookups);
+  checkMapping(columnFields, columns, lookups);
+
+  // Projects and tags by lowercased name; ones the file adds get their IDs
+  // now so rows can be checked against them
+  const projects = new Map(lookups.projects.map(p => [p.name.toLowerCase(), { _id: p._id }]));
+  const tags = new Map(lookups.tags.map(t => [t.name.toLowerCase(), { _id: t._id }]));
+  const findOrAdd = (Model, known, name) => {
+    const key = name.toLowerCase();
+    if (!known.has(key)) {
+      const doc = new Model({ user: userId, name });
+      const error = doc.validateSync();
+      known.set(key, {
+        Model,
+        _id: doc._id,
+        name: doc.name,
+        isNew: true,
+        error: error && Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    return known.get(key);
+  };
+
+  const now = new Date();
+  const results = records.map((record, index) => {
+    const values = {};
+    columnFields.forEach((field, column) => {
+      if (field) values[field] = (record[column] || '').trim();
+    });
+
+    const errors = [];
+    const data = { user: userId, title: values.title };
+    if (values.description) data.description = values.description;
+
+    const status = values.status ? findStatus(workflow, values.status) : workflow.defaultStatus();
+    if (status) {
+      data.status = status.key;
+      data.statusCategory = status.category;
+      data.completedAt = status.category === 'done' ? now : null;
+    } else {
+      errors.push(`Unknown status "${values.status}"`);
+      // Kept so the schema doesn't also report the status as missing
+      data.status = values.status;
+    }
+
+    if (values.priority) data.priority = values.priority.toLowerCase();
+    if (values.dueDate) data.dueDate = parseDueDate(values.dueDate);
+
+    const refs = [];
+    if (values.project) {
+      refs.push(findOrAdd(Project, projects, values.project));
+      data.project = refs[0]._id;
+    }
+    if (values.tags) {
+      const names = [...new Set(values.tags.split(',').map(name => name.trim()).filter(Boolean))];
+      const tagRefs = names.map(name => findOrAdd(Tag, tags, name));
+      refs.push(...tagRefs);
+      data.tags = [...new Set(tagRefs.map(ref => ref._id))];
+    }
+    refs.filter(ref => ref.error).forEach(ref => errors.push(ref.error));
+
+    const custom = {};
+    fields.forEach(field => {
+      const value = values[`customFields.${field.key}`];
+      if (value) custom[field.key] = value;
+    });
+    try {
+      const { set } = validateCustomFields(fields, custom, { creating: true });
+      if (Object.keys(set).length > 0) data.customFields = set;
+    } catch (error) {
+      if (!(error instanceof CustomFieldError)) throw error;
+      errors.push(error.message);
+    }
+
+    // The same validators as saving the task
+    const task = new Task(data);
+    const validationError = task.validateSync();
+    if (validationError) {
+      errors.push(...Object.values(validationError.errors).map(e => e.message));
+    }
+
+    return {
+      row: index + firstRow,
+      status: errors.length > 0 ? 'invalid' : 'valid',
+      errors,
+      duplicateOf: null,
+      values,
+      data: task.toObject(),
+      refs
+    };
+  });
+
+  // Duplicates of the user's tasks, then of earlier rows in the file
+  const duplicateKey = (title, dueDate) => `${String(title).trim().toLowerCase()}|${toDay(dueDate) || ''}`;
+  const valid = results.filter(result => result.status === 'valid');
+  const existing = await Task.find({
+    user: userId,
+    deletedAt: null,
+    title: { $in: [...new Set(valid.map(result => result.data.title))] }
+  })
+    .collation({ locale: 'en', strength: 2 })
+    .select('title dueDate');
+  const seen = new Map(existing.map(task => [duplicateKey(task.title, task.dueDate), { task: task._id, title: task.title }]));
+
+  valid.forEach(result => {
+    const key = duplicateKey(result.data.title, result.data.dueDate);
+    if (seen.has(key)) {
+      result.status = 'duplicate';
+      result.duplicateOf = seen.get(key);
+    } else {
+      seen.set(key, { row: result.row, title: result.data.title });
+    }
+  });
+
+  const newNames = (known) => [...known.values()].filter(ref => ref.isNew && !ref.error).map(ref => ref.name);
+  return {
+    columns,
+    mapping: columnFields,
+    results,
+    newProjects: newNames(projects),
+    newTags: newNames(tags)
+  };
+};
+
+/**
+ * Create the tasks of the valid rows of a prepared import, and of the
+ * duplicates too unless `skipDuplicates`. Projects and tags are created when
+ * an imported row uses them. Imported tasks go to the end of the manual
+ * order, in file order. Returns the created tasks.
+ */
+const runImport = async (userId, { results }, { skipDuplicates = true } = {}) => {
+  const rows = results.filter(result => result.status === 'valid' ||
+    (result.status === 'duplicate' && !skipDuplicates));
+  if (rows.length === 0) return [];
+
+  const added = new Set(rows.flatMap(row => row.refs).filter(ref => ref.isNew));
+  for (const Model of [Project, Tag]) {
+    const docs = [...added].filter(ref => ref.Model === Model);
+    await Model.insertMany(docs.map(({ _id, name }) => ({ _id, user: userId, name })));
+  }
+
+  const last = await Task.findOne({ user: userId, rank: { $ne: null } }).sort({ rank: -1 }).select('rank');
+  const ranks = ranksAfter(last ? last.rank : null, rows.length);
+  const tasks = await Task.insertMany(rows.map((row, index) => ({ ...row.data, rank: ranks[index] })));
+
+  await Activity.insertMany(tasks.map(task => ({
+    task: task._id,
+    user: userId,
+    actor: userId,
+    action: 'created',
+    changes: diffTask(null, task)
+  })));
+
+  return tasks;
+};
+
+/**
+ * The response body of an import: counts, the projects and tags it adds and
+ * how each row fared. `tasks` are the created tasks, none for a dry run.
+ */
+const summarizeImport = ({ results, newProjects, newTags }, tasks) => {
+  const count = (status) => results.filter(result => result.status === status).length;
+  return {
+    summary: {
+      rows: results.length,
+      valid: count('valid'),
+      invalid: count('invalid'),
+      duplicates: count('duplicate'),
+      imported: tasks.length
+    },
+    newProjects,
+    newTags,
+    rows: results.map(({ row, status, errors, duplicateOf, values }) => ({
+      row,
+      status,
+      errors,
+      duplicateOf,
+      values
+    }))
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  ImportError,
+  loadLookups,
+  toExportRecord,
+  csvHeader,
+  csvValues,
+  prepareImport,
+  runImport,
+  summarizeImport
+};
@@ -0,0 +1,187 @@
+// Tasks as todo.txt lines (https://github.com/todotxt/todo.txt)
+//
+//   x 2026-10-18 2026-10-01 Title +project @context due:2026-10-20 pri:A id:<task id>
+//   (A) 2026-10-01 Title +project @context due:2026-10-20 id:<task id>
+//
+// Priorities A, B and C are high, medium and low; later letters are low too,
+// and no letter is medium. Finished tasks keep theirs in a pri: tag, as
+// todo.txt drops the letter on completion; a finished line without one
+// leaves the priority as it was (null). +project and @context tokens and
+// any other key:value tags aren't task fields, so they are kept on the task
+// as they were (its `todoTxt` metadata) and written after the title, in that
+// order. An id: tag holding a task ID ties a line to its task; others are
+// kept like any tag.
+//
+// Only the words after the title are read as metadata, so a title can't end
+// in one. Title words that look like metadata ("+1", "@home", "10:30") are
+// written with a backslash in front, backslashes are doubled and line breaks
+// are written as \n.
+
+const PRIORITIES = {
+  high: 'A',
+  medium: 'B',
+  low: 'C'
+};
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const TASK_ID = /^[a-f\d]{24}$/;
+const TAG = /^([^\s:]+):([^\s:]+)$/;
+
+// A word read as a project, context or tag. URLs look like tags to a loose
+// reader, and escaped words are title text.
+const isMetadata = (word) => {
+  if (word[0] === '\\') return false;
+  if (word.length > 1 && (word[0] === '+' || word[0] === '@')) return true;
+  const tag = TAG.exec(word);
+  return Boolean(tag) && !tag[2].startsWith('//');
+};
+
+const escapeTitle = (title) => title
+  .replace(/\\/g, '\\\\')
+  .replace(/\r\n?|\n/g, '\\n')
+  .split(/\s+/)
+  .map(word => (isMetadata(word) ? `\\${word}` : word))
+  .join(' ');
+
+const unescapeTitle = (title) => title.replace(/\\(\\|n)?/g, (match, escaped) => {
+  if (escaped === 'n') return '\n';
+  return escaped || '';
+});
+
+const toDay = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+const toPriority = (letter) => {
+  if (!letter) return null;
+  return Object.keys(PRIORITIES).find(priority => PRIORITIES[priority] === letter) || 'low';
+};
+
+/**
+ * A task as a line's fields: done, completion and creation days, priority,
+ * title, projects, contexts, due day, other tags and the task ID.
+ */
+const taskEntry = (task) => {
+  const metadata = task.todoTxt || {};
+  const done = task.statusCategory === 'done';
+  return {
+    done,
+    completionDate: done ? toDay(task.completedAt || task.updatedAt || task.createdAt) : '',
+    creationDate: toDay(task.createdAt),
+    priority: task.priority || 'medium',
+    title: task.title,
+    projects: metadata.projects || [],
+    contexts: metadata.contexts || [],
+    dueDate: toDay(task.dueDate),
+    extensions: metadata.extensions || [],
+    id: String(task._id)
+  };
+};
+
+/**
+ * A line of todo.txt for fields as taskEntry or parseLine gives them.
+ */
+const formatLine = (entry) => {
+  const letter = PRIORITIES[entry.priority] || PRIORITIES.medium;
+  const words = entry.done
+    ? ['x', entry.completionDate, entry.creationDate]
+    : [`(${letter})`, entry.creationDate];
+  words.push(
+    escapeTitle(entry.title),
+    ...entry.projects.map(project => `+${project}`),
+    ...entry.contexts.map(context => `@${context}`)
+  );
+  if (entry.dueDate) words.push(`due:${entry.dueDate}`);
+  words.push(...entry.extensions);
+  if (entry.done) words.push(`pri:${letter}`);
+  if (entry.id) words.push(`id:${entry.id}`);
+  return words.filter(Boolean).join(' ');
+};
+
+/**
+ * The fields of a todo.txt line. Dates are left as written; a due: value
+ * that isn't a day is passed on for the Task schema to reject.
+ */
+const parseLine = (line) => {
+  const words = line.trim().split(/\s+/);
+  const entry = {
+    done: false,
+    completionDate: '',
+    creationDate: '',
+    priority: 'medium',
+    title: '',
+    projects: [],
+    contexts: [],
+    dueDate: '',
+    extensions: [],
+    id: null
+  };
+
+  let letter = null;
+  if (words[0] === 'x') {
+    entry.done = true;
+    words.shift();
+    if (DAY.test(words[0])) entry.completionDate = words.shift();
+  } else if (/^\([A-Z]\)$/.test(words[0])) {
+    letter = words.shift()[1];
+  }
+  if (DAY.test(words[0])) entry.creationDate = words.shift();
+
+  // Metadata runs from the last word back to the title
+  let end = words.length;
+  while (end > 0 && isMetadata(words[end - 1])) end -= 1;
+
+  words.slice(end).forEach(word => {
+    if (word[0] === '+') {
+      entry.projects.push(word.slice(1));
+    } else if (word[0] === '@') {
+      entry.contexts.push(word.slice(1));
+    } else {
+      const [, key, value] = TAG.exec(word);
+      if (key === 'due') entry.dueDate = value;
+      else if (key === 'pri' && /^[A-Z]$/.test(value)) letter = letter || value;
+      else if (key === 'id' && TASK_ID.test(value)) entry.id = value;
+      else entry.extensions.push(word);
+    }
+  });
+  entry.title = unescapeTitle(words.slice(0, end).join(' '));
+  entry.priority = toPriority(letter) || (entry.done ? null : 'medium');
+
+  return entry;
+};
+
+/**
+ * The non-blank lines of a todo.txt file, parsed and numbered from 1.
+ */
+const parseTodoTxt = (text) => text
+  .replace(/^\uFEFF/, '')
+  .split(/\r?\n/)
+  .map((line, index) => ({ line: index + 1, entry: line.trim() ? parseLine(line) : null }))
+  .filter(({ entry }) => entry);
+
+/**
+ * What a line would change on a task, for telling apart lines that leave
+ * their task as it is. Dates other than the due day aren't compared; they
+ * follow the task.
+ */
+const entryKey = (entry) => JSON.stringify([
+  entry.done,
+  entry.priority,
+  entry.title,
+  entry.projects,
+  entry.contexts,
+  entry.dueDate,
+  entry.extensions
+]);
+
+// The todoTxt metadata of an entry, null when it has none
+const entryMetadata = ({ projects, contexts, extensions }) => (
+  projects.length + contexts.length + extensions.length > 0 ? { projects, contexts, extensions } : null
+);
+
+module.exports = {
+  taskEntry,
+  formatLine,
+  parseLine,
+  parseTodoTxt,
+  entryKey,
+  entryMetadata
+};
@@ -0,0 +1,70 @@
+// Trash helpers
+//
+// Deleting a task only stamps `deletedAt`. Trashed tasks are purged for good,
+// along with their comments, attachments, history, time entries and
+// notifications, once they have been in the trash longer than
+// TRASH_RETENTION_DAYS (default 30).
+
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const Attachment = require('../models/Attachment');
+const Activity = require('../models/Activity');
+const TimeEntry = require('../models/TimeEntry');
+const Notification = require('../models/Notification');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return days > 0 ? days : 30;
+};
+
+// When a task trashed at `deletedAt` will be purged
+const getPurgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + getRetentionDays() * DAY_MS);
+
+/**
+ * Permanently delete tasks and everything hanging off them.
+ */
+const purgeTasks = async (taskIds) => {
+  if (taskIds.length === 0) return 0;
+
+  for (const taskId of taskIds) {
+    await Attachment.removeForTask(taskId);
+  }
+  await Comment.deleteMany({ task: { $in: taskIds } });
+  await Activity.deleteMany({ task: { $in: taskIds } });
+  await TimeEntry.deleteMany({ task: { $in: taskIds } });
+  await Notification.deleteMany({ task: { $in: taskIds } });
+  await Task.updateMany({ blockedBy: { $in: taskIds } }, { $pull: { blockedBy: { $in: taskIds } } });
+
+  const result = await Task.deleteMany({ _id: { $in: taskIds } });
+  return result.deletedCount;
+};
+
+/**
+ * Purge every trashed task older than the retention period.
+ */
+const purgeExpiredTasks = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * DAY_MS);
+  const expired = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+  return purgeTasks(expired.map(task => task._id));
+};
+
+// Run the purge now and then hourly for as long as the server is up
+const scheduleTrashPurge = () => {
+  const run = () => purgeExpiredTasks().catch(error => {
+    console.error(`Trash purge failed: ${error.message}`);
+  });
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  purgeTasks,
+  purgeExpiredTasks,
+  scheduleTrashPurge
+};
@@ -0,0 +1,55 @@
+// Signed unsubscribe links
+//
+// A token names a user and an email type and is signed with an HMAC of
+// JWT_SECRET, so it can't be forged or pointed at another user. Tokens don't
+// expire: an unsubscribe link must keep working in old emails. They are
+// distinct from login tokens and grant nothing else.
+
+const crypto = require('crypto');
+
+const EMAIL_TYPES = ['overdue', 'upcoming'];
+
+const sign = (payload) => crypto
+  .createHmac('sha256', `unsubscribe:${process.env.JWT_SECRET}`)
+  .update(payload)
+  .digest('base64url');
+
+/**
+ * Token unsubscribing a user from one type of email.
+ */
+const createUnsubscribeToken = (userId, type) => {
+  const payload = Buffer.from(`${userId}:${type}`).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * The { userId, type } a token was made for, or null when it is malformed
+ * or its signature doesn't match.
+ */
+const verifyUnsubscribeToken = (token) => {
+  const [payload, signature, ...rest] = String(token || '').split('.');
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  const [userId, type] = Buffer.from(payload, 'base64url').toString().split(':');
+  if (!userId || !EMAIL_TYPES.includes(type)) return null;
+  return { userId, type };
+};
+
+// Link to the frontend page that confirms the unsubscribe
+const getUnsubscribeUrl = (userId, type) => {
+  const base = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${base}/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(userId, type))}`;
+};
+
+module.exports = {
+  EMAIL_TYPES,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getUnsubscribeUrl
+};
@@ -0,0 +1,159 @@
+// Just enough XML for WebDAV request bodies: elements with namespaces,
+// attributes and text. No DTDs or processing instructions beyond the XML
+// declaration.
+//
+// An element is { ns, name, attrs, children, text }, with `ns` the namespace
+// URI its prefix resolves to and `text` its text content, children's
+// excluded.
+
+// A request body that isn't well-formed enough to read
+class XmlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XmlError';
+  }
+}
+
+const ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'"
+};
+
+// Code points XML allows in a document (its Char production)
+const isXmlChar = (code) => code === 0x9 || code === 0xa || code === 0xd ||
+  (code >= 0x20 && code <= 0xd7ff) ||
+  (code >= 0xe000 && code <= 0xfffd) ||
+  (code >= 0x10000 && code <= 0x10ffff);
+
+const decode = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    if (!isXmlChar(code)) throw new XmlError(`Invalid character reference &${entity};`);
+    return String.fromCodePoint(code);
+  }
+  if (!(entity in ENTITIES)) throw new XmlError(`Unknown entity &${entity};`);
+  return ENTITIES[entity];
+});
+
+// Escape text for an element or a double-quoted attribute
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const TAG = /<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Read a document into its root element. Throws XmlError.
+ */
+const parseXml = (text) => {
+  const stack = [];
+  let root = null;
+  let i = 0;
+
+  const addText = (value) => {
+    if (stack.length > 0) stack[stack.length - 1].text += value;
+    else if (value.trim()) throw new XmlError('Text outside the root element');
+  };
+
+  while (i < text.length) {
+    const next = text.indexOf('<', i);
+    if (next === -1) {
+      addText(decode(text.slice(i)));
+      break;
+    }
+    addText(decode(text.slice(i, next)));
+    i = next;
+
+    // Declarations, comments and CDATA sections
+    const skips = [['<?', '?>'], ['<!--', '-->'], ['<!DOCTYPE', '>']];
+    const skip = skips.find(([start]) => text.startsWith(start, i));
+    if (skip) {
+      const end = text.indexOf(skip[1], i);
+      if (end === -1) throw new XmlError('Unterminated markup');
+      i = end + skip[1].length;
+      continue;
+    }
+    if (text.startsWith('<![CDATA[', i)) {
+      const end = text.indexOf(']]>', i);
+      if (end === -1) throw new XmlError('Unterminated CDATA section');
+      addText(text.slice(i + 9, end));
+      i = end + 3;
+      continue;
+    }
+
+    TAG.lastIndex = i;
+    const match = TAG.exec(text);
+    if (!match) throw new XmlError('Malformed tag');
+    i = TAG.lastIndex;
+    const [, closing, qualifiedName, attributeText, selfClosing] = match;
+
+    if (closing) {
+      const open = stack.pop();
+      if (!open || open.qualifiedName !== qualifiedName) {
+        throw new XmlError(`Unexpected </${qualifiedName}>`);
+      }
+      delete open.qualifiedName;
+      delete open.namespaces;
+      continue;
+    }
+
+    const parent = stack[stack.length - 1];
+    const namespaces = { ...(parent ? parent.namespaces : {}) };
+    const attrs = {};
+    for (const [, name, double, single] of attributeText.matchAll(ATTRIBUTE)) {
+      const value = decode(double !== undefined ? double : single);
+      if (name === 'xmlns') namespaces[''] = value;
+      else if (name.startsWith('xmlns:')) namespaces[name.slice(6)] = value;
+      else attrs[name] = value;
+    }
+
+    const [prefix, name] = qualifiedName.includes(':') ? qualifiedName.split(':') : ['', qualifiedName];
+    if (!(prefix in namespaces) && prefix !== '') {
+      throw new XmlError(`Unknown namespace prefix "${prefix}"`);
+    }
+    const element = {
+      ns: namespaces[prefix] || '',
+      name,
+      attrs,
+      children: [],
+      text: '',
+      qualifiedName,
+      namespaces
+    };
+
+    if (parent) parent.children.push(element);
+    else if (root) throw new XmlError('More than one root element');
+    else root = element;
+
+    if (selfClosing) {
+      delete element.qualifiedName;
+      delete element.namespaces;
+    } else {
+      stack.push(element);
+    }
+  }
+
+  if (!root) throw new XmlError('The document is empty');
+  if (stack.length > 0) throw new XmlError(`<${stack[stack.length - 1].qualifiedName}> is never closed`);
+  return root;
+};
+
+// Children of an element with the given namespace and name
+const childrenOf = (element, ns, name) => (element ? element.children : [])
+  .filter(child => child.ns === ns && child.name === name);
+
+const childOf = (element, ns, name) => childrenOf(element, ns, name)[0] || null;
+
+module.exports = {
+  XmlError,
+  escapeXml,
+  parseXml,
+  childrenOf,
+  childOf
+};
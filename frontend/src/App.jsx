@@ -5,6 +5,7 @@ import Login from './pages/Login';
 import Signup from './pages/Signup';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
+import Unsubscribe from './pages/Unsubscribe';
 function App() {
   const { isAuthenticated, loading } = useAuth();
   if (loading) {
@@ -31,6 +32,9 @@ function App() {
           }
         />
 
+        {/* Linked from emails, signed in or not */}
+        <Route path="/unsubscribe" element={<Unsubscribe />} />
+
         {/* Protected Routes */}
         <Route
           path="/dashboard"
@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import Button from './Button';
+import { authAPI } from '../services/api';
+
+const POLL_INTERVAL_MS = 3000;
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+// Download everything in the account as one archive, or load an archive
+// from another account into this one
+const AccountData = ({ onSuccess, onError }) => {
+  const [exportStatus, setExportStatus] = useState(null);
+  const [archive, setArchive] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await authAPI.getExport();
+      if (response.data.success) {
+        setExportStatus(response.data.data);
+      }
+    } catch (err) {
+      onError('Failed to load the export status');
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  // The archive is built in the background; check back until it is done
+  useEffect(() => {
+    if (!['pending', 'running'].includes(exportStatus?.status)) return undefined;
+    const timer = setTimeout(fetchStatus, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [exportStatus]);
+
+  const handleRequest = async () => {
+    setBusy(true);
+    try {
+      const response = await authAPI.requestExport();
+      if (response.data.success) {
+        setExportStatus(response.data.data);
+      }
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to start the export');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      const response = await authAPI.downloadExport();
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `task-manager-export-${exportStatus.finishedAt.split('T')[0]}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      onError('Failed to download the export');
+      fetchStatus();
+    }
+  };
+
+  const handleImport = async () => {
+    if (!window.confirm(`Import "${archive.name}" into this account? Everything in it is added with new IDs.`)) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const response = await authAPI.importArchive(archive);
+      if (response.data.success) {
+        const counts = response.data.data;
+        onSuccess(`Imported ${counts.tasks} tasks, ${counts.projects} projects and ${counts.tags} tags`);
+        setArchive(null);
+      } else {
+        onError(response.data.message);
+      }
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to import the archive');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const status = exportStatus?.status;
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Download My Data</h3>
+        <p className="text-gray-600 text-sm mb-4">
+          Get your profile, tasks, projects, tags, comments, history, time entries and attachments
+          in one JSON file you can import into another account.
+        </p>
+        {status === 'done' && (
+          <p className="text-sm text-gray-700 mb-3">
+            Your export from {new Date(exportStatus.finishedAt).toLocaleString()} is ready
+            ({formatSize(exportStatus.size)}). It is kept until {new Date(exportStatus.expiresAt).toLocaleDateString()}.
+          </p>
+        )}
+        {status === 'failed' && (
+          <p className="text-sm text-red-600 mb-3">The last export failed: {exportStatus.error}</p>
+        )}
+        <div className="flex gap-2">
+          {status === 'done' && (
+            <Button onClick={handleDownload}>Download</Button>
+          )}
+          <Button
+            variant={status === 'done' ? 'secondary' : 'primary'}
+            onClick={handleRequest}
+            loading={busy || status === 'pending' || status === 'running'}
+            disabled={!exportStatus}
+          >
+            {status === 'pending' || status === 'running' ? 'Preparing export…' : 'Export My Data'}
+          </Button>
+        </div>
+      </div>
+
+      <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Import an Archive</h3>
+        <p className="text-gray-600 text-sm mb-4">
+          Load an export into this account. Only works while the account has no tasks, projects,
+          tags, fields, views or time entries of its own.
+        </p>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="file"
+            accept=".json,application/json"
+            aria-label="Archive file"
+            onChange={(e) => setArchive(e.target.files[0] || null)}
+          />
+          <Button variant="secondary" onClick={handleImport} disabled={!archive || busy}>
+            Import
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountData;
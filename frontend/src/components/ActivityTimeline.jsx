@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+import { taskAPI } from '../services/api';
+import { describeRecurrence } from '../utils/recurrence';
+import { formatCustomValue } from '../utils/customFields';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  project: 'Project',
+  tags: 'Tags',
+  blockedBy: 'Blocked by',
+  recurrence: 'Repeat'
+};
+
+const ACTION_LABELS = {
+  created: 'created the task',
+  updated: 'updated the task',
+  deleted: 'deleted the task'
+};
+
+const formatTime = (date) => new Date(date).toLocaleString([], {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+// `lookups` maps IDs of tags, projects and tasks to display names; anything
+// no longer around falls back to "(deleted)". `lookups.fields` maps custom
+// field keys to their definitions.
+const ActivityTimeline = ({ taskId, lookups = {}, onError }) => {
+  const [activity, setActivity] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchActivity = async () => {
+      try {
+        setLoading(true);
+        const response = await taskAPI.getActivity(taskId);
+        const result = response.data;
+        if (result.success) {
+          setActivity(result.data || []);
+        }
+      } catch (error) {
+        onError('Failed to load activity');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchActivity();
+  }, [taskId]);
+
+  const customField = (field) => field.startsWith('customFields.') && lookups.fields?.[field.slice(13)];
+
+  const formatLabel = (field) => {
+    if (field.startsWith('customFields.')) return customField(field)?.name || '(deleted field)';
+    return FIELD_LABELS[field] || field;
+  };
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined) return 'none';
+    if (customField(field)) return formatCustomValue(customField(field), value);
+    switch (field) {
+      case 'dueDate':
+        return new Date(value).toLocaleDateString();
+      case 'recurrence':
+        return describeRecurrence(value) || 'none';
+      case 'status':
+        return lookups.statuses?.[value] || value;
+      case 'project':
+        return lookups.projects?.[value] || '(deleted)';
+      case 'tags':
+        return value.map(id => lookups.tags?.[id] || '(deleted)').join(', ');
+      case 'blockedBy':
+        return value.map(id => lookups.tasks?.[id] || '(deleted)').join(', ');
+      default:
+        return String(value).length > 80 ? `${String(value).slice(0, 80)}…` : String(value);
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-bold text-gray-700 mb-3">Activity</h3>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="spinner"></div>
+        </div>
+      ) : activity.length === 0 ? (
+        <p className="text-sm text-gray-400">No recorded changes yet.</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+          {activity.map(entry => (
+            <li key={entry._id} className="ml-4">
+              <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-blue-200 border-2 border-white" />
+              <p className="text-sm text-gray-800">
+                <span className="font-semibold">{entry.actor?.name || 'Someone'}</span>{' '}
+                {ACTION_LABELS[entry.action]}
+              </p>
+              <time className="text-xs text-gray-400" dateTime={entry.createdAt}>
+                {formatTime(entry.createdAt)}
+              </time>
+              {entry.changes.length > 0 && (
+                <ul className="mt-1 space-y-0.5 text-xs text-gray-600">
+                  {entry.changes.map(change => (
+                    <li key={change.field}>
+                      <span className="font-medium">{formatLabel(change.field)}:</span>{' '}
+                      {entry.action === 'created' ? (
+                        formatValue(change.field, change.to)
+                      ) : entry.action === 'deleted' ? (
+                        formatValue(change.field, change.from)
+                      ) : (
+                        <>
+                          <span className="line-through text-gray-400">{formatValue(change.field, change.from)}</span>
+                          {' → '}
+                          {formatValue(change.field, change.to)}
+                        </>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default ActivityTimeline;
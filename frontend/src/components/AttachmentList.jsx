@@ -0,0 +1,185 @@
+import { useState, useEffect, useRef } from 'react';
+import { attachmentAPI } from '../services/api';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const isImage = (attachment) => attachment.mimeType?.startsWith('image/');
+
+// Files are served behind the auth header, so they are fetched as blobs and
+// shown through object URLs rather than linked directly
+const AttachmentList = ({ taskId, onError }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [thumbnails, setThumbnails] = useState({});
+  const [uploading, setUploading] = useState(false);
+  const [dragOver, setDragOver] = useState(false);
+  const inputRef = useRef(null);
+  const thumbnailsRef = useRef({});
+
+  const fetchAttachments = async () => {
+    try {
+      const response = await attachmentAPI.getAll(taskId);
+      const result = response.data;
+      if (result.success) {
+        setAttachments(result.data || []);
+      }
+    } catch (error) {
+      onError('Failed to load attachments');
+    }
+  };
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [taskId]);
+
+  // Load a thumbnail for each image we have not fetched yet
+  useEffect(() => {
+    attachments.filter(a => isImage(a) && !thumbnailsRef.current[a._id]).forEach(async (attachment) => {
+      try {
+        const response = await attachmentAPI.download(taskId, attachment._id);
+        const url = URL.createObjectURL(response.data);
+        thumbnailsRef.current[attachment._id] = url;
+        setThumbnails(prev => ({ ...prev, [attachment._id]: url }));
+      } catch (error) {
+        // Leave the generic file icon in place
+      }
+    });
+  }, [attachments]);
+
+  useEffect(() => () => {
+    Object.values(thumbnailsRef.current).forEach(url => URL.revokeObjectURL(url));
+  }, []);
+
+  const upload = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    try {
+      setUploading(true);
+      await attachmentAPI.upload(taskId, files);
+      fetchAttachments();
+    } catch (error) {
+      onError(error.response?.data?.message || 'Failed to upload files');
+    } finally {
+      setUploading(false);
+      if (inputRef.current) inputRef.current.value = '';
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    upload(e.dataTransfer.files);
+  };
+
+  const handleOpen = async (attachment) => {
+    try {
+      const response = await attachmentAPI.download(taskId, attachment._id);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      onError('Failed to download file');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete "${attachment.filename}"?`)) return;
+    try {
+      await attachmentAPI.delete(taskId, attachment._id);
+      if (thumbnailsRef.current[attachment._id]) {
+        URL.revokeObjectURL(thumbnailsRef.current[attachment._id]);
+        delete thumbnailsRef.current[attachment._id];
+      }
+      setAttachments(prev => prev.filter(a => a._id !== attachment._id));
+    } catch (error) {
+      onError(error.response?.data?.message || 'Failed to delete file');
+    }
+  };
+
+  return (
+    <div>
+      <label className="label">Attachments</label>
+
+      {attachments.length > 0 && (
+        <ul className="grid grid-cols-2 gap-2 mb-2">
+          {attachments.map(attachment => (
+            <li key={attachment._id} className="group flex items-center gap-2 p-2 border border-gray-200 rounded-xl">
+              <button
+                type="button"
+                className="flex items-center gap-2 flex-1 min-w-0 text-left"
+                onClick={() => handleOpen(attachment)}
+                title={`Download ${attachment.filename}`}
+              >
+                {thumbnails[attachment._id] ? (
+                  <img
+                    src={thumbnails[attachment._id]}
+                    alt=""
+                    className="w-10 h-10 rounded-lg object-cover flex-shrink-0"
+                  />
+                ) : (
+                  <span className="w-10 h-10 rounded-lg bg-gray-100 flex items-center justify-center text-gray-400 flex-shrink-0">
+                    📄
+                  </span>
+                )}
+                <span className="min-w-0">
+                  <span className="block text-sm text-gray-800 truncate">{attachment.filename}</span>
+                  <span className="block text-xs text-gray-400">{formatSize(attachment.size)}</span>
+                </span>
+              </button>
+              <button
+                type="button"
+                className="text-xs text-red-400 hover:text-red-600"
+                onClick={() => handleDelete(attachment)}
+                aria-label={`Delete ${attachment.filename}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div
+        className={`border-2 border-dashed rounded-xl p-4 text-center text-sm transition-colors ${
+          dragOver ? 'border-blue-400 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-500'
+        }`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragOver(true);
+        }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={handleDrop}
+      >
+        {uploading ? (
+          'Uploading...'
+        ) : (
+          <>
+            Drop files here or{' '}
+            <button
+              type="button"
+              className="text-blue-600 hover:text-blue-700 font-medium"
+              onClick={() => inputRef.current?.click()}
+            >
+              browse
+            </button>
+          </>
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          className="hidden"
+          onChange={(e) => upload(e.target.files)}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default AttachmentList;
@@ -0,0 +1,78 @@
+import Button from './Button';
+
+// Actions for the tasks selected in the list. Each control applies straight
+// away; `onApply` receives the bulk operations to run.
+const BulkActionBar = ({ count, allSelected, onToggleAll, onClear, onApply, projects = [], statuses = [], busy }) => {
+  if (count === 0) return null;
+
+  const handleSelect = (build) => (e) => {
+    const { value } = e.target;
+    if (!value) return;
+    e.target.value = '';
+    onApply(build(value));
+  };
+
+  return (
+    <div
+      className="card mb-4 flex flex-col md:flex-row md:items-center gap-3 sticky top-2 z-10 border border-blue-200 bg-blue-50"
+      role="toolbar"
+      aria-label="Bulk actions"
+    >
+      <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+        <input type="checkbox" checked={allSelected} onChange={onToggleAll} />
+        {count} selected
+      </label>
+
+      <div className="flex flex-wrap gap-2 flex-1">
+        <select
+          className="input w-auto py-1 text-sm"
+          defaultValue=""
+          disabled={busy}
+          aria-label="Set status of selected tasks"
+          onChange={handleSelect(status => [{ type: 'status', status }])}
+        >
+          <option value="">Set status…</option>
+          {statuses.map(status => (
+            <option key={status.key} value={status.key}>{status.name}</option>
+          ))}
+        </select>
+        <select
+          className="input w-auto py-1 text-sm"
+          defaultValue=""
+          disabled={busy}
+          aria-label="Set priority of selected tasks"
+          onChange={handleSelect(priority => [{ type: 'update', fields: { priority } }])}
+        >
+          <option value="">Set priority…</option>
+          <option value="low">Low</option>
+          <option value="medium">Medium</option>
+          <option value="high">High</option>
+        </select>
+        <select
+          className="input w-auto py-1 text-sm"
+          defaultValue=""
+          disabled={busy}
+          aria-label="Move selected tasks to a project"
+          onChange={handleSelect(project => [{ type: 'move', project: project === 'none' ? null : project }])}
+        >
+          <option value="">Move to…</option>
+          <option value="none">No project</option>
+          {projects.filter(p => !p.archived).map(p => (
+            <option key={p._id} value={p._id}>{p.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex gap-2">
+        <Button variant="danger" disabled={busy} onClick={() => onApply([{ type: 'delete' }])}>
+          Delete
+        </Button>
+        <Button variant="ghost" disabled={busy} onClick={onClear}>
+          Clear
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
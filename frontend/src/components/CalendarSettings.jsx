@@ -0,0 +1,272 @@
+import { useState, useEffect } from 'react';
+import Button from './Button';
+import { useAuth } from '../context/AuthContext';
+import { calendarAPI } from '../services/api';
+
+const FEED_TYPES = [
+  ['event', 'All-day events'],
+  ['todo', 'To-dos']
+];
+
+const STATUS_STYLES = {
+  invalid: 'bg-red-50 text-red-700',
+  duplicate: 'bg-yellow-50 text-yellow-700'
+};
+
+// Subscribe to due dates from a calendar app, sync tasks both ways over
+// CalDAV, and turn the events of an .ics file into tasks
+const CalendarSettings = ({ onSuccess, onError }) => {
+  const { user } = useAuth();
+  const [feed, setFeed] = useState(null);
+  const [feedType, setFeedType] = useState('event');
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [duplicates, setDuplicates] = useState('skip');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const fetchFeed = async () => {
+      try {
+        const response = await calendarAPI.get();
+        if (response.data.success) {
+          setFeed(response.data.data);
+        }
+      } catch (err) {
+        onError('Failed to load the calendar feed');
+      }
+    };
+    fetchFeed();
+  }, []);
+
+  const feedUrl = feed?.url && (feedType === 'event' ? feed.url : `${feed.url}?type=${feedType}`);
+
+  const handleRegenerate = async () => {
+    if (feed.enabled && !window.confirm('Create a new link? Calendars subscribed to the current one stop updating.')) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const response = await calendarAPI.regenerateToken();
+      if (response.data.success) {
+        setFeed(response.data.data);
+        onSuccess(feed.enabled ? 'New calendar link created' : 'Calendar feed turned on');
+      }
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to create a calendar link');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm('Turn the calendar feed off? Subscribed calendars stop updating.')) return;
+    setBusy(true);
+    try {
+      const response = await calendarAPI.disableFeed();
+      if (response.data.success) {
+        setFeed(response.data.data);
+        onSuccess('Calendar feed turned off');
+      }
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to turn the calendar feed off');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async (value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+      onSuccess('Link copied');
+    } catch (err) {
+      onError('Could not copy the link; select it and copy it instead');
+    }
+  };
+
+  const handleFile = async (e) => {
+    const chosen = e.target.files[0] || null;
+    setFile(chosen);
+    setPreview(null);
+    if (!chosen) return;
+    setBusy(true);
+    try {
+      const response = await calendarAPI.import(chosen, { dryRun: true });
+      if (response.data.success) {
+        setPreview(response.data);
+      } else {
+        onError(response.data.message);
+      }
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to read the calendar file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const response = await calendarAPI.import(file, { duplicates });
+      if (response.data.success) {
+        const { imported } = response.data.summary;
+        onSuccess(`Imported ${imported} ${imported === 1 ? 'task' : 'tasks'}`);
+        setFile(null);
+        setPreview(null);
+      } else {
+        onError(response.data.message);
+      }
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to import the calendar file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!feed) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  const summary = preview?.summary;
+  const toImport = summary ? summary.valid + (duplicates === 'import' ? summary.duplicates : 0) : 0;
+  const problems = preview ? preview.rows.filter(row => row.status !== 'valid') : [];
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Calendar Feed</h3>
+        <p className="text-gray-600 text-sm mb-4">
+          Subscribe to this link in Google Calendar, Outlook or Apple Calendar to see the due dates
+          of your tasks there. Anyone with the link can see them, so keep it to yourself.
+        </p>
+        {feed.enabled ? (
+          <div className="space-y-3">
+            <div className="flex flex-wrap gap-2">
+              <select
+                className="input py-1 text-sm w-auto"
+                value={feedType}
+                onChange={(e) => setFeedType(e.target.value)}
+                aria-label="Show tasks as"
+              >
+                {FEED_TYPES.map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                className="input py-1 text-sm flex-1 min-w-0"
+                value={feedUrl}
+                readOnly
+                onFocus={(e) => e.target.select()}
+                aria-label="Calendar feed link"
+              />
+              <Button variant="secondary" onClick={() => handleCopy(feedUrl)}>Copy</Button>
+            </div>
+            <div className="flex gap-2">
+              <Button variant="secondary" onClick={handleRegenerate} disabled={busy}>
+                New Link
+              </Button>
+              <Button variant="secondary" onClick={handleDisable} disabled={busy}>
+                Turn Off
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <Button onClick={handleRegenerate} loading={busy}>Turn On Calendar Feed</Button>
+        )}
+      </div>
+
+      <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Two-Way Sync (CalDAV)</h3>
+        <p className="text-gray-600 text-sm mb-4">
+          Add a CalDAV account in Apple Reminders, Thunderbird or DAVx⁵ to see and edit your tasks
+          as to-dos. Changes made there show up here, and the other way round.
+        </p>
+        <dl className="space-y-2 text-sm">
+          <div className="flex items-center gap-2">
+            <dt className="text-gray-600 w-24">Server</dt>
+            <dd className="flex flex-1 gap-2">
+              <input
+                type="text"
+                className="input py-1 text-sm flex-1 min-w-0"
+                value={feed.caldavUrl}
+                readOnly
+                onFocus={(e) => e.target.select()}
+                aria-label="CalDAV server"
+              />
+              <Button variant="secondary" onClick={() => handleCopy(feed.caldavUrl)}>Copy</Button>
+            </dd>
+          </div>
+          <div className="flex items-center gap-2">
+            <dt className="text-gray-600 w-24">Username</dt>
+            <dd className="text-gray-900">{user?.email}</dd>
+          </div>
+          <div className="flex items-center gap-2">
+            <dt className="text-gray-600 w-24">Password</dt>
+            <dd className="text-gray-900">Your account password</dd>
+          </div>
+        </dl>
+      </div>
+
+      <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Import from a Calendar</h3>
+        <p className="text-gray-600 text-sm mb-4">
+          Turn the events and to-dos of an .ics file into tasks, due the day they start.
+          Nothing is imported until you confirm.
+        </p>
+        <input
+          type="file"
+          accept=".ics,text/calendar"
+          aria-label="Calendar file"
+          onChange={handleFile}
+        />
+
+        {summary && (
+          <div className="space-y-3 mt-4">
+            <p className="text-sm text-gray-700">
+              {summary.rows} {summary.rows === 1 ? 'entry' : 'entries'}: {summary.valid} ready,
+              {' '}{summary.invalid} rejected, {summary.duplicates} {summary.duplicates === 1 ? 'duplicate' : 'duplicates'}.
+              {summary.skipped > 0 && ` ${summary.skipped} cancelled or changed occurrences left out.`}
+              {preview.newTags.length > 0 && ` New tags: ${preview.newTags.join(', ')}.`}
+            </p>
+
+            {problems.length > 0 && (
+              <ul className="space-y-1 text-sm max-h-48 overflow-y-auto">
+                {problems.map(row => (
+                  <li key={row.row} className={`px-2 py-1 rounded ${STATUS_STYLES[row.status]}`}>
+                    {row.values.title || `Entry ${row.row}`}:{' '}
+                    {row.status === 'duplicate'
+                      ? `same title and due date as ${row.duplicateOf.row ? `entry ${row.duplicateOf.row}` : `"${row.duplicateOf.title}"`}`
+                      : row.errors.join('; ')}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {summary.duplicates > 0 && (
+              <div className="flex gap-4 text-sm">
+                <label className="flex items-center gap-1">
+                  <input type="radio" checked={duplicates === 'skip'} onChange={() => setDuplicates('skip')} />
+                  Skip duplicates
+                </label>
+                <label className="flex items-center gap-1">
+                  <input type="radio" checked={duplicates === 'import'} onChange={() => setDuplicates('import')} />
+                  Import them anyway
+                </label>
+              </div>
+            )}
+
+            <Button onClick={handleImport} disabled={busy || toImport === 0}>
+              {`Import ${toImport} ${toImport === 1 ? 'task' : 'tasks'}`}
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarSettings;
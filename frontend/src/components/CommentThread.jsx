@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { commentAPI } from '../services/api';
+import Button from './Button';
+
+const formatTime = (date) => new Date(date).toLocaleString([], {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const CommentThread = ({ taskId, onError }) => {
+  const { user } = useAuth();
+  const userId = user?._id || user?.id;
+
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newBody, setNewBody] = useState('');
+  const [editing, setEditing] = useState({ id: null, body: '' });
+
+  const fetchComments = async () => {
+    try {
+      setLoading(true);
+      const response = await commentAPI.getAll(taskId);
+      const result = response.data;
+      if (result.success) {
+        setComments(result.data || []);
+      }
+    } catch (error) {
+      onError('Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchComments();
+  }, [taskId]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newBody.trim()) return;
+    try {
+      await commentAPI.create(taskId, { body: newBody });
+      setNewBody('');
+      fetchComments();
+    } catch (error) {
+      onError(error.response?.data?.message || 'Failed to add comment');
+    }
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    if (!editing.body.trim()) return;
+    try {
+      await commentAPI.update(taskId, editing.id, { body: editing.body });
+      setEditing({ id: null, body: '' });
+      fetchComments();
+    } catch (error) {
+      onError(error.response?.data?.message || 'Failed to edit comment');
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+    try {
+      await commentAPI.delete(taskId, comment._id);
+      fetchComments();
+    } catch (error) {
+      onError(error.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-bold text-gray-700 mb-3">
+        Comments {comments.length > 0 && <span className="text-gray-400">({comments.length})</span>}
+      </h3>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="spinner"></div>
+        </div>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">No comments yet. Start the discussion.</p>
+      ) : (
+        <ul className="space-y-3 mb-4">
+          {comments.map(comment => (
+            <li key={comment._id} className="bg-gray-50 rounded-xl p-3">
+              <div className="flex items-center justify-between gap-2 text-xs text-gray-500 mb-1">
+                <span>
+                  <span className="font-semibold text-gray-700">{comment.user?.name || 'Unknown'}</span>
+                  {' · '}
+                  {formatTime(comment.createdAt)}
+                  {comment.editedAt && (
+                    <span title={`Edited ${formatTime(comment.editedAt)}`}> · edited</span>
+                  )}
+                </span>
+                {comment.user?._id === userId && editing.id !== comment._id && (
+                  <span className="flex gap-2">
+                    <button
+                      type="button"
+                      className="hover:text-gray-700"
+                      onClick={() => setEditing({ id: comment._id, body: comment.body })}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      className="text-red-500 hover:text-red-700"
+                      onClick={() => handleDelete(comment)}
+                    >
+                      Delete
+                    </button>
+                  </span>
+                )}
+              </div>
+              {editing.id === comment._id ? (
+                <form onSubmit={handleSaveEdit} className="space-y-2">
+                  <textarea
+                    className="input min-h-[60px] resize-none"
+                    value={editing.body}
+                    maxLength={2000}
+                    onChange={(e) => setEditing(prev => ({ ...prev, body: e.target.value }))}
+                  />
+                  <div className="flex justify-end gap-2">
+                    <Button variant="secondary" onClick={() => setEditing({ id: null, body: '' })}>
+                      Cancel
+                    </Button>
+                    <Button type="submit" disabled={!editing.body.trim()}>
+                      Save
+                    </Button>
+                  </div>
+                </form>
+              ) : (
+                <p className="text-sm text-gray-800 whitespace-pre-wrap">{comment.body}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="space-y-2">
+        <textarea
+          className="input min-h-[60px] resize-none"
+          value={newBody}
+          maxLength={2000}
+          onChange={(e) => setNewBody(e.target.value)}
+          placeholder="Write a comment..."
+        />
+        <div className="flex justify-end">
+          <Button type="submit" disabled={!newBody.trim()}>
+            Comment
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CommentThread;
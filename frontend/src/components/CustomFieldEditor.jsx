@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react';
+import { customFieldAPI } from '../services/api';
+import { FIELD_TYPES, FIELD_TYPE_LABELS } from '../utils/customFields';
+import Button from './Button';
+
+// Options are edited as one comma-separated line
+const parseOptions = (text) => text.split(',').map(option => option.trim()).filter(Boolean);
+
+const EMPTY_FIELD = { name: '', type: 'text', options: '', required: false };
+
+// Create, rename and delete the user's custom task fields. A field's type is
+// fixed once created.
+const CustomFieldEditor = ({ onSuccess, onError }) => {
+  const [fields, setFields] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [newField, setNewField] = useState(EMPTY_FIELD);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const load = (data) => {
+    setFields(data);
+    setDrafts(Object.fromEntries(data.map(field => [field._id, {
+      name: field.name,
+      options: field.options.join(', '),
+      required: field.required
+    }])));
+  };
+
+  const fetchFields = async () => {
+    try {
+      const response = await customFieldAPI.getAll();
+      if (response.data.success) load(response.data.data);
+    } catch (err) {
+      onError('Failed to load custom fields');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchFields();
+  }, []);
+
+  const updateDraft = (id, changes) => {
+    setDrafts(prev => ({ ...prev, [id]: { ...prev[id], ...changes } }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newField.name.trim()) {
+      setError('Please provide a field name');
+      return;
+    }
+
+    try {
+      setError('');
+      await customFieldAPI.create({
+        name: newField.name.trim(),
+        type: newField.type,
+        options: newField.type === 'select' ? parseOptions(newField.options) : [],
+        required: newField.required
+      });
+      setNewField(EMPTY_FIELD);
+      onSuccess('Field created');
+      fetchFields();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create field');
+    }
+  };
+
+  const handleSave = async (field) => {
+    const draft = drafts[field._id];
+    const options = parseOptions(draft.options);
+    const removed = field.options.filter(option => !options.includes(option));
+    if (field.type === 'select' && removed.length > 0 &&
+      !window.confirm(`Tasks set to ${removed.map(o => `"${o}"`).join(', ')} will lose their value. Continue?`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await customFieldAPI.update(field._id, {
+        name: draft.name.trim(),
+        ...(field.type === 'select' ? { options } : {}),
+        required: draft.required
+      });
+      onSuccess('Field saved');
+      fetchFields();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save field');
+    }
+  };
+
+  const handleDelete = async (field) => {
+    const usage = field.taskCount ? ` It is set on ${field.taskCount} task${field.taskCount === 1 ? '' : 's'}.` : '';
+    if (!window.confirm(`Delete the "${field.name}" field?${usage}`)) return;
+
+    try {
+      await customFieldAPI.delete(field._id);
+      onSuccess('Field deleted');
+      fetchFields();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete field');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Custom fields appear on every task form. Tasks can be sorted by them, and
+        required fields must be filled in when a task is created.
+      </p>
+
+      {fields.length > 0 && (
+        <ul className="space-y-2">
+          {fields.map(field => {
+            const draft = drafts[field._id];
+            return (
+              <li key={field._id} className="border border-gray-200 rounded-lg p-3 space-y-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="text"
+                    className="input flex-1 min-w-[8rem] py-1"
+                    value={draft.name}
+                    maxLength={40}
+                    onChange={(e) => updateDraft(field._id, { name: e.target.value })}
+                    aria-label="Field name"
+                  />
+                  <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+                    {FIELD_TYPE_LABELS[field.type]}
+                  </span>
+                  <label className="flex items-center gap-1 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={draft.required}
+                      onChange={(e) => updateDraft(field._id, { required: e.target.checked })}
+                    />
+                    Required
+                  </label>
+                  <span className="text-xs text-gray-400">
+                    {field.taskCount || 0} task{field.taskCount === 1 ? '' : 's'}
+                  </span>
+                </div>
+                {field.type === 'select' && (
+                  <input
+                    type="text"
+                    className="input py-1"
+                    value={draft.options}
+                    onChange={(e) => updateDraft(field._id, { options: e.target.value })}
+                    placeholder="Options, comma-separated"
+                    aria-label={`Options of ${field.name}`}
+                  />
+                )}
+                <div className="flex justify-end gap-2">
+                  <Button variant="danger" onClick={() => handleDelete(field)}>
+                    Delete
+                  </Button>
+                  <Button variant="secondary" onClick={() => handleSave(field)}>
+                    Save
+                  </Button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="border border-dashed border-gray-300 rounded-lg p-3 space-y-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            className="input flex-1 min-w-[8rem] py-1"
+            value={newField.name}
+            maxLength={40}
+            placeholder="New field name"
+            onChange={(e) => setNewField(prev => ({ ...prev, name: e.target.value }))}
+            aria-label="New field name"
+          />
+          <select
+            className="input w-auto py-1"
+            value={newField.type}
+            onChange={(e) => setNewField(prev => ({ ...prev, type: e.target.value }))}
+            aria-label="New field type"
+          >
+            {FIELD_TYPES.map(type => (
+              <option key={type} value={type}>{FIELD_TYPE_LABELS[type]}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={newField.required}
+              onChange={(e) => setNewField(prev => ({ ...prev, required: e.target.checked }))}
+            />
+            Required
+          </label>
+        </div>
+        {newField.type === 'select' && (
+          <input
+            type="text"
+            className="input py-1"
+            value={newField.options}
+            placeholder="Options, comma-separated"
+            onChange={(e) => setNewField(prev => ({ ...prev, options: e.target.value }))}
+            aria-label="New field options"
+          />
+        )}
+        <div className="flex justify-end">
+          <Button type="submit">+ Add Field</Button>
+        </div>
+      </form>
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+    </div>
+  );
+};
+
+export default CustomFieldEditor;
@@ -0,0 +1,66 @@
+// One input per custom field, matched to the field's type. `values` maps
+// field keys to input values (see toInputValue in utils/customFields.js).
+const CustomFieldInputs = ({ fields, values, onChange }) => {
+  if (fields.length === 0) return null;
+
+  const setValue = (key, value) => onChange({ ...values, [key]: value });
+
+  const renderInput = (field) => {
+    const id = `custom-field-${field.key}`;
+    const value = values[field.key] ?? '';
+
+    switch (field.type) {
+      case 'checkbox':
+        return (
+          <label htmlFor={id} className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              id={id}
+              type="checkbox"
+              checked={value === true}
+              onChange={(e) => setValue(field.key, e.target.checked)}
+            />
+            {field.name}
+          </label>
+        );
+      case 'select':
+        return (
+          <select id={id} className="input" value={value} onChange={(e) => setValue(field.key, e.target.value)}>
+            <option value="">{field.required ? 'Choose…' : 'None'}</option>
+            {field.options.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+      default:
+        return (
+          <input
+            id={id}
+            type={{ number: 'number', date: 'date', url: 'url' }[field.type] || 'text'}
+            step={field.type === 'number' ? 'any' : undefined}
+            maxLength={field.type === 'text' ? 500 : undefined}
+            placeholder={field.type === 'url' ? 'https://' : undefined}
+            className="input"
+            value={value}
+            onChange={(e) => setValue(field.key, e.target.value)}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-2 gap-4">
+      {fields.map(field => (
+        <div key={field.key} className={field.type === 'text' || field.type === 'url' ? 'col-span-2' : ''}>
+          {field.type !== 'checkbox' && (
+            <label htmlFor={`custom-field-${field.key}`} className="label">
+              {field.name}{field.required && ' *'}
+            </label>
+          )}
+          {renderInput(field)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CustomFieldInputs;
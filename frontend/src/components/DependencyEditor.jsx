@@ -0,0 +1,61 @@
+import { useState } from 'react';
+import Button from './Button';
+
+const DependencyEditor = ({ blockedBy = [], candidates = [], onAdd, onRemove }) => {
+  const [selected, setSelected] = useState('');
+
+  const blockerIds = blockedBy.map(b => b._id);
+  const options = candidates.filter(t => !blockerIds.includes(t._id));
+
+  const handleAdd = () => {
+    if (!selected) return;
+    onAdd(selected);
+    setSelected('');
+  };
+
+  return (
+    <div>
+      <label className="label">Blocked by</label>
+      {blockedBy.length > 0 && (
+        <ul className="space-y-1 mb-2">
+          {blockedBy.map(blocker => (
+            <li key={blocker._id} className="flex items-center gap-2 text-sm">
+              <span
+                className={`w-2 h-2 rounded-full ${blocker.statusCategory === 'done' ? 'bg-green-500' : 'bg-red-500'}`}
+                title={blocker.status}
+              />
+              <span className={`flex-1 ${blocker.statusCategory === 'done' ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                {blocker.title}
+              </span>
+              <button
+                type="button"
+                className="text-xs text-red-500 hover:text-red-700"
+                onClick={() => onRemove(blocker._id)}
+                aria-label={`Remove dependency on ${blocker.title}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex gap-2">
+        <select
+          className="input py-2"
+          value={selected}
+          onChange={(e) => setSelected(e.target.value)}
+        >
+          <option value="">Select a blocking task...</option>
+          {options.map(t => (
+            <option key={t._id} value={t._id}>{t.title}</option>
+          ))}
+        </select>
+        <Button type="button" variant="secondary" onClick={handleAdd} disabled={!selected}>
+          Add
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default DependencyEditor;
@@ -0,0 +1,87 @@
+import { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+
+const EMAIL_TYPES = [
+  {
+    type: 'overdue',
+    label: 'Overdue tasks',
+    description: 'A daily email listing open tasks that are past their due date.'
+  },
+  {
+    type: 'upcoming',
+    label: 'Upcoming due dates',
+    description: 'A daily email listing open tasks due today or tomorrow.'
+  }
+];
+
+// Turn the emails the user gets on or off. Changes save as they are made.
+const EmailPreferences = ({ onSuccess, onError }) => {
+  const [preferences, setPreferences] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const response = await authAPI.getMe();
+        if (response.data.success) {
+          setPreferences({ overdue: true, upcoming: true, ...response.data.data.emailPreferences });
+        }
+      } catch (err) {
+        onError('Failed to load email preferences');
+      }
+    };
+    fetchPreferences();
+  }, []);
+
+  const handleToggle = async (type, enabled) => {
+    const previous = preferences;
+    setPreferences(prev => ({ ...prev, [type]: enabled }));
+    setSaving(true);
+    try {
+      await authAPI.updateEmailPreferences({ [type]: enabled });
+      onSuccess('Email preferences saved');
+    } catch (err) {
+      setPreferences(previous);
+      onError(err.response?.data?.message || 'Failed to save email preferences');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!preferences) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Emails go to the address on your profile. Every email also has a link to unsubscribe from it.
+      </p>
+      <ul className="space-y-2">
+        {EMAIL_TYPES.map(({ type, label, description }) => (
+          <li key={type} className="border border-gray-200 rounded-lg p-3">
+            <label className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={preferences[type]}
+                disabled={saving}
+                onChange={(e) => handleToggle(type, e.target.checked)}
+              />
+              <span>
+                <span className="block font-medium text-gray-900">{label}</span>
+                <span className="block text-sm text-gray-500">{description}</span>
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default EmailPreferences;
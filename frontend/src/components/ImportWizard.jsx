@@ -0,0 +1,224 @@
+import { useState } from 'react';
+import Button from './Button';
+import { taskAPI } from '../services/api';
+import { parseCsv } from '../utils/csv';
+
+const TASK_FIELDS = [
+  ['title', 'Title'],
+  ['description', 'Description'],
+  ['status', 'Status'],
+  ['priority', 'Priority'],
+  ['dueDate', 'Due date'],
+  ['project', 'Project'],
+  ['tags', 'Tags (comma-separated)']
+];
+
+const STATUS_STYLES = {
+  invalid: 'bg-red-50 text-red-700',
+  duplicate: 'bg-yellow-50 text-yellow-700'
+};
+
+// Import tasks from a CSV file: pick the file, match its columns to task
+// fields while previewing which rows would be rejected, then import
+const ImportWizard = ({ fields = [], onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [sample, setSample] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [duplicates, setDuplicates] = useState('skip');
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Dry run with the given mapping (the server guesses one when it is null)
+  const runPreview = async (chosen, columnFields = null) => {
+    setBusy(true);
+    setError('');
+    if (columnFields) setMapping(columnFields);
+    try {
+      const response = await taskAPI.import(chosen, { mapping: columnFields, dryRun: true });
+      const data = response.data;
+      if (data.success) {
+        setPreview(data);
+        setMapping(data.mapping);
+      } else {
+        setError(data.message);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to read the file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const chosen = e.target.files[0];
+    if (!chosen) return;
+    setFile(chosen);
+    setPreview(null);
+    try {
+      // The first data row, to show what each column holds
+      setSample(parseCsv(await chosen.text())[1] || []);
+    } catch (err) {
+      setSample([]);
+    }
+    runPreview(chosen);
+  };
+
+  const handleMapping = (index, target) => {
+    runPreview(file, mapping.map((field, i) => {
+      if (i === index) return target;
+      // A field can only come from one column
+      return field === target ? '' : field;
+    }));
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await taskAPI.import(file, { mapping, duplicates });
+      const data = response.data;
+      if (data.success) {
+        setResult(data.summary);
+        onImported(data.summary);
+      } else {
+        setError(data.message);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to import tasks');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // A failed preview (e.g. no column mapped to the title) leaves the last good one stale
+  const summary = !error && preview?.summary;
+  const toImport = summary ? summary.valid + (duplicates === 'import' ? summary.duplicates : 0) : 0;
+  const problems = summary ? preview.rows.filter(row => row.status !== 'valid') : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto animate-fade-in">
+        <div className="p-6">
+          <div className="flex items-start justify-between gap-4 mb-4">
+            <h2 className="text-xl font-bold text-gray-900">Import Tasks</h2>
+            <button
+              type="button"
+              className="text-gray-400 hover:text-gray-600"
+              onClick={onClose}
+              aria-label="Close"
+            >
+              ✕
+            </button>
+          </div>
+
+          {result ? (
+            <div className="space-y-4">
+              <p className="text-gray-700">
+                Imported {result.imported} {result.imported === 1 ? 'task' : 'tasks'}.
+                {result.invalid > 0 && ` ${result.invalid} rejected.`}
+                {duplicates === 'skip' && result.duplicates > 0 && ` ${result.duplicates} duplicates skipped.`}
+              </p>
+              <Button onClick={onClose}>Done</Button>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="import-file" className="label">CSV file</label>
+                <input id="import-file" type="file" accept=".csv,text/csv" onChange={handleFile} />
+                <p className="text-xs text-gray-500 mt-1">
+                  One task per row, with a header row. Nothing is imported until you confirm.
+                </p>
+              </div>
+
+              {error && <p className="text-sm text-red-600">{error}</p>}
+
+              {preview && (
+                <>
+                  <div>
+                    <h3 className="font-medium text-gray-900 mb-2">Columns</h3>
+                    <table className="w-full text-sm">
+                      <tbody>
+                        {preview.columns.map((column, index) => (
+                          <tr key={index} className="border-t border-gray-100">
+                            <td className="py-1 pr-2 font-medium text-gray-700">{column || `Column ${index + 1}`}</td>
+                            <td className="py-1 pr-2 text-gray-500 truncate max-w-[10rem]">{sample[index]}</td>
+                            <td className="py-1">
+                              <select
+                                className="input py-1 text-sm"
+                                value={mapping[index] || ''}
+                                onChange={(e) => handleMapping(index, e.target.value)}
+                                disabled={busy}
+                                aria-label={`Task field for ${column || `column ${index + 1}`}`}
+                              >
+                                <option value="">Don't import</option>
+                                {TASK_FIELDS.map(([value, label]) => (
+                                  <option key={value} value={value}>{label}</option>
+                                ))}
+                                {fields.map(field => (
+                                  <option key={field.key} value={`customFields.${field.key}`}>{field.name}</option>
+                                ))}
+                              </select>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {summary && (
+                    <p className="text-sm text-gray-700">
+                      {summary.rows} rows: {summary.valid} ready, {summary.invalid} rejected,
+                      {' '}{summary.duplicates} {summary.duplicates === 1 ? 'duplicate' : 'duplicates'}.
+                      {preview.newProjects.length > 0 && ` New projects: ${preview.newProjects.join(', ')}.`}
+                      {preview.newTags.length > 0 && ` New tags: ${preview.newTags.join(', ')}.`}
+                    </p>
+                  )}
+
+                  {problems.length > 0 && (
+                    <ul className="space-y-1 text-sm max-h-48 overflow-y-auto">
+                      {problems.map(row => (
+                        <li key={row.row} className={`px-2 py-1 rounded ${STATUS_STYLES[row.status]}`}>
+                          Row {row.row}
+                          {row.values.title ? ` (${row.values.title})` : ''}:{' '}
+                          {row.status === 'duplicate'
+                            ? `same title and due date as ${row.duplicateOf.row ? `row ${row.duplicateOf.row}` : `"${row.duplicateOf.title}"`}`
+                            : row.errors.join('; ')}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {summary && summary.duplicates > 0 && (
+                    <div className="flex gap-4 text-sm">
+                      <label className="flex items-center gap-1">
+                        <input type="radio" checked={duplicates === 'skip'} onChange={() => setDuplicates('skip')} />
+                        Skip duplicates
+                      </label>
+                      <label className="flex items-center gap-1">
+                        <input type="radio" checked={duplicates === 'import'} onChange={() => setDuplicates('import')} />
+                        Import them anyway
+                      </label>
+                    </div>
+                  )}
+
+                  <div className="flex gap-3">
+                    <Button variant="secondary" className="flex-1" onClick={onClose}>
+                      Cancel
+                    </Button>
+                    <Button className="flex-1" onClick={handleImport} disabled={busy || toImport === 0}>
+                      {busy ? 'Checking…' : `Import ${toImport} ${toImport === 1 ? 'task' : 'tasks'}`}
+                    </Button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
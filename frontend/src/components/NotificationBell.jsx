@@ -0,0 +1,177 @@
+import { useState, useEffect, useRef } from 'react';
+import { notificationAPI } from '../services/api';
+
+const POLL_INTERVAL_MS = 30 * 1000;
+
+const browserNotificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Bell in the header with the unread count and a dropdown of the latest
+// notifications. Polls while the app is open and, once the user allows it,
+// raises a browser notification for each new one.
+const NotificationBell = ({ onOpenTask }) => {
+  const [notifications, setNotifications] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [permission, setPermission] = useState(
+    browserNotificationsSupported() ? window.Notification.permission : 'unsupported'
+  );
+  // IDs already shown, so each notification pops up once. Null until the
+  // first fetch: notifications that arrived while the app was closed only
+  // show in the list.
+  const seen = useRef(null);
+  // The poll outlives renders; always open tasks with the latest callback
+  const openTask = useRef(onOpenTask);
+  openTask.current = onOpenTask;
+
+  const raiseBrowserNotifications = (items) => {
+    if (!browserNotificationsSupported() || window.Notification.permission !== 'granted') return;
+    items.forEach(item => {
+      const popup = new window.Notification(item.title, { body: item.message, tag: item._id });
+      popup.onclick = () => {
+        window.focus();
+        if (item.task) openTask.current(item.task);
+        popup.close();
+      };
+    });
+  };
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await notificationAPI.getAll();
+      const result = response.data;
+      if (!result.success) return;
+
+      const fresh = result.data.filter(n => !n.readAt && seen.current && !seen.current.has(n._id));
+      seen.current = new Set(result.data.map(n => n._id));
+      raiseBrowserNotifications(fresh);
+
+      setNotifications(result.data);
+      setUnread(result.unread);
+    } catch (error) {
+      // Try again on the next poll
+    }
+  };
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleEnable = async () => {
+    setPermission(await window.Notification.requestPermission());
+  };
+
+  const handleOpen = async (notification) => {
+    setOpen(false);
+    if (notification.task) onOpenTask(notification.task);
+    if (!notification.readAt) {
+      try {
+        await notificationAPI.markRead(notification._id);
+        fetchNotifications();
+      } catch (error) {
+        // Stays unread
+      }
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      fetchNotifications();
+    } catch (error) {
+      // Stays unread
+    }
+  };
+
+  const handleDelete = async (notification) => {
+    try {
+      await notificationAPI.delete(notification._id);
+      fetchNotifications();
+    } catch (error) {
+      // Stays in the list
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        className="relative p-2 rounded-full text-gray-600 hover:bg-gray-100"
+        onClick={() => setOpen(prev => !prev)}
+        aria-label={unread ? `Notifications, ${unread} unread` : 'Notifications'}
+        aria-expanded={open}
+      >
+        🔔
+        {unread > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] px-1 rounded-full bg-red-500 text-white text-xs font-medium text-center">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 z-40">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+            <span className="font-medium text-gray-900">Notifications</span>
+            {unread > 0 && (
+              <button
+                type="button"
+                className="text-xs text-blue-600 hover:text-blue-700 font-medium"
+                onClick={handleMarkAllRead}
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {permission === 'default' && (
+            <div className="px-4 py-2 bg-blue-50 text-sm text-blue-800 flex items-center justify-between gap-2">
+              <span>Get reminders as desktop alerts</span>
+              <button
+                type="button"
+                className="text-xs font-medium text-blue-700 hover:underline"
+                onClick={handleEnable}
+              >
+                Enable
+              </button>
+            </div>
+          )}
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications yet</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map(notification => (
+                <li key={notification._id} className={`flex items-start gap-2 px-4 py-2 ${notification.readAt ? '' : 'bg-amber-50'}`}>
+                  <button
+                    type="button"
+                    className="flex-1 text-left"
+                    onClick={() => handleOpen(notification)}
+                  >
+                    <p className={`text-sm ${notification.readAt ? 'text-gray-700' : 'text-gray-900 font-medium'}`}>
+                      {notification.title}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {notification.message} · {new Date(notification.createdAt).toLocaleString()}
+                    </p>
+                  </button>
+                  <button
+                    type="button"
+                    className="text-gray-400 hover:text-red-600 text-sm"
+                    onClick={() => handleDelete(notification)}
+                    aria-label={`Dismiss ${notification.title}`}
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,22 @@
+import Button from './Button';
+
+// Previous/next controls for a cursor-paginated list
+const Pager = ({ count, total, hasPrev, hasNext, onPrev, onNext }) => {
+  if (!hasPrev && !hasNext) return null;
+
+  return (
+    <nav className="flex items-center justify-between gap-4 mt-6" aria-label="Task pages">
+      <Button variant="secondary" onClick={onPrev} disabled={!hasPrev}>
+        ← Previous
+      </Button>
+      <span className="text-sm text-gray-500">
+        Showing {count} of {total} tasks
+      </span>
+      <Button variant="secondary" onClick={onNext} disabled={!hasNext}>
+        Next →
+      </Button>
+    </nav>
+  );
+};
+
+export default Pager;
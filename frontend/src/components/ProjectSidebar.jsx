@@ -0,0 +1,179 @@
+import { useState } from 'react';
+import Button from './Button';
+
+const PROJECT_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#6b7280'];
+
+const ProjectSidebar = ({
+  projects = [],
+  counts = {},
+  selected = 'all',
+  onSelect,
+  onSelectTrash,
+  onCreate,
+  onUpdate,
+  onDelete
+}) => {
+  const [showForm, setShowForm] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [newProject, setNewProject] = useState({ name: '', description: '', color: PROJECT_COLORS[0] });
+
+  const activeProjects = projects.filter(p => !p.archived);
+  const archivedProjects = projects.filter(p => p.archived);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newProject.name.trim()) return;
+    const created = await onCreate({ ...newProject, name: newProject.name.trim() });
+    if (created) {
+      setNewProject({ name: '', description: '', color: PROJECT_COLORS[0] });
+      setShowForm(false);
+    }
+  };
+
+  const handleRename = (project) => {
+    const name = window.prompt('Rename project', project.name);
+    if (name && name.trim() && name.trim() !== project.name) {
+      onUpdate(project, { name: name.trim() });
+    }
+  };
+
+  const handleDelete = (project) => {
+    if (window.confirm(`Delete project "${project.name}"? Its tasks will be kept without a project.`)) {
+      onDelete(project);
+    }
+  };
+
+  const itemClass = (key) => `w-full flex items-center gap-2 px-3 py-2 rounded-xl text-sm text-left transition-colors ${
+    selected === key ? 'bg-blue-50 text-blue-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'
+  }`;
+
+  const renderProject = (project) => (
+    <li key={project._id} className="group flex items-center">
+      <button
+        type="button"
+        className={itemClass(project._id)}
+        onClick={() => onSelect(project._id)}
+        title={project.description || project.name}
+      >
+        <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: project.color }} />
+        <span className="flex-1 truncate">{project.name}</span>
+        <span className="text-xs text-gray-400">{counts[project._id] || 0}</span>
+      </button>
+      <div className="hidden group-hover:flex group-focus-within:flex gap-1 pl-1">
+        <button type="button" className="text-xs text-gray-400 hover:text-gray-700" onClick={() => handleRename(project)} aria-label={`Rename ${project.name}`}>
+          ✎
+        </button>
+        <button
+          type="button"
+          className="text-xs text-gray-400 hover:text-gray-700"
+          onClick={() => onUpdate(project, { archived: !project.archived })}
+          aria-label={project.archived ? `Unarchive ${project.name}` : `Archive ${project.name}`}
+          title={project.archived ? 'Unarchive' : 'Archive'}
+        >
+          {project.archived ? '⤴' : '⤓'}
+        </button>
+        <button type="button" className="text-xs text-red-400 hover:text-red-600" onClick={() => handleDelete(project)} aria-label={`Delete ${project.name}`}>
+          ✕
+        </button>
+      </div>
+    </li>
+  );
+
+  return (
+    <aside className="card p-4 md:w-64 flex-shrink-0 self-start">
+      <h2 className="text-xs font-bold uppercase tracking-wide text-gray-400 px-3 mb-2">Projects</h2>
+      <ul className="space-y-1">
+        <li>
+          <button type="button" className={itemClass('all')} onClick={() => onSelect('all')}>
+            <span className="flex-1">All tasks</span>
+          </button>
+        </li>
+        <li>
+          <button type="button" className={itemClass('none')} onClick={() => onSelect('none')}>
+            <span className="flex-1">No project</span>
+            <span className="text-xs text-gray-400">{counts.none || 0}</span>
+          </button>
+        </li>
+        {activeProjects.map(renderProject)}
+      </ul>
+
+      {showForm ? (
+        <form onSubmit={handleCreate} className="mt-3 space-y-2">
+          <input
+            type="text"
+            className="input py-2"
+            placeholder="Project name"
+            maxLength={50}
+            value={newProject.name}
+            onChange={(e) => setNewProject(prev => ({ ...prev, name: e.target.value }))}
+            autoFocus
+          />
+          <input
+            type="text"
+            className="input py-2"
+            placeholder="Description (optional)"
+            maxLength={500}
+            value={newProject.description}
+            onChange={(e) => setNewProject(prev => ({ ...prev, description: e.target.value }))}
+          />
+          <div className="flex gap-1">
+            {PROJECT_COLORS.map(color => (
+              <button
+                key={color}
+                type="button"
+                className={`w-5 h-5 rounded-full ${newProject.color === color ? 'ring-2 ring-offset-1 ring-gray-400' : ''}`}
+                style={{ backgroundColor: color }}
+                onClick={() => setNewProject(prev => ({ ...prev, color }))}
+                aria-label={`Color ${color}`}
+              />
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <Button type="button" variant="secondary" className="flex-1" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" className="flex-1" disabled={!newProject.name.trim()}>
+              Add
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <button
+          type="button"
+          className="mt-3 px-3 text-sm text-blue-600 hover:text-blue-700 font-medium"
+          onClick={() => setShowForm(true)}
+        >
+          + New project
+        </button>
+      )}
+
+      {archivedProjects.length > 0 && (
+        <div className="mt-4 border-t border-gray-100 pt-3">
+          <button
+            type="button"
+            className="px-3 text-xs font-bold uppercase tracking-wide text-gray-400 hover:text-gray-600"
+            onClick={() => setShowArchived(prev => !prev)}
+            aria-expanded={showArchived}
+          >
+            Archived ({archivedProjects.length}) {showArchived ? '▲' : '▼'}
+          </button>
+          {showArchived && (
+            <ul className="space-y-1 mt-2 opacity-75">
+              {archivedProjects.map(renderProject)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {onSelectTrash && (
+        <div className="mt-4 border-t border-gray-100 pt-3">
+          <button type="button" className={itemClass('trash')} onClick={onSelectTrash}>
+            <span className="flex-1">🗑 Trash</span>
+          </button>
+        </div>
+      )}
+    </aside>
+  );
+};
+
+export default ProjectSidebar;
@@ -0,0 +1,192 @@
+import { useState } from 'react';
+import { WEEKDAYS, WEEKDAY_NAMES, SET_POS_NAMES } from '../utils/recurrence';
+
+const UNIT_LABELS = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' };
+
+const RecurrenceEditor = ({ value, onChange }) => {
+  const rule = value || null;
+  const [endMode, setEndMode] = useState(
+    rule?.until ? 'until' : rule?.count ? 'count' : 'never'
+  );
+
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const handleFreqChange = (freq) => {
+    if (!freq) {
+      onChange(null);
+      setEndMode('never');
+      return;
+    }
+    onChange({
+      freq,
+      interval: rule?.interval || 1,
+      until: rule?.until,
+      count: rule?.count
+    });
+  };
+
+  const toggleWeekday = (day) => {
+    const days = rule.byDay || [];
+    update({
+      byDay: days.includes(day)
+        ? days.filter(d => d !== day)
+        : WEEKDAYS.filter(d => d === day || days.includes(d))
+    });
+  };
+
+  const handleMonthlyModeChange = (mode) => {
+    if (mode === 'weekday') {
+      update({ byMonthDay: undefined, bySetPos: 1, byDay: [rule.byDay?.[0] || 'MO'] });
+    } else {
+      update({ bySetPos: undefined, byDay: undefined, byMonthDay: 1 });
+    }
+  };
+
+  const handleEndModeChange = (mode) => {
+    setEndMode(mode);
+    update({
+      until: mode === 'until' ? rule.until : undefined,
+      count: mode === 'count' ? rule.count || 5 : undefined
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="label">Repeat</label>
+        <select
+          className="input"
+          value={rule?.freq || ''}
+          onChange={(e) => handleFreqChange(e.target.value)}
+        >
+          <option value="">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+        </select>
+      </div>
+
+      {rule?.freq && (
+        <>
+          <div className="flex items-center gap-2 text-sm text-gray-700">
+            <span>Every</span>
+            <input
+              type="number"
+              min="1"
+              className="input w-20 py-2"
+              value={rule.interval || 1}
+              onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            />
+            <span>{UNIT_LABELS[rule.freq]}</span>
+          </div>
+
+          {rule.freq === 'weekly' && (
+            <div className="flex flex-wrap gap-1">
+              {WEEKDAYS.map(day => (
+                <button
+                  key={day}
+                  type="button"
+                  className={`px-2 py-1 rounded-lg text-xs font-medium ${
+                    rule.byDay?.includes(day)
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                  }`}
+                  aria-pressed={!!rule.byDay?.includes(day)}
+                  onClick={() => toggleWeekday(day)}
+                >
+                  {WEEKDAY_NAMES[day]}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {rule.freq === 'monthly' && (
+            <div className="space-y-2 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  checked={!rule.bySetPos}
+                  onChange={() => handleMonthlyModeChange('day')}
+                />
+                <span>On day</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="31"
+                  className="input w-20 py-2"
+                  disabled={!!rule.bySetPos}
+                  value={rule.byMonthDay || ''}
+                  placeholder="due"
+                  onChange={(e) => update({ byMonthDay: parseInt(e.target.value, 10) || undefined })}
+                />
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  checked={!!rule.bySetPos}
+                  onChange={() => handleMonthlyModeChange('weekday')}
+                />
+                <span>On the</span>
+                <select
+                  className="input w-28 py-2"
+                  disabled={!rule.bySetPos}
+                  value={rule.bySetPos || 1}
+                  onChange={(e) => update({ bySetPos: parseInt(e.target.value, 10) })}
+                >
+                  {[1, 2, 3, 4, -1].map(pos => (
+                    <option key={pos} value={pos}>{SET_POS_NAMES[pos]}</option>
+                  ))}
+                </select>
+                <select
+                  className="input w-24 py-2"
+                  disabled={!rule.bySetPos}
+                  value={rule.byDay?.[0] || 'MO'}
+                  onChange={(e) => update({ byDay: [e.target.value] })}
+                >
+                  {WEEKDAYS.map(day => (
+                    <option key={day} value={day}>{WEEKDAY_NAMES[day]}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+
+          <div className="flex items-center gap-2 text-sm text-gray-700">
+            <span>Ends</span>
+            <select
+              className="input w-36 py-2"
+              value={endMode}
+              onChange={(e) => handleEndModeChange(e.target.value)}
+            >
+              <option value="never">Never</option>
+              <option value="until">On date</option>
+              <option value="count">After</option>
+            </select>
+            {endMode === 'until' && (
+              <input
+                type="date"
+                className="input py-2"
+                value={rule.until ? rule.until.split('T')[0] : ''}
+                onChange={(e) => update({ until: e.target.value || undefined })}
+              />
+            )}
+            {endMode === 'count' && (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  className="input w-20 py-2"
+                  value={rule.count || ''}
+                  onChange={(e) => update({ count: parseInt(e.target.value, 10) || undefined })}
+                />
+                <span>times</span>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { MAX_REMINDERS, REMINDER_PRESETS, describeReminder } from '../utils/reminders';
+
+const CUSTOM = 'custom';
+
+// Edit a task's reminders. Reminders relative to the due date need one, so
+// only a fixed time can be picked while the task has no due date.
+const ReminderEditor = ({ value, dueDate, onChange }) => {
+  const reminders = value || [];
+  const [choice, setChoice] = useState(dueDate ? '1440' : CUSTOM);
+  const [customAt, setCustomAt] = useState('');
+
+  const mode = dueDate ? choice : CUSTOM;
+  const canAdd = reminders.length < MAX_REMINDERS && (mode !== CUSTOM || customAt);
+
+  const handleAdd = () => {
+    const reminder = mode === CUSTOM
+      ? { at: new Date(customAt).toISOString() }
+      : { before: Number(mode) };
+    const duplicate = reminders.some(r => (reminder.at
+      ? r.at && new Date(r.at).getTime() === new Date(reminder.at).getTime()
+      : r.before === reminder.before));
+    if (!duplicate) onChange([...reminders, reminder]);
+    setCustomAt('');
+  };
+
+  return (
+    <div>
+      <label className="label">Reminders</label>
+      {reminders.length > 0 && (
+        <ul className="space-y-1 mb-2">
+          {reminders.map((reminder, index) => (
+            <li key={reminder._id || index} className="flex items-center justify-between text-sm text-gray-700">
+              <span>
+                🔔 {describeReminder(reminder)}
+                {reminder.before != null && !dueDate && (
+                  <span className="text-xs text-gray-400"> (needs a due date)</span>
+                )}
+              </span>
+              <button
+                type="button"
+                className="text-gray-400 hover:text-red-600"
+                onClick={() => onChange(reminders.filter((_, i) => i !== index))}
+                aria-label={`Remove reminder ${describeReminder(reminder)}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {reminders.length < MAX_REMINDERS && (
+        <div className="flex flex-wrap gap-2">
+          <select
+            className="input w-auto"
+            value={mode}
+            onChange={(e) => setChoice(e.target.value)}
+            aria-label="Reminder time"
+          >
+            {REMINDER_PRESETS.map(preset => (
+              <option key={preset.before} value={preset.before} disabled={!dueDate}>
+                {preset.label}
+              </option>
+            ))}
+            <option value={CUSTOM}>At a specific time…</option>
+          </select>
+          {mode === CUSTOM && (
+            <input
+              type="datetime-local"
+              className="input w-auto"
+              value={customAt}
+              onChange={(e) => setCustomAt(e.target.value)}
+              aria-label="Reminder date and time"
+            />
+          )}
+          <button
+            type="button"
+            className="text-sm text-blue-600 hover:text-blue-700 font-medium disabled:text-gray-400"
+            onClick={handleAdd}
+            disabled={!canAdd}
+          >
+            + Add reminder
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReminderEditor;
@@ -0,0 +1,80 @@
+import Button from './Button';
+
+const FILTER_KEYS = ['search', 'status', 'priority', 'sort', 'tags', 'tagMatch', 'project'];
+
+// True when the filter bar still matches what the view saved
+const matchesView = (view, filters) => FILTER_KEYS.every(key => (key === 'tags'
+  ? [...view.filters.tags].sort().join() === [...filters.tags].sort().join()
+  : view.filters[key] === filters[key]));
+
+// Pick a saved view to fill the filter bar, or save the current filters as one
+const SavedViews = ({ views = [], activeId, filters, onSelect, onCreate, onUpdate, onDelete }) => {
+  const active = views.find(v => v._id === activeId);
+  const modified = active && !matchesView(active, filters);
+
+  const handleSaveAs = () => {
+    const name = window.prompt('Save these filters as a view named');
+    if (name && name.trim()) onCreate(name.trim());
+  };
+
+  const handleRename = () => {
+    const name = window.prompt('Rename view', active.name);
+    if (name && name.trim() && name.trim() !== active.name) {
+      onUpdate(active, { name: name.trim() });
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete view "${active.name}"? Your tasks are not affected.`)) {
+      onDelete(active);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4">
+      <label htmlFor="saved-view" className="text-sm text-gray-500">View:</label>
+      <select
+        id="saved-view"
+        className="input w-auto py-1 text-sm"
+        value={activeId || ''}
+        onChange={(e) => onSelect(views.find(v => v._id === e.target.value) || null)}
+      >
+        <option value="">{views.length > 0 ? 'No saved view' : 'No saved views yet'}</option>
+        {views.map(view => (
+          <option key={view._id} value={view._id}>
+            {view.isDefault ? '★ ' : ''}{view.name}
+          </option>
+        ))}
+      </select>
+      {modified && <span className="text-xs text-gray-500">(edited)</span>}
+      {modified && (
+        <Button variant="secondary" className="py-1 text-sm" onClick={() => onUpdate(active, { filters })}>
+          Update view
+        </Button>
+      )}
+      <Button variant="secondary" className="py-1 text-sm" onClick={handleSaveAs}>
+        Save as…
+      </Button>
+      {active && (
+        <>
+          <button
+            type="button"
+            className="text-sm text-gray-500 hover:text-gray-700"
+            onClick={() => onUpdate(active, { isDefault: !active.isDefault })}
+            title={active.isDefault ? 'Stop opening the Dashboard with this view' : 'Open the Dashboard with this view'}
+          >
+            {active.isDefault ? '★ Default' : '☆ Make default'}
+          </button>
+          <button type="button" className="text-sm text-gray-400 hover:text-gray-700" onClick={handleRename} aria-label={`Rename ${active.name}`}>
+            ✎
+          </button>
+          <button type="button" className="text-sm text-red-400 hover:text-red-600" onClick={handleDelete} aria-label={`Delete ${active.name}`}>
+            ✕
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SavedViews;
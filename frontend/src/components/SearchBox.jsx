@@ -0,0 +1,128 @@
+import { useState, useRef, useEffect } from 'react';
+import { parseSearchQuery, getSearchSuggestions } from '../utils/searchQuery';
+
+const SYNTAX_HELP = 'Try priority:high status:!completed due:<2026-11-01 "exact phrase" -word';
+
+// Search input that understands the task query language. It only reports
+// queries that parse; syntax errors are shown in place with their position.
+// `error` is a server-side error for the current query ({ message, position }).
+const SearchBox = ({ value, onChange, tags = [], projects = [], statuses = [], error }) => {
+  const [text, setText] = useState(value);
+  const [caret, setCaret] = useState(0);
+  const [syntaxError, setSyntaxError] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+  const pendingCaret = useRef(null);
+
+  useEffect(() => {
+    if (pendingCaret.current !== null && inputRef.current) {
+      inputRef.current.setSelectionRange(pendingCaret.current, pendingCaret.current);
+      pendingCaret.current = null;
+    }
+  }, [text]);
+
+  const suggestions = open ? getSearchSuggestions(text, caret, { tags, projects, statuses }) : [];
+  const shownError = syntaxError || error;
+
+  const update = (next, nextCaret) => {
+    setText(next);
+    setCaret(nextCaret);
+    setActive(0);
+    try {
+      parseSearchQuery(next);
+      setSyntaxError(null);
+      onChange(next);
+    } catch (parseError) {
+      setSyntaxError({ message: parseError.message, position: parseError.position });
+    }
+  };
+
+  const applySuggestion = (suggestion) => {
+    const next = text.slice(0, suggestion.start) + suggestion.insert + text.slice(caret);
+    const nextCaret = suggestion.start + suggestion.insert.length;
+    pendingCaret.current = nextCaret;
+    update(next, nextCaret);
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive(prev => (prev + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(prev => (prev - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applySuggestion(suggestions[Math.min(active, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative md:w-80">
+      <input
+        ref={inputRef}
+        type="text"
+        placeholder="Search tasks..."
+        className={`input ${shownError ? 'border-red-500' : ''}`}
+        value={text}
+        title={SYNTAX_HELP}
+        role="combobox"
+        aria-expanded={suggestions.length > 0}
+        aria-controls="search-suggestions"
+        aria-autocomplete="list"
+        aria-invalid={!!shownError}
+        aria-describedby={shownError ? 'search-error' : undefined}
+        onChange={(e) => {
+          setOpen(true);
+          update(e.target.value, e.target.selectionStart);
+        }}
+        onSelect={(e) => setCaret(e.target.selectionStart)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+      />
+
+      {suggestions.length > 0 && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-xl shadow-lg py-1 max-h-64 overflow-y-auto"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.insert}
+              role="option"
+              aria-selected={index === active}
+              className={`px-3 py-2 text-sm cursor-pointer flex items-center justify-between gap-3 ${
+                index === active ? 'bg-blue-50 text-blue-700' : 'text-gray-700'
+              }`}
+              // Keep focus in the input so the caret survives
+              onMouseDown={(e) => {
+                e.preventDefault();
+                applySuggestion(suggestion);
+              }}
+              onMouseEnter={() => setActive(index)}
+            >
+              <span className="font-mono">{suggestion.label}</span>
+              <span className="text-xs text-gray-400 truncate">{suggestion.description}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {shownError && (
+        <p id="search-error" className="text-red-500 text-xs mt-1">
+          {shownError.message}
+          {shownError.position !== undefined && ` (at character ${shownError.position + 1})`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,15 @@
+// Status pill in the workflow status's color. Falls back to the raw key for
+// a status the workflow doesn't know (e.g. while it is still loading).
+const StatusBadge = ({ status, statusKey }) => {
+  const color = status?.color || '#6b7280';
+  return (
+    <span
+      className="px-2 py-1 rounded-full text-xs font-medium"
+      style={{ backgroundColor: `${color}22`, color }}
+    >
+      {status?.name || statusKey}
+    </span>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import Button from './Button';
+
+const SubtaskList = ({ subtasks = [], onToggle, onAdd, onDelete, onMove }) => {
+  const [newTitle, setNewTitle] = useState('');
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const title = newTitle.trim();
+    if (!title) return;
+    onAdd(title);
+    setNewTitle('');
+  };
+
+  return (
+    <div className="mt-4 border-t border-gray-100 pt-4">
+      {subtasks.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">No checklist items yet.</p>
+      ) : (
+        <ul className="space-y-2 mb-3">
+          {subtasks.map((subtask, index) => (
+            <li key={subtask._id} className="flex items-center gap-3 group">
+              <input
+                type="checkbox"
+                className="h-4 w-4 rounded border-gray-300 text-blue-600"
+                checked={subtask.done}
+                onChange={() => onToggle(subtask)}
+              />
+              <span className={`flex-1 text-sm ${subtask.done ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                {subtask.title}
+              </span>
+              <div className="flex gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                <button
+                  type="button"
+                  className="text-xs text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                  onClick={() => onMove(index, index - 1)}
+                  disabled={index === 0}
+                  aria-label="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="text-xs text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                  onClick={() => onMove(index, index + 1)}
+                  disabled={index === subtasks.length - 1}
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  className="text-xs text-red-500 hover:text-red-700"
+                  onClick={() => onDelete(subtask)}
+                  aria-label="Remove item"
+                >
+                  ✕
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          type="text"
+          className="input py-2"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="Add a checklist item"
+          maxLength={100}
+        />
+        <Button type="submit" variant="secondary" disabled={!newTitle.trim()}>
+          Add
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default SubtaskList;
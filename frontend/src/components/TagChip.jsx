@@ -0,0 +1,25 @@
+const TagChip = ({ tag, selected = true, onClick, children }) => {
+  const color = tag.color || '#6b7280';
+  const style = selected
+    ? { backgroundColor: `${color}22`, color, borderColor: `${color}55` }
+    : { color: '#6b7280', borderColor: '#e5e7eb' };
+  const className = 'inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium border';
+
+  if (onClick) {
+    return (
+      <button type="button" className={className} style={style} onClick={onClick} aria-pressed={selected}>
+        #{tag.name}
+        {children}
+      </button>
+    );
+  }
+
+  return (
+    <span className={className} style={style}>
+      #{tag.name}
+      {children}
+    </span>
+  );
+};
+
+export default TagChip;
@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import TagChip from './TagChip';
+import Button from './Button';
+
+const TAG_COLORS = ['#6b7280', '#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899'];
+
+const TagPicker = ({ tags = [], selected = [], onChange, onCreate, onRename, onDelete }) => {
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(TAG_COLORS[4]);
+  const [managing, setManaging] = useState(false);
+
+  const toggle = (id) => {
+    onChange(selected.includes(id) ? selected.filter(t => t !== id) : [...selected, id]);
+  };
+
+  const handleCreate = async () => {
+    const name = newName.trim();
+    if (!name) return;
+    const tag = await onCreate({ name, color: newColor });
+    if (tag) {
+      onChange([...selected, tag._id]);
+      setNewName('');
+    }
+  };
+
+  const handleRename = (tag) => {
+    const name = window.prompt('Rename tag', tag.name);
+    if (name && name.trim() && name.trim() !== tag.name) {
+      onRename(tag, name.trim());
+    }
+  };
+
+  const handleDelete = (tag) => {
+    if (window.confirm(`Delete tag "${tag.name}"? It will be removed from all tasks.`)) {
+      onDelete(tag);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <label className="label">Tags</label>
+        {tags.length > 0 && (
+          <button
+            type="button"
+            className="text-xs text-blue-600 hover:text-blue-700"
+            onClick={() => setManaging(prev => !prev)}
+          >
+            {managing ? 'Done' : 'Manage'}
+          </button>
+        )}
+      </div>
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {tags.map(tag => (
+            managing ? (
+              <TagChip key={tag._id} tag={tag}>
+                <button type="button" className="ml-1 hover:opacity-70" onClick={() => handleRename(tag)} aria-label={`Rename ${tag.name}`}>
+                  ✎
+                </button>
+                <button type="button" className="hover:opacity-70" onClick={() => handleDelete(tag)} aria-label={`Delete ${tag.name}`}>
+                  ✕
+                </button>
+              </TagChip>
+            ) : (
+              <TagChip
+                key={tag._id}
+                tag={tag}
+                selected={selected.includes(tag._id)}
+                onClick={() => toggle(tag._id)}
+              />
+            )
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2 items-center">
+        <input
+          type="text"
+          className="input py-2"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleCreate();
+            }
+          }}
+          placeholder="New tag"
+          maxLength={30}
+        />
+        <div className="flex gap-1">
+          {TAG_COLORS.map(color => (
+            <button
+              key={color}
+              type="button"
+              className={`w-5 h-5 rounded-full ${newColor === color ? 'ring-2 ring-offset-1 ring-gray-400' : ''}`}
+              style={{ backgroundColor: color }}
+              onClick={() => setNewColor(color)}
+              aria-label={`Color ${color}`}
+            />
+          ))}
+        </div>
+        <Button type="button" variant="secondary" onClick={handleCreate} disabled={!newName.trim()}>
+          Add
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default TagPicker;
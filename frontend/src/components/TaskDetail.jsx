@@ -0,0 +1,78 @@
+import Button from './Button';
+import CommentThread from './CommentThread';
+import ActivityTimeline from './ActivityTimeline';
+import TimeEntryList from './TimeEntryList';
+import { formatCustomValue } from '../utils/customFields';
+
+const TaskDetail = ({ task, lookups, onClose, onEdit, onTimeChange, onError }) => {
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto animate-fade-in">
+        <div className="p-6">
+          <div className="flex items-start justify-between gap-4 mb-4">
+            <h2 className="text-xl font-bold text-gray-900">{task.title}</h2>
+            <button
+              type="button"
+              className="text-gray-400 hover:text-gray-600"
+              onClick={onClose}
+              aria-label="Close"
+            >
+              ✕
+            </button>
+          </div>
+
+          <div className="flex flex-wrap gap-2 text-xs mb-4">
+            <span className="px-2 py-1 rounded-full font-medium bg-gray-100 text-gray-700">
+              {lookups?.statuses?.[task.status] || task.status}
+            </span>
+            <span className="px-2 py-1 rounded-full font-medium bg-gray-100 text-gray-700">{task.priority} priority</span>
+            {task.dueDate && (
+              <span className="px-2 py-1 rounded-full font-medium bg-gray-100 text-gray-700">
+                Due: {new Date(task.dueDate).toLocaleDateString()}
+              </span>
+            )}
+            {task.progress?.total > 0 && (
+              <span className="px-2 py-1 rounded-full font-medium bg-gray-100 text-gray-700">
+                {task.progress.done}/{task.progress.total} done
+              </span>
+            )}
+            {Object.values(lookups?.fields || {})
+              .filter(field => formatCustomValue(field, task.customFields?.[field.key]))
+              .map(field => (
+                <span key={field.key} className="px-2 py-1 rounded-full font-medium bg-indigo-50 text-indigo-700">
+                  {field.name}: {formatCustomValue(field, task.customFields[field.key])}
+                </span>
+              ))}
+          </div>
+
+          {task.description && (
+            <p className="text-gray-700 whitespace-pre-wrap mb-6">{task.description}</p>
+          )}
+
+          <div className="border-t border-gray-100 pt-4">
+            <CommentThread taskId={task._id} onError={onError} />
+          </div>
+
+          <div className="border-t border-gray-100 pt-4 mt-6">
+            <TimeEntryList taskId={task._id} onChange={onTimeChange} onError={onError} />
+          </div>
+
+          <div className="border-t border-gray-100 pt-4 mt-6">
+            <ActivityTimeline taskId={task._id} lookups={lookups} onError={onError} />
+          </div>
+
+          <div className="flex gap-3 mt-6">
+            <Button variant="secondary" className="flex-1" onClick={onClose}>
+              Close
+            </Button>
+            <Button className="flex-1" onClick={() => onEdit(task)}>
+              Edit Task
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskDetail;
@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import { timeAPI } from '../services/api';
+import { formatDuration } from '../utils/time';
+import Button from './Button';
+
+const formatTime = (date) => new Date(date).toLocaleString([], {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+// Local "YYYY-MM-DDTHH:mm" for a datetime-local input
+const toLocalInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+// Time logged on a task, with a form to add time by hand
+const TimeEntryList = ({ taskId, onChange, onError }) => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(() => ({ startedAt: toLocalInput(new Date()), minutes: '', note: '' }));
+
+  const fetchEntries = async () => {
+    try {
+      setLoading(true);
+      const response = await timeAPI.getEntries(taskId);
+      const result = response.data;
+      if (result.success) {
+        setEntries(result.data || []);
+        setTotal(result.total || 0);
+      }
+    } catch (error) {
+      onError('Failed to load time entries');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEntries();
+  }, [taskId]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const minutes = parseInt(form.minutes, 10);
+    if (!minutes || minutes < 1) return;
+    try {
+      await timeAPI.addEntry(taskId, {
+        startedAt: new Date(form.startedAt).toISOString(),
+        duration: minutes * 60,
+        note: form.note
+      });
+      setForm(prev => ({ ...prev, minutes: '', note: '' }));
+      fetchEntries();
+      onChange?.();
+    } catch (error) {
+      onError(error.response?.data?.message || 'Failed to log time');
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    try {
+      await timeAPI.deleteEntry(entry._id);
+      fetchEntries();
+      onChange?.();
+    } catch (error) {
+      onError(error.response?.data?.message || 'Failed to delete time entry');
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-bold text-gray-700 mb-3">
+        Time tracked <span className="font-normal text-gray-500">· {formatDuration(total)}</span>
+      </h3>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="spinner"></div>
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-400 mb-3">No time logged yet.</p>
+      ) : (
+        <ul className="space-y-1 mb-3 text-sm">
+          {entries.map(entry => (
+            <li key={entry._id} className="flex items-center justify-between gap-3">
+              <span className="text-gray-600">
+                {formatTime(entry.startedAt)}
+                {entry.note && <span className="text-gray-400"> · {entry.note}</span>}
+              </span>
+              <span className="flex items-center gap-2">
+                <span className="font-medium text-gray-800">
+                  {entry.endedAt ? formatDuration(entry.duration) : 'running'}
+                </span>
+                <button
+                  type="button"
+                  className="text-xs text-red-500 hover:text-red-700"
+                  onClick={() => handleDelete(entry)}
+                  aria-label="Delete time entry"
+                >
+                  ✕
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-2">
+        <label className="text-xs text-gray-500">
+          Started
+          <input
+            type="datetime-local"
+            className="input py-1"
+            value={form.startedAt}
+            onChange={(e) => setForm(prev => ({ ...prev, startedAt: e.target.value }))}
+            required
+          />
+        </label>
+        <label className="text-xs text-gray-500 w-24">
+          Minutes
+          <input
+            type="number"
+            min="1"
+            className="input py-1"
+            value={form.minutes}
+            onChange={(e) => setForm(prev => ({ ...prev, minutes: e.target.value }))}
+            required
+          />
+        </label>
+        <input
+          type="text"
+          className="input py-1 flex-1 min-w-[8rem]"
+          placeholder="Note (optional)"
+          maxLength={200}
+          value={form.note}
+          onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+        />
+        <Button type="submit" variant="secondary">Log time</Button>
+      </form>
+    </div>
+  );
+};
+
+export default TimeEntryList;
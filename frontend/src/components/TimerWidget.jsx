@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+import { formatElapsed } from '../utils/time';
+
+// Running timer in the header: the task it's on, a live clock and Stop.
+// Renders nothing while no timer runs.
+const TimerWidget = ({ timer, onStop, onOpenTask }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!timer) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timer]);
+
+  if (!timer) return null;
+
+  const elapsed = (now - new Date(timer.startedAt).getTime()) / 1000;
+
+  return (
+    <div className="flex items-center gap-2 bg-blue-50 border border-blue-200 rounded-full pl-3 pr-1 py-1" role="timer">
+      <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse" aria-hidden="true" />
+      <button
+        type="button"
+        className="text-sm text-blue-800 font-medium max-w-[12rem] truncate hover:underline"
+        onClick={() => onOpenTask(timer.task?._id)}
+        title={timer.task?.title}
+      >
+        {timer.task?.title || 'Task'}
+      </button>
+      <span className="text-sm font-mono text-blue-900 tabular-nums" aria-label="Elapsed time">
+        {formatElapsed(elapsed)}
+      </span>
+      <button
+        type="button"
+        className="px-3 py-1 rounded-full text-xs font-medium bg-blue-600 text-white hover:bg-blue-700"
+        onClick={onStop}
+      >
+        Stop
+      </button>
+    </div>
+  );
+};
+
+export default TimerWidget;
@@ -1,6 +1,7 @@
 import { useEffect, useState } from 'react';
 
-const Toast = ({ message, type = 'success', onClose }) => {
+// `action` adds a button to the toast, e.g. { label: 'Undo', onClick }
+const Toast = ({ message, type = 'success', action, onClose }) => {
   const [isVisible, setIsVisible] = useState(false);
 
   useEffect(() => {
@@ -9,7 +10,7 @@ const Toast = ({ message, type = 'success', onClose }) => {
       const timer = setTimeout(() => {
         setIsVisible(false);
         setTimeout(onClose, 300);
-      }, 3000);
+      }, action ? 6000 : 3000);
       return () => clearTimeout(timer);
     }
   }, [message, onClose]);
@@ -24,11 +25,23 @@ const Toast = ({ message, type = 'success', onClose }) => {
   };
 
   return (
-    <div className={`fixed top-4 right-4 ${typeClasses[type]} text-white px-6 py-3 rounded-lg shadow-lg animate-fade-in z-50`}>
-      {message}
+    <div className={`fixed top-4 right-4 ${typeClasses[type]} text-white px-6 py-3 rounded-lg shadow-lg animate-fade-in z-50 flex items-center gap-4`}>
+      <span>{message}</span>
+      {action && (
+        <button
+          type="button"
+          className="font-semibold underline hover:no-underline"
+          onClick={() => {
+            setIsVisible(false);
+            action.onClick();
+            onClose();
+          }}
+        >
+          {action.label}
+        </button>
+      )}
     </div>
   );
 };
 
 export default Toast;
-
@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { taskAPI } from '../services/api';
+import Button from './Button';
+import TagChip from './TagChip';
+
+const TrashView = ({ onRestored, onError, onSuccess }) => {
+  const [tasks, setTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchTrash = async () => {
+    try {
+      setLoading(true);
+      const response = await taskAPI.getTrash();
+      const result = response.data;
+      if (result.success) {
+        setTasks(result.data || []);
+        setRetentionDays(result.retentionDays);
+      }
+    } catch (error) {
+      onError('Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const handleRestore = async (task) => {
+    try {
+      await taskAPI.restore(task._id);
+      setTasks(prev => prev.filter(t => t._id !== task._id));
+      onSuccess('Task restored');
+      onRestored();
+    } catch (error) {
+      onError(error.response?.data?.message || 'Failed to restore task');
+    }
+  };
+
+  const handleDelete = async (task) => {
+    if (!window.confirm(`Permanently delete "${task.title}"? This cannot be undone.`)) return;
+    try {
+      await taskAPI.deletePermanently(task._id);
+      setTasks(prev => prev.filter(t => t._id !== task._id));
+      onSuccess('Task permanently deleted');
+    } catch (error) {
+      onError(error.response?.data?.message || 'Failed to delete task');
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm(`Permanently delete all ${tasks.length} tasks in the trash? This cannot be undone.`)) return;
+    try {
+      await taskAPI.emptyTrash();
+      setTasks([]);
+      onSuccess('Trash emptied');
+    } catch (error) {
+      onError(error.response?.data?.message || 'Failed to empty trash');
+    }
+  };
+
+  return (
+    <div>
+      <div className="card mb-6 flex flex-col md:flex-row gap-4 md:items-center justify-between">
+        <div>
+          <h2 className="text-lg font-bold text-gray-900">Trash</h2>
+          {retentionDays && (
+            <p className="text-sm text-gray-500">
+              Deleted tasks are kept for {retentionDays} days, then removed for good.
+            </p>
+          )}
+        </div>
+        <Button variant="danger" onClick={handleEmpty} disabled={tasks.length === 0}>
+          Empty Trash
+        </Button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="spinner"></div>
+        </div>
+      ) : tasks.length === 0 ? (
+        <div className="card text-center py-12">
+          <p className="text-gray-500 text-lg">The trash is empty</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {tasks.map(task => (
+            <div key={task._id} className="card">
+              <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div className="flex-1 min-w-0">
+                  <h3 className="text-lg font-semibold text-gray-900 line-through decoration-gray-300">
+                    {task.title}
+                  </h3>
+                  {task.description && (
+                    <p className="text-gray-600 mt-1 truncate">{task.description}</p>
+                  )}
+                  {task.tags?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {task.tags.map(tag => <TagChip key={tag._id} tag={tag} />)}
+                    </div>
+                  )}
+                  <p className="text-xs text-gray-400 mt-2">
+                    Deleted {new Date(task.deletedAt).toLocaleString()}
+                    {task.purgeAt && ` · removed for good on ${new Date(task.purgeAt).toLocaleDateString()}`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <Button variant="secondary" onClick={() => handleRestore(task)}>
+                    Restore
+                  </Button>
+                  <Button variant="danger" onClick={() => handleDelete(task)}>
+                    Delete Forever
+                  </Button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrashView;
@@ -0,0 +1,264 @@
+import { useState, useEffect } from 'react';
+import { workflowAPI } from '../services/api';
+import { CATEGORIES, CATEGORY_LABELS, makeStatusKey, validateWorkflow } from '../utils/workflow';
+import Button from './Button';
+
+// Edit the user's ordered statuses, their categories and allowed moves.
+// Removing a status that still has tasks asks where to move them.
+const WorkflowEditor = ({ onSuccess, onError }) => {
+  const [statuses, setStatuses] = useState([]);
+  const [saved, setSaved] = useState([]);
+  const [replacements, setReplacements] = useState({});
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // `uid` keeps list items stable while a new status's key follows its name
+  const load = (data) => {
+    setStatuses(data.statuses.map(status => ({ ...status, uid: status.key })));
+    setSaved(data.statuses);
+    setReplacements({});
+  };
+
+  useEffect(() => {
+    const fetchWorkflow = async () => {
+      try {
+        const response = await workflowAPI.get();
+        if (response.data.success) load(response.data.data);
+      } catch (err) {
+        onError('Failed to load workflow');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchWorkflow();
+  }, []);
+
+  const updateStatus = (index, changes) => {
+    setStatuses(prev => prev.map((status, i) => (i === index ? { ...status, ...changes } : status)));
+  };
+
+  // Saved statuses keep their key; new ones follow their name until saved
+  const renameStatus = (index, name) => {
+    const { key } = statuses[index];
+    if (saved.some(status => status.key === key)) {
+      updateStatus(index, { name });
+      return;
+    }
+
+    const others = [...statuses.filter((_, i) => i !== index), ...saved];
+    const nextKey = makeStatusKey(name, others);
+    const rekey = (k) => (k === key ? nextKey : k);
+    setStatuses(prev => prev.map((status, i) => ({
+      ...status,
+      ...(i === index ? { name, key: nextKey } : {}),
+      transitions: status.transitions.map(rekey)
+    })));
+    if (expanded === key) setExpanded(nextKey);
+  };
+
+  const moveStatus = (index, offset) => {
+    setStatuses(prev => {
+      const next = [...prev];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + offset, 0, moved);
+      return next;
+    });
+  };
+
+  const addStatus = () => {
+    setStatuses(prev => [...prev, {
+      uid: `new-${Date.now()}`,
+      key: makeStatusKey('New status', [...prev, ...saved]),
+      name: 'New status',
+      category: 'doing',
+      color: '#8b5cf6',
+      transitions: [],
+      taskCount: 0
+    }]);
+  };
+
+  const removeStatus = (key) => {
+    setStatuses(prev => prev
+      .filter(status => status.key !== key)
+      .map(status => ({ ...status, transitions: status.transitions.filter(k => k !== key) })));
+  };
+
+  const toggleTransition = (index, key) => {
+    const { transitions } = statuses[index];
+    updateStatus(index, {
+      transitions: transitions.includes(key) ? transitions.filter(k => k !== key) : [...transitions, key]
+    });
+  };
+
+  // Removed statuses that still hold tasks
+  const removed = saved.filter(s => s.taskCount > 0 && !statuses.some(status => status.key === s.key));
+
+  const handleSave = async () => {
+    const problem = validateWorkflow(statuses) ||
+      (removed.some(s => !statuses.some(status => status.key === replacements[s.key])) &&
+        'Choose where to move the tasks in each removed status');
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+      const response = await workflowAPI.update({
+        statuses: statuses.map(({ key, name, category, color, transitions }) => ({
+          key, name, category, color, transitions
+        })),
+        replacements
+      });
+      load(response.data.data);
+      onSuccess('Workflow saved');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save workflow');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Statuses appear in this order everywhere. The category decides what a status means:
+        tasks in a <strong>Done</strong> status count as completed, and moving a task into
+        an <strong>In Progress</strong> or <strong>Done</strong> status checks its blockers.
+      </p>
+
+      <ol className="space-y-2">
+        {statuses.map((status, index) => (
+          <li key={status.uid} className="border border-gray-200 rounded-lg p-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="color"
+                className="w-8 h-8 rounded cursor-pointer"
+                value={status.color}
+                onChange={(e) => updateStatus(index, { color: e.target.value })}
+                aria-label={`Color of ${status.name}`}
+              />
+              <input
+                type="text"
+                className="input flex-1 min-w-[8rem] py-1"
+                value={status.name}
+                maxLength={30}
+                onChange={(e) => renameStatus(index, e.target.value)}
+                aria-label="Status name"
+              />
+              <select
+                className="input w-auto py-1"
+                value={status.category}
+                onChange={(e) => updateStatus(index, { category: e.target.value })}
+                aria-label={`Category of ${status.name}`}
+              >
+                {CATEGORIES.map(category => (
+                  <option key={category} value={category}>{CATEGORY_LABELS[category]}</option>
+                ))}
+              </select>
+              <span className="text-xs text-gray-400 w-16 text-right">
+                {status.taskCount || 0} task{status.taskCount === 1 ? '' : 's'}
+              </span>
+              <button
+                type="button"
+                className="px-2 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                disabled={index === 0}
+                onClick={() => moveStatus(index, -1)}
+                aria-label={`Move ${status.name} up`}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className="px-2 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                disabled={index === statuses.length - 1}
+                onClick={() => moveStatus(index, 1)}
+                aria-label={`Move ${status.name} down`}
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                className="px-2 text-red-500 hover:text-red-700"
+                onClick={() => removeStatus(status.key)}
+                aria-label={`Remove ${status.name}`}
+              >
+                ✕
+              </button>
+            </div>
+
+            <button
+              type="button"
+              className="text-xs text-blue-600 hover:text-blue-700 mt-2"
+              onClick={() => setExpanded(expanded === status.key ? null : status.key)}
+              aria-expanded={expanded === status.key}
+            >
+              Can move to: {status.transitions.length === 0
+                ? 'any status'
+                : status.transitions.map(key => statuses.find(s => s.key === key)?.name).join(', ')}
+            </button>
+            {expanded === status.key && (
+              <div className="flex flex-wrap gap-3 mt-2">
+                {statuses.filter(s => s.key !== status.key).map(target => (
+                  <label key={target.key} className="flex items-center gap-1 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={status.transitions.includes(target.key)}
+                      onChange={() => toggleTransition(index, target.key)}
+                    />
+                    {target.name}
+                  </label>
+                ))}
+                <span className="text-xs text-gray-400 w-full">Leave all unticked to allow any move.</span>
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {removed.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 space-y-2">
+          {removed.map(status => (
+            <label key={status.key} className="flex flex-wrap items-center gap-2 text-sm text-yellow-800">
+              Move the {status.taskCount} task{status.taskCount === 1 ? '' : 's'} in “{status.name}” to
+              <select
+                className="input w-auto py-1"
+                value={replacements[status.key] || ''}
+                onChange={(e) => setReplacements(prev => ({ ...prev, [status.key]: e.target.value }))}
+              >
+                <option value="">Choose a status…</option>
+                {statuses.map(s => (
+                  <option key={s.key} value={s.key}>{s.name}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+
+      <div className="flex justify-between pt-2">
+        <Button variant="secondary" onClick={addStatus}>
+          + Add Status
+        </Button>
+        <Button onClick={handleSave} loading={saving}>
+          Save Workflow
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default WorkflowEditor;
@@ -1,9 +1,35 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { taskAPI } from '../services/api';
+import { taskAPI, tagAPI, projectAPI, workflowAPI, customFieldAPI, timeAPI, viewAPI } from '../services/api';
 import Button from '../components/Button';
 import Toast from '../components/Toast';
+import SubtaskList from '../components/SubtaskList';
+import RecurrenceEditor from '../components/RecurrenceEditor';
+import TagChip from '../components/TagChip';
+import TagPicker from '../components/TagPicker';
+import ProjectSidebar from '../components/ProjectSidebar';
+import DependencyEditor from '../components/DependencyEditor';
+import AttachmentList from '../components/AttachmentList';
+import TrashView from '../components/TrashView';
+import Pager from '../components/Pager';
+import SearchBox from '../components/SearchBox';
+import BulkActionBar from '../components/BulkActionBar';
+import TaskDetail from '../components/TaskDetail';
+import StatusBadge from '../components/StatusBadge';
+import CustomFieldInputs from '../components/CustomFieldInputs';
+import TimerWidget from '../components/TimerWidget';
+import ReminderEditor from '../components/ReminderEditor';
+import NotificationBell from '../components/NotificationBell';
+import SavedViews from '../components/SavedViews';
+import ImportWizard from '../components/ImportWizard';
+import { describeRecurrence } from '../utils/recurrence';
+import { DEFAULT_STATUSES, CATEGORY_LABELS, getStatus, getDefaultStatus, getAllowedStatuses } from '../utils/workflow';
+import { validateCustomFields, formatCustomValue, toInputValue } from '../utils/customFields';
+import { formatDuration } from '../utils/time';
+import { describeReminder } from '../utils/reminders';
+
+const PAGE_SIZE = 50;
 
 const Dashboard = () => {
   const { user, logout } = useAuth();
@@ -13,21 +39,59 @@ const Dashboard = () => {
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
+  const [detailTask, setDetailTask] = useState(null);
   const [toast, setToast] = useState({ message: '', type: 'success' });
+  const [showTrash, setShowTrash] = useState(false);
+  // { after } or { before } cursor of the page being shown; empty for the first page
+  const [pageCursor, setPageCursor] = useState({});
+  const [pagination, setPagination] = useState({ total: 0, nextCursor: null, prevCursor: null });
+  const [categoryCounts, setCategoryCounts] = useState({});
+  // The user's workflow statuses, in order
+  const [statuses, setStatuses] = useState(DEFAULT_STATUSES);
+  // The user's custom field definitions
+  const [fields, setFields] = useState([]);
+  // The running time-tracking timer, if any
+  const [timer, setTimer] = useState(null);
+  // Server-side problem with the search query, e.g. an unknown tag name
+  const [searchError, setSearchError] = useState(null);
+  const [expandedTasks, setExpandedTasks] = useState({});
+  // Task being dragged in the manual order, and the one it is over
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // Tasks ticked for bulk actions; kept while paging, cleared when filters change
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [tags, setTags] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [projectCounts, setProjectCounts] = useState({});
   
   const [filters, setFilters] = useState({
     search: '',
     status: 'all',
     priority: 'all',
-    sort: 'newest'
+    sort: 'newest',
+    tags: [],
+    tagMatch: 'any',
+    project: 'all'
   });
 
+  // Saved filter presets. Tasks wait for them so the default view shows first.
+  const [views, setViews] = useState([]);
+  const [activeViewId, setActiveViewId] = useState(null);
+  const [viewsLoaded, setViewsLoaded] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    status: 'pending',
+    status: '',
     priority: 'medium',
-    dueDate: ''
+    dueDate: '',
+    project: '',
+    tags: [],
+    recurrence: null,
+    reminders: [],
+    customFields: {}
   });
 
   const [formErrors, setFormErrors] = useState({});
@@ -36,26 +100,389 @@ const Dashboard = () => {
   const fetchTasks = async () => {
     try {
       setLoading(true);
-      const response = await taskAPI.getAll(filters);
+      const response = await taskAPI.getAll({
+        ...filters,
+        tags: filters.tags.join(','),
+        ...pageCursor,
+        limit: PAGE_SIZE
+      });
       const result = response.data;
       if (result.success) {
-        setTasks(result.data.data || []);
+        // The page emptied out (e.g. its last task was deleted): start over
+        if (result.data.length === 0 && (pageCursor.after || pageCursor.before)) {
+          setPageCursor({});
+          return;
+        }
+        setTasks(result.data || []);
+        setPagination({ total: result.total, ...result.pagination });
+        setSearchError(null);
+      } else if (result.position !== undefined) {
+        setSearchError({ message: result.message, position: result.position });
       } else {
         showToast('Failed to fetch tasks', 'error');
       }
+      fetchProjectCounts();
     } catch (error) {
-      showToast('Failed to fetch tasks', 'error');
+      const data = error.response?.data;
+      if (data?.position !== undefined) {
+        setSearchError({ message: data.message, position: data.position });
+      } else {
+        showToast('Failed to fetch tasks', 'error');
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  // Per-project task counts for the sidebar
+  const fetchProjectCounts = async () => {
+    try {
+      const response = await taskAPI.getStats();
+      const result = response.data;
+      if (result.success) {
+        const counts = {};
+        (result.data.byProject || []).forEach(({ _id, count }) => {
+          counts[_id || 'none'] = count;
+        });
+        setProjectCounts(counts);
+        setCategoryCounts(Object.fromEntries((result.data.byCategory || []).map(({ _id, count }) => [_id, count])));
+      }
+    } catch (error) {
+      // Counts are decorative; the task list already reported any failure
+    }
+  };
+
+  // Fetch projects, including archived ones for the sidebar
+  const fetchProjects = async () => {
+    try {
+      const response = await projectAPI.getAll({ archived: 'all' });
+      const result = response.data;
+      if (result.success) {
+        setProjects(result.data || []);
+      }
+    } catch (error) {
+      showToast('Failed to fetch projects', 'error');
+    }
+  };
+
+  useEffect(() => {
+    fetchProjects();
+  }, []);
+
+  const fetchWorkflow = async () => {
+    try {
+      const response = await workflowAPI.get();
+      const result = response.data;
+      if (result.success) {
+        setStatuses(result.data.statuses);
+      }
+    } catch (error) {
+      showToast('Failed to fetch workflow', 'error');
+    }
+  };
+
+  useEffect(() => {
+    fetchWorkflow();
+  }, []);
+
+  const fetchFields = async () => {
+    try {
+      const response = await customFieldAPI.getAll();
+      const result = response.data;
+      if (result.success) {
+        setFields(result.data || []);
+      }
+    } catch (error) {
+      showToast('Failed to fetch custom fields', 'error');
+    }
+  };
+
+  useEffect(() => {
+    fetchFields();
+  }, []);
+
+  const fetchTimer = async () => {
+    try {
+      const response = await timeAPI.getTimer();
+      const result = response.data;
+      if (result.success) {
+        setTimer(result.data);
+      }
+    } catch (error) {
+      showToast('Failed to fetch timer', 'error');
+    }
+  };
+
+  useEffect(() => {
+    fetchTimer();
+  }, []);
+
+  // Starting a timer stops the one already running
+  const handleStartTimer = async (task) => {
+    try {
+      const response = await timeAPI.startTimer(task._id);
+      setTimer(response.data.data);
+      if (response.data.stopped) fetchTasks();
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to start timer', 'error');
+    }
+  };
+
+  const handleStopTimer = async () => {
+    try {
+      const response = await timeAPI.stopTimer();
+      setTimer(null);
+      showToast(`Logged ${formatDuration(response.data.data.duration)}`);
+      fetchTasks();
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to stop timer', 'error');
+      fetchTimer();
+    }
+  };
+
+  // Open a task's details, fetching it when it isn't on the current page
+  const handleOpenTask = async (taskId) => {
+    const task = tasks.find(t => t._id === taskId);
+    if (task) {
+      setDetailTask(task);
+      return;
+    }
+    try {
+      const response = await taskAPI.getOne(taskId);
+      if (response.data.success) setDetailTask(response.data.data);
+    } catch (error) {
+      showToast('Task not found', 'error');
+    }
+  };
+
+  const handleCreateProject = async (projectData) => {
+    try {
+      const response = await projectAPI.create(projectData);
+      const result = response.data;
+      if (result.success) {
+        showToast('Project created');
+        fetchProjects();
+        return result.data;
+      }
+      showToast(result.message || 'Failed to create project', 'error');
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to create project', 'error');
+    }
+    return null;
+  };
+
+  const handleUpdateProject = async (project, changes) => {
+    try {
+      await projectAPI.update(project._id, changes);
+      if (changes.archived !== undefined) {
+        showToast(changes.archived ? 'Project archived' : 'Project restored');
+        fetchTasks();
+      } else {
+        showToast('Project updated');
+      }
+      fetchProjects();
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to update project', 'error');
+    }
+  };
+
+  const handleDeleteProject = async (project) => {
+    try {
+      await projectAPI.delete(project._id);
+      showToast('Project deleted');
+      if (filters.project === project._id) {
+        handleFilterChange('project', 'all');
+      } else {
+        fetchTasks();
+      }
+      fetchProjects();
+      fetchViews();
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to delete project', 'error');
+    }
+  };
+
+  useEffect(() => {
+    if (viewsLoaded) fetchTasks();
+  }, [filters, pageCursor, viewsLoaded]);
+
+  const fetchViews = async () => {
+    try {
+      const response = await viewAPI.getAll();
+      const result = response.data;
+      if (result.success) {
+        setViews(result.data || []);
+        return result.data || [];
+      }
+    } catch (error) {
+      showToast('Failed to fetch saved views', 'error');
+    }
+    return [];
+  };
+
   useEffect(() => {
+    const openDefaultView = async () => {
+      const defaultView = (await fetchViews()).find(v => v.isDefault);
+      if (defaultView) {
+        setFilters(defaultView.filters);
+        setActiveViewId(defaultView._id);
+      }
+      setViewsLoaded(true);
+    };
+    openDefaultView();
+  }, []);
+
+  const handleSelectView = (view) => {
+    setActiveViewId(view ? view._id : null);
+    if (!view) return;
+    setShowTrash(false);
+    setPageCursor({});
+    setSelectedIds([]);
+    setFilters(view.filters);
+  };
+
+  const handleCreateView = async (name) => {
+    try {
+      const response = await viewAPI.create({ name, filters });
+      const result = response.data;
+      if (result.success) {
+        showToast(`Saved view "${result.data.name}"`);
+        setActiveViewId(result.data._id);
+        fetchViews();
+      } else {
+        showToast(result.message || 'Failed to save view', 'error');
+      }
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to save view', 'error');
+    }
+  };
+
+  const handleUpdateView = async (view, changes) => {
+    try {
+      const response = await viewAPI.update(view._id, changes);
+      const result = response.data;
+      if (result.success) {
+        showToast('View saved');
+        fetchViews();
+      } else {
+        showToast(result.message || 'Failed to save view', 'error');
+      }
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to save view', 'error');
+    }
+  };
+
+  const handleDeleteView = async (view) => {
+    try {
+      await viewAPI.delete(view._id);
+      showToast('View deleted');
+      setActiveViewId(null);
+      fetchViews();
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to delete view', 'error');
+    }
+  };
+
+  // Download every task matching the current filters, not just this page
+  const handleExport = async (format) => {
+    try {
+      const response = await taskAPI.export({ ...filters, tags: filters.tags.join(',') }, format);
+      if (!(response.data instanceof Blob)) {
+        showToast(response.data?.message || 'Failed to export tasks', 'error');
+        return;
+      }
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `tasks-${new Date().toISOString().split('T')[0]}.${format}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      // Error bodies come back as blobs too
+      const body = error.response?.data;
+      const message = body instanceof Blob
+        ? await body.text().then(text => JSON.parse(text).message).catch(() => null)
+        : null;
+      showToast(message || 'Failed to export tasks', 'error');
+    }
+  };
+
+  const handleImported = (summary) => {
+    if (summary.imported === 0) return;
+    showToast(`Imported ${summary.imported} ${summary.imported === 1 ? 'task' : 'tasks'}`);
     fetchTasks();
-  }, [filters]);
+    fetchTags();
+    fetchProjects();
+  };
+
+  // Fetch tags
+  const fetchTags = async () => {
+    try {
+      const response = await tagAPI.getAll();
+      const result = response.data;
+      if (result.success) {
+        setTags(result.data || []);
+      }
+    } catch (error) {
+      showToast('Failed to fetch tags', 'error');
+    }
+  };
+
+  useEffect(() => {
+    fetchTags();
+  }, []);
+
+  const handleCreateTag = async (tagData) => {
+    try {
+      const response = await tagAPI.create(tagData);
+      const result = response.data;
+      if (result.success) {
+        setTags(prev => [...prev, result.data].sort((a, b) => a.name.localeCompare(b.name)));
+        return result.data;
+      }
+      showToast(result.message || 'Failed to create tag', 'error');
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to create tag', 'error');
+    }
+    return null;
+  };
 
-  const showToast = (message, type = 'success') => {
-    setToast({ message, type });
+  const handleRenameTag = async (tag, name) => {
+    try {
+      await tagAPI.update(tag._id, { name });
+      showToast('Tag renamed');
+      fetchTags();
+      fetchTasks();
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to rename tag', 'error');
+    }
+  };
+
+  const handleDeleteTag = async (tag) => {
+    try {
+      await tagAPI.delete(tag._id);
+      setFormData(prev => ({ ...prev, tags: prev.tags.filter(id => id !== tag._id) }));
+      setFilters(prev => ({ ...prev, tags: prev.tags.filter(id => id !== tag._id) }));
+      setPageCursor({});
+      showToast('Tag deleted');
+      fetchTags();
+      fetchViews();
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to delete tag', 'error');
+    }
+  };
+
+  const toggleTagFilter = (id) => {
+    setPageCursor({});
+    setSelectedIds([]);
+    setFilters(prev => ({
+      ...prev,
+      tags: prev.tags.includes(id) ? prev.tags.filter(t => t !== id) : [...prev.tags, id]
+    }));
+  };
+
+  const showToast = (message, type = 'success', action) => {
+    setToast({ message, type, action });
   };
 
   const handleLogout = () => {
@@ -73,6 +500,11 @@ const Dashboard = () => {
     if (formData.description && formData.description.length > 500) {
       errors.description = 'Description cannot exceed 500 characters';
     }
+    try {
+      validateCustomFields(fields, formData.customFields, { creating: !editingTask });
+    } catch (error) {
+      errors.customFields = error.message;
+    }
     return errors;
   };
 
@@ -84,14 +516,15 @@ const Dashboard = () => {
       return;
     }
 
+    const taskData = { ...formData, project: formData.project || null };
+
     try {
       if (editingTask) {
-        await taskAPI.update(editingTask._id, formData);
-        showToast('Task updated successfully');
-      } else {
-        await taskAPI.create(formData);
-        showToast('Task created successfully');
+        await saveTask(taskData);
+        return;
       }
+      await taskAPI.create(taskData);
+      showToast('Task created successfully');
       setShowModal(false);
       resetForm();
       fetchTasks();
@@ -100,6 +533,57 @@ const Dashboard = () => {
     }
   };
 
+  // Update the task being edited; if open blockers stop a status change,
+  // offer to override them
+  const saveTask = async (taskData) => {
+    try {
+      const response = await taskAPI.update(editingTask._id, taskData);
+      showToast(response.data?.next
+        ? 'Task completed - next occurrence scheduled'
+        : 'Task updated successfully');
+      setShowModal(false);
+      resetForm();
+      fetchTasks();
+    } catch (error) {
+      const blockers = error.response?.status === 409 && error.response.data.blockers;
+      if (blockers && !taskData.overrideBlockers) {
+        const titles = blockers.map(b => `- ${b.title}`).join('\n');
+        if (window.confirm(`This task is blocked by:\n${titles}\n\nChange its status anyway?`)) {
+          await saveTask({ ...taskData, overrideBlockers: true });
+        }
+        return;
+      }
+      throw error;
+    }
+  };
+
+  // Swap in the task returned by a dependency endpoint
+  const applyDependencyResponse = (response) => {
+    const result = response.data;
+    if (result?.success) {
+      setEditingTask(result.data);
+      setTasks(prev => prev.map(t => (t._id === result.data._id ? result.data : t)));
+    } else {
+      fetchTasks();
+    }
+  };
+
+  const handleAddDependency = async (blockerId) => {
+    try {
+      applyDependencyResponse(await taskAPI.addDependency(editingTask._id, blockerId));
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to add dependency', 'error');
+    }
+  };
+
+  const handleRemoveDependency = async (blockerId) => {
+    try {
+      applyDependencyResponse(await taskAPI.removeDependency(editingTask._id, blockerId));
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to remove dependency', 'error');
+    }
+  };
+
   const handleEdit = (task) => {
     setEditingTask(task);
     setFormData({
@@ -107,30 +591,198 @@ const Dashboard = () => {
       description: task.description || '',
       status: task.status,
       priority: task.priority,
-      dueDate: task.dueDate ? task.dueDate.split('T')[0] : ''
+      dueDate: task.dueDate ? task.dueDate.split('T')[0] : '',
+      project: task.project || '',
+      tags: (task.tags || []).map(tag => tag._id),
+      recurrence: task.recurrence || null,
+      reminders: task.reminders || [],
+      customFields: Object.fromEntries(fields.map(f => [f.key, toInputValue(f, task.customFields?.[f.key])]))
     });
     setShowModal(true);
   };
 
+  // Deleting only moves the task to the trash, so no confirmation is needed
   const handleDelete = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this task?')) return;
-    
     try {
       await taskAPI.delete(id);
-      showToast('Task deleted successfully');
+      showToast('Task moved to trash', 'success', { label: 'Undo', onClick: () => handleRestore(id) });
       fetchTasks();
     } catch (error) {
       showToast('Failed to delete task', 'error');
     }
   };
 
+  const handleRestore = async (id) => {
+    try {
+      await taskAPI.restore(id);
+      showToast('Task restored');
+      fetchTasks();
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to restore task', 'error');
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id]));
+  };
+
+  // Drag-and-drop and the move buttons only make sense in the manual order
+  const manualOrder = filters.sort === 'manual';
+
+  const allOnPageSelected = tasks.length > 0 && tasks.every(t => selectedIds.includes(t._id));
+
+  const toggleSelectPage = () => {
+    const pageIds = tasks.map(t => t._id);
+    setSelectedIds(prev => (allOnPageSelected
+      ? prev.filter(id => !pageIds.includes(id))
+      : [...new Set([...prev, ...pageIds])]));
+  };
+
+  // Run operations on the selected tasks. Tasks that fail stay selected;
+  // if some were held back by open blockers, offer to override them.
+  const handleBulk = async (operations, ids = selectedIds) => {
+    try {
+      setBulkBusy(true);
+      const response = await taskAPI.bulk({ ids, operations });
+      const result = response.data;
+      const failed = result.results.filter(r => !r.success);
+      const done = result.results.filter(r => r.success).map(r => r.id);
+      setSelectedIds(prev => prev.filter(id => !done.includes(id)));
+
+      const deleting = operations.some(op => op.type === 'delete');
+      if (failed.length === 0) {
+        showToast(
+          `${deleting ? 'Moved' : 'Updated'} ${done.length} task${done.length === 1 ? '' : 's'}${deleting ? ' to trash' : ''}`,
+          'success',
+          deleting ? { label: 'Undo', onClick: () => handleRestoreMany(done) } : undefined
+        );
+      } else {
+        showToast(`${done.length} of ${result.count} tasks changed. ${failed[0].message}`, 'error');
+      }
+      fetchTasks();
+
+      const blocked = failed.filter(r => r.status === 409).map(r => r.id);
+      const statusOp = operations.find(op => op.type === 'status');
+      if (blocked.length > 0 && statusOp && !statusOp.overrideBlockers &&
+          window.confirm(`${blocked.length} task(s) are blocked by open tasks. Change their status anyway?`)) {
+        await handleBulk(
+          operations.map(op => (op === statusOp ? { ...op, overrideBlockers: true } : op)),
+          blocked
+        );
+      }
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Bulk update failed', 'error');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const handleRestoreMany = async (ids) => {
+    try {
+      await Promise.all(ids.map(id => taskAPI.restore(id)));
+      showToast(`Restored ${ids.length} task${ids.length === 1 ? '' : 's'}`);
+      fetchTasks();
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to restore tasks', 'error');
+      fetchTasks();
+    }
+  };
+
+  const toggleExpanded = (id) => {
+    setExpandedTasks(prev => ({ ...prev, [id]: !prev[id] }));
+  };
+
+  // Swap in the task returned by a subtask endpoint, or refetch if we can't
+  const applySubtaskResponse = (response) => {
+    const result = response.data;
+    if (result?.success) {
+      setTasks(prev => prev.map(t => (t._id === result.data._id ? result.data : t)));
+    } else {
+      fetchTasks();
+    }
+  };
+
+  const handleAddSubtask = async (task, title) => {
+    try {
+      applySubtaskResponse(await taskAPI.addSubtask(task._id, { title }));
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to add item', 'error');
+    }
+  };
+
+  const handleToggleSubtask = async (task, subtask) => {
+    try {
+      applySubtaskResponse(
+        await taskAPI.updateSubtask(task._id, subtask._id, { done: !subtask.done })
+      );
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to update item', 'error');
+    }
+  };
+
+  const handleDeleteSubtask = async (task, subtask) => {
+    try {
+      applySubtaskResponse(await taskAPI.deleteSubtask(task._id, subtask._id));
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to remove item', 'error');
+    }
+  };
+
+  // Move a task to another place on the page in the manual order. The server
+  // only needs the task it now sits next to.
+  const handleMoveTask = async (from, to) => {
+    if (from === to || to < 0 || to >= tasks.length) return;
+    const moved = tasks[from];
+    const position = to > from ? { after: tasks[to]._id } : { before: tasks[to]._id };
+
+    const reordered = [...tasks];
+    reordered.splice(from, 1);
+    reordered.splice(to, 0, moved);
+    setTasks(reordered);
+
+    try {
+      const response = await taskAPI.reorder(moved._id, position);
+      if (!response.data.success) {
+        showToast(response.data.message || 'Failed to move task', 'error');
+        fetchTasks();
+      }
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to move task', 'error');
+      fetchTasks();
+    }
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    const from = tasks.findIndex(t => t._id === dragging);
+    setDragging(null);
+    setDropTarget(null);
+    if (from !== -1) handleMoveTask(from, index);
+  };
+
+  const handleMoveSubtask = async (task, from, to) => {
+    const ids = task.subtasks.map(s => s._id);
+    const [moved] = ids.splice(from, 1);
+    ids.splice(to, 0, moved);
+    try {
+      applySubtaskResponse(await taskAPI.reorderSubtasks(task._id, ids));
+    } catch (error) {
+      showToast(error.response?.data?.message || 'Failed to reorder items', 'error');
+    }
+  };
+
   const resetForm = () => {
     setFormData({
       title: '',
       description: '',
-      status: 'pending',
+      status: getDefaultStatus(statuses)?.key || '',
       priority: 'medium',
-      dueDate: ''
+      dueDate: '',
+      project: filters.project !== 'all' && filters.project !== 'none' ? filters.project : '',
+      tags: [],
+      recurrence: null,
+      reminders: [],
+      customFields: Object.fromEntries(fields.map(f => [f.key, toInputValue(f, undefined)]))
     });
     setEditingTask(null);
     setFormErrors({});
@@ -150,16 +802,11 @@ const Dashboard = () => {
     return colors[priority] || colors.medium;
   };
 
-  const getStatusColor = (status) => {
-    const colors = {
-      pending: 'bg-gray-100 text-gray-800',
-      'in-progress': 'bg-blue-100 text-blue-800',
-      completed: 'bg-green-100 text-green-800'
-    };
-    return colors[status] || colors.pending;
-  };
+  const projectsById = Object.fromEntries(projects.map(p => [p._id, p]));
 
   const handleFilterChange = (key, value) => {
+    setPageCursor({});
+    setSelectedIds([]);
     setFilters(prev => ({ ...prev, [key]: value }));
   };
 
@@ -171,6 +818,15 @@ const Dashboard = () => {
           <div className="flex items-center justify-between">
             <h1 className="text-2xl font-bold text-gray-900">Task Manager</h1>
             <div className="flex items-center gap-4">
+              <NotificationBell onOpenTask={handleOpenTask} />
+              <TimerWidget
+                timer={timer}
+                onStop={handleStopTimer}
+                onOpenTask={(taskId) => {
+                  const task = tasks.find(t => t._id === taskId);
+                  if (task) setDetailTask(task);
+                }}
+              />
               <div className="text-sm text-gray-600">
                 Welcome, <span className="font-medium">{user?.name}</span>
               </div>
@@ -190,126 +846,365 @@ const Dashboard = () => {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {/* Stats Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
-          <div className="card">
-            <p className="text-sm text-gray-500">Total Tasks</p>
-            <p className="text-2xl font-bold text-gray-900">{tasks.length}</p>
-          </div>
-          <div className="card">
-            <p className="text-sm text-gray-500">Pending</p>
-            <p className="text-2xl font-bold text-yellow-600">
-              {tasks.filter(t => t.status === 'pending').length}
-            </p>
-          </div>
-          <div className="card">
-            <p className="text-sm text-gray-500">In Progress</p>
-            <p className="text-2xl font-bold text-blue-600">
-              {tasks.filter(t => t.status === 'in-progress').length}
-            </p>
-          </div>
-          <div className="card">
-            <p className="text-sm text-gray-500">Completed</p>
-            <p className="text-2xl font-bold text-green-600">
-              {tasks.filter(t => t.status === 'completed').length}
-            </p>
-          </div>
-        </div>
+        <div className="flex flex-col md:flex-row gap-6">
+          <ProjectSidebar
+            projects={projects}
+            counts={projectCounts}
+            selected={showTrash ? 'trash' : filters.project}
+            onSelect={(project) => {
+              setShowTrash(false);
+              handleFilterChange('project', project);
+            }}
+            onSelectTrash={() => setShowTrash(true)}
+            onCreate={handleCreateProject}
+            onUpdate={handleUpdateProject}
+            onDelete={handleDeleteProject}
+          />
 
-        {/* Filters & Actions */}
-        <div className="card mb-6">
-          <div className="flex flex-col md:flex-row gap-4 items-center justify-between">
-            <div className="flex flex-col md:flex-row gap-4 flex-1">
-              <input
-                type="text"
-                placeholder="Search tasks..."
-                className="input md:w-64"
-                value={filters.search}
-                onChange={(e) => handleFilterChange('search', e.target.value)}
+          <div className="flex-1 min-w-0">
+            {showTrash ? (
+              <TrashView
+                onRestored={fetchTasks}
+                onSuccess={(message) => showToast(message)}
+                onError={(message) => showToast(message, 'error')}
               />
-              <select
-                className="input md:w-40"
-                value={filters.status}
-                onChange={(e) => handleFilterChange('status', e.target.value)}
-              >
-                <option value="all">All Status</option>
-                <option value="pending">Pending</option>
-                <option value="in-progress">In Progress</option>
-                <option value="completed">Completed</option>
-              </select>
-              <select
-                className="input md:w-40"
-                value={filters.priority}
-                onChange={(e) => handleFilterChange('priority', e.target.value)}
-              >
-                <option value="all">All Priority</option>
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
-              </select>
-              <select
-                className="input md:w-40"
-                value={filters.sort}
-                onChange={(e) => handleFilterChange('sort', e.target.value)}
-              >
-                <option value="newest">Newest First</option>
-                <option value="oldest">Oldest First</option>
-                <option value="title">By Title</option>
-                <option value="priority">By Priority</option>
-              </select>
-            </div>
-            <Button onClick={openModal}>
-              + Add Task
-            </Button>
-          </div>
-        </div>
+            ) : (
+              <>
+                {/* Stats Cards */}
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
+                  <div className="card">
+                    <p className="text-sm text-gray-500">Total Tasks</p>
+                    <p className="text-2xl font-bold text-gray-900">
+                      {Object.values(categoryCounts).reduce((sum, count) => sum + count, 0)}
+                    </p>
+                  </div>
+                  <div className="card">
+                    <p className="text-sm text-gray-500">{CATEGORY_LABELS.todo}</p>
+                    <p className="text-2xl font-bold text-yellow-600">
+                      {categoryCounts.todo || 0}
+                    </p>
+                  </div>
+                  <div className="card">
+                    <p className="text-sm text-gray-500">{CATEGORY_LABELS.doing}</p>
+                    <p className="text-2xl font-bold text-blue-600">
+                      {categoryCounts.doing || 0}
+                    </p>
+                  </div>
+                  <div className="card">
+                    <p className="text-sm text-gray-500">{CATEGORY_LABELS.done}</p>
+                    <p className="text-2xl font-bold text-green-600">
+                      {categoryCounts.done || 0}
+                    </p>
+                  </div>
+                </div>
 
-        {/* Tasks List */}
-        {loading ? (
-          <div className="flex justify-center py-12">
-            <div className="spinner"></div>
-          </div>
-        ) : tasks.length === 0 ? (
-          <div className="text-center py-12">
-            <p className="text-gray-500 text-lg">No tasks found. Create your first task!</p>
-          </div>
-        ) : (
-          <div className="grid gap-4">
-            {tasks.map((task) => (
-              <div key={task._id} className="card hover:shadow-md transition-shadow">
-                <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
-                  <div className="flex-1">
-                    <h3 className="text-lg font-semibold text-gray-900">{task.title}</h3>
-                    {task.description && (
-                      <p className="text-gray-600 mt-1">{task.description}</p>
-                    )}
-                    <div className="flex gap-2 mt-2">
-                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(task.status)}`}>
-                        {task.status}
-                      </span>
-                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${getPriorityColor(task.priority)}`}>
-                        {task.priority}
-                      </span>
-                      {task.dueDate && (
-                        <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
-                          Due: {new Date(task.dueDate).toLocaleDateString()}
-                        </span>
+                {/* Filters & Actions */}
+                <div className="card mb-6">
+                  <SavedViews
+                    views={views}
+                    activeId={activeViewId}
+                    filters={filters}
+                    onSelect={handleSelectView}
+                    onCreate={handleCreateView}
+                    onUpdate={handleUpdateView}
+                    onDelete={handleDeleteView}
+                  />
+                  <div className="flex flex-col md:flex-row gap-4 items-center justify-between">
+                    <div className="flex flex-col md:flex-row gap-4 flex-1">
+                      <SearchBox
+                        value={filters.search}
+                        onChange={(search) => handleFilterChange('search', search)}
+                        tags={tags}
+                        projects={projects}
+                        statuses={statuses}
+                        error={searchError}
+                      />
+                      <select
+                        className="input md:w-40"
+                        value={filters.status}
+                        onChange={(e) => handleFilterChange('status', e.target.value)}
+                      >
+                        <option value="all">All Status</option>
+                        {statuses.map(status => (
+                          <option key={status.key} value={status.key}>{status.name}</option>
+                        ))}
+                      </select>
+                      <select
+                        className="input md:w-40"
+                        value={filters.priority}
+                        onChange={(e) => handleFilterChange('priority', e.target.value)}
+                      >
+                        <option value="all">All Priority</option>
+                        <option value="low">Low</option>
+                        <option value="medium">Medium</option>
+                        <option value="high">High</option>
+                      </select>
+                      <select
+                        className="input md:w-40"
+                        value={filters.sort}
+                        onChange={(e) => handleFilterChange('sort', e.target.value)}
+                      >
+                        <option value="newest">Newest First</option>
+                        <option value="oldest">Oldest First</option>
+                        <option value="title">By Title</option>
+                        <option value="priority">By Priority</option>
+                        <option value="manual">Manual Order</option>
+                        <option value="relevance">Best Match</option>
+                        {fields.length > 0 && (
+                          <optgroup label="Custom fields">
+                            {fields.flatMap(field => [
+                              <option key={field.key} value={`field:${field.key}`}>{field.name} ↑</option>,
+                              <option key={`${field.key}-desc`} value={`field:${field.key}:desc`}>{field.name} ↓</option>
+                            ])}
+                          </optgroup>
+                        )}
+                      </select>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button variant="secondary" onClick={() => handleExport('csv')} title="Download the filtered tasks as CSV">
+                        Export CSV
+                      </Button>
+                      <Button variant="secondary" onClick={() => handleExport('json')} title="Download the filtered tasks as JSON">
+                        Export JSON
+                      </Button>
+                      <Button variant="secondary" onClick={() => setShowImport(true)}>
+                        Import
+                      </Button>
+                      <Button onClick={openModal}>
+                        + Add Task
+                      </Button>
+                    </div>
+                  </div>
+                  {tags.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-2 mt-4">
+                      <span className="text-sm text-gray-500">Tags:</span>
+                      {tags.map(tag => (
+                        <TagChip
+                          key={tag._id}
+                          tag={tag}
+                          selected={filters.tags.includes(tag._id)}
+                          onClick={() => toggleTagFilter(tag._id)}
+                        />
+                      ))}
+                      {filters.tags.length > 1 && (
+                        <select
+                          className="input w-auto py-1 text-sm"
+                          value={filters.tagMatch}
+                          onChange={(e) => handleFilterChange('tagMatch', e.target.value)}
+                        >
+                          <option value="any">Match any</option>
+                          <option value="all">Match all</option>
+                        </select>
                       )}
                     </div>
+                  )}
+                </div>
+
+                <BulkActionBar
+                  count={selectedIds.length}
+                  allSelected={allOnPageSelected}
+                  onToggleAll={toggleSelectPage}
+                  onClear={() => setSelectedIds([])}
+                  onApply={(operations) => handleBulk(operations)}
+                  projects={projects}
+                  statuses={statuses}
+                  busy={bulkBusy}
+                />
+
+                {/* Tasks List */}
+                {loading ? (
+                  <div className="flex justify-center py-12">
+                    <div className="spinner"></div>
                   </div>
-                  <div className="flex gap-2">
-                    <Button variant="secondary" onClick={() => handleEdit(task)}>
-                      Edit
-                    </Button>
-                    <Button variant="danger" onClick={() => handleDelete(task._id)}>
-                      Delete
-                    </Button>
+                ) : tasks.length === 0 ? (
+                  <div className="text-center py-12">
+                    <p className="text-gray-500 text-lg">No tasks found. Create your first task!</p>
                   </div>
-                </div>
-              </div>
-            ))}
+                ) : (
+                  <div className="grid gap-4">
+                    {selectedIds.length === 0 && (
+                      <label className="flex items-center gap-2 text-sm text-gray-500 px-1">
+                        <input type="checkbox" checked={false} onChange={toggleSelectPage} />
+                        Select all on this page
+                      </label>
+                    )}
+                    {tasks.map((task, index) => (
+                      <div
+                        key={task._id}
+                        className={`card hover:shadow-md transition-shadow ${selectedIds.includes(task._id) ? 'ring-2 ring-blue-300' : ''} ${dropTarget === task._id && dragging !== task._id ? 'ring-2 ring-blue-500' : ''} ${dragging === task._id ? 'opacity-50' : ''}`}
+                        {...(manualOrder && {
+                          draggable: true,
+                          onDragStart: (e) => {
+                            e.dataTransfer.effectAllowed = 'move';
+                            setDragging(task._id);
+                          },
+                          onDragOver: (e) => {
+                            e.preventDefault();
+                            setDropTarget(task._id);
+                          },
+                          onDrop: (e) => handleDrop(e, index),
+                          onDragEnd: () => {
+                            setDragging(null);
+                            setDropTarget(null);
+                          }
+                        })}
+                      >
+                        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                          {manualOrder && (
+                            <div className="flex md:flex-col items-center gap-1 self-start text-gray-400">
+                              <span className="cursor-grab select-none" title="Drag to reorder" aria-hidden="true">⠿</span>
+                              <button
+                                type="button"
+                                className="text-xs hover:text-gray-700 disabled:opacity-30"
+                                onClick={() => handleMoveTask(index, index - 1)}
+                                disabled={index === 0}
+                                aria-label={`Move ${task.title} up`}
+                              >
+                                ↑
+                              </button>
+                              <button
+                                type="button"
+                                className="text-xs hover:text-gray-700 disabled:opacity-30"
+                                onClick={() => handleMoveTask(index, index + 1)}
+                                disabled={index === tasks.length - 1}
+                                aria-label={`Move ${task.title} down`}
+                              >
+                                ↓
+                              </button>
+                            </div>
+                          )}
+                          <input
+                            type="checkbox"
+                            className="self-start mt-2"
+                            checked={selectedIds.includes(task._id)}
+                            onChange={() => toggleSelected(task._id)}
+                            aria-label={`Select ${task.title}`}
+                          />
+                          <div className="flex-1">
+                            <h3 className="text-lg font-semibold text-gray-900">
+                              <button
+                                type="button"
+                                className="text-left hover:text-blue-600"
+                                onClick={() => setDetailTask(task)}
+                              >
+                                {task.title}
+                              </button>
+                            </h3>
+                            {task.description && (
+                              <p className="text-gray-600 mt-1">{task.description}</p>
+                            )}
+                            <div className="flex flex-wrap gap-2 mt-2">
+                              <StatusBadge status={getStatus(statuses, task.status)} statusKey={task.status} />
+                              <span className={`px-2 py-1 rounded-full text-xs font-medium ${getPriorityColor(task.priority)}`}>
+                                {task.priority}
+                              </span>
+                              {task.dueDate && (
+                                <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+                                  Due: {new Date(task.dueDate).toLocaleDateString()}
+                                </span>
+                              )}
+                              {filters.project === 'all' && projectsById[task.project] && (
+                                <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                                  <span className="w-2 h-2 rounded-full" style={{ backgroundColor: projectsById[task.project].color }} />
+                                  {projectsById[task.project].name}
+                                </span>
+                              )}
+                              {(task.tags || []).map(tag => (
+                                <TagChip key={tag._id} tag={tag} />
+                              ))}
+                              {task.blocked && (
+                                <span
+                                  className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800"
+                                  title={`Blocked by: ${task.blockedBy.filter(b => b.statusCategory !== 'done').map(b => b.title).join(', ')}`}
+                                >
+                                  ⛔ Blocked
+                                </span>
+                              )}
+                              {fields.filter(field => formatCustomValue(field, task.customFields?.[field.key])).map(field => (
+                                <span key={field.key} className="px-2 py-1 rounded-full text-xs font-medium bg-indigo-50 text-indigo-700">
+                                  {field.name}:{' '}
+                                  {field.type === 'url' ? (
+                                    <a href={task.customFields[field.key]} target="_blank" rel="noopener noreferrer" className="underline">
+                                      {formatCustomValue(field, task.customFields[field.key])}
+                                    </a>
+                                  ) : formatCustomValue(field, task.customFields[field.key])}
+                                </span>
+                              ))}
+                              {task.timeSpent > 0 && (
+                                <span className="px-2 py-1 rounded-full text-xs font-medium bg-blue-50 text-blue-700" title="Time tracked">
+                                  ⏱ {formatDuration(task.timeSpent)}
+                                </span>
+                              )}
+                              {task.reminders?.length > 0 && (
+                                <span
+                                  className="px-2 py-1 rounded-full text-xs font-medium bg-amber-50 text-amber-700"
+                                  title={task.reminders.map(describeReminder).join('\n')}
+                                >
+                                  🔔 {task.reminders.length}
+                                </span>
+                              )}
+                              {task.recurrence?.freq && (
+                                <span className="px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                                  ↻ {describeRecurrence(task.recurrence)}
+                                </span>
+                              )}
+                              <button
+                                type="button"
+                                className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-600 hover:bg-gray-200"
+                                onClick={() => toggleExpanded(task._id)}
+                                aria-expanded={!!expandedTasks[task._id]}
+                              >
+                                {task.progress?.total
+                                  ? `${task.progress.done}/${task.progress.total} done`
+                                  : 'Checklist'}
+                                {expandedTasks[task._id] ? ' ▲' : ' ▼'}
+                              </button>
+                            </div>
+                          </div>
+                          <div className="flex gap-2">
+                            {timer?.task?._id === task._id ? (
+                              <Button variant="secondary" onClick={handleStopTimer} aria-label={`Stop timer on ${task.title}`}>
+                                ■ Stop
+                              </Button>
+                            ) : (
+                              <Button variant="secondary" onClick={() => handleStartTimer(task)} aria-label={`Start timer on ${task.title}`}>
+                                ▶ Track
+                              </Button>
+                            )}
+                            <Button variant="secondary" onClick={() => handleEdit(task)}>
+                              Edit
+                            </Button>
+                            <Button variant="danger" onClick={() => handleDelete(task._id)}>
+                              Delete
+                            </Button>
+                          </div>
+                        </div>
+                        {expandedTasks[task._id] && (
+                          <SubtaskList
+                            subtasks={task.subtasks}
+                            onToggle={(subtask) => handleToggleSubtask(task, subtask)}
+                            onAdd={(title) => handleAddSubtask(task, title)}
+                            onDelete={(subtask) => handleDeleteSubtask(task, subtask)}
+                            onMove={(from, to) => handleMoveSubtask(task, from, to)}
+                          />
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <Pager
+                  count={tasks.length}
+                  total={pagination.total}
+                  hasPrev={!!pagination.prevCursor}
+                  hasNext={!!pagination.nextCursor}
+                  onPrev={() => setPageCursor({ before: pagination.prevCursor })}
+                  onNext={() => setPageCursor({ after: pagination.nextCursor })}
+                />
+              </>
+            )}
           </div>
-        )}
+        </div>
       </main>
 
       {/* Modal */}
@@ -352,9 +1247,10 @@ const Dashboard = () => {
                       value={formData.status}
                       onChange={(e) => setFormData(prev => ({ ...prev, status: e.target.value }))}
                     >
-                      <option value="pending">Pending</option>
-                      <option value="in-progress">In Progress</option>
-                      <option value="completed">Completed</option>
+                      {/* Only the moves the workflow allows from the saved status */}
+                      {(editingTask ? getAllowedStatuses(statuses, editingTask.status) : statuses).map(status => (
+                        <option key={status.key} value={status.key}>{status.name}</option>
+                      ))}
                     </select>
                   </div>
                   <div>
@@ -371,6 +1267,22 @@ const Dashboard = () => {
                   </div>
                 </div>
 
+                <div>
+                  <label className="label">Project</label>
+                  <select
+                    className="input"
+                    value={formData.project}
+                    onChange={(e) => setFormData(prev => ({ ...prev, project: e.target.value }))}
+                  >
+                    <option value="">No project</option>
+                    {projects
+                      .filter(p => !p.archived || p._id === formData.project)
+                      .map(p => (
+                        <option key={p._id} value={p._id}>{p.name}</option>
+                      ))}
+                  </select>
+                </div>
+
                 <div>
                   <label className="label">Due Date</label>
                   <input
@@ -381,6 +1293,49 @@ const Dashboard = () => {
                   />
                 </div>
 
+                <ReminderEditor
+                  value={formData.reminders}
+                  dueDate={formData.dueDate}
+                  onChange={(reminders) => setFormData(prev => ({ ...prev, reminders }))}
+                />
+
+                <CustomFieldInputs
+                  fields={fields}
+                  values={formData.customFields}
+                  onChange={(customFields) => setFormData(prev => ({ ...prev, customFields }))}
+                />
+                {formErrors.customFields && <p className="text-red-500 text-sm">{formErrors.customFields}</p>}
+
+                <TagPicker
+                  tags={tags}
+                  selected={formData.tags}
+                  onChange={(selected) => setFormData(prev => ({ ...prev, tags: selected }))}
+                  onCreate={handleCreateTag}
+                  onRename={handleRenameTag}
+                  onDelete={handleDeleteTag}
+                />
+
+                {editingTask && (
+                  <DependencyEditor
+                    blockedBy={editingTask.blockedBy}
+                    candidates={tasks.filter(t => t._id !== editingTask._id)}
+                    onAdd={handleAddDependency}
+                    onRemove={handleRemoveDependency}
+                  />
+                )}
+
+                {editingTask && (
+                  <AttachmentList
+                    taskId={editingTask._id}
+                    onError={(message) => showToast(message, 'error')}
+                  />
+                )}
+
+                <RecurrenceEditor
+                  value={formData.recurrence}
+                  onChange={(recurrence) => setFormData(prev => ({ ...prev, recurrence }))}
+                />
+
                 <div className="flex gap-3 mt-6">
                   <Button type="button" variant="secondary" className="flex-1" onClick={() => setShowModal(false)}>
                     Cancel
@@ -395,9 +1350,38 @@ const Dashboard = () => {
         </div>
       )}
 
+      {detailTask && (
+        <TaskDetail
+          task={detailTask}
+          lookups={{
+            tags: Object.fromEntries(tags.map(t => [t._id, t.name])),
+            projects: Object.fromEntries(projects.map(p => [p._id, p.name])),
+            tasks: Object.fromEntries(tasks.map(t => [t._id, t.title])),
+            statuses: Object.fromEntries(statuses.map(s => [s.key, s.name])),
+            fields: Object.fromEntries(fields.map(f => [f.key, f]))
+          }}
+          onClose={() => setDetailTask(null)}
+          onEdit={(task) => {
+            setDetailTask(null);
+            handleEdit(task);
+          }}
+          onTimeChange={fetchTasks}
+          onError={(message) => showToast(message, 'error')}
+        />
+      )}
+
+      {showImport && (
+        <ImportWizard
+          fields={fields}
+          onClose={() => setShowImport(false)}
+          onImported={handleImported}
+        />
+      )}
+
       <Toast
         message={toast.message}
         type={toast.type}
+        action={toast.action}
         onClose={() => setToast({ ...toast, message: '' })}
       />
     </div>
@@ -5,6 +5,11 @@ import { authAPI } from '../services/api';
 import Input from '../components/Input';
 import Button from '../components/Button';
 import Toast from '../components/Toast';
+import WorkflowEditor from '../components/WorkflowEditor';
+import CustomFieldEditor from '../components/CustomFieldEditor';
+import EmailPreferences from '../components/EmailPreferences';
+import AccountData from '../components/AccountData';
+import CalendarSettings from '../components/CalendarSettings';
 
 const Profile = () => {
   const { user, logout, updateProfile, deleteAccount } = useAuth();
@@ -186,7 +191,7 @@ const Profile = () => {
 
           {/* Tabs */}
           <div className="border-b border-gray-200 mb-6">
-            <nav className="-mb-px flex gap-8">
+            <nav className="-mb-px flex flex-wrap gap-x-8">
               <button
                 onClick={() => setActiveTab('profile')}
                 className={`py-3 px-1 border-b-2 font-medium text-sm transition-colors ${
@@ -207,6 +212,46 @@ const Profile = () => {
               >
                 Security
               </button>
+              <button
+                onClick={() => setActiveTab('workflow')}
+                className={`py-3 px-1 border-b-2 font-medium text-sm transition-colors ${
+                  activeTab === 'workflow'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Workflow
+              </button>
+              <button
+                onClick={() => setActiveTab('fields')}
+                className={`py-3 px-1 border-b-2 font-medium text-sm transition-colors ${
+                  activeTab === 'fields'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Custom Fields
+              </button>
+              <button
+                onClick={() => setActiveTab('email')}
+                className={`py-3 px-1 border-b-2 font-medium text-sm transition-colors ${
+                  activeTab === 'email'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Email
+              </button>
+              <button
+                onClick={() => setActiveTab('calendar')}
+                className={`py-3 px-1 border-b-2 font-medium text-sm transition-colors ${
+                  activeTab === 'calendar'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Calendar
+              </button>
               <button
                 onClick={() => setActiveTab('danger')}
                 className={`py-3 px-1 border-b-2 font-medium text-sm transition-colors ${
@@ -308,13 +353,46 @@ const Profile = () => {
             </form>
           )}
 
+          {activeTab === 'workflow' && (
+            <WorkflowEditor
+              onSuccess={(message) => showToast(message)}
+              onError={(message) => showToast(message, 'error')}
+            />
+          )}
+
+          {activeTab === 'fields' && (
+            <CustomFieldEditor
+              onSuccess={(message) => showToast(message)}
+              onError={(message) => showToast(message, 'error')}
+            />
+          )}
+
+          {activeTab === 'email' && (
+            <EmailPreferences
+              onSuccess={(message) => showToast(message)}
+              onError={(message) => showToast(message, 'error')}
+            />
+          )}
+
+          {activeTab === 'calendar' && (
+            <CalendarSettings
+              onSuccess={(message) => showToast(message)}
+              onError={(message) => showToast(message, 'error')}
+            />
+          )}
+
           {activeTab === 'danger' && (
             <div className="space-y-4">
+              <AccountData
+                onSuccess={(message) => showToast(message)}
+                onError={(message) => showToast(message, 'error')}
+              />
               <div className="bg-red-50 border border-red-200 rounded-lg p-4">
                 <h3 className="text-lg font-medium text-red-800 mb-2">Delete Account</h3>
                 <p className="text-red-600 text-sm mb-4">
                   Once you delete your account, there is no going back. Please be certain.
-                  All your tasks will be permanently deleted.
+                  All your tasks will be permanently deleted, so download your data above first
+                  if you want to keep it.
                 </p>
                 <Button
                   variant="danger"
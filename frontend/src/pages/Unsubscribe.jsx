@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+const TYPE_LABELS = {
+  overdue: 'overdue task',
+  upcoming: 'upcoming due date'
+};
+
+// Landing page of the unsubscribe link in emails. Works without signing in:
+// the link's token is signed for one user and email type.
+const Unsubscribe = () => {
+  const [searchParams] = useSearchParams();
+  const [state, setState] = useState({ status: 'loading' });
+
+  useEffect(() => {
+    const unsubscribe = async () => {
+      try {
+        const response = await authAPI.unsubscribe(searchParams.get('token'));
+        const result = response.data;
+        setState(result.success
+          ? { status: 'done', ...result.data }
+          : { status: 'error', message: result.message });
+      } catch (err) {
+        setState({ status: 'error', message: err.response?.data?.message || 'Failed to unsubscribe' });
+      }
+    };
+    unsubscribe();
+  }, [searchParams]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full card text-center space-y-4">
+        {state.status === 'loading' && (
+          <div className="flex justify-center py-8">
+            <div className="spinner"></div>
+          </div>
+        )}
+        {state.status === 'done' && (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900">You're unsubscribed</h1>
+            <p className="text-gray-600">
+              {state.email} will no longer get {TYPE_LABELS[state.type]} emails.
+            </p>
+          </>
+        )}
+        {state.status === 'error' && (
+          <>
+            <h1 className="text-2xl font-bold text-gray-900">Couldn't unsubscribe</h1>
+            <p className="text-gray-600">{state.message}</p>
+          </>
+        )}
+        {state.status !== 'loading' && (
+          <p className="text-sm text-gray-500">
+            You can change which emails you get under{' '}
+            <Link to="/profile" className="text-blue-600 hover:text-blue-500 font-medium">
+              Profile → Email
+            </Link>.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Unsubscribe;
@@ -1,5 +1,18 @@
 import axios from 'axios';
-import { mockAuthAPI, mockTaskAPI } from './mockApi';
+import {
+  mockAuthAPI,
+  mockTaskAPI,
+  mockTagAPI,
+  mockProjectAPI,
+  mockCommentAPI,
+  mockAttachmentAPI,
+  mockWorkflowAPI,
+  mockCustomFieldAPI,
+  mockTimeAPI,
+  mockNotificationAPI,
+  mockViewAPI,
+  mockCalendarAPI
+} from './mockApi';
 
 const API_URL = '/api';
 
@@ -96,6 +109,22 @@ export const authAPI = {
     }
     return mockAuthAPI.changePassword(passwordData);
   },
+
+  updateEmailPreferences: async (preferences) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put('/auth/emailpreferences', preferences);
+    }
+    return mockAuthAPI.updateEmailPreferences(preferences);
+  },
+
+  unsubscribe: async (token) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post('/auth/unsubscribe', { token });
+    }
+    return mockAuthAPI.unsubscribe(token);
+  },
   
   deleteAccount: async () => {
     const available = await checkBackend();
@@ -104,6 +133,43 @@ export const authAPI = {
     }
     return mockAuthAPI.deleteAccount();
   },
+
+  requestExport: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post('/auth/export');
+    }
+    return mockAuthAPI.requestExport();
+  },
+
+  getExport: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/auth/export');
+    }
+    return mockAuthAPI.getExport();
+  },
+
+  // Resolves with the archive as a Blob in `data`
+  downloadExport: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/auth/export/download', { responseType: 'blob' });
+    }
+    return mockAuthAPI.downloadExport();
+  },
+
+  importArchive: async (file) => {
+    const available = await checkBackend();
+    if (available) {
+      const formData = new FormData();
+      formData.append('file', file);
+      return api.post('/auth/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+    }
+    return mockAuthAPI.importArchive(file);
+  },
   
   logout: async () => {
     const available = await checkBackend();
@@ -155,6 +221,14 @@ export const taskAPI = {
     }
     return mockTaskAPI.delete(id);
   },
+
+  bulk: async (payload) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post('/tasks/bulk', payload);
+    }
+    return mockTaskAPI.bulk(payload);
+  },
   
   getStats: async () => {
     const available = await checkBackend();
@@ -162,11 +236,536 @@ export const taskAPI = {
       return api.get('/tasks/stats');
     }
     return mockTaskAPI.getStats();
+  },
+
+  reorder: async (id, position) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put(`/tasks/${id}/reorder`, position);
+    }
+    return mockTaskAPI.reorder(id, position);
+  },
+
+  getAnalytics: async (params) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/tasks/analytics', { params });
+    }
+    return mockTaskAPI.getAnalytics(params);
+  },
+
+  // Resolves with the file as a Blob in `data`
+  export: async (params, format = 'csv') => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/tasks/export', { params: { ...params, format }, responseType: 'blob' });
+    }
+    return mockTaskAPI.export(params, format);
+  },
+
+  import: async (file, options = {}) => {
+    const available = await checkBackend();
+    if (available) {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (options.mapping) formData.append('mapping', JSON.stringify(options.mapping));
+      if (options.dryRun) formData.append('dryRun', 'true');
+      if (options.duplicates) formData.append('duplicates', options.duplicates);
+      return api.post('/tasks/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+    }
+    return mockTaskAPI.import(file, options);
+  },
+
+  addSubtask: async (id, subtaskData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post(`/tasks/${id}/subtasks`, subtaskData);
+    }
+    return mockTaskAPI.addSubtask(id, subtaskData);
+  },
+
+  updateSubtask: async (id, subtaskId, subtaskData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put(`/tasks/${id}/subtasks/${subtaskId}`, subtaskData);
+    }
+    return mockTaskAPI.updateSubtask(id, subtaskId, subtaskData);
+  },
+
+  deleteSubtask: async (id, subtaskId) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete(`/tasks/${id}/subtasks/${subtaskId}`);
+    }
+    return mockTaskAPI.deleteSubtask(id, subtaskId);
+  },
+
+  addDependency: async (id, blockedBy) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post(`/tasks/${id}/dependencies`, { blockedBy });
+    }
+    return mockTaskAPI.addDependency(id, blockedBy);
+  },
+
+  removeDependency: async (id, blockerId) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete(`/tasks/${id}/dependencies/${blockerId}`);
+    }
+    return mockTaskAPI.removeDependency(id, blockerId);
+  },
+
+  getTrash: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/tasks/trash');
+    }
+    return mockTaskAPI.getTrash();
+  },
+
+  restore: async (id) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post(`/tasks/trash/${id}/restore`);
+    }
+    return mockTaskAPI.restore(id);
+  },
+
+  deletePermanently: async (id) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete(`/tasks/trash/${id}`);
+    }
+    return mockTaskAPI.deletePermanently(id);
+  },
+
+  emptyTrash: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete('/tasks/trash');
+    }
+    return mockTaskAPI.emptyTrash();
+  },
+
+  getActivity: async (id) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get(`/tasks/${id}/activity`);
+    }
+    return mockTaskAPI.getActivity(id);
+  },
+
+  reorderSubtasks: async (id, order) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put(`/tasks/${id}/subtasks/reorder`, { order });
+    }
+    return mockTaskAPI.reorderSubtasks(id, order);
+  }
+};
+
+// Tag API calls - uses mock API if backend is not available
+export const tagAPI = {
+  getAll: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/tags');
+    }
+    return mockTagAPI.getAll();
+  },
+
+  create: async (tagData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post('/tags', tagData);
+    }
+    return mockTagAPI.create(tagData);
+  },
+
+  update: async (id, tagData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put(`/tags/${id}`, tagData);
+    }
+    return mockTagAPI.update(id, tagData);
+  },
+
+  merge: async (id, into) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post(`/tags/${id}/merge`, { into });
+    }
+    return mockTagAPI.merge(id, into);
+  },
+
+  delete: async (id) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete(`/tags/${id}`);
+    }
+    return mockTagAPI.delete(id);
+  }
+};
+
+// Project API calls - uses mock API if backend is not available
+export const projectAPI = {
+  getAll: async (params) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/projects', { params });
+    }
+    return mockProjectAPI.getAll(params);
+  },
+
+  create: async (projectData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post('/projects', projectData);
+    }
+    return mockProjectAPI.create(projectData);
+  },
+
+  update: async (id, projectData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put(`/projects/${id}`, projectData);
+    }
+    return mockProjectAPI.update(id, projectData);
+  },
+
+  delete: async (id) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete(`/projects/${id}`);
+    }
+    return mockProjectAPI.delete(id);
+  }
+};
+
+// Comment API calls - uses mock API if backend is not available
+export const commentAPI = {
+  getAll: async (taskId) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get(`/tasks/${taskId}/comments`);
+    }
+    return mockCommentAPI.getAll(taskId);
+  },
+
+  create: async (taskId, commentData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post(`/tasks/${taskId}/comments`, commentData);
+    }
+    return mockCommentAPI.create(taskId, commentData);
+  },
+
+  update: async (taskId, commentId, commentData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put(`/tasks/${taskId}/comments/${commentId}`, commentData);
+    }
+    return mockCommentAPI.update(taskId, commentId, commentData);
+  },
+
+  delete: async (taskId, commentId) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete(`/tasks/${taskId}/comments/${commentId}`);
+    }
+    return mockCommentAPI.delete(taskId, commentId);
+  }
+};
+
+// Attachment API calls - uses mock API if backend is not available
+export const attachmentAPI = {
+  getAll: async (taskId) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get(`/tasks/${taskId}/attachments`);
+    }
+    return mockAttachmentAPI.getAll(taskId);
+  },
+
+  upload: async (taskId, files) => {
+    const available = await checkBackend();
+    if (available) {
+      const formData = new FormData();
+      files.forEach(file => formData.append('files', file));
+      return api.post(`/tasks/${taskId}/attachments`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+    }
+    return mockAttachmentAPI.upload(taskId, files);
+  },
+
+  download: async (taskId, attachmentId) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get(`/tasks/${taskId}/attachments/${attachmentId}`, { responseType: 'blob' });
+    }
+    return mockAttachmentAPI.download(taskId, attachmentId);
+  },
+
+  delete: async (taskId, attachmentId) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete(`/tasks/${taskId}/attachments/${attachmentId}`);
+    }
+    return mockAttachmentAPI.delete(taskId, attachmentId);
+  }
+};
+
+// Workflow API calls - uses mock API if backend is not available
+export const workflowAPI = {
+  get: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/workflow');
+    }
+    return mockWorkflowAPI.get();
+  },
+
+  update: async (workflowData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put('/workflow', workflowData);
+    }
+    return mockWorkflowAPI.update(workflowData);
+  }
+};
+
+// Custom field API calls - uses mock API if backend is not available
+export const customFieldAPI = {
+  getAll: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/fields');
+    }
+    return mockCustomFieldAPI.getAll();
+  },
+
+  create: async (fieldData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post('/fields', fieldData);
+    }
+    return mockCustomFieldAPI.create(fieldData);
+  },
+
+  update: async (id, fieldData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put(`/fields/${id}`, fieldData);
+    }
+    return mockCustomFieldAPI.update(id, fieldData);
+  },
+
+  delete: async (id) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete(`/fields/${id}`);
+    }
+    return mockCustomFieldAPI.delete(id);
+  }
+};
+
+// Time tracking API calls - uses mock API if backend is not available
+export const timeAPI = {
+  getTimer: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/time/timer');
+    }
+    return mockTimeAPI.getTimer();
+  },
+
+  startTimer: async (taskId, note) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post(`/tasks/${taskId}/timer`, { note });
+    }
+    return mockTimeAPI.startTimer(taskId, note);
+  },
+
+  stopTimer: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post('/time/timer/stop');
+    }
+    return mockTimeAPI.stopTimer();
+  },
+
+  getEntries: async (taskId) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get(`/tasks/${taskId}/time`);
+    }
+    return mockTimeAPI.getEntries(taskId);
+  },
+
+  addEntry: async (taskId, entryData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post(`/tasks/${taskId}/time`, entryData);
+    }
+    return mockTimeAPI.addEntry(taskId, entryData);
+  },
+
+  updateEntry: async (entryId, entryData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put(`/time/entries/${entryId}`, entryData);
+    }
+    return mockTimeAPI.updateEntry(entryId, entryData);
+  },
+
+  deleteEntry: async (entryId) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete(`/time/entries/${entryId}`);
+    }
+    return mockTimeAPI.deleteEntry(entryId);
+  },
+
+  getReport: async (params) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/time/report', { params });
+    }
+    return mockTimeAPI.getReport(params);
+  }
+};
+
+// Notification API calls - uses mock API if backend is not available
+export const notificationAPI = {
+  getAll: async (params) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/notifications', { params });
+    }
+    return mockNotificationAPI.getAll(params);
+  },
+
+  markRead: async (id) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put(`/notifications/${id}/read`);
+    }
+    return mockNotificationAPI.markRead(id);
+  },
+
+  markAllRead: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put('/notifications/read-all');
+    }
+    return mockNotificationAPI.markAllRead();
+  },
+
+  delete: async (id) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete(`/notifications/${id}`);
+    }
+    return mockNotificationAPI.delete(id);
+  }
+};
+
+// Saved view API calls - uses mock API if backend is not available
+export const viewAPI = {
+  getAll: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/views');
+    }
+    return mockViewAPI.getAll();
+  },
+
+  create: async (viewData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post('/views', viewData);
+    }
+    return mockViewAPI.create(viewData);
+  },
+
+  update: async (id, viewData) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.put(`/views/${id}`, viewData);
+    }
+    return mockViewAPI.update(id, viewData);
+  },
+
+  delete: async (id) => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete(`/views/${id}`);
+    }
+    return mockViewAPI.delete(id);
+  }
+};
+
+// Calendar feed and .ics import API calls - uses mock API if backend is not available
+export const calendarAPI = {
+  get: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.get('/calendar');
+    }
+    return mockCalendarAPI.get();
+  },
+
+  regenerateToken: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.post('/calendar/token');
+    }
+    return mockCalendarAPI.regenerateToken();
+  },
+
+  disableFeed: async () => {
+    const available = await checkBackend();
+    if (available) {
+      return api.delete('/calendar/token');
+    }
+    return mockCalendarAPI.disableFeed();
+  },
+
+  import: async (file, options = {}) => {
+    const available = await checkBackend();
+    if (available) {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (options.dryRun) formData.append('dryRun', 'true');
+      if (options.duplicates) formData.append('duplicates', options.duplicates);
+      return api.post('/calendar/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+    }
+    return mockCalendarAPI.import(file, options);
   }
 };
 
 // Export mock API for direct access if needed
-export { mockAuthAPI, mockTaskAPI };
+export {
+  mockAuthAPI,
+  mockTaskAPI,
+  mockTagAPI,
+  mockProjectAPI,
+  mockCommentAPI,
+  mockAttachmentAPI,
+  mockWorkflowAPI,
+  mockCustomFieldAPI,
+  mockTimeAPI,
+  mockNotificationAPI,
+  mockViewAPI,
+  mockCalendarAPI
+};
 
 export default api;
 
@@ -1,6 +1,30 @@
 // Mock API Service using localStorage
 // This simulates the backend API for demo purposes without MongoDB
 
+import { getNextOccurrence } from '../utils/recurrence';
+import { SearchSyntaxError, parseSearchQuery, compileSearchQuery } from '../utils/searchQuery';
+import {
+  CATEGORIES,
+  DEFAULT_STATUSES,
+  getStatus,
+  getDefaultStatus,
+  canTransition,
+  makeStatusKey,
+  validateWorkflow
+} from '../utils/workflow';
+import {
+  FIELD_TYPES,
+  CustomFieldError,
+  validateCustomFields,
+  buildCustomFieldMatcher,
+  compareCustomValues
+} from '../utils/customFields';
+import { MAX_REMINDERS, getReminderTime } from '../utils/reminders';
+import { rankBetween, ranksAfter } from '../utils/rank';
+import { CsvError, parseCsv, formatCsvRow } from '../utils/csv';
+import { IcalError, parseCalendar } from '../utils/ical';
+import { IMPORT_COLUMNS as CALENDAR_COLUMNS, calendarRows } from '../utils/taskCalendar';
+
 const DELAY = 300; // Simulate network delay
 
 // Utility to simulate async API calls
@@ -26,10 +50,41 @@ const saveUsers = (users) => {
   localStorage.setItem('mock_users', JSON.stringify(users));
 };
 
-// Get tasks from localStorage
+// Tasks saved before the manual order get ranks newest first, below the
+// ranked ones
+const withRanks = (tasks) => {
+  const unranked = tasks
+    .filter(t => !t.rank)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b._id.localeCompare(a._id));
+  if (unranked.length === 0) return tasks;
+
+  const last = tasks.filter(t => t.rank).map(t => t.rank).sort().pop() || null;
+  const ranks = ranksAfter(last, unranked.length);
+  const rankOf = new Map(unranked.map((t, index) => [t._id, ranks[index]]));
+  return tasks.map(t => (t.rank ? t : { ...t, rank: rankOf.get(t._id) }));
+};
+
+// Get tasks from localStorage. Tasks saved before workflows existed get the
+// category of their default status, done tasks saved before completion
+// times were kept count as completed when last updated, and unranked tasks
+// get a rank, like the backend migrations.
 const getTasks = () => {
   const tasks = localStorage.getItem('mock_tasks');
-  return tasks ? JSON.parse(tasks) : [];
+  return tasks
+    ? withRanks(JSON.parse(tasks)
+      .map(t => (t.statusCategory
+        ? t
+        : { ...t, statusCategory: getStatus(DEFAULT_STATUSES, t.status)?.category || 'todo' }))
+      .map(t => (t.completedAt !== undefined
+        ? t
+        : { ...t, completedAt: t.statusCategory === 'done' ? t.updatedAt || t.createdAt : null })))
+    : [];
+};
+
+// Rank that puts a new task at the top of the user's manual order
+const topRank = (tasks, userId) => {
+  const ranks = tasks.filter(t => t.userId === userId && t.rank).map(t => t.rank).sort();
+  return rankBetween(null, ranks[0] || null);
 };
 
 // Save tasks to localStorage
@@ -37,6 +92,565 @@ const saveTasks = (tasks) => {
   localStorage.setItem('mock_tasks', JSON.stringify(tasks));
 };
 
+// Get tags from localStorage
+const getTags = () => {
+  const tags = localStorage.getItem('mock_tags');
+  return tags ? JSON.parse(tags) : [];
+};
+
+// Save tags to localStorage
+const saveTags = (tags) => {
+  localStorage.setItem('mock_tags', JSON.stringify(tags));
+};
+
+// Get comments from localStorage
+const getComments = () => {
+  const comments = localStorage.getItem('mock_comments');
+  return comments ? JSON.parse(comments) : [];
+};
+
+// Save comments to localStorage
+const saveComments = (comments) => {
+  localStorage.setItem('mock_comments', JSON.stringify(comments));
+};
+
+// Get attachments from localStorage (file contents kept as data URLs)
+const getAttachments = () => {
+  const attachments = localStorage.getItem('mock_attachments');
+  return attachments ? JSON.parse(attachments) : [];
+};
+
+// Save attachments to localStorage
+const saveAttachments = (attachments) => {
+  localStorage.setItem('mock_attachments', JSON.stringify(attachments));
+};
+
+// Get time entries from localStorage
+const getTimeEntries = () => {
+  const entries = localStorage.getItem('mock_time_entries');
+  return entries ? JSON.parse(entries) : [];
+};
+
+// Save time entries to localStorage
+const saveTimeEntries = (entries) => {
+  localStorage.setItem('mock_time_entries', JSON.stringify(entries));
+};
+
+// Get scheduled jobs from localStorage
+const getJobs = () => {
+  const jobs = localStorage.getItem('mock_jobs');
+  return jobs ? JSON.parse(jobs) : [];
+};
+
+// Save scheduled jobs to localStorage
+const saveJobs = (jobs) => {
+  localStorage.setItem('mock_jobs', JSON.stringify(jobs));
+};
+
+// Get notifications from localStorage
+const getNotifications = () => {
+  const notifications = localStorage.getItem('mock_notifications');
+  return notifications ? JSON.parse(notifications) : [];
+};
+
+// Save notifications to localStorage
+const saveNotifications = (notifications) => {
+  localStorage.setItem('mock_notifications', JSON.stringify(notifications));
+};
+
+// Get saved views from localStorage
+const getViews = () => {
+  const views = localStorage.getItem('mock_views');
+  return views ? JSON.parse(views) : [];
+};
+
+// Save saved views to localStorage
+const saveViews = (views) => {
+  localStorage.setItem('mock_views', JSON.stringify(views));
+};
+
+// Calendar feed tokens by user ID, kept apart from the users like the
+// backend's unselected field
+const getCalendarTokens = () => JSON.parse(localStorage.getItem('mock_calendarTokens') || '{}');
+const saveCalendarTokens = (tokens) => localStorage.setItem('mock_calendarTokens', JSON.stringify(tokens));
+
+// Change the filters of every saved view of a user
+const updateViewFilters = (userId, update) => {
+  saveViews(getViews().map(v => (v.userId === userId ? { ...v, filters: update(v.filters) } : v)));
+};
+
+// Read a File into a data URL
+const readAsDataURL = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+// Get activity entries from localStorage
+const getActivity = () => {
+  const activity = localStorage.getItem('mock_activity');
+  return activity ? JSON.parse(activity) : [];
+};
+
+// Save activity entries to localStorage
+const saveActivity = (activity) => {
+  localStorage.setItem('mock_activity', JSON.stringify(activity));
+};
+
+// Task fields tracked in the activity log, as in backend/utils/activity.js
+const TRACKED_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'project', 'tags', 'blockedBy', 'recurrence'];
+const SET_FIELDS = ['tags', 'blockedBy'];
+
+const normalizeField = (field, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (SET_FIELDS.includes(field)) return value.length ? [...value].sort() : null;
+  if (field === 'dueDate') return new Date(value).toISOString();
+  return value;
+};
+
+// Days a trashed task is kept, matching the backend default
+const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Permanently remove tasks with their comments, attachments, history and time entries
+const purgeTasks = (ids) => {
+  saveTasks(getTasks()
+    .filter(t => !ids.includes(t._id))
+    .map(t => (t.blockedBy ? { ...t, blockedBy: t.blockedBy.filter(id => !ids.includes(id)) } : t)));
+  saveComments(getComments().filter(c => !ids.includes(c.taskId)));
+  saveAttachments(getAttachments().filter(a => !ids.includes(a.taskId)));
+  saveActivity(getActivity().filter(a => !ids.includes(a.task)));
+  saveTimeEntries(getTimeEntries().filter(e => !ids.includes(e.task)));
+  saveJobs(getJobs().filter(j => !ids.includes(j.task)));
+  saveNotifications(getNotifications().filter(n => !ids.includes(n.task)));
+};
+
+// Purge trashed tasks older than the retention period
+const purgeExpiredTasks = () => {
+  const cutoff = Date.now() - TRASH_RETENTION_DAYS * DAY_MS;
+  const expired = getTasks().filter(t => t.deletedAt && new Date(t.deletedAt).getTime() <= cutoff);
+  if (expired.length > 0) {
+    purgeTasks(expired.map(t => t._id));
+  }
+};
+
+// Append a field-level diff of a task to the activity log
+// Custom field values are diffed one by one, as `customFields.<key>`
+const recordActivity = (action, before, after) => {
+  const user = getCurrentUser();
+  const task = after || before;
+  const customKeys = [...new Set([
+    ...Object.keys(before?.customFields || {}),
+    ...Object.keys(after?.customFields || {})
+  ])];
+  const changes = [
+    ...TRACKED_FIELDS.map(field => ({
+      field,
+      from: before ? normalizeField(field, before[field]) : null,
+      to: after ? normalizeField(field, after[field]) : null
+    })),
+    ...customKeys.map(key => ({
+      field: `customFields.${key}`,
+      from: before?.customFields?.[key] ?? null,
+      to: after?.customFields?.[key] ?? null
+    }))
+  ].filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+  if (action === 'updated' && changes.length === 0) return;
+
+  saveActivity([...getActivity(), {
+    _id: generateId(),
+    task: task._id,
+    userId: task.userId,
+    actor: { _id: user._id, name: user.name },
+    action,
+    changes,
+    createdAt: new Date().toISOString()
+  }]);
+};
+
+// Workflow statuses of a user, the defaults until they are changed
+const getStatuses = (userId) => {
+  const workflows = JSON.parse(localStorage.getItem('mock_workflows') || '{}');
+  return workflows[userId] || DEFAULT_STATUSES;
+};
+
+const saveStatuses = (userId, statuses) => {
+  const workflows = JSON.parse(localStorage.getItem('mock_workflows') || '{}');
+  localStorage.setItem('mock_workflows', JSON.stringify({ ...workflows, [userId]: statuses }));
+};
+
+// Get custom field definitions from localStorage
+const getCustomFields = () => {
+  const fields = localStorage.getItem('mock_custom_fields');
+  return fields ? JSON.parse(fields) : [];
+};
+
+// Save custom field definitions to localStorage
+const saveCustomFields = (fields) => {
+  localStorage.setItem('mock_custom_fields', JSON.stringify(fields));
+};
+
+// Remove one custom field value from matching tasks of a user
+const unsetCustomValue = (userId, key, matches = () => true) => {
+  saveTasks(getTasks().map(t => {
+    if (t.userId !== userId || !t.customFields || !(key in t.customFields) || !matches(t.customFields[key])) return t;
+    const { [key]: removed, ...rest } = t.customFields;
+    return { ...t, customFields: rest };
+  }));
+};
+
+// Get projects from localStorage
+const getProjects = () => {
+  const projects = localStorage.getItem('mock_projects');
+  return projects ? JSON.parse(projects) : [];
+};
+
+// Save projects to localStorage
+const saveProjects = (projects) => {
+  localStorage.setItem('mock_projects', JSON.stringify(projects));
+};
+
+// Shape a stored task like the backend response: populated tags and
+// checklist progress (the backend computes it with a virtual)
+const formatTask = (task) => {
+  const subtasks = task.subtasks || [];
+  const tags = getTags();
+  const tasks = getTasks();
+  const blockedBy = (task.blockedBy || [])
+    .map(id => tasks.find(t => t._id === id))
+    .filter(Boolean)
+    .map(({ _id, title, status, statusCategory }) => ({ _id, title, status, statusCategory }));
+  return {
+    ...task,
+    blockedBy,
+    blocked: blockedBy.some(b => b.statusCategory !== 'done'),
+    tags: (task.tags || [])
+      .map(id => tags.find(tag => tag._id === id))
+      .filter(Boolean)
+      .map(({ _id, name, color }) => ({ _id, name, color })),
+    progress: {
+      done: subtasks.filter(s => s.done).length,
+      total: subtasks.length
+    }
+  };
+};
+
+// Would making `taskId` blocked by `blockerId` close a loop?
+const wouldCreateCycle = (tasks, taskId, blockerId) => {
+  const visited = new Set();
+  const stack = [blockerId];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === taskId) return true;
+    if (visited.has(id)) continue;
+    visited.add(id);
+    const task = tasks.find(t => t._id === id);
+    stack.push(...((task && task.blockedBy) || []));
+  }
+  return false;
+};
+
+// Upstream blockers (with depth) and the tasks directly blocked by a task
+const getDependencyChain = (tasks, task) => {
+  const blockedBy = [];
+  const visited = new Set([task._id]);
+  let frontier = task.blockedBy || [];
+  for (let depth = 1; frontier.length > 0; depth++) {
+    const next = [];
+    frontier.filter(id => !visited.has(id)).forEach(id => {
+      visited.add(id);
+      const blocker = tasks.find(t => t._id === id);
+      if (!blocker) return;
+      blockedBy.push({
+        _id: id,
+        title: blocker.title,
+        status: blocker.status,
+        statusCategory: blocker.statusCategory,
+        depth,
+        blockedBy: blocker.blockedBy || []
+      });
+      next.push(...(blocker.blockedBy || []));
+    });
+    frontier = next;
+  }
+  const blocks = tasks
+    .filter(t => !t.deletedAt && (t.blockedBy || []).includes(task._id))
+    .map(({ _id, title, status, statusCategory }) => ({ _id, title, status, statusCategory }));
+  return { blockedBy, blocks };
+};
+
+// Build the next task of a recurring series, mirroring Task#createNextOccurrence
+const createNextOccurrence = (task) => {
+  if (!task.recurrence?.freq || task.nextOccurrence) return null;
+
+  const nextDueDate = getNextOccurrence(task.recurrence, task.dueDate || Date.now());
+  if (!nextDueDate) return null;
+
+  const status = getDefaultStatus(getStatuses(task.userId));
+  return {
+    _id: generateId(),
+    userId: task.userId,
+    title: task.title,
+    description: task.description,
+    status: status.key,
+    statusCategory: status.category,
+    priority: task.priority,
+    dueDate: nextDueDate.toISOString(),
+    subtasks: (task.subtasks || []).map(s => ({ ...s, _id: generateId(), done: false })),
+    project: task.project || null,
+    tags: task.tags || [],
+    customFields: task.customFields,
+    // Reminders at a fixed time don't carry over to later occurrences
+    reminders: (task.reminders || [])
+      .filter(r => r.before != null)
+      .map(r => ({ _id: generateId(), before: r.before })),
+    recurrence: {
+      ...task.recurrence,
+      occurrence: (task.recurrence.occurrence || 1) + 1
+    },
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+};
+
+// Give new reminders an ID, as the backend does for subdocuments
+const withReminderIds = (reminders) => (reminders || []).map(r => (r._id ? r : { ...r, _id: generateId() }));
+
+// Check reminders like the Task model: one of `before` or `at` each
+const validateReminders = (reminders) => {
+  if (reminders.length > MAX_REMINDERS) {
+    return `A task can have at most ${MAX_REMINDERS} reminders`;
+  }
+  if (reminders.some(r => (r.before == null) === (r.at == null))) {
+    return 'A reminder needs either a time before the due date or a date and time';
+  }
+  return null;
+};
+
+// Schedule a job for each upcoming reminder of a task and cancel the rest,
+// mirroring backend/utils/reminders.js. Jobs already run for the same time
+// are left alone, so a reminder fires once.
+const syncReminderJobs = (task) => {
+  let jobs = getJobs().filter(j => j.task !== task._id || j.status !== 'pending');
+
+  if (!task.deletedAt && task.statusCategory !== 'done') {
+    (task.reminders || []).forEach(reminder => {
+      const remindAt = getReminderTime(reminder, task.dueDate);
+      if (!remindAt || remindAt.getTime() <= Date.now()) return;
+
+      const key = `reminder:${task._id}:${reminder._id}`;
+      const runAt = remindAt.toISOString();
+      if (jobs.some(j => j.key === key && j.runAt === runAt)) return;
+      jobs = [...jobs.filter(j => j.key !== key), {
+        _id: generateId(),
+        name: 'task-reminder',
+        key,
+        task: task._id,
+        reminder: reminder._id,
+        runAt,
+        status: 'pending'
+      }];
+    });
+  }
+
+  saveJobs(jobs);
+};
+
+// Run every due job. There is no server to poll for them, so this runs
+// whenever notifications are fetched.
+const runDueJobs = () => {
+  const now = new Date().toISOString();
+  const jobs = getJobs();
+  const due = jobs.filter(j => j.status === 'pending' && j.runAt <= now);
+  if (due.length === 0) return;
+
+  const tasks = getTasks();
+  const notifications = getNotifications();
+  due.forEach(job => {
+    job.status = 'done';
+    job.finishedAt = now;
+
+    const task = tasks.find(t => t._id === job.task && !t.deletedAt);
+    if (!task || task.statusCategory === 'done') return;
+
+    // Skip reminders removed or moved since the job was scheduled
+    const reminder = (task.reminders || []).find(r => r._id === job.reminder);
+    const time = reminder && getReminderTime(reminder, task.dueDate);
+    if (!time || time.toISOString() !== job.runAt) return;
+
+    const key = `${job.key}:${job.runAt}`;
+    if (notifications.some(n => n.key === key)) return;
+    notifications.push({
+      _id: generateId(),
+      userId: task.userId,
+      type: 'reminder',
+      task: task._id,
+      title: task.title,
+      message: task.dueDate ? `Due ${new Date(task.dueDate).toISOString().split('T')[0]}` : 'Reminder',
+      readAt: null,
+      key,
+      createdAt: now
+    });
+  });
+
+  saveJobs(jobs);
+  saveNotifications(notifications);
+};
+
+// Apply changes to tasks[index] in place, mirroring backend/utils/taskChanges.js.
+// Returns { status: 200, task, next } or { status, message, blockers? }.
+const applyTaskChanges = (tasks, index, taskData) => {
+  // The category and completion time always follow the status, and the rank
+  // only changes through a reorder
+  const { overrideBlockers, statusCategory, completedAt, rank, customFields, ...changes } = taskData;
+  const current = tasks[index];
+
+  // Sent custom field values are merged into the task's
+  if (customFields !== undefined) {
+    try {
+      const definitions = getCustomFields().filter(f => f.userId === current.userId);
+      const { set, unset } = validateCustomFields(definitions, customFields);
+      const merged = { ...current.customFields, ...set };
+      unset.forEach(key => delete merged[key]);
+      changes.customFields = merged;
+    } catch (error) {
+      if (!(error instanceof CustomFieldError)) throw error;
+      return { status: 400, message: error.message };
+    }
+  }
+
+  if (changes.reminders !== undefined) {
+    changes.reminders = withReminderIds(changes.reminders);
+    const message = validateReminders(changes.reminders);
+    if (message) {
+      return { status: 400, message };
+    }
+  }
+
+  const statusChanged = changes.status !== undefined && changes.status !== current.status;
+  if (statusChanged) {
+    const statuses = getStatuses(current.userId);
+    const target = getStatus(statuses, changes.status);
+    if (!target) {
+      return { status: 400, message: 'Invalid status' };
+    }
+    if (!canTransition(statuses, current.status, target.key)) {
+      const from = getStatus(statuses, current.status);
+      return { status: 400, message: `A task can't move from "${from.name}" to "${target.name}"` };
+    }
+    changes.statusCategory = target.category;
+    // Moving between done statuses keeps the original completion time
+    changes.completedAt = target.category === 'done'
+      ? (current.statusCategory === 'done' && current.completedAt) || new Date().toISOString()
+      : null;
+  }
+
+  // Starting or finishing a task needs its blockers done, unless overridden
+  if (statusChanged && ['doing', 'done'].includes(changes.statusCategory) && !overrideBlockers) {
+    const blockers = (changes.blockedBy || current.blockedBy || [])
+      .map(blockerId => tasks.find(t => t._id === blockerId))
+      .filter(t => t && t.statusCategory !== 'done')
+      .map(({ _id, title, status, statusCategory }) => ({ _id, title, status, statusCategory }));
+    if (blockers.length > 0) {
+      return { status: 409, message: 'Task is blocked by open tasks', blockers };
+    }
+  }
+
+  const wasCompleted = current.statusCategory === 'done';
+
+  tasks[index] = {
+    ...current,
+    ...changes,
+    updatedAt: new Date().toISOString()
+  };
+
+  // Completing a recurring task schedules its next occurrence
+  const next = !wasCompleted && tasks[index].statusCategory === 'done'
+    ? createNextOccurrence(tasks[index])
+    : null;
+  if (next) {
+    tasks[index].nextOccurrence = next._id;
+    next.rank = topRank(tasks, next.userId);
+    tasks.push(next);
+  }
+
+  recordActivity('updated', current, tasks[index]);
+  syncReminderJobs(tasks[index]);
+  if (next) {
+    recordActivity('created', null, next);
+    syncReminderJobs(next);
+  }
+
+  return { status: 200, task: tasks[index], next };
+};
+
+// Move tasks[index] to the trash in place
+const trashTask = (tasks, index) => {
+  const id = tasks[index]._id;
+
+  // Unblock anything that was waiting on this task, remembering what to
+  // relink if it is restored
+  const dependents = [];
+  tasks.forEach(t => {
+    if (t.blockedBy?.includes(id)) {
+      t.blockedBy = t.blockedBy.filter(blockerId => blockerId !== id);
+      dependents.push(t._id);
+    }
+  });
+
+  recordActivity('deleted', tasks[index], null);
+  tasks[index] = {
+    ...tasks[index],
+    deletedAt: new Date().toISOString(),
+    trashedDependents: dependents
+  };
+  syncReminderJobs(tasks[index]);
+
+  return { status: 200, task: tasks[index] };
+};
+
+// Largest number of tasks one bulk request may touch, and the fields an
+// `update` operation may set
+const MAX_BULK_ITEMS = 500;
+const BULK_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'tags', 'project', 'customFields'];
+
+// Task list orderings, see backend/utils/pagination.js
+const PRIORITY_ORDER = { high: 1, medium: 2, low: 3 };
+const TASK_SORTS = {
+  newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  oldest: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+  title: (a, b) => a.title.localeCompare(b.title),
+  priority: (a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority],
+  manual: (a, b) => (a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0),
+  relevance: (a, b) => b.score - a.score
+};
+
+// base64 that survives non-Latin-1 titles
+const toBase64 = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+const fromBase64 = (base64) => new TextDecoder().decode(Uint8Array.from(atob(base64), c => c.charCodeAt(0)));
+
+// A cursor holds the sort key of the task at the edge of a page
+const encodeCursor = (sort, task) => toBase64(JSON.stringify({
+  s: sort,
+  createdAt: task.createdAt,
+  title: task.title,
+  priority: task.priority,
+  rank: task.rank,
+  score: task.score,
+  customFields: task.customFields,
+  _id: task._id
+}));
+
+const decodeCursor = (sort, cursor) => {
+  try {
+    const { s, ...position } = JSON.parse(fromBase64(cursor));
+    return s === sort && position._id ? position : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // Get current user from localStorage
 const getCurrentUser = () => {
   const user = localStorage.getItem('mock_currentUser');
@@ -64,6 +678,129 @@ const verifyPassword = (password, hashed) => {
 };
 
 // AUTH API
+// Account archives, see backend/utils/accountArchive.js. Records are kept in
+// the mock's own shape; attachments carry their data URLs.
+const ARCHIVE_FORMAT = 'task-manager-archive';
+const ARCHIVE_VERSION = 1;
+const EXPORT_RETENTION_DAYS = 7;
+
+// Getter and setter of each archived collection, in the order they are restored
+const ARCHIVE_SECTIONS = {
+  customFields: [getCustomFields, saveCustomFields],
+  projects: [getProjects, saveProjects],
+  tags: [getTags, saveTags],
+  tasks: [getTasks, saveTasks],
+  savedViews: [getViews, saveViews],
+  comments: [getComments, saveComments],
+  activity: [getActivity, saveActivity],
+  timeEntries: [getTimeEntries, saveTimeEntries],
+  attachments: [getAttachments, saveAttachments]
+};
+
+const getExports = () => JSON.parse(localStorage.getItem('mock_exports') || '{}');
+const saveExports = (exports) => localStorage.setItem('mock_exports', JSON.stringify(exports));
+
+const buildArchive = (user) => {
+  const taskIds = new Set(getTasks().filter(t => t.userId === user._id).map(t => t._id));
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      emailPreferences: user.emailPreferences,
+      createdAt: user.createdAt
+    },
+    workflow: { statuses: getStatuses(user._id) }
+  };
+  Object.entries(ARCHIVE_SECTIONS).forEach(([section, [get]]) => {
+    archive[section] = get()
+      .filter(r => r.userId === user._id || taskIds.has(r.taskId))
+      .map(({ userId, ...record }) => record);
+  });
+  return archive;
+};
+
+// Restore an archive into the user's empty account with new IDs. Returns
+// { counts } or { message } when the archive can't be restored.
+const restoreArchive = (user, archive) => {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    return { message: 'This file is not a task manager archive' };
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    return { message: `Archive version ${archive.version} is not supported` };
+  }
+  const owned = ['customFields', 'projects', 'tags', 'tasks', 'savedViews', 'timeEntries']
+    .some(section => ARCHIVE_SECTIONS[section][0]().some(r => r.userId === user._id));
+  if (owned) {
+    return { message: 'Archives can only be imported into an account with no tasks, projects, tags, fields, views or time entries' };
+  }
+
+  const ids = new Map();
+  Object.keys(ARCHIVE_SECTIONS).forEach(section => {
+    (archive[section] || []).forEach(r => ids.set(r._id, generateId()));
+  });
+  const ref = (id) => (id ? ids.get(id) || null : null);
+  const refs = (list) => (list || []).map(ref).filter(Boolean);
+  const remapValue = (value) => (Array.isArray(value) ? value.map(remapValue) : ids.get(value) || value);
+  const author = { _id: user._id, name: user.name };
+
+  const build = {
+    customFields: field => field,
+    projects: project => project,
+    tags: tag => tag,
+    tasks: task => ({
+      ...task,
+      project: ref(task.project),
+      tags: refs(task.tags),
+      blockedBy: refs(task.blockedBy),
+      trashedDependents: refs(task.trashedDependents),
+      nextOccurrence: ref(task.nextOccurrence)
+    }),
+    savedViews: view => ({
+      ...view,
+      filters: {
+        ...view.filters,
+        tags: refs(view.filters?.tags),
+        project: ['all', 'none'].includes(view.filters?.project) ? view.filters.project : ref(view.filters?.project) || 'all'
+      }
+    }),
+    comments: comment => ({ ...comment, taskId: ref(comment.taskId), user: author }),
+    activity: entry => ({
+      ...entry,
+      task: ref(entry.task),
+      actor: author,
+      changes: (entry.changes || []).map(change => (['project', 'tags', 'blockedBy'].includes(change.field)
+        ? { ...change, from: remapValue(change.from), to: remapValue(change.to) }
+        : change))
+    }),
+    timeEntries: entry => ({ ...entry, task: ref(entry.task) }),
+    attachments: attachment => ({ ...attachment, taskId: ref(attachment.taskId) })
+  };
+
+  const counts = {};
+  Object.entries(ARCHIVE_SECTIONS).forEach(([section, [get, save]]) => {
+    const records = (archive[section] || [])
+      .map(r => ({ ...build[section](r), _id: ids.get(r._id), userId: user._id }))
+      // Records hanging off a task go when their task isn't in the archive
+      .filter(r => !('task' in r || 'taskId' in r) || r.task || r.taskId);
+    save([...get(), ...records]);
+    counts[section] = records.length;
+  });
+
+  if (archive.workflow?.statuses) saveStatuses(user._id, archive.workflow.statuses);
+  if (archive.profile?.emailPreferences) {
+    const { overdue, upcoming } = archive.profile.emailPreferences;
+    saveUsers(getUsers().map(u => (u._id === user._id ? { ...u, emailPreferences: { overdue, upcoming } } : u)));
+    setCurrentUser({ ...user, emailPreferences: { overdue, upcoming } });
+  }
+  getTasks().filter(t => t.userId === user._id).forEach(syncReminderJobs);
+
+  return { counts };
+};
+
 export const mockAuthAPI = {
   signup: async (userData) => {
     const users = getUsers();
@@ -201,6 +938,39 @@ export const mockAuthAPI = {
       message: 'Password changed successfully'
     });
   },
+
+  updateEmailPreferences: async (preferences) => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    const emailPreferences = { overdue: true, upcoming: true, ...user.emailPreferences };
+    ['overdue', 'upcoming'].forEach(type => {
+      if (typeof preferences[type] === 'boolean') emailPreferences[type] = preferences[type];
+    });
+
+    const updatedUser = { ...user, emailPreferences };
+    setCurrentUser(updatedUser);
+    saveUsers(getUsers().map(u => (u._id === user._id ? { ...u, emailPreferences } : u)));
+
+    return simulateDelay({
+      success: true,
+      data: updatedUser
+    });
+  },
+
+  // Unsubscribe links are signed by the server, and demo mode sends no email
+  unsubscribe: async () => {
+    return simulateDelay({
+      success: false,
+      message: 'Invalid unsubscribe link'
+    });
+  },
   
   deleteAccount: async () => {
     const user = getCurrentUser();
@@ -221,6 +991,11 @@ export const mockAuthAPI = {
     const tasks = getTasks();
     const filteredTasks = tasks.filter(t => t.userId !== user._id);
     saveTasks(filteredTasks);
+
+    const { [user._id]: removed, ...exports } = getExports();
+    saveExports(exports);
+    const { [user._id]: token, ...calendarTokens } = getCalendarTokens();
+    saveCalendarTokens(calendarTokens);
     
     clearCurrentUser();
     localStorage.removeItem('mock_token');
@@ -230,136 +1005,654 @@ export const mockAuthAPI = {
       message: 'Account deleted successfully'
     });
   },
-  
-  logout: async () => {
-    clearCurrentUser();
-    localStorage.removeItem('mock_token');
-    
-    return simulateDelay({
-      success: true,
-      message: 'Logged out successfully'
-    });
-  }
-};
 
-// TASK API
-export const mockTaskAPI = {
-  getAll: async (params = {}) => {
-    let tasks = getTasks();
+  requestExport: async () => {
     const user = getCurrentUser();
-    
+
     if (!user) {
       return simulateDelay({
         success: false,
         message: 'Not authenticated'
       });
     }
-    
-    // Filter by user
-    tasks = tasks.filter(t => t.userId === user._id);
-    
-    // Apply filters
-    if (params.status && params.status !== 'all') {
-      tasks = tasks.filter(t => t.status === params.status);
-    }
-    
-    if (params.priority && params.priority !== 'all') {
-      tasks = tasks.filter(t => t.priority === params.priority);
-    }
-    
-    if (params.search) {
-      const searchLower = params.search.toLowerCase();
-      tasks = tasks.filter(t => 
-        t.title.toLowerCase().includes(searchLower) ||
-        (t.description && t.description.toLowerCase().includes(searchLower))
-      );
-    }
-    
-    // Apply sorting
-    if (params.sort) {
-      switch (params.sort) {
-        case 'newest':
-          tasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-          break;
-        case 'oldest':
-          tasks.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-          break;
-        case 'title':
-          tasks.sort((a, b) => a.title.localeCompare(b.title));
-          break;
-        case 'priority':
-          const priorityOrder = { high: 1, medium: 2, low: 3 };
-          tasks.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
-          break;
-        default:
-          break;
-      }
-    }
-    
+
+    // No background jobs here: the export is ready at once
+    const now = new Date().toISOString();
+    const size = new Blob([JSON.stringify(buildArchive(user))]).size;
+    const status = {
+      status: 'done',
+      requestedAt: now,
+      finishedAt: now,
+      size,
+      expiresAt: new Date(Date.now() + EXPORT_RETENTION_DAYS * DAY_MS).toISOString()
+    };
+    saveExports({ ...getExports(), [user._id]: status });
+    saveNotifications([...getNotifications(), {
+      _id: generateId(),
+      userId: user._id,
+      type: 'export',
+      task: null,
+      title: 'Your data export is ready',
+      message: 'Download it from the Danger Zone tab of your profile',
+      readAt: null,
+      key: `account-export:${user._id}:${now}`,
+      createdAt: now
+    }]);
+
     return simulateDelay({
       success: true,
-      data: {
-        data: tasks,
-        total: tasks.length
-      }
+      data: status
     });
   },
-  
-  getOne: async (id) => {
-    const tasks = getTasks();
+
+  getExport: async () => {
     const user = getCurrentUser();
-    const task = tasks.find(t => t._id === id && t.userId === user._id);
-    
-    if (!task) {
+    const status = user && getExports()[user._id];
+
+    return simulateDelay({
+      success: true,
+      data: status && new Date(status.expiresAt) > new Date() ? status : { status: 'none' }
+    });
+  },
+
+  // Resolves like an axios blob response: { data: Blob }
+  downloadExport: async () => {
+    const user = getCurrentUser();
+
+    if (!user || !getExports()[user._id]) {
       return simulateDelay({
         success: false,
-        message: 'Task not found'
+        message: 'No finished export to download'
       });
     }
-    
-    return simulateDelay({
-      success: true,
-      data: task
-    });
+
+    const blob = new Blob([JSON.stringify(buildArchive(user))], { type: 'application/json' });
+    return simulateDelay({ data: blob });
   },
-  
-  create: async (taskData) => {
+
+  importArchive: async (file) => {
     const user = getCurrentUser();
-    
+
     if (!user) {
       return simulateDelay({
         success: false,
         message: 'Not authenticated'
       });
     }
-    
-    const tasks = getTasks();
-    
-    const newTask = {
-      _id: generateId(),
-      userId: user._id,
-      title: taskData.title,
-      description: taskData.description || '',
-      status: taskData.status || 'pending',
-      priority: taskData.priority || 'medium',
-      dueDate: taskData.dueDate || null,
+
+    let archive;
+    try {
+      archive = JSON.parse(await file.text());
+    } catch (error) {
+      return simulateDelay({
+        success: false,
+        message: 'The archive is not valid JSON'
+      });
+    }
+
+    const { counts, message } = restoreArchive(user, archive);
+    return simulateDelay(counts
+      ? { success: true, data: counts }
+      : { success: false, message });
+  },
+  
+  logout: async () => {
+    clearCurrentUser();
+    localStorage.removeItem('mock_token');
+    
+    return simulateDelay({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  }
+};
+
+// TASK API
+// A user's tasks matching the task list's filters, in the order of its sort
+// (see backend/utils/taskQuery.js). Throws SearchSyntaxError or
+// CustomFieldError for bad input.
+const listTasks = (user, params) => {
+  let tasks = getTasks().filter(t => t.userId === user._id && !t.deletedAt);
+
+  // Filter by project; tasks in archived projects are hidden by default
+  if (params.project === 'none') {
+    tasks = tasks.filter(t => !t.project);
+  } else if (params.project && params.project !== 'all') {
+    tasks = tasks.filter(t => t.project === params.project);
+  } else if (params.includeArchived !== 'true') {
+    const archivedIds = getProjects()
+      .filter(p => p.userId === user._id && p.archived)
+      .map(p => p._id);
+    tasks = tasks.filter(t => !archivedIds.includes(t.project));
+  }
+
+  // Apply filters
+  if (params.status && params.status !== 'all') {
+    tasks = tasks.filter(t => t.status === params.status);
+  }
+
+  if (params.priority && params.priority !== 'all') {
+    tasks = tasks.filter(t => t.priority === params.priority);
+  }
+
+  if (params.tags) {
+    const tagIds = params.tags.split(',');
+    tasks = tasks.filter(t => {
+      const taskTags = t.tags || [];
+      return params.tagMatch === 'all'
+        ? tagIds.every(id => taskTags.includes(id))
+        : tagIds.some(id => taskTags.includes(id));
+    });
+  }
+
+  // Custom field filters (cf[key]=value) and sorts (sort=field:key[:desc])
+  const definitions = getCustomFields().filter(f => f.userId === user._id);
+  const customSort = /^field:([a-z0-9_]+)(:desc)?$/.exec(params.sort || '');
+  const sortField = customSort && definitions.find(f => f.key === customSort[1]);
+  if (customSort && !sortField) {
+    throw new CustomFieldError(`Unknown custom field "${customSort[1]}"`);
+  }
+  tasks = tasks.filter(buildCustomFieldMatcher(definitions, params.cf));
+
+  // Search query language, see utils/searchQuery.js
+  let hasText = false;
+  if (params.search && params.search.trim()) {
+    const search = compileSearchQuery(parseSearchQuery(params.search), {
+      tags: getTags().filter(t => t.userId === user._id),
+      projects: getProjects().filter(p => p.userId === user._id),
+      statuses: getStatuses(user._id)
+    });
+    hasText = search.hasText;
+    tasks = tasks.filter(search.matches).map(t => ({ ...t, score: search.score(t) }));
+  }
+
+  // Apply sorting, with the ID as a tie-breaker so the order is total.
+  // Best match is the default when searching for text.
+  let sort = TASK_SORTS[params.sort] || sortField ? params.sort : (hasText ? 'relevance' : 'newest');
+  if (sort === 'relevance' && !hasText) sort = 'newest';
+  const sortBy = sortField
+    ? (a, b) => (customSort[2] ? -1 : 1) *
+      compareCustomValues(sortField, a.customFields?.[sortField.key], b.customFields?.[sortField.key])
+    : TASK_SORTS[sort];
+  const compare = (a, b) => sortBy(a, b) || a._id.localeCompare(b._id);
+  tasks.sort(compare);
+
+  return { tasks, sort, compare };
+};
+
+// Task export and CSV import, see backend/utils/taskTransfer.js
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'project', 'tags'];
+const EXPORT_COLUMNS = [
+  'id',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'project',
+  'tags',
+  'timeSpent',
+  'createdAt',
+  'completedAt'
+];
+const TAG_SEPARATOR = ', ';
+
+const toDay = (date) => (date ? new Date(date).toISOString().split('T')[0] : null);
+const simplifyHeader = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const loadTransferLookups = (userId) => ({
+  statuses: getStatuses(userId),
+  projects: getProjects().filter(p => p.userId === userId),
+  tags: getTags().filter(t => t.userId === userId),
+  fields: getCustomFields()
+    .filter(f => f.userId === userId)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+});
+
+const toExportRecord = (task, { statuses, projects, tags, fields }) => {
+  const customFields = {};
+  fields.forEach(field => {
+    const value = task.customFields?.[field.key];
+    if (value === undefined || value === null) return;
+    customFields[field.key] = field.type === 'date' ? toDay(value) : value;
+  });
+
+  return {
+    id: task._id,
+    title: task.title,
+    description: task.description || '',
+    status: getStatus(statuses, task.status)?.name || task.status,
+    priority: task.priority,
+    dueDate: toDay(task.dueDate),
+    project: projects.find(p => p._id === task.project)?.name || null,
+    tags: (task.tags || []).map(id => tags.find(t => t._id === id)?.name).filter(Boolean),
+    subtasks: (task.subtasks || []).map(({ title, done }) => ({ title, done })),
+    customFields,
+    timeSpent: task.timeSpent || 0,
+    createdAt: task.createdAt,
+    completedAt: task.completedAt || null
+  };
+};
+
+const suggestMapping = (columns, { fields }) => {
+  const candidates = [
+    ...IMPORT_FIELDS.map(field => [simplifyHeader(field), field]),
+    ['name', 'title'],
+    ['due', 'dueDate'],
+    ...fields.flatMap(field => [
+      [simplifyHeader(field.key), `customFields.${field.key}`],
+      [simplifyHeader(field.name), `customFields.${field.key}`]
+    ])
+  ];
+  const taken = new Set();
+  return columns.map(column => {
+    const match = candidates.find(([name, field]) => name === simplifyHeader(column) && !taken.has(field));
+    if (!match) return '';
+    taken.add(match[1]);
+    return match[1];
+  });
+};
+
+// Problem with a mapping, or null when it can be used
+const checkMapping = (mapping, columns, { fields }) => {
+  const targets = [...IMPORT_FIELDS, ...fields.map(field => `customFields.${field.key}`)];
+  if (!Array.isArray(mapping) || mapping.length !== columns.length) {
+    return 'The mapping needs one entry per column';
+  }
+  for (let index = 0; index < mapping.length; index++) {
+    const target = mapping[index];
+    if (target && !targets.includes(target)) {
+      return `Column "${columns[index]}" is mapped to unknown field "${target}"`;
+    }
+    if (target && mapping.indexOf(target) !== index) {
+      return `More than one column is mapped to "${target}"`;
+    }
+  }
+  return mapping.includes('title') ? null : 'Map a column to the task title';
+};
+
+const parseDueDate = (raw) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return new Date(raw).toISOString();
+  const date = new Date(raw);
+  if (isNaN(date)) return null;
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())).toISOString();
+};
+
+// The Task schema's rules for the fields an import sets
+const validateImportedTask = (task, raw) => {
+  const errors = [];
+  if (!task.title) errors.push('Please provide a task title');
+  else if (task.title.length > 100) errors.push('Title cannot be more than 100 characters');
+  if (task.description.length > 500) errors.push('Description cannot be more than 500 characters');
+  if (!['low', 'medium', 'high'].includes(task.priority)) {
+    errors.push(`\`${task.priority}\` is not a valid enum value for path \`priority\`.`);
+  }
+  if (raw.dueDate && !task.dueDate) {
+    errors.push(`Cast to date failed for value "${raw.dueDate}" (type string) at path "dueDate"`);
+  }
+  return errors;
+};
+
+// Check the rows of an import (header first) against a column mapping and,
+// unless `dryRun`, create the tasks. Returns the response body, like
+// prepareImport, runImport and summarizeImport in backend/utils/taskTransfer.js.
+const importRows = (user, rows, mapping, { dryRun = false, duplicates = 'skip', firstRow = 2 } = {}) => {
+  if (rows.length === 0 || rows.length - 1 > MAX_IMPORT_ROWS) {
+    return {
+      success: false,
+      message: rows.length === 0 ? 'The file is empty' : `A file can hold at most ${MAX_IMPORT_ROWS} tasks`
+    };
+  }
+
+  const [columns, ...records] = rows;
+  const lookups = loadTransferLookups(user._id);
+  const columnFields = mapping || suggestMapping(columns, lookups);
+  const mappingError = checkMapping(columnFields, columns, lookups);
+  if (mappingError) {
+    return {
+      success: false,
+      message: mappingError
+    };
+  }
+
+  // Projects and tags by lowercased name; ones the file adds get their IDs now
+  const projects = new Map(lookups.projects.map(p => [p.name.toLowerCase(), { _id: p._id }]));
+  const tags = new Map(lookups.tags.map(t => [t.name.toLowerCase(), { _id: t._id }]));
+  const findOrAdd = (kind, known, name, maxLength) => {
+    const key = name.toLowerCase();
+    if (!known.has(key)) {
+      known.set(key, {
+        kind,
+        _id: generateId(),
+        name,
+        isNew: true,
+        error: name.length > maxLength
+          ? `${kind === 'project' ? 'Project' : 'Tag'} name cannot be more than ${maxLength} characters`
+          : null
+      });
+    }
+    return known.get(key);
+  };
+
+  const now = new Date().toISOString();
+  const results = records.map((record, index) => {
+    const values = {};
+    columnFields.forEach((field, column) => {
+      if (field) values[field] = (record[column] || '').trim();
+    });
+
+    const errors = [];
+    const status = values.status
+      ? lookups.statuses.find(st => st.key === values.status.toLowerCase() ||
+        st.name.toLowerCase() === values.status.toLowerCase())
+      : getDefaultStatus(lookups.statuses);
+    if (!status) errors.push(`Unknown status "${values.status}"`);
+
+    const refs = [];
+    const project = values.project ? findOrAdd('project', projects, values.project, 50) : null;
+    if (project) refs.push(project);
+    const tagNames = [...new Set((values.tags || '').split(',').map(name => name.trim()).filter(Boolean))];
+    const tagRefs = tagNames.map(name => findOrAdd('tag', tags, name, 30));
+    refs.push(...tagRefs);
+    refs.filter(ref => ref.error).forEach(ref => errors.push(ref.error));
+
+    const custom = {};
+    lookups.fields.forEach(field => {
+      const value = values[`customFields.${field.key}`];
+      if (value) custom[field.key] = value;
+    });
+    let customFields;
+    try {
+      const { set } = validateCustomFields(lookups.fields, custom, { creating: true });
+      customFields = Object.keys(set).length > 0 ? set : undefined;
+    } catch (error) {
+      if (!(error instanceof CustomFieldError)) throw error;
+      errors.push(error.message);
+    }
+
+    const task = {
+      userId: user._id,
+      title: values.title || '',
+      description: values.description || '',
+      status: status?.key,
+      statusCategory: status?.category,
+      completedAt: status?.category === 'done' ? now : null,
+      priority: values.priority ? values.priority.toLowerCase() : 'medium',
+      dueDate: values.dueDate ? parseDueDate(values.dueDate) : null,
+      subtasks: [],
+      project: project ? project._id : null,
+      tags: [...new Set(tagRefs.map(ref => ref._id))],
+      blockedBy: [],
+      recurrence: null,
+      customFields,
+      reminders: [],
+      timeSpent: 0
+    };
+    errors.push(...validateImportedTask(task, values));
+
+    return {
+      row: index + firstRow,
+      status: errors.length > 0 ? 'invalid' : 'valid',
+      errors,
+      duplicateOf: null,
+      values,
+      task,
+      refs
+    };
+  });
+
+  // Duplicates of the user's tasks, then of earlier rows in the file
+  const duplicateKey = (title, dueDate) => `${String(title).trim().toLowerCase()}|${toDay(dueDate) || ''}`;
+  const allTasks = getTasks();
+  const seen = new Map(allTasks
+    .filter(t => t.userId === user._id && !t.deletedAt)
+    .map(t => [duplicateKey(t.title, t.dueDate), { task: t._id, title: t.title }]));
+  results.filter(result => result.status === 'valid').forEach(result => {
+    const key = duplicateKey(result.task.title, result.task.dueDate);
+    if (seen.has(key)) {
+      result.status = 'duplicate';
+      result.duplicateOf = seen.get(key);
+    } else {
+      seen.set(key, { row: result.row, title: result.task.title });
+    }
+  });
+
+  let imported = [];
+  if (!dryRun) {
+    imported = results.filter(result => result.status === 'valid' ||
+      (result.status === 'duplicate' && duplicates !== 'skip'));
+
+    const added = new Set(imported.flatMap(result => result.refs).filter(ref => ref.isNew));
+    const createdAt = new Date().toISOString();
+    saveProjects([...getProjects(), ...[...added].filter(ref => ref.kind === 'project').map(({ _id, name }) => ({
+      _id,
+      userId: user._id,
+      name,
+      description: '',
+      color: '#3b82f6',
+      archived: false,
+      createdAt,
+      updatedAt: createdAt
+    }))]);
+    saveTags([...getTags(), ...[...added].filter(ref => ref.kind === 'tag').map(({ _id, name }) => ({
+      _id,
+      userId: user._id,
+      name,
+      color: '#6b7280',
+      createdAt
+    }))]);
+
+    // Imported tasks go to the end of the manual order, in file order
+    const last = allTasks.filter(t => t.userId === user._id && t.rank).map(t => t.rank).sort().pop() || null;
+    const ranks = ranksAfter(last, imported.length);
+    const newTasks = imported.map((result, index) => ({
+      _id: generateId(),
+      ...result.task,
+      rank: ranks[index],
+      createdAt,
+      updatedAt: createdAt
+    }));
+    saveTasks([...allTasks, ...newTasks]);
+    newTasks.forEach(task => recordActivity('created', null, task));
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const newNames = (known) => [...known.values()].filter(ref => ref.isNew && !ref.error).map(ref => ref.name);
+  return {
+    success: true,
+    dryRun: Boolean(dryRun),
+    columns,
+    mapping: columnFields,
+    summary: {
+      rows: results.length,
+      valid: count('valid'),
+      invalid: count('invalid'),
+      duplicates: count('duplicate'),
+      imported: imported.length
+    },
+    newProjects: newNames(projects),
+    newTags: newNames(tags),
+    rows: results.map(({ row, status, errors, duplicateOf, values }) => ({
+      row,
+      status,
+      errors,
+      duplicateOf,
+      values
+    }))
+  };
+};
+
+export const mockTaskAPI = {
+  getAll: async (params = {}) => {
+    const user = getCurrentUser();
+    
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+    
+    let listed;
+    try {
+      listed = listTasks(user, params);
+    } catch (error) {
+      if (error instanceof SearchSyntaxError) {
+        return simulateDelay({
+          success: false,
+          message: error.message,
+          position: error.position
+        });
+      }
+      if (error instanceof CustomFieldError) {
+        return simulateDelay({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    const { tasks, sort, compare } = listed;
+
+    // Cursor pagination, same contract as the backend
+    const limit = Math.min(parseInt(params.limit, 10) > 0 ? parseInt(params.limit, 10) : 50, 200);
+    const cursor = params.after || params.before;
+    const position = cursor ? decodeCursor(sort, cursor) : null;
+    if (cursor && !position) {
+      return simulateDelay({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    let page;
+    let nextCursor = null;
+    let prevCursor = null;
+    if (params.before && !params.after) {
+      const end = tasks.findIndex(t => compare(t, position) >= 0);
+      const stop = end === -1 ? tasks.length : end;
+      const start = Math.max(0, stop - limit);
+      page = tasks.slice(start, stop);
+      if (start > 0 && page.length) prevCursor = encodeCursor(sort, page[0]);
+      if (page.length) nextCursor = encodeCursor(sort, page[page.length - 1]);
+    } else {
+      const start = position ? tasks.findIndex(t => compare(t, position) > 0) : 0;
+      page = start === -1 ? [] : tasks.slice(start, start + limit);
+      if (start !== -1 && start + limit < tasks.length) nextCursor = encodeCursor(sort, page[page.length - 1]);
+      if (position && page.length) prevCursor = encodeCursor(sort, page[0]);
+    }
+
+    return simulateDelay({
+      success: true,
+      count: page.length,
+      total: tasks.length,
+      data: page.map(({ score, ...t }) => formatTask(t)),
+      pagination: { limit, nextCursor, prevCursor }
+    });
+  },
+  
+  getOne: async (id) => {
+    const tasks = getTasks();
+    const user = getCurrentUser();
+    const task = tasks.find(t => t._id === id && t.userId === user._id && !t.deletedAt);
+    
+    if (!task) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+    
+    return simulateDelay({
+      success: true,
+      data: formatTask(task),
+      dependencies: getDependencyChain(tasks, task)
+    });
+  },
+  
+  create: async (taskData) => {
+    const user = getCurrentUser();
+    
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+    
+    const tasks = getTasks();
+
+    // New tasks start in the workflow's first "todo" status unless told otherwise
+    const statuses = getStatuses(user._id);
+    const status = taskData.status ? getStatus(statuses, taskData.status) : getDefaultStatus(statuses);
+    if (!status) {
+      return simulateDelay({
+        success: false,
+        message: 'Invalid status'
+      });
+    }
+
+    let customFields;
+    try {
+      const definitions = getCustomFields().filter(f => f.userId === user._id);
+      const { set } = validateCustomFields(definitions, taskData.customFields, { creating: true });
+      customFields = Object.keys(set).length > 0 ? set : undefined;
+    } catch (error) {
+      if (!(error instanceof CustomFieldError)) throw error;
+      return simulateDelay({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const reminders = withReminderIds(taskData.reminders);
+    const reminderError = validateReminders(reminders);
+    if (reminderError) {
+      return simulateDelay({
+        success: false,
+        message: reminderError
+      });
+    }
+    
+    const newTask = {
+      _id: generateId(),
+      userId: user._id,
+      title: taskData.title,
+      description: taskData.description || '',
+      status: status.key,
+      statusCategory: status.category,
+      completedAt: status.category === 'done' ? new Date().toISOString() : null,
+      priority: taskData.priority || 'medium',
+      dueDate: taskData.dueDate || null,
+      subtasks: [],
+      project: taskData.project || null,
+      tags: taskData.tags || [],
+      blockedBy: taskData.blockedBy || [],
+      recurrence: taskData.recurrence || null,
+      customFields,
+      reminders,
+      rank: topRank(tasks, user._id),
+      timeSpent: 0,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
     
     tasks.push(newTask);
     saveTasks(tasks);
+    recordActivity('created', null, newTask);
+    syncReminderJobs(newTask);
     
     return simulateDelay({
       success: true,
-      data: newTask
+      data: formatTask(newTask)
     });
   },
   
   update: async (id, taskData) => {
     const tasks = getTasks();
     const user = getCurrentUser();
-    const taskIndex = tasks.findIndex(t => t._id === id && t.userId === user._id);
+    const taskIndex = tasks.findIndex(t => t._id === id && t.userId === user._id && !t.deletedAt);
     
     if (taskIndex === -1) {
       return simulateDelay({
@@ -368,24 +1661,28 @@ export const mockTaskAPI = {
       });
     }
     
-    tasks[taskIndex] = {
-      ...tasks[taskIndex],
-      ...taskData,
-      updatedAt: new Date().toISOString()
-    };
+    const result = applyTaskChanges(tasks, taskIndex, taskData);
+    if (result.status !== 200) {
+      return simulateDelay({
+        success: false,
+        message: result.message,
+        blockers: result.blockers
+      });
+    }
     
     saveTasks(tasks);
     
     return simulateDelay({
       success: true,
-      data: tasks[taskIndex]
+      data: formatTask(result.task),
+      next: result.next
     });
   },
   
   delete: async (id) => {
     const tasks = getTasks();
     const user = getCurrentUser();
-    const taskIndex = tasks.findIndex(t => t._id === id && t.userId === user._id);
+    const taskIndex = tasks.findIndex(t => t._id === id && t.userId === user._id && !t.deletedAt);
     
     if (taskIndex === -1) {
       return simulateDelay({
@@ -394,73 +1691,2123 @@ export const mockTaskAPI = {
       });
     }
     
-    tasks.splice(taskIndex, 1);
+    trashTask(tasks, taskIndex);
     saveTasks(tasks);
     
     return simulateDelay({
       success: true,
-      message: 'Task deleted successfully'
+      message: 'Task moved to trash'
     });
   },
-  
-  getStats: async () => {
+
+  // Mirrors reorderTask in backend/controllers/taskController.js
+  reorder: async (id, { before, after } = {}) => {
     const tasks = getTasks();
     const user = getCurrentUser();
-    const userTasks = tasks.filter(t => t.userId === user._id);
-    
-    const stats = {
-      total: userTasks.length,
-      pending: userTasks.filter(t => t.status === 'pending').length,
-      'in-progress': userTasks.filter(t => t.status === 'in-progress').length,
-      completed: userTasks.filter(t => t.status === 'completed').length
-    };
-    
+    const taskIndex = tasks.findIndex(t => t._id === id && t.userId === user._id && !t.deletedAt);
+
+    if (taskIndex === -1) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const neighbourId = before || after;
+    if ((before && after) || !neighbourId || neighbourId === id) {
+      return simulateDelay({
+        success: false,
+        message: 'Give one other task to move before or after'
+      });
+    }
+
+    const neighbour = tasks.find(t => t._id === neighbourId && t.userId === user._id && !t.deletedAt);
+    if (!neighbour) {
+      return simulateDelay({
+        success: false,
+        message: 'Task to move next to not found'
+      });
+    }
+
+    // Between the neighbour and the next rank on that side, trashed tasks included
+    const ranks = tasks
+      .filter(t => t.userId === user._id && t._id !== id)
+      .map(t => t.rank)
+      .sort();
+    const rank = after
+      ? rankBetween(neighbour.rank, ranks.find(r => r > neighbour.rank) || null)
+      : rankBetween(ranks.filter(r => r < neighbour.rank).pop() || null, neighbour.rank);
+
+    tasks[taskIndex] = { ...tasks[taskIndex], rank };
+    saveTasks(tasks);
+
     return simulateDelay({
       success: true,
-      data: stats
+      data: { _id: id, rank }
     });
-  }
-};
+  },
 
-// Initialize with some sample data for demo
-export const initializeMockData = () => {
-  if (!localStorage.getItem('mock_initialized')) {
-    // Add sample tasks for demo user
+  bulk: async ({ ids, filter, operations } = {}) => {
     const user = getCurrentUser();
-    if (user) {
-      const sampleTasks = [
-        {
-          _id: generateId(),
-          userId: user._id,
-          title: 'Welcome to Task Manager!',
-          description: 'This is a sample task to get you started. You can edit or delete it.',
-          status: 'pending',
-          priority: 'high',
-          dueDate: new Date(Date.now() + 86400000).toISOString().split('T')[0],
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        },
-        {
-          _id: generateId(),
-          userId: user._id,
-          title: 'Try creating a new task',
-          description: 'Click the "Add Task" button to create your own tasks.',
-          status: 'in-progress',
-          priority: 'medium',
-          dueDate: null,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        }
-      ];
-      
-      const tasks = getTasks();
-      tasks.push(...sampleTasks);
-      saveTasks(tasks);
-    }
-    
-    localStorage.setItem('mock_initialized', 'true');
-  }
-};
 
-export default { mockAuthAPI, mockTaskAPI, initializeMockData };
+    if (Array.isArray(ids) === (typeof filter === 'string')) {
+      return simulateDelay({
+        success: false,
+        message: 'Please provide either a list of task ids or a filter'
+      });
+    }
+
+    // Fold the operations into one set of changes plus a delete flag
+    const changes = {};
+    let remove = false;
+    let error = null;
+    if (!Array.isArray(operations) || operations.length === 0) {
+      error = 'Please provide at least one operation';
+    }
+    (operations || []).forEach((operation, index) => {
+      if (error) return;
+      if (!operation || !['update', 'status', 'move', 'delete'].includes(operation.type)) {
+        error = `Operation ${index + 1} must have a type of update, status, move, delete`;
+      } else if (remove) {
+        error = 'Delete must be the last operation';
+      } else if (operation.type === 'update') {
+        const unknown = Object.keys(operation.fields || {}).find(field => !BULK_FIELDS.includes(field));
+        if (unknown) error = `Field "${unknown}" cannot be bulk updated`;
+        else Object.assign(changes, operation.fields);
+      } else if (operation.type === 'status') {
+        if (!operation.status) error = `Operation ${index + 1} needs a status`;
+        changes.status = operation.status;
+        if (operation.overrideBlockers) changes.overrideBlockers = true;
+      } else if (operation.type === 'move') {
+        if (operation.project === undefined) error = `Operation ${index + 1} needs a project (null to remove it)`;
+        changes.project = operation.project;
+      } else {
+        remove = true;
+      }
+    });
+    if (error) {
+      return simulateDelay({
+        success: false,
+        message: error
+      });
+    }
+
+    const tasks = getTasks();
+    let targetIds;
+    if (Array.isArray(ids)) {
+      targetIds = [...new Set(ids.map(String))];
+    } else {
+      try {
+        const search = compileSearchQuery(parseSearchQuery(filter), {
+          tags: getTags().filter(t => t.userId === user._id),
+          projects: getProjects().filter(p => p.userId === user._id),
+          statuses: getStatuses(user._id)
+        });
+        targetIds = tasks
+          .filter(t => t.userId === user._id && !t.deletedAt && search.matches(t))
+          .map(t => t._id);
+      } catch (searchError) {
+        if (!(searchError instanceof SearchSyntaxError)) throw searchError;
+        return simulateDelay({
+          success: false,
+          message: searchError.message,
+          position: searchError.position
+        });
+      }
+    }
+
+    if (targetIds.length > MAX_BULK_ITEMS) {
+      return simulateDelay({
+        success: false,
+        message: `A bulk request can change at most ${MAX_BULK_ITEMS} tasks`
+      });
+    }
+
+    const results = targetIds.map(id => {
+      const index = tasks.findIndex(t => t._id === id && !t.deletedAt);
+      if (index === -1) {
+        return { id, success: false, status: 404, message: 'Task not found' };
+      }
+      if (tasks[index].userId !== user._id) {
+        return { id, success: false, status: 403, message: 'Not authorized to update this task' };
+      }
+
+      let result = { status: 200, task: tasks[index] };
+      if (Object.keys(changes).length > 0) {
+        result = applyTaskChanges(tasks, index, changes);
+      }
+      if (result.status === 200 && remove) {
+        result = trashTask(tasks, index);
+      }
+
+      return result.status === 200
+        ? { id, success: true, status: 200, deleted: remove, data: remove ? undefined : result.task, next: result.next || undefined }
+        : { id, success: false, status: result.status, message: result.message, blockers: result.blockers };
+    });
+    saveTasks(tasks);
+
+    const succeeded = results.filter(result => result.success).length;
+    return simulateDelay({
+      success: true,
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results: results.map(result => (result.data ? { ...result, data: formatTask(result.data) } : result))
+    });
+  },
+
+  getTrash: async () => {
+    const user = getCurrentUser();
+    purgeExpiredTasks();
+    const trashed = getTasks()
+      .filter(t => t.userId === user._id && t.deletedAt)
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+    return simulateDelay({
+      success: true,
+      count: trashed.length,
+      retentionDays: TRASH_RETENTION_DAYS,
+      data: trashed.map(t => ({
+        ...formatTask(t),
+        purgeAt: new Date(new Date(t.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+      }))
+    });
+  },
+
+  restore: async (id) => {
+    const tasks = getTasks();
+    const user = getCurrentUser();
+    const taskIndex = tasks.findIndex(t => t._id === id && t.userId === user._id && t.deletedAt);
+
+    if (taskIndex === -1) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    // Block the same tasks again, skipping any that are gone or would now loop
+    const { trashedDependents = [], deletedAt, ...task } = tasks[taskIndex];
+    trashedDependents.forEach(dependentId => {
+      const dependent = tasks.find(t => t._id === dependentId && !t.deletedAt);
+      if (dependent && !wouldCreateCycle(tasks, dependent._id, id)) {
+        dependent.blockedBy = [...(dependent.blockedBy || []), id];
+      }
+    });
+
+    tasks[taskIndex] = task;
+    saveTasks(tasks);
+    recordActivity('restored', task, task);
+    syncReminderJobs(task);
+
+    return simulateDelay({
+      success: true,
+      data: formatTask(task)
+    });
+  },
+
+  deletePermanently: async (id) => {
+    const user = getCurrentUser();
+    const task = getTasks().find(t => t._id === id && t.userId === user._id && t.deletedAt);
+
+    if (!task) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    purgeTasks([id]);
+
+    return simulateDelay({
+      success: true,
+      data: {}
+    });
+  },
+
+  emptyTrash: async () => {
+    const user = getCurrentUser();
+    const ids = getTasks().filter(t => t.userId === user._id && t.deletedAt).map(t => t._id);
+
+    purgeTasks(ids);
+
+    return simulateDelay({
+      success: true,
+      deleted: ids.length
+    });
+  },
+  
+  getStats: async () => {
+    const tasks = getTasks();
+    const user = getCurrentUser();
+    const allUserTasks = tasks.filter(t => t.userId === user._id && !t.deletedAt);
+    const archivedIds = getProjects()
+      .filter(p => p.userId === user._id && p.archived)
+      .map(p => p._id);
+    const userTasks = allUserTasks.filter(t => !archivedIds.includes(t.project));
+    
+    const byProject = {};
+    allUserTasks.forEach(t => {
+      const key = t.project || null;
+      byProject[key] = byProject[key] || { _id: key, count: 0, completed: 0 };
+      byProject[key].count += 1;
+      if (t.statusCategory === 'done') byProject[key].completed += 1;
+    });
+    
+    const countBy = (key) => Object.values(userTasks.reduce((groups, t) => {
+      groups[t[key]] = groups[t[key]] || { _id: t[key], count: 0 };
+      groups[t[key]].count += 1;
+      return groups;
+    }, {}));
+
+    // One entry per workflow status, in workflow order, including empty ones
+    const byStatus = getStatuses(user._id).map(status => ({
+      _id: status.key,
+      name: status.name,
+      category: status.category,
+      count: userTasks.filter(t => t.status === status.key).length
+    }));
+
+    const stats = {
+      total: userTasks.length,
+      byStatus,
+      byCategory: CATEGORIES.map(category => ({
+        _id: category,
+        count: byStatus.filter(s => s.category === category).reduce((sum, s) => sum + s.count, 0)
+      })),
+      byPriority: countBy('priority'),
+      byProject: Object.values(byProject)
+    };
+    
+    return simulateDelay({
+      success: true,
+      data: stats
+    });
+  },
+
+  // Mirrors backend/controllers/analyticsController.js
+  getAnalytics: async (params = {}) => {
+    const user = getCurrentUser();
+
+    const range = parseDayRange(params, { defaultDays: 30, maxDays: 366 });
+    if (range.error) {
+      return simulateDelay({
+        success: false,
+        message: range.error
+      });
+    }
+    const { from, to, timeZone } = range;
+
+    const interval = params.interval || 'day';
+    if (!['day', 'week'].includes(interval)) {
+      return simulateDelay({
+        success: false,
+        message: 'Interval must be day or week'
+      });
+    }
+
+    const today = dayIn(Date.now(), timeZone);
+    const userTasks = getTasks().filter(t => t.userId === user._id && !t.deletedAt);
+    const inRange = (day) => day >= from && day <= to;
+    const created = userTasks.map(t => dayIn(t.createdAt, timeZone)).filter(inRange);
+    const completed = userTasks
+      .filter(t => t.completedAt)
+      .map(t => ({
+        day: dayIn(t.completedAt, timeZone),
+        seconds: (new Date(t.completedAt) - new Date(t.createdAt)) / 1000
+      }))
+      .filter(c => inRange(c.day));
+
+    const average = (values) => (values.length
+      ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null);
+    const median = (values) => {
+      if (values.length === 0) return null;
+      const sorted = [...values].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return Math.round(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+    };
+
+    // Weeks start on Monday
+    const weekOf = (day) => addDays(day, -((new Date(day).getUTCDay() + 6) % 7));
+    const series = [];
+    listDays(from, to).forEach(day => {
+      const period = interval === 'week' ? weekOf(day) : day;
+      if (series.length === 0 || series[series.length - 1].period !== period) {
+        series.push({ period, created: 0, completed: 0, cycleSeconds: [] });
+      }
+      const bucket = series[series.length - 1];
+      bucket.created += created.filter(d => d === day).length;
+      completed.filter(c => c.day === day).forEach(c => {
+        bucket.completed += 1;
+        bucket.cycleSeconds.push(c.seconds);
+      });
+    });
+
+    // Due days already past; late when still open or finished after the day
+    const due = userTasks.filter(t => {
+      if (!t.dueDate) return false;
+      const dueDay = new Date(t.dueDate).toISOString().split('T')[0];
+      return inRange(dueDay) && dueDay < today;
+    });
+    const overdue = due.filter(t => !t.completedAt ||
+      dayIn(t.completedAt, timeZone) > new Date(t.dueDate).toISOString().split('T')[0]).length;
+
+    const completionDays = [...new Set(userTasks
+      .filter(t => t.completedAt)
+      .map(t => dayIn(t.completedAt, timeZone)))].sort();
+    let longest = 0;
+    let run = 0;
+    completionDays.forEach((day, index) => {
+      run = index > 0 && addDays(completionDays[index - 1], 1) === day ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    });
+    const last = completionDays[completionDays.length - 1];
+
+    const cycleSeconds = completed.map(c => c.seconds);
+
+    return simulateDelay({
+      success: true,
+      data: {
+        from,
+        to,
+        timeZone,
+        interval,
+        series: series.map(({ cycleSeconds: seconds, ...bucket }) => ({
+          ...bucket,
+          averageCycleSeconds: average(seconds)
+        })),
+        totals: {
+          created: created.length,
+          completed: completed.length
+        },
+        cycleTime: {
+          completed: cycleSeconds.length,
+          averageSeconds: average(cycleSeconds),
+          medianSeconds: median(cycleSeconds)
+        },
+        overdue: {
+          due: due.length,
+          overdue,
+          rate: due.length ? overdue / due.length : null
+        },
+        streaks: {
+          current: last && (last === today || last === addDays(today, -1)) ? run : 0,
+          longest,
+          lastCompletedOn: last || null
+        }
+      }
+    });
+  },
+
+  // Resolves like an axios blob response: { data: Blob }
+  export: async (params = {}, format = 'csv') => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    let tasks;
+    try {
+      ({ tasks } = listTasks(user, params));
+    } catch (error) {
+      if (!(error instanceof SearchSyntaxError) && !(error instanceof CustomFieldError)) throw error;
+      return simulateDelay({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const lookups = loadTransferLookups(user._id);
+    const records = tasks.map(task => toExportRecord(task, lookups));
+    const blob = format === 'json'
+      ? new Blob([`[${records.map(record => `\n${JSON.stringify(record)}`).join(',')}\n]\n`], { type: 'application/json' })
+      : new Blob([
+        formatCsvRow([...EXPORT_COLUMNS, ...lookups.fields.map(field => field.name)]),
+        ...records.map(record => formatCsvRow([
+          ...EXPORT_COLUMNS.map(column => (column === 'tags' ? record.tags.join(TAG_SEPARATOR) : record[column])),
+          ...lookups.fields.map(field => record.customFields[field.key])
+        ]))
+      ], { type: 'text/csv' });
+    return simulateDelay({ data: blob });
+  },
+
+  import: async (file, { mapping = null, dryRun = false, duplicates = 'skip' } = {}) => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    let rows;
+    try {
+      rows = parseCsv(await file.text());
+    } catch (error) {
+      if (!(error instanceof CsvError)) throw error;
+      return simulateDelay({
+        success: false,
+        message: error.message
+      });
+    }
+    return simulateDelay(importRows(user, rows, mapping, { dryRun, duplicates }));
+  },
+
+  addSubtask: async (id, subtaskData) => {
+    const tasks = getTasks();
+    const user = getCurrentUser();
+    const taskIndex = tasks.findIndex(t => t._id === id && t.userId === user._id && !t.deletedAt);
+
+    if (taskIndex === -1) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const task = tasks[taskIndex];
+    task.subtasks = [
+      ...(task.subtasks || []),
+      {
+        _id: generateId(),
+        title: subtaskData.title,
+        done: false,
+        createdAt: new Date().toISOString()
+      }
+    ];
+    task.updatedAt = new Date().toISOString();
+    saveTasks(tasks);
+
+    return simulateDelay({
+      success: true,
+      data: formatTask(task)
+    });
+  },
+
+  updateSubtask: async (id, subtaskId, subtaskData) => {
+    const tasks = getTasks();
+    const user = getCurrentUser();
+    const task = tasks.find(t => t._id === id && t.userId === user._id && !t.deletedAt);
+    const subtask = task?.subtasks?.find(s => s._id === subtaskId);
+
+    if (!subtask) {
+      return simulateDelay({
+        success: false,
+        message: task ? 'Subtask not found' : 'Task not found'
+      });
+    }
+
+    if (subtaskData.title !== undefined) subtask.title = subtaskData.title;
+    if (subtaskData.done !== undefined) subtask.done = subtaskData.done;
+    task.updatedAt = new Date().toISOString();
+    saveTasks(tasks);
+
+    return simulateDelay({
+      success: true,
+      data: formatTask(task)
+    });
+  },
+
+  deleteSubtask: async (id, subtaskId) => {
+    const tasks = getTasks();
+    const user = getCurrentUser();
+    const task = tasks.find(t => t._id === id && t.userId === user._id && !t.deletedAt);
+
+    if (!task) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    task.subtasks = (task.subtasks || []).filter(s => s._id !== subtaskId);
+    task.updatedAt = new Date().toISOString();
+    saveTasks(tasks);
+
+    return simulateDelay({
+      success: true,
+      data: formatTask(task)
+    });
+  },
+
+  addDependency: async (id, blockedBy) => {
+    const tasks = getTasks();
+    const user = getCurrentUser();
+    const task = tasks.find(t => t._id === id && t.userId === user._id && !t.deletedAt);
+    const blocker = tasks.find(t => t._id === blockedBy && t.userId === user._id && !t.deletedAt);
+
+    if (!task || !blocker) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (wouldCreateCycle(tasks, id, blockedBy)) {
+      return simulateDelay({
+        success: false,
+        message: 'This dependency would create a cycle'
+      });
+    }
+
+    task.blockedBy = [...new Set([...(task.blockedBy || []), blockedBy])];
+    task.updatedAt = new Date().toISOString();
+    saveTasks(tasks);
+
+    return simulateDelay({
+      success: true,
+      data: formatTask(task),
+      dependencies: getDependencyChain(tasks, task)
+    });
+  },
+
+  removeDependency: async (id, blockerId) => {
+    const tasks = getTasks();
+    const user = getCurrentUser();
+    const task = tasks.find(t => t._id === id && t.userId === user._id && !t.deletedAt);
+
+    if (!task) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    task.blockedBy = (task.blockedBy || []).filter(b => b !== blockerId);
+    task.updatedAt = new Date().toISOString();
+    saveTasks(tasks);
+
+    return simulateDelay({
+      success: true,
+      data: formatTask(task),
+      dependencies: getDependencyChain(tasks, task)
+    });
+  },
+
+  getActivity: async (id) => {
+    const user = getCurrentUser();
+    const activity = getActivity().filter(a => a.task === id && a.userId === user?._id);
+
+    if (activity.length === 0 && !getTasks().find(t => t._id === id && t.userId === user?._id)) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    return simulateDelay({
+      success: true,
+      count: activity.length,
+      data: activity
+    });
+  },
+
+  reorderSubtasks: async (id, order) => {
+    const tasks = getTasks();
+    const user = getCurrentUser();
+    const task = tasks.find(t => t._id === id && t.userId === user._id && !t.deletedAt);
+
+    if (!task) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const subtasks = task.subtasks || [];
+    task.subtasks = order
+      .map(subtaskId => subtasks.find(s => s._id === subtaskId))
+      .filter(Boolean);
+    task.updatedAt = new Date().toISOString();
+    saveTasks(tasks);
+
+    return simulateDelay({
+      success: true,
+      data: formatTask(task)
+    });
+  }
+};
+
+// TAG API
+export const mockTagAPI = {
+  getAll: async () => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    const userTasks = getTasks().filter(t => t.userId === user._id && !t.deletedAt);
+    const tags = getTags()
+      .filter(tag => tag.userId === user._id)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(tag => ({
+        ...tag,
+        taskCount: userTasks.filter(t => (t.tags || []).includes(tag._id)).length
+      }));
+
+    return simulateDelay({
+      success: true,
+      count: tags.length,
+      data: tags
+    });
+  },
+
+  create: async (tagData) => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    const tags = getTags();
+    const name = tagData.name.trim();
+
+    if (tags.find(t => t.userId === user._id && t.name.toLowerCase() === name.toLowerCase())) {
+      return simulateDelay({
+        success: false,
+        message: 'A tag with this name already exists'
+      });
+    }
+
+    const newTag = {
+      _id: generateId(),
+      userId: user._id,
+      name,
+      color: tagData.color || '#6b7280',
+      createdAt: new Date().toISOString()
+    };
+
+    tags.push(newTag);
+    saveTags(tags);
+
+    return simulateDelay({
+      success: true,
+      data: newTag
+    });
+  },
+
+  update: async (id, tagData) => {
+    const tags = getTags();
+    const user = getCurrentUser();
+    const tagIndex = tags.findIndex(t => t._id === id && t.userId === user._id);
+
+    if (tagIndex === -1) {
+      return simulateDelay({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const name = tagData.name?.trim();
+    if (name && tags.find(t => t._id !== id && t.userId === user._id && t.name.toLowerCase() === name.toLowerCase())) {
+      return simulateDelay({
+        success: false,
+        message: 'A tag with this name already exists - merge the tags instead'
+      });
+    }
+
+    if (name) tags[tagIndex].name = name;
+    if (tagData.color) tags[tagIndex].color = tagData.color;
+    saveTags(tags);
+
+    return simulateDelay({
+      success: true,
+      data: tags[tagIndex]
+    });
+  },
+
+  merge: async (id, into) => {
+    const tags = getTags();
+    const user = getCurrentUser();
+    const source = tags.find(t => t._id === id && t.userId === user._id);
+    const target = tags.find(t => t._id === into && t.userId === user._id);
+
+    if (!source || !target || source === target) {
+      return simulateDelay({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const tasks = getTasks();
+    let tasksUpdated = 0;
+    tasks.forEach(t => {
+      if (t.userId === user._id && (t.tags || []).includes(id)) {
+        t.tags = [...new Set(t.tags.map(tagId => (tagId === id ? into : tagId)))];
+        tasksUpdated += 1;
+      }
+    });
+    saveTasks(tasks);
+    saveTags(tags.filter(t => t._id !== id));
+    updateViewFilters(user._id, filters => ({
+      ...filters,
+      tags: [...new Set(filters.tags.map(tagId => (tagId === id ? into : tagId)))]
+    }));
+
+    return simulateDelay({
+      success: true,
+      data: target,
+      tasksUpdated
+    });
+  },
+
+  delete: async (id) => {
+    const tags = getTags();
+    const user = getCurrentUser();
+
+    if (!tags.find(t => t._id === id && t.userId === user._id)) {
+      return simulateDelay({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const tasks = getTasks();
+    tasks.forEach(t => {
+      if (t.userId === user._id && t.tags) {
+        t.tags = t.tags.filter(tagId => tagId !== id);
+      }
+    });
+    saveTasks(tasks);
+    saveTags(tags.filter(t => t._id !== id));
+    updateViewFilters(user._id, filters => ({ ...filters, tags: filters.tags.filter(tagId => tagId !== id) }));
+
+    return simulateDelay({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  }
+};
+
+// COMMENT API
+export const mockCommentAPI = {
+  getAll: async (taskId) => {
+    const user = getCurrentUser();
+    const task = getTasks().find(t => t._id === taskId && t.userId === user?._id && !t.deletedAt);
+
+    if (!task) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const comments = getComments()
+      .filter(c => c.taskId === taskId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    return simulateDelay({
+      success: true,
+      count: comments.length,
+      data: comments
+    });
+  },
+
+  create: async (taskId, commentData) => {
+    const user = getCurrentUser();
+    const task = getTasks().find(t => t._id === taskId && t.userId === user?._id && !t.deletedAt);
+
+    if (!task) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const comments = getComments();
+    const newComment = {
+      _id: generateId(),
+      taskId,
+      user: { _id: user._id, name: user.name },
+      body: commentData.body.trim(),
+      editedAt: null,
+      createdAt: new Date().toISOString()
+    };
+
+    comments.push(newComment);
+    saveComments(comments);
+
+    return simulateDelay({
+      success: true,
+      data: newComment
+    });
+  },
+
+  update: async (taskId, commentId, commentData) => {
+    const user = getCurrentUser();
+    const comments = getComments();
+    const comment = comments.find(c => c._id === commentId && c.taskId === taskId);
+
+    if (!comment) {
+      return simulateDelay({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    // Only the author can edit a comment
+    if (comment.user._id !== user?._id) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    comment.body = commentData.body.trim();
+    comment.editedAt = new Date().toISOString();
+    saveComments(comments);
+
+    return simulateDelay({
+      success: true,
+      data: comment
+    });
+  },
+
+  delete: async (taskId, commentId) => {
+    const user = getCurrentUser();
+    const comments = getComments();
+    const comment = comments.find(c => c._id === commentId && c.taskId === taskId);
+
+    if (!comment) {
+      return simulateDelay({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    // Only the author can delete a comment
+    if (comment.user._id !== user?._id) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    saveComments(comments.filter(c => c._id !== commentId));
+
+    return simulateDelay({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  }
+};
+
+// ATTACHMENT API
+const stripContent = ({ dataUrl, ...attachment }) => attachment;
+
+export const mockAttachmentAPI = {
+  getAll: async (taskId) => {
+    const user = getCurrentUser();
+    const task = getTasks().find(t => t._id === taskId && t.userId === user?._id && !t.deletedAt);
+
+    if (!task) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const attachments = getAttachments().filter(a => a.taskId === taskId).map(stripContent);
+
+    return simulateDelay({
+      success: true,
+      count: attachments.length,
+      data: attachments
+    });
+  },
+
+  upload: async (taskId, files) => {
+    const user = getCurrentUser();
+    const task = getTasks().find(t => t._id === taskId && t.userId === user?._id && !t.deletedAt);
+
+    if (!task) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const attachments = getAttachments();
+    const added = [];
+    for (const file of files) {
+      const attachment = {
+        _id: generateId(),
+        taskId,
+        filename: file.name,
+        mimeType: file.type,
+        size: file.size,
+        dataUrl: await readAsDataURL(file),
+        createdAt: new Date().toISOString()
+      };
+      attachments.push(attachment);
+      added.push(stripContent(attachment));
+    }
+
+    try {
+      saveAttachments(attachments);
+    } catch (error) {
+      return simulateDelay({
+        success: false,
+        message: 'Not enough browser storage for these files'
+      });
+    }
+
+    return simulateDelay({
+      success: true,
+      count: added.length,
+      data: added
+    });
+  },
+
+  // Resolves like an axios blob response: { data: Blob }
+  download: async (taskId, attachmentId) => {
+    const attachment = getAttachments().find(a => a._id === attachmentId && a.taskId === taskId);
+
+    if (!attachment) {
+      return simulateDelay({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const blob = await (await fetch(attachment.dataUrl)).blob();
+    return simulateDelay({ data: blob });
+  },
+
+  delete: async (taskId, attachmentId) => {
+    const attachments = getAttachments();
+
+    if (!attachments.find(a => a._id === attachmentId && a.taskId === taskId)) {
+      return simulateDelay({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    saveAttachments(attachments.filter(a => a._id !== attachmentId));
+
+    return simulateDelay({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  }
+};
+
+// PROJECT API
+export const mockProjectAPI = {
+  getAll: async (params = {}) => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    const projects = getProjects()
+      .filter(p => p.userId === user._id)
+      .filter(p => params.archived === 'all' || p.archived === (params.archived === 'true'))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return simulateDelay({
+      success: true,
+      count: projects.length,
+      data: projects
+    });
+  },
+
+  create: async (projectData) => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    const projects = getProjects();
+
+    const newProject = {
+      _id: generateId(),
+      userId: user._id,
+      name: projectData.name,
+      description: projectData.description || '',
+      color: projectData.color || '#3b82f6',
+      archived: false,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    projects.push(newProject);
+    saveProjects(projects);
+
+    return simulateDelay({
+      success: true,
+      data: newProject
+    });
+  },
+
+  update: async (id, projectData) => {
+    const projects = getProjects();
+    const user = getCurrentUser();
+    const projectIndex = projects.findIndex(p => p._id === id && p.userId === user._id);
+
+    if (projectIndex === -1) {
+      return simulateDelay({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    projects[projectIndex] = {
+      ...projects[projectIndex],
+      ...projectData,
+      updatedAt: new Date().toISOString()
+    };
+    saveProjects(projects);
+
+    return simulateDelay({
+      success: true,
+      data: projects[projectIndex]
+    });
+  },
+
+  delete: async (id) => {
+    const projects = getProjects();
+    const user = getCurrentUser();
+
+    if (!projects.find(p => p._id === id && p.userId === user._id)) {
+      return simulateDelay({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Keep the tasks, without a project
+    const tasks = getTasks();
+    tasks.forEach(t => {
+      if (t.userId === user._id && t.project === id) {
+        t.project = null;
+      }
+    });
+    saveTasks(tasks);
+    saveProjects(projects.filter(p => p._id !== id));
+    updateViewFilters(user._id, filters => (filters.project === id ? { ...filters, project: 'all' } : filters));
+
+    return simulateDelay({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  }
+};
+
+// Initialize with some sample data for demo
+// WORKFLOW API
+const withTaskCounts = (userId, statuses) => {
+  const tasks = getTasks().filter(t => t.userId === userId);
+  return {
+    statuses: statuses.map(status => ({
+      ...status,
+      taskCount: tasks.filter(t => t.status === status.key).length
+    }))
+  };
+};
+
+export const mockWorkflowAPI = {
+  get: async () => {
+    const user = getCurrentUser();
+    return simulateDelay({
+      success: true,
+      data: withTaskCounts(user._id, getStatuses(user._id))
+    });
+  },
+
+  update: async ({ statuses, replacements = {} } = {}) => {
+    const user = getCurrentUser();
+
+    if (!Array.isArray(statuses) || statuses.length === 0) {
+      return simulateDelay({
+        success: false,
+        message: 'Please provide a list of statuses'
+      });
+    }
+
+    // Existing statuses keep their key; new ones get one from their name
+    const nextStatuses = [];
+    statuses.forEach(({ key, name, category, color, transitions }) => {
+      nextStatuses.push({
+        key: key || makeStatusKey(name, [...statuses, ...nextStatuses]),
+        name: (name || '').trim(),
+        category,
+        color: color || '#6b7280',
+        transitions: transitions || []
+      });
+    });
+    const newKeys = nextStatuses.map(s => s.key);
+
+    const invalid = validateWorkflow(nextStatuses) ||
+      (newKeys.some((key, i) => newKeys.indexOf(key) !== i) && 'A status is listed twice') ||
+      (nextStatuses.some(s => s.transitions.some(key => !newKeys.includes(key))) && 'A status moves to an unknown status');
+    if (invalid) {
+      return simulateDelay({
+        success: false,
+        message: invalid
+      });
+    }
+
+    // Tasks can't be left in a status that no longer exists
+    const oldStatuses = getStatuses(user._id);
+    const tasks = getTasks();
+    const countOf = (key) => tasks.filter(t => t.userId === user._id && t.status === key).length;
+    const stranded = oldStatuses
+      .filter(s => !newKeys.includes(s.key) && countOf(s.key) > 0)
+      .filter(s => !newKeys.includes(replacements[s.key]));
+    if (stranded.length > 0) {
+      return simulateDelay({
+        success: false,
+        message: 'Choose where to move the tasks in each removed status',
+        inUse: stranded.map(s => ({ key: s.key, name: s.name, count: countOf(s.key) }))
+      });
+    }
+
+    saveStatuses(user._id, nextStatuses);
+    saveTasks(tasks.map(t => {
+      if (t.userId !== user._id) return t;
+      const status = getStatus(nextStatuses, t.status) || getStatus(nextStatuses, replacements[t.status]);
+      if (!status) return t;
+      const completedAt = status.category === 'done'
+        ? t.completedAt || new Date().toISOString()
+        : null;
+      return { ...t, status: status.key, statusCategory: status.category, completedAt };
+    }));
+    // Saved views follow their status to its replacement, or show all statuses
+    updateViewFilters(user._id, filters => {
+      if (filters.status === 'all' || getStatus(nextStatuses, filters.status)) return filters;
+      return { ...filters, status: getStatus(nextStatuses, replacements[filters.status]) ? replacements[filters.status] : 'all' };
+    });
+
+    return simulateDelay({
+      success: true,
+      data: withTaskCounts(user._id, nextStatuses)
+    });
+  }
+};
+
+// Problems with a custom field definition that would stop it saving, or null
+const validateFieldDefinition = ({ name, type, options }) => {
+  if (!name) return 'Please provide a field name';
+  if (name.length > 40) return 'Field name cannot exceed 40 characters';
+  if (!FIELD_TYPES.includes(type)) return `Field type must be one of: ${FIELD_TYPES.join(', ')}`;
+  if (type === 'select') {
+    if (options.length === 0) return 'A select field needs at least one option';
+    if (options.some(option => !option)) return 'Options cannot be empty';
+    if (new Set(options).size !== options.length) return 'Options must be unique';
+  }
+  return null;
+};
+
+// CUSTOM FIELD API
+export const mockCustomFieldAPI = {
+  getAll: async () => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    const userTasks = getTasks().filter(t => t.userId === user._id && !t.deletedAt);
+    const fields = getCustomFields()
+      .filter(f => f.userId === user._id)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(f => ({
+        ...f,
+        taskCount: userTasks.filter(t => t.customFields?.[f.key] != null).length
+      }));
+
+    return simulateDelay({
+      success: true,
+      count: fields.length,
+      data: fields
+    });
+  },
+
+  create: async (fieldData) => {
+    const user = getCurrentUser();
+    const fields = getCustomFields();
+    const name = (fieldData.name || '').trim();
+    const mine = fields.filter(f => f.userId === user._id);
+
+    if (mine.find(f => f.name.toLowerCase() === name.toLowerCase())) {
+      return simulateDelay({
+        success: false,
+        message: 'A field with this name already exists'
+      });
+    }
+
+    const field = {
+      name,
+      type: fieldData.type,
+      options: fieldData.type === 'select' ? (fieldData.options || []).map(o => o.trim()) : [],
+      required: Boolean(fieldData.required)
+    };
+    const invalid = validateFieldDefinition(field);
+    if (invalid) {
+      return simulateDelay({
+        success: false,
+        message: invalid
+      });
+    }
+
+    // The key is what tasks store values under, so it must not collide
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 30) || 'field';
+    let key = base;
+    for (let n = 2; mine.some(f => f.key === key); n++) key = `${base}_${n}`;
+
+    const newField = {
+      _id: generateId(),
+      userId: user._id,
+      key,
+      ...field,
+      createdAt: new Date().toISOString()
+    };
+    saveCustomFields([...fields, newField]);
+
+    return simulateDelay({
+      success: true,
+      data: newField
+    });
+  },
+
+  update: async (id, fieldData) => {
+    const user = getCurrentUser();
+    const fields = getCustomFields();
+    const index = fields.findIndex(f => f._id === id && f.userId === user._id);
+
+    if (index === -1) {
+      return simulateDelay({
+        success: false,
+        message: 'Field not found'
+      });
+    }
+
+    const current = fields[index];
+    if (fieldData.type && fieldData.type !== current.type) {
+      return simulateDelay({
+        success: false,
+        message: "A field's type can't be changed - create a new field instead"
+      });
+    }
+
+    const name = fieldData.name ? fieldData.name.trim() : current.name;
+    if (fields.some(f => f.userId === user._id && f._id !== id && f.name.toLowerCase() === name.toLowerCase())) {
+      return simulateDelay({
+        success: false,
+        message: 'A field with this name already exists'
+      });
+    }
+
+    const options = current.type === 'select' && Array.isArray(fieldData.options)
+      ? fieldData.options.map(o => o.trim())
+      : current.options;
+    const updated = {
+      ...current,
+      name,
+      options,
+      required: fieldData.required !== undefined ? Boolean(fieldData.required) : current.required
+    };
+    const invalid = validateFieldDefinition(updated);
+    if (invalid) {
+      return simulateDelay({
+        success: false,
+        message: invalid
+      });
+    }
+
+    fields[index] = updated;
+    saveCustomFields(fields);
+
+    // Values using a removed option are cleared
+    const removed = current.options.filter(option => !options.includes(option));
+    if (removed.length > 0) {
+      unsetCustomValue(user._id, current.key, value => removed.includes(value));
+    }
+
+    return simulateDelay({
+      success: true,
+      data: updated
+    });
+  },
+
+  delete: async (id) => {
+    const user = getCurrentUser();
+    const fields = getCustomFields();
+    const field = fields.find(f => f._id === id && f.userId === user._id);
+
+    if (!field) {
+      return simulateDelay({
+        success: false,
+        message: 'Field not found'
+      });
+    }
+
+    saveCustomFields(fields.filter(f => f._id !== id));
+    unsetCustomValue(user._id, field.key);
+
+    return simulateDelay({
+      success: true,
+      data: {}
+    });
+  }
+};
+
+export const initializeMockData = () => {
+  if (!localStorage.getItem('mock_initialized')) {
+    // Add sample tasks for demo user
+    const user = getCurrentUser();
+    if (user) {
+      const sampleTasks = [
+        {
+          _id: generateId(),
+          userId: user._id,
+          title: 'Welcome to Task Manager!',
+          description: 'This is a sample task to get you started. You can edit or delete it.',
+          status: 'pending',
+          statusCategory: 'todo',
+          priority: 'high',
+          dueDate: new Date(Date.now() + 86400000).toISOString().split('T')[0],
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        },
+        {
+          _id: generateId(),
+          userId: user._id,
+          title: 'Try creating a new task',
+          description: 'Click the "Add Task" button to create your own tasks.',
+          status: 'in-progress',
+          statusCategory: 'doing',
+          priority: 'medium',
+          dueDate: null,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        }
+      ];
+      
+      const tasks = getTasks();
+      tasks.push(...sampleTasks);
+      saveTasks(tasks);
+    }
+    
+    localStorage.setItem('mock_initialized', 'true');
+  }
+};
+
+// TIME TRACKING API
+// Keep a task's `timeSpent` in step with its finished entries
+const syncTimeSpent = (taskId) => {
+  const total = getTimeEntries()
+    .filter(e => e.task === taskId && e.endedAt)
+    .reduce((sum, e) => sum + e.duration, 0);
+  saveTasks(getTasks().map(t => (t._id === taskId ? { ...t, timeSpent: total } : t)));
+};
+
+// Finish an entry, setting its duration; null when it would end before it starts
+const finishEntry = (entry, endedAt) => {
+  const duration = Math.round((new Date(endedAt) - new Date(entry.startedAt)) / 1000);
+  if (!(duration > 0)) return null;
+  return { ...entry, endedAt: new Date(endedAt).toISOString(), duration };
+};
+
+// Stop the user's running timer, if any. Returns the stopped entry or null.
+const stopRunningTimer = (userId) => {
+  const entries = getTimeEntries();
+  const index = entries.findIndex(e => e.userId === userId && !e.endedAt);
+  if (index === -1) return null;
+
+  // A timer stopped in the same second it started still ends after it
+  const endedAt = Math.max(Date.now(), new Date(entries[index].startedAt).getTime() + 1000);
+  entries[index] = finishEntry(entries[index], endedAt);
+  saveTimeEntries(entries);
+  syncTimeSpent(entries[index].task);
+  return entries[index];
+};
+
+const withTaskTitle = (entry) => {
+  const task = getTasks().find(t => t._id === entry.task);
+  return { ...entry, task: { _id: entry.task, title: task ? task.title : '(deleted task)' } };
+};
+
+// Calendar day of `date` in a time zone, as YYYY-MM-DD
+const dayIn = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(new Date(date));
+
+// The day `count` days after `day` (before, when negative)
+const addDays = (day, count) => new Date(new Date(day).getTime() + count * DAY_MS).toISOString().split('T')[0];
+
+// Every day from `from` to `to`, inclusive
+const listDays = (from, to) => {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+// Read a day range like backend/utils/dates.js parseDayRange. Returns
+// { from, to, timeZone, days } or { error }.
+const parseDayRange = ({ from, to, tz }, { defaultDays, maxDays }) => {
+  const timeZone = tz || 'UTC';
+  try {
+    dayIn(Date.now(), timeZone);
+  } catch (error) {
+    return { error: 'Invalid time zone' };
+  }
+
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+  to = to || dayIn(Date.now(), timeZone);
+  from = from || (isDay(to) ? addDays(to, 1 - defaultDays) : to);
+  if (!isDay(from) || !isDay(to)) {
+    return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+
+  const days = Math.round((new Date(to) - new Date(from)) / DAY_MS) + 1;
+  if (days < 1 || days > maxDays) {
+    return { error: `The range must run forward and cover at most ${maxDays} days` };
+  }
+
+  return { from, to, timeZone, days };
+};
+
+export const mockTimeAPI = {
+  getTimer: async () => {
+    const user = getCurrentUser();
+    const timer = getTimeEntries().find(e => e.userId === user._id && !e.endedAt);
+
+    return simulateDelay({
+      success: true,
+      data: timer ? withTaskTitle(timer) : null
+    });
+  },
+
+  startTimer: async (taskId, note) => {
+    const user = getCurrentUser();
+    const task = getTasks().find(t => t._id === taskId && t.userId === user._id && !t.deletedAt);
+
+    if (!task) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const stopped = stopRunningTimer(user._id);
+    const timer = {
+      _id: generateId(),
+      task: taskId,
+      userId: user._id,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      duration: 0,
+      source: 'timer',
+      note: note || '',
+      createdAt: new Date().toISOString()
+    };
+    saveTimeEntries([...getTimeEntries(), timer]);
+
+    return simulateDelay({
+      success: true,
+      data: withTaskTitle(timer),
+      stopped
+    });
+  },
+
+  stopTimer: async () => {
+    const user = getCurrentUser();
+    const entry = stopRunningTimer(user._id);
+
+    if (!entry) {
+      return simulateDelay({
+        success: false,
+        message: 'No timer is running'
+      });
+    }
+
+    return simulateDelay({
+      success: true,
+      data: entry
+    });
+  },
+
+  getEntries: async (taskId) => {
+    const user = getCurrentUser();
+    const task = getTasks().find(t => t._id === taskId && t.userId === user._id && !t.deletedAt);
+
+    if (!task) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const entries = getTimeEntries()
+      .filter(e => e.task === taskId)
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+    return simulateDelay({
+      success: true,
+      count: entries.length,
+      total: task.timeSpent || 0,
+      data: entries
+    });
+  },
+
+  addEntry: async (taskId, { startedAt, endedAt, duration, note } = {}) => {
+    const user = getCurrentUser();
+    const task = getTasks().find(t => t._id === taskId && t.userId === user._id && !t.deletedAt);
+
+    if (!task) {
+      return simulateDelay({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!startedAt || (!endedAt && !duration)) {
+      return simulateDelay({
+        success: false,
+        message: 'Please provide a start time and an end time or duration'
+      });
+    }
+
+    const start = new Date(startedAt);
+    const end = endedAt ? new Date(endedAt) : new Date(start.getTime() + Number(duration) * 1000);
+    const entry = !isNaN(start) && !isNaN(end) && finishEntry({
+      _id: generateId(),
+      task: taskId,
+      userId: user._id,
+      startedAt: start.toISOString(),
+      source: 'manual',
+      note: (note || '').trim(),
+      createdAt: new Date().toISOString()
+    }, end);
+
+    if (!entry) {
+      return simulateDelay({
+        success: false,
+        message: 'An entry must end after it starts'
+      });
+    }
+
+    saveTimeEntries([...getTimeEntries(), entry]);
+    syncTimeSpent(taskId);
+
+    return simulateDelay({
+      success: true,
+      data: entry
+    });
+  },
+
+  updateEntry: async (entryId, { startedAt, endedAt, duration, note } = {}) => {
+    const user = getCurrentUser();
+    const entries = getTimeEntries();
+    const index = entries.findIndex(e => e._id === entryId && e.userId === user._id);
+
+    if (index === -1) {
+      return simulateDelay({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    if (!entries[index].endedAt) {
+      return simulateDelay({
+        success: false,
+        message: 'Stop the timer before editing it'
+      });
+    }
+
+    const start = startedAt !== undefined ? new Date(startedAt).toISOString() : entries[index].startedAt;
+    let end = endedAt !== undefined ? endedAt : entries[index].endedAt;
+    if (endedAt === undefined && duration !== undefined) {
+      end = new Date(new Date(start).getTime() + Number(duration) * 1000);
+    }
+    const updated = finishEntry({
+      ...entries[index],
+      startedAt: start,
+      note: note !== undefined ? note.trim() : entries[index].note
+    }, end);
+
+    if (!updated) {
+      return simulateDelay({
+        success: false,
+        message: 'An entry must end after it starts'
+      });
+    }
+
+    entries[index] = updated;
+    saveTimeEntries(entries);
+    syncTimeSpent(updated.task);
+
+    return simulateDelay({
+      success: true,
+      data: updated
+    });
+  },
+
+  deleteEntry: async (entryId) => {
+    const user = getCurrentUser();
+    const entry = getTimeEntries().find(e => e._id === entryId && e.userId === user._id);
+
+    if (!entry) {
+      return simulateDelay({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    saveTimeEntries(getTimeEntries().filter(e => e._id !== entryId));
+    syncTimeSpent(entry.task);
+
+    return simulateDelay({
+      success: true,
+      data: {}
+    });
+  },
+
+  // Same shape as GET /api/time/report
+  getReport: async (params = {}) => {
+    const user = getCurrentUser();
+
+    const range = parseDayRange(params, { defaultDays: 7, maxDays: 366 });
+    if (range.error) {
+      return simulateDelay({
+        success: false,
+        message: range.error
+      });
+    }
+    const { from, to, timeZone: tz } = range;
+
+    const tasks = getTasks();
+    const entries = getTimeEntries()
+      .filter(e => e.userId === user._id && e.endedAt)
+      .map(e => ({ ...e, day: dayIn(e.startedAt, tz), taskDoc: tasks.find(t => t._id === e.task) }))
+      .filter(e => e.day >= from && e.day <= to);
+    const sum = (list) => list.reduce((total, e) => total + e.duration, 0);
+
+    const byTask = [...new Set(entries.map(e => e.task))]
+      .map(taskId => {
+        const mine = entries.filter(e => e.task === taskId);
+        return {
+          task: taskId,
+          title: mine[0].taskDoc ? mine[0].taskDoc.title : '(deleted task)',
+          priority: mine[0].taskDoc?.priority,
+          seconds: sum(mine),
+          entries: mine.length
+        };
+      })
+      .sort((a, b) => b.seconds - a.seconds);
+
+    return simulateDelay({
+      success: true,
+      data: {
+        from,
+        to,
+        timeZone: tz,
+        total: sum(entries),
+        byDay: listDays(from, to).map(date => ({
+          date,
+          seconds: sum(entries.filter(e => e.day === date))
+        })),
+        byTask,
+        byPriority: ['high', 'medium', 'low'].map(priority => ({
+          priority,
+          seconds: sum(entries.filter(e => e.taskDoc?.priority === priority))
+        }))
+      }
+    });
+  }
+};
+
+// NOTIFICATION API
+export const mockNotificationAPI = {
+  getAll: async ({ unread } = {}) => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    runDueJobs();
+    const mine = getNotifications()
+      .filter(n => n.userId === user._id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const notifications = (String(unread) === 'true' ? mine.filter(n => !n.readAt) : mine).slice(0, 50);
+
+    return simulateDelay({
+      success: true,
+      count: notifications.length,
+      unread: mine.filter(n => !n.readAt).length,
+      data: notifications
+    });
+  },
+
+  markRead: async (id) => {
+    const user = getCurrentUser();
+    const notifications = getNotifications();
+    const notification = notifications.find(n => n._id === id && n.userId === user._id);
+
+    if (!notification) {
+      return simulateDelay({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    notification.readAt = notification.readAt || new Date().toISOString();
+    saveNotifications(notifications);
+
+    return simulateDelay({
+      success: true,
+      data: notification
+    });
+  },
+
+  markAllRead: async () => {
+    const user = getCurrentUser();
+    const now = new Date().toISOString();
+    let count = 0;
+    const notifications = getNotifications().map(n => {
+      if (n.userId !== user._id || n.readAt) return n;
+      count++;
+      return { ...n, readAt: now };
+    });
+    saveNotifications(notifications);
+
+    return simulateDelay({
+      success: true,
+      count
+    });
+  },
+
+  delete: async (id) => {
+    const user = getCurrentUser();
+    const notifications = getNotifications();
+
+    if (!notifications.some(n => n._id === id && n.userId === user._id)) {
+      return simulateDelay({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    saveNotifications(notifications.filter(n => n._id !== id));
+
+    return simulateDelay({
+      success: true,
+      data: {}
+    });
+  }
+};
+
+// SAVED VIEW API
+const DEFAULT_VIEW_FILTERS = {
+  search: '',
+  status: 'all',
+  priority: 'all',
+  sort: 'newest',
+  tags: [],
+  tagMatch: 'any',
+  project: 'all'
+};
+
+// Filters as the SavedView model stores them, or an error message
+const normalizeViewFilters = (userId, filters = {}) => {
+  const normalized = { ...DEFAULT_VIEW_FILTERS };
+  Object.keys(DEFAULT_VIEW_FILTERS).forEach(key => {
+    if (filters[key] !== undefined) normalized[key] = filters[key];
+  });
+  normalized.search = String(normalized.search).trim();
+
+  if (normalized.search.length > 200) return 'Search cannot be more than 200 characters';
+  if (!['all', 'low', 'medium', 'high'].includes(normalized.priority)) return 'Invalid priority';
+  if (!['any', 'all'].includes(normalized.tagMatch)) return 'Invalid tag match';
+  if (!TASK_SORTS[normalized.sort] && !/^field:[a-z0-9]+(?:_[a-z0-9]+)*(:desc)?$/.test(normalized.sort)) {
+    return 'Invalid sort';
+  }
+  const tagIds = getTags().filter(t => t.userId === userId).map(t => t._id);
+  if (!Array.isArray(normalized.tags) || !normalized.tags.every(id => tagIds.includes(id))) {
+    return 'One or more tags do not exist';
+  }
+  if (!['all', 'none'].includes(normalized.project) &&
+    !getProjects().some(p => p._id === normalized.project && p.userId === userId)) {
+    return 'Project does not exist';
+  }
+  return normalized;
+};
+
+const validateViewName = (views, userId, name, id) => {
+  if (!name) return 'Please provide a view name';
+  if (name.length > 50) return 'View name cannot be more than 50 characters';
+  if (views.some(v => v._id !== id && v.userId === userId && v.name.toLowerCase() === name.toLowerCase())) {
+    return 'A view with this name already exists';
+  }
+  return null;
+};
+
+export const mockViewAPI = {
+  getAll: async () => {
+    const user = getCurrentUser();
+    const views = getViews()
+      .filter(v => v.userId === user._id)
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+
+    return simulateDelay({
+      success: true,
+      count: views.length,
+      data: views
+    });
+  },
+
+  create: async ({ name, filters, isDefault } = {}) => {
+    const user = getCurrentUser();
+    const views = getViews();
+    name = (name || '').trim();
+
+    const nameError = validateViewName(views, user._id, name);
+    const normalized = normalizeViewFilters(user._id, filters);
+    if (nameError || typeof normalized === 'string') {
+      return simulateDelay({
+        success: false,
+        message: nameError || normalized
+      });
+    }
+
+    const view = {
+      _id: generateId(),
+      userId: user._id,
+      name,
+      filters: normalized,
+      isDefault: Boolean(isDefault),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    // Only one view can be the default
+    saveViews([
+      ...views.map(v => (view.isDefault && v.userId === user._id ? { ...v, isDefault: false } : v)),
+      view
+    ]);
+
+    return simulateDelay({
+      success: true,
+      data: view
+    });
+  },
+
+  update: async (id, { name, filters, isDefault } = {}) => {
+    const user = getCurrentUser();
+    const views = getViews();
+    const index = views.findIndex(v => v._id === id && v.userId === user._id);
+
+    if (index === -1) {
+      return simulateDelay({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    const changes = {};
+    if (name !== undefined) {
+      changes.name = name.trim();
+      const nameError = validateViewName(views, user._id, changes.name, id);
+      if (nameError) {
+        return simulateDelay({
+          success: false,
+          message: nameError
+        });
+      }
+    }
+    if (filters !== undefined) {
+      changes.filters = normalizeViewFilters(user._id, filters);
+      if (typeof changes.filters === 'string') {
+        return simulateDelay({
+          success: false,
+          message: changes.filters
+        });
+      }
+    }
+    if (isDefault !== undefined) changes.isDefault = Boolean(isDefault);
+
+    const updated = views.map(v => {
+      if (v._id === id) return { ...v, ...changes, updatedAt: new Date().toISOString() };
+      return changes.isDefault && v.userId === user._id ? { ...v, isDefault: false } : v;
+    });
+    saveViews(updated);
+
+    return simulateDelay({
+      success: true,
+      data: updated[index]
+    });
+  },
+
+  delete: async (id) => {
+    const user = getCurrentUser();
+    const views = getViews();
+
+    if (!views.some(v => v._id === id && v.userId === user._id)) {
+      return simulateDelay({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    saveViews(views.filter(v => v._id !== id));
+
+    return simulateDelay({
+      success: true,
+      data: {}
+    });
+  }
+};
+
+// CALENDAR API
+// Demo mode has no server to serve the feed or CalDAV, so their URLs are only
+// what they would be. Imports work as in
+// backend/controllers/calendarController.js.
+const calendarStatus = (token) => ({
+  enabled: Boolean(token),
+  url: token ? `${window.location.origin}/api/calendar/feed/${token}.ics` : null,
+  caldavUrl: `${window.location.origin}/caldav/`
+});
+
+export const mockCalendarAPI = {
+  get: async () => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    return simulateDelay({
+      success: true,
+      data: calendarStatus(getCalendarTokens()[user._id])
+    });
+  },
+
+  regenerateToken: async () => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    const token = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    saveCalendarTokens({ ...getCalendarTokens(), [user._id]: token });
+
+    return simulateDelay({
+      success: true,
+      data: calendarStatus(token)
+    });
+  },
+
+  disableFeed: async () => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    const { [user._id]: removed, ...tokens } = getCalendarTokens();
+    saveCalendarTokens(tokens);
+
+    return simulateDelay({
+      success: true,
+      data: calendarStatus(null)
+    });
+  },
+
+  import: async (file, { dryRun = false, duplicates = 'skip' } = {}) => {
+    const user = getCurrentUser();
+
+    if (!user) {
+      return simulateDelay({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    let calendar;
+    try {
+      calendar = calendarRows(parseCalendar(await file.text()), getStatuses(user._id));
+    } catch (error) {
+      if (!(error instanceof IcalError)) throw error;
+      return simulateDelay({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { columns, mapping, ...result } = importRows(user, calendar.rows, CALENDAR_COLUMNS, {
+      dryRun,
+      duplicates,
+      firstRow: 1
+    });
+    if (!result.success) return simulateDelay(result);
+
+    return simulateDelay({
+      ...result,
+      summary: { ...result.summary, skipped: calendar.skipped }
+    });
+  }
+};
+
+export default {
+  mockAuthAPI,
+  mockTaskAPI,
+  mockTagAPI,
+  mockProjectAPI,
+  mockCommentAPI,
+  mockAttachmentAPI,
+  mockWorkflowAPI,
+  mockCustomFieldAPI,
+  mockTimeAPI,
+  mockNotificationAPI,
+  mockViewAPI,
+  mockCalendarAPI,
+  initializeMockData
+};
 
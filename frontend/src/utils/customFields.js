@@ -0,0 +1,217 @@
+// Custom field values on tasks
+// Mirrors backend/utils/customFields.js so the mock API and the task form
+// apply the same rules.
+//
+// A field definition is { key, name, type, options, required }, with type one
+// of text, number, date, select, checkbox or url. Tasks keep their values in
+// `customFields`, keyed by field key. Dates are stored as ISO strings here,
+// since the mock API keeps everything as JSON.
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'checkbox', 'url'];
+
+const FIELD_TYPE_LABELS = {
+  text: 'Text',
+  number: 'Number',
+  date: 'Date',
+  select: 'Select',
+  checkbox: 'Checkbox',
+  url: 'URL'
+};
+
+const MAX_TEXT_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_OPERATORS = ['<=', '>=', '<', '>'];
+
+class CustomFieldError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CustomFieldError';
+  }
+}
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+// Parse one value for a field, or throw CustomFieldError
+const parseValue = (field, raw) => {
+  switch (field.type) {
+    case 'text': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') break;
+      const text = String(raw).trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        throw new CustomFieldError(`"${field.name}" cannot exceed ${MAX_TEXT_LENGTH} characters`);
+      }
+      return text;
+    }
+    case 'number': {
+      const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof number === 'number' && Number.isFinite(number)) return number;
+      break;
+    }
+    case 'date': {
+      const date = typeof raw === 'string' ? new Date(raw) : null;
+      if (date && !isNaN(date)) return date.toISOString();
+      break;
+    }
+    case 'select':
+      if (field.options.includes(raw)) return raw;
+      throw new CustomFieldError(`"${field.name}" must be one of: ${field.options.join(', ')}`);
+    case 'checkbox':
+      if (typeof raw === 'boolean') return raw;
+      if (raw === 'true' || raw === 'false') return raw === 'true';
+      break;
+    case 'url': {
+      try {
+        const url = new URL(String(raw).trim());
+        if (['http:', 'https:'].includes(url.protocol)) return String(raw).trim();
+      } catch (error) {
+        // Falls through to the error below
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  throw new CustomFieldError(`Invalid ${field.type} value for "${field.name}"`);
+};
+
+/**
+ * Check custom field values sent for a task against the field definitions.
+ * Returns `{ set, unset }`. When `creating`, every required field needs a
+ * value; on updates a required value can't be cleared.
+ */
+const validateCustomFields = (definitions, input, { creating = false } = {}) => {
+  if (input === undefined) input = {};
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    throw new CustomFieldError('Custom fields must map field keys to values');
+  }
+
+  const byKey = new Map(definitions.map(field => [field.key, field]));
+  const set = {};
+  const unset = [];
+
+  for (const [key, raw] of Object.entries(input)) {
+    const field = byKey.get(key);
+    if (!field) {
+      throw new CustomFieldError(`Unknown custom field "${key}"`);
+    }
+    if (isEmpty(raw)) {
+      unset.push(key);
+    } else {
+      set[key] = parseValue(field, raw);
+    }
+  }
+
+  for (const field of definitions.filter(f => f.required)) {
+    if (creating ? !(field.key in set) : unset.includes(field.key)) {
+      throw new CustomFieldError(`"${field.name}" is required`);
+    }
+  }
+
+  return { set, unset };
+};
+
+// Predicate for a number or date filter with an optional <, <=, > or >=
+const rangeMatcher = (field, raw) => {
+  const op = DATE_OPERATORS.find(candidate => raw.startsWith(candidate)) || '=';
+  const value = op === '=' ? raw : raw.slice(op.length);
+
+  let low;
+  let high;
+  if (field.type === 'number') {
+    low = parseValue(field, value);
+    high = low;
+  } else {
+    // Dates compare by whole UTC day, like the search query language
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      throw new CustomFieldError(`Invalid date "${value}" for "${field.name}", use YYYY-MM-DD`);
+    }
+    low = new Date(value).getTime();
+    high = low + DAY_MS - 1;
+  }
+
+  const toNumber = (v) => (field.type === 'number' ? v : new Date(v).getTime());
+  return (v) => {
+    if (isEmpty(v)) return false;
+    const n = toNumber(v);
+    switch (op) {
+      case '<': return n < low;
+      case '<=': return n <= high;
+      case '>': return n > high;
+      case '>=': return n >= low;
+      default: return n >= low && n <= high;
+    }
+  };
+};
+
+/**
+ * Predicate for `cf[key]=value` filters, matching the backend's Mongo
+ * conditions. Throws CustomFieldError for unknown fields or bad values.
+ */
+const buildCustomFieldMatcher = (definitions, filters) => {
+  if (!filters) return () => true;
+
+  const byKey = new Map(definitions.map(field => [field.key, field]));
+  const matchers = Object.entries(filters).map(([key, raw]) => {
+    const field = byKey.get(key);
+    if (!field) {
+      throw new CustomFieldError(`Unknown custom field "${key}"`);
+    }
+    const value = String(raw);
+    let test;
+
+    if (value === 'none') {
+      test = isEmpty;
+    } else if (field.type === 'number' || field.type === 'date') {
+      test = rangeMatcher(field, value);
+    } else if (field.type === 'select') {
+      const options = value.split(',').map(option => parseValue(field, option));
+      test = (v) => options.includes(v);
+    } else if (field.type === 'checkbox') {
+      const wanted = parseValue(field, value);
+      test = (v) => (v === true) === wanted;
+    } else {
+      const needle = value.toLowerCase();
+      test = (v) => !isEmpty(v) && String(v).toLowerCase().includes(needle);
+    }
+
+    return (task) => test(task.customFields?.[key]);
+  });
+
+  return (task) => matchers.every(matches => matches(task));
+};
+
+// Compare two values of a field; missing values sort first, as in MongoDB
+const compareCustomValues = (field, a, b) => {
+  if (isEmpty(a) || isEmpty(b)) return (isEmpty(a) ? 0 : 1) - (isEmpty(b) ? 0 : 1);
+  if (field.type === 'number') return a - b;
+  if (field.type === 'date') return new Date(a) - new Date(b);
+  if (field.type === 'checkbox') return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+};
+
+// Value as shown on a task card
+const formatCustomValue = (field, value) => {
+  if (isEmpty(value)) return '';
+  if (field.type === 'date') return new Date(value).toLocaleDateString(undefined, { timeZone: 'UTC' });
+  if (field.type === 'checkbox') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+// Value as an <input> expects it
+const toInputValue = (field, value) => {
+  if (field.type === 'checkbox') return value === true;
+  if (isEmpty(value)) return '';
+  if (field.type === 'date') return new Date(value).toISOString().split('T')[0];
+  return String(value);
+};
+
+export {
+  FIELD_TYPES,
+  FIELD_TYPE_LABELS,
+  CustomFieldError,
+  validateCustomFields,
+  buildCustomFieldMatcher,
+  compareCustomValues,
+  formatCustomValue,
+  toInputValue
+};
@@ -0,0 +1,208 @@
+// iCalendar (RFC 5545) reading and writing, as much as task feeds and .ics
+// imports need
+//
+// A component is { name, properties, components }, each property
+// { name, params, value } with the value as written in the file (text still
+// escaped). Writing folds lines longer than 75 octets; reading unfolds them.
+// Mirrors backend/utils/ical.js for the mock API.
+
+const MAX_LINE_OCTETS = 75;
+
+// An .ics file that can't be read
+export class IcalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IcalError';
+  }
+}
+
+// UTF-8 length of one character
+const octets = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code < 0x10000) return 3;
+  return 4;
+};
+
+/**
+ * Split a content line into lines of at most 75 octets, each continuation
+ * starting with a space. Multi-byte characters are never split.
+ */
+export const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let length = 0;
+  for (const char of line) {
+    // Continuation lines give one octet to the leading space
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (length + octets(char) > limit) {
+      lines.push(current);
+      current = '';
+      length = 0;
+    }
+    current += char;
+    length += octets(char);
+  }
+  lines.push(current);
+  return lines.join('\r\n ');
+};
+
+// TEXT values escape backslashes, semicolons, commas and line breaks
+export const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r\n|\r|\n/g, '\\n');
+
+export const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+// A list of TEXT values (e.g. CATEGORIES), split on unescaped commas
+export const parseTextList = (value) => {
+  const items = [];
+  let current = '';
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value.slice(i, i + 2);
+      i++;
+    } else if (value[i] === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  items.push(current);
+  return items.map(unescapeText).map(item => item.trim()).filter(Boolean);
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// DATE value of a day, taken in UTC like due dates: 20261018
+export const formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+};
+
+// DATE-TIME value in UTC: 20261018T093000Z
+export const formatDateTime = (date) => {
+  const d = new Date(date);
+  return `${formatDate(d)}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+/**
+ * The day (YYYY-MM-DD) a DATE or DATE-TIME value falls on. UTC times count
+ * in UTC; local and floating times by the date as written. Returns null for
+ * anything else, impossible dates included.
+ */
+export const parseDay = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, year, month, day, time, hours, minutes, seconds, utc] = match;
+  const date = new Date(Date.UTC(year, month - 1, day, time ? hours : 0, time ? minutes : 0, time ? seconds : 0));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== Number(day) ||
+    (time && (hours > 23 || minutes > 59 || seconds > 60))) {
+    return null;
+  }
+  return utc ? date.toISOString().split('T')[0] : `${year}-${month}-${day}`;
+};
+
+const formatParams = (params = {}) => Object.entries(params)
+  .map(([name, value]) => `;${name}=${/[;:,]/.test(value) ? `"${value}"` : value}`)
+  .join('');
+
+/**
+ * A component and everything in it as folded content lines, ending in CRLF.
+ * Property values are written as given, so TEXT values need escapeText first.
+ */
+export const formatComponent = ({ name, properties = [], components = [] }) => [
+  `BEGIN:${name}`,
+  ...properties.map(property => foldLine(`${property.name}${formatParams(property.params)}:${property.value}`)),
+  ...components.map(component => formatComponent(component).replace(/\r\n$/, '')),
+  `END:${name}`
+].join('\r\n') + '\r\n';
+
+// Split at `separator` where it is not inside double quotes
+const splitUnquoted = (text, separator) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+const parseLine = (line) => {
+  const [head, ...rest] = splitUnquoted(line, ':');
+  if (rest.length === 0) {
+    throw new IcalError(`Not an iCalendar line: "${line.slice(0, 40)}"`);
+  }
+  const [name, ...params] = splitUnquoted(head, ';');
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, ...value] = param.split('=');
+      return [key.toUpperCase(), value.join('=').replace(/"/g, '')];
+    })),
+    value: rest.join(':')
+  };
+};
+
+/**
+ * Read an .ics file into its VCALENDAR component. Throws IcalError.
+ */
+export const parseCalendar = (text) => {
+  const lines = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '');
+
+  const stack = [];
+  let calendar = null;
+  for (const line of lines) {
+    const property = parseLine(line);
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      if (current) {
+        current.components.push(component);
+      } else if (calendar || component.name !== 'VCALENDAR') {
+        throw new IcalError('This file is not an iCalendar file');
+      } else {
+        calendar = component;
+      }
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (!current || current.name !== property.value.trim().toUpperCase()) {
+        throw new IcalError(`Unexpected END:${property.value}`);
+      }
+      stack.pop();
+    } else if (current) {
+      current.properties.push(property);
+    } else {
+      throw new IcalError('This file is not an iCalendar file');
+    }
+  }
+
+  if (!calendar) {
+    throw new IcalError('This file is not an iCalendar file');
+  }
+  if (stack.length > 0) {
+    throw new IcalError(`The file ends inside a ${stack[stack.length - 1].name}`);
+  }
+  return calendar;
+};
+
+// First property of a component with the given name, or null
+export const getProperty = (component, name) => component.properties.find(property => property.name === name) || null;
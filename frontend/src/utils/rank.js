@@ -0,0 +1,83 @@
+// Fractional rank keys for the manual task order, mirroring
+// backend/utils/rank.js
+//
+// A rank is a string of base-62 digits, read as the digits after the point of
+// a fraction, so plain string comparison gives the order. There is always a
+// key between two others, which means moving a task only rewrites that task's
+// rank. Keys never end in the zero digit; that keeps a gap below every key.
+//
+// The digits are in ASCII order so ranks compare bytewise, like MongoDB does;
+// compare them with < and >, not localeCompare.
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Key strictly between `a` and `b`, where '' is the start and null the end
+const midpoint = (a, b) => {
+  if (b !== null) {
+    // Keep the shared prefix, treating a missing digit of `a` as a zero
+    let n = 0;
+    while ((a[n] || DIGITS[0]) === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  // Adjacent first digits: a longer `b` can be cut to its first digit,
+  // otherwise keep a's first digit and go one place further
+  if (b && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+// At the ends of the order, step the first digit that can move by one
+// instead of halving the gap. Once that digit is at its limit the key takes
+// one more place, starting again from the far end of the digits, so inserting
+// at the same end grows keys by a place every 61 inserts.
+const stepDown = (key) => {
+  const n = key.length - key.replace(/^0+/, '').length;
+  const digit = DIGITS.indexOf(key[n]);
+  if (digit > 1) return key.slice(0, n) + DIGITS[digit - 1];
+  return key.slice(0, n) + DIGITS[0] + DIGITS[DIGITS.length - 1];
+};
+
+const stepUp = (key) => {
+  const n = key.length - key.replace(/^z+/, '').length;
+  if (n === key.length) return key + DIGITS[1];
+  const digit = DIGITS.indexOf(key[n]);
+  return key.slice(0, n) + DIGITS[digit + 1];
+};
+
+/**
+ * Rank strictly between `before` and `after`. Either may be null for the
+ * start or end of the order; `before` must sort below `after`.
+ */
+export const rankBetween = (before, after) => {
+  if (before && after && before >= after) {
+    throw new Error(`Rank ${before} does not come before ${after}`);
+  }
+  if (!before && after) return stepDown(after);
+  if (before && !after) return stepUp(before);
+  return midpoint(before || '', after || null);
+};
+
+/**
+ * `count` ascending ranks after `before` (or from the start), evenly spaced
+ * so a long run of tasks doesn't get ever longer keys.
+ */
+export const ranksAfter = (before, count) => {
+  const prefix = rankBetween(before, null);
+  let width = 1;
+  while (DIGITS.length ** width < count) width++;
+
+  return Array.from({ length: count }, (_, index) => {
+    let digits = '';
+    for (let rest = index, place = 0; place < width; place++) {
+      digits = DIGITS[rest % DIGITS.length] + digits;
+      rest = Math.floor(rest / DIGITS.length);
+    }
+    // The middle digit at the end keeps the key clear of a trailing zero
+    return prefix + digits + DIGITS[DIGITS.length / 2];
+  });
+};
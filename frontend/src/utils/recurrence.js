@@ -0,0 +1,156 @@
+// Recurrence rule helpers (a small subset of RFC 5545 RRULE)
+// Mirrors backend/utils/recurrence.js so the mock API behaves the same way.
+//
+// A rule looks like:
+//   { freq: 'weekly', interval: 1, byDay: ['MO', 'TH'], until, count, occurrence }
+//
+// - daily:   every `interval` days
+// - weekly:  every `interval` weeks on the `byDay` weekdays
+// - monthly: every `interval` months, either on `byMonthDay` (clamped to the
+//            last day of short months) or on the `bySetPos`-th `byDay[0]`
+//            weekday (-1 means the last one)
+//
+// Dates are handled in UTC because due dates are stored as UTC midnight.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Monday-based start of week, as RRULE's default WKST=MO
+const startOfWeek = (date) => {
+  const offset = (date.getUTCDay() + 6) % 7;
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - offset);
+};
+
+// Day of the month for the nth (or last, when n is -1) given weekday
+const nthWeekdayOfMonth = (year, month, weekday, n) => {
+  if (n === -1) {
+    const last = daysInMonth(year, month);
+    const lastWeekday = new Date(Date.UTC(year, month, last)).getUTCDay();
+    return last - ((lastWeekday - weekday + 7) % 7);
+  }
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const day = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+  return day <= daysInMonth(year, month) ? day : null;
+};
+
+const nextDaily = (rule, from) => addDays(from, rule.interval || 1);
+
+const nextWeekly = (rule, from) => {
+  const interval = rule.interval || 1;
+  const days = rule.byDay && rule.byDay.length
+    ? rule.byDay.map(day => WEEKDAYS.indexOf(day))
+    : [from.getUTCDay()];
+  const fromWeek = startOfWeek(from);
+
+  // Scan forward day by day; one full cycle of weeks is always enough
+  for (let i = 1; i <= 7 * interval + 7; i++) {
+    const candidate = addDays(from, i);
+    const weeksApart = Math.round((startOfWeek(candidate) - fromWeek) / (7 * DAY_MS));
+    if (weeksApart % interval === 0 && days.includes(candidate.getUTCDay())) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const nextMonthly = (rule, from) => {
+  const interval = rule.interval || 1;
+  const byNthWeekday = rule.bySetPos && rule.byDay && rule.byDay.length;
+
+  // Try this month first (in case `from` is before the rule's day), then step
+  for (let k = 0; k <= 12 * interval; k += interval) {
+    const month = from.getUTCMonth() + k;
+    const year = from.getUTCFullYear() + Math.floor(month / 12);
+    const monthIndex = month % 12;
+
+    let day;
+    if (byNthWeekday) {
+      day = nthWeekdayOfMonth(year, monthIndex, WEEKDAYS.indexOf(rule.byDay[0]), rule.bySetPos);
+    } else {
+      const wanted = rule.byMonthDay || from.getUTCDate();
+      day = Math.min(wanted, daysInMonth(year, monthIndex));
+    }
+    if (day === null) continue;
+
+    const candidate = new Date(Date.UTC(
+      year,
+      monthIndex,
+      day,
+      from.getUTCHours(),
+      from.getUTCMinutes(),
+      from.getUTCSeconds()
+    ));
+    if (candidate > from) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * Work out when the occurrence after `from` is due.
+ * Returns null when the rule has run out (count or until reached).
+ */
+const getNextOccurrence = (rule, from) => {
+  if (!rule || !rule.freq) return null;
+
+  const occurrence = rule.occurrence || 1;
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const base = new Date(from);
+  let next;
+  if (rule.freq === 'daily') {
+    next = nextDaily(rule, base);
+  } else if (rule.freq === 'weekly') {
+    next = nextWeekly(rule, base);
+  } else if (rule.freq === 'monthly') {
+    next = nextMonthly(rule, base);
+  }
+
+  if (!next) return null;
+  if (rule.until && next > new Date(rule.until)) return null;
+
+  return next;
+};
+
+const WEEKDAY_NAMES = {
+  SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat'
+};
+const SET_POS_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+// Short human readable summary, e.g. "Every 2 weeks on Mon, Thu"
+const describeRecurrence = (rule) => {
+  if (!rule || !rule.freq) return '';
+
+  const interval = rule.interval || 1;
+  const unit = UNITS[rule.freq];
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (rule.freq === 'weekly' && rule.byDay?.length) {
+    text += ` on ${rule.byDay.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  } else if (rule.freq === 'monthly' && rule.bySetPos && rule.byDay?.length) {
+    text += ` on the ${SET_POS_NAMES[rule.bySetPos]} ${WEEKDAY_NAMES[rule.byDay[0]]}`;
+  } else if (rule.freq === 'monthly' && rule.byMonthDay) {
+    text += ` on day ${rule.byMonthDay}`;
+  }
+
+  if (rule.until) {
+    text += `, until ${new Date(rule.until).toLocaleDateString()}`;
+  } else if (rule.count) {
+    text += `, ${rule.count} times`;
+  }
+  return text;
+};
+
+export {
+  WEEKDAYS,
+  WEEKDAY_NAMES,
+  SET_POS_NAMES,
+  getNextOccurrence,
+  describeRecurrence
+};
@@ -0,0 +1,39 @@
+// Task reminders, mirroring backend/utils/reminders.js
+//
+// A reminder is { before } minutes before the due date, or { at } a fixed
+// time. `before` counts back from the start of the due day (UTC), the way
+// due dates are stored.
+
+const MINUTE_MS = 60 * 1000;
+
+export const MAX_REMINDERS = 5;
+
+export const REMINDER_PRESETS = [
+  { before: 0, label: 'At the due date' },
+  { before: 15, label: '15 minutes before' },
+  { before: 60, label: '1 hour before' },
+  { before: 24 * 60, label: '1 day before' },
+  { before: 7 * 24 * 60, label: '1 week before' }
+];
+
+// When a reminder is due, or null for a `before` reminder without a due date
+export const getReminderTime = (reminder, dueDate) => {
+  if (reminder.at) return new Date(reminder.at);
+  if (reminder.before == null || !dueDate) return null;
+  return new Date(new Date(dueDate).getTime() - reminder.before * MINUTE_MS);
+};
+
+const pluralize = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+// e.g. "1 day before", "90 minutes before" or "At 10/20/2026, 9:00 AM"
+export const describeReminder = (reminder) => {
+  if (reminder.at) return `At ${new Date(reminder.at).toLocaleString()}`;
+
+  const preset = REMINDER_PRESETS.find(p => p.before === reminder.before);
+  if (preset) return preset.label;
+
+  const minutes = reminder.before;
+  if (minutes % (24 * 60) === 0) return `${pluralize(minutes / (24 * 60), 'day')} before`;
+  if (minutes % 60 === 0) return `${pluralize(minutes / 60, 'hour')} before`;
+  return `${pluralize(minutes, 'minute')} before`;
+};
@@ -0,0 +1,354 @@
+// Task search query language
+// Mirrors backend/utils/searchQuery.js so the mock API and the search box
+// understand the same syntax:
+//
+//   priority:high status:!completed due:<2026-11-01 "exact phrase" -word
+//
+// - word / "exact phrase"   full-text terms
+// - -word / -"phrase"       exclude tasks containing the term
+// - field:value             filter; comma-separate values for any-of
+// - field:!value / -field:value   negated filter
+// - status: takes a status key or name from the workflow; category: takes
+//   todo, doing or done
+// - due:/created: take YYYY-MM-DD or "today", optionally after <, <=, > or >=;
+//   due:none matches tasks without a due date
+// - tag:/project: take a name, quoted when it has spaces; project:none
+//   matches tasks without a project
+
+const SEARCH_FIELDS = {
+  status: { type: 'status', description: 'Workflow status' },
+  category: { type: 'enum', path: 'statusCategory', values: ['todo', 'doing', 'done'], description: 'Status category' },
+  priority: { type: 'enum', values: ['low', 'medium', 'high'], description: 'Task priority' },
+  due: { type: 'date', path: 'dueDate', allowNone: true, description: 'Due date, e.g. due:<2026-11-01' },
+  created: { type: 'date', path: 'createdAt', description: 'Creation date, e.g. created:>=today' },
+  tag: { type: 'name', description: 'Tag name' },
+  project: { type: 'name', allowNone: true, description: 'Project name' }
+};
+
+const DATE_OPERATORS = ['<=', '>=', '<', '>'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A query that can't be parsed; `position` is the 0-based offset of the problem
+class SearchSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'SearchSyntaxError';
+    this.position = position;
+  }
+}
+
+const isSpace = (char) => /\s/.test(char);
+
+const readQuoted = (input, start) => {
+  const end = input.indexOf('"', start + 1);
+  if (end === -1) {
+    throw new SearchSyntaxError('Unterminated quote', start);
+  }
+  return { value: input.slice(start + 1, end), end: end + 1 };
+};
+
+const readBare = (input, start) => {
+  let end = start;
+  while (end < input.length && !isSpace(input[end])) end++;
+  return { value: input.slice(start, end), end };
+};
+
+const parseDay = (value, position) => {
+  if (value === 'today') {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  if (!date || date.getUTCMonth() !== +match[2] - 1) {
+    throw new SearchSyntaxError(`Invalid date "${value}", use YYYY-MM-DD`, position);
+  }
+  return date;
+};
+
+const parseFilterValue = (name, raw, position) => {
+  const field = SEARCH_FIELDS[name];
+
+  if (field.type === 'date') {
+    const op = DATE_OPERATORS.find(candidate => raw.startsWith(candidate)) || '=';
+    const value = op === '=' ? raw : raw.slice(op.length);
+    if (value === 'none' && op === '=' && field.allowNone) {
+      return { op, values: [null] };
+    }
+    return { op, values: [parseDay(value, position + (op === '=' ? 0 : op.length))] };
+  }
+
+  const values = raw.split(',');
+  let offset = position;
+  for (const value of values) {
+    if (!value) {
+      throw new SearchSyntaxError(`Missing value for "${name}"`, offset);
+    }
+    if (field.type === 'enum' && !field.values.includes(value.toLowerCase())) {
+      throw new SearchSyntaxError(
+        `Unknown ${name} "${value}", expected one of: ${field.values.join(', ')}`,
+        offset
+      );
+    }
+    offset += value.length + 1;
+  }
+
+  return {
+    op: '=',
+    values: values.map(value => {
+      if (field.type === 'enum') return value.toLowerCase();
+      if (value.toLowerCase() === 'none' && field.allowNone) return null;
+      return value;
+    })
+  };
+};
+
+/**
+ * Parse a search string into text terms and field filters.
+ * Throws SearchSyntaxError with the offending position.
+ */
+const parseSearchQuery = (input = '') => {
+  const terms = [];
+  const filters = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (isSpace(input[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    const negated = input[i] === '-';
+    if (negated) {
+      i++;
+      if (i >= input.length || isSpace(input[i])) {
+        throw new SearchSyntaxError('Expected a word or field after "-"', position);
+      }
+    }
+
+    if (input[i] === '"') {
+      const { value, end } = readQuoted(input, i);
+      if (!value.trim()) {
+        throw new SearchSyntaxError('Empty phrase', i);
+      }
+      terms.push({ value, phrase: true, negated, position });
+      i = end;
+      continue;
+    }
+
+    const fieldMatch = /^([a-zA-Z]+):/.exec(input.slice(i));
+    if (!fieldMatch) {
+      const { value, end } = readBare(input, i);
+      terms.push({ value: value.replace(/"/g, ''), phrase: false, negated, position });
+      i = end;
+      continue;
+    }
+
+    const name = fieldMatch[1].toLowerCase();
+    if (!SEARCH_FIELDS[name]) {
+      throw new SearchSyntaxError(`Unknown field "${fieldMatch[1]}"`, i);
+    }
+    i += fieldMatch[0].length;
+
+    let valueNegated = false;
+    if (input[i] === '!') {
+      valueNegated = true;
+      i++;
+    }
+
+    const valuePosition = i;
+    const { value, end } = input[i] === '"' ? readQuoted(input, i) : readBare(input, i);
+    if (!value) {
+      throw new SearchSyntaxError(`Missing value for "${name}"`, valuePosition);
+    }
+
+    const quoteOffset = input[i] === '"' ? 1 : 0;
+    filters.push({
+      field: name,
+      negated: negated !== valueNegated,
+      position,
+      ...parseFilterValue(name, value, valuePosition + quoteOffset)
+    });
+    i = end;
+  }
+
+  if (terms.length > 0 && terms.every(term => term.negated)) {
+    throw new SearchSyntaxError('Add at least one word to search for alongside excluded words', terms[0].position);
+  }
+
+  return { terms, filters };
+};
+
+const matchesDate = (value, op, day) => {
+  if (day === null) return !value;
+  if (!value) return false;
+
+  const time = new Date(value).getTime();
+  const start = day.getTime();
+  const end = start + DAY_MS;
+  switch (op) {
+    case '<': return time < start;
+    case '<=': return time < end;
+    case '>': return time >= end;
+    case '>=': return time >= start;
+    default: return time >= start && time < end;
+  }
+};
+
+const countOccurrences = (text, term) => {
+  if (!text) return 0;
+  return text.toLowerCase().split(term.toLowerCase()).length - 1;
+};
+
+/**
+ * Build a predicate and a relevance score for stored (mock) tasks, given the
+ * user's tags, projects and workflow statuses to resolve names. Text matching approximates the
+ * backend text index: phrases must all appear, at least one word must appear
+ * when there are no phrases, and title hits weigh three times as much.
+ */
+const compileSearchQuery = (parsed, { tags = [], projects = [], statuses = [] } = {}) => {
+  const resolve = (items, filter) => filter.values.map(value => {
+    if (value === null) return null;
+    const item = items.find(i => i.name.toLowerCase() === value.toLowerCase());
+    if (!item) {
+      throw new SearchSyntaxError(`No ${filter.field} named "${value}"`, filter.position);
+    }
+    return item._id;
+  });
+
+  const filterTests = parsed.filters.map(filter => {
+    const field = SEARCH_FIELDS[filter.field];
+    let test;
+    if (field.type === 'date') {
+      test = (task) => matchesDate(task[field.path], filter.op, filter.values[0]);
+    } else if (field.type === 'enum') {
+      test = (task) => filter.values.includes(task[field.path || filter.field]);
+    } else if (field.type === 'status') {
+      const keys = filter.values.map(value => {
+        const lower = value.toLowerCase();
+        const status = statuses.find(s => s.key === lower || s.name.toLowerCase() === lower);
+        if (!status) {
+          throw new SearchSyntaxError(`No status named "${value}"`, filter.position);
+        }
+        return status.key;
+      });
+      test = (task) => keys.includes(task.status);
+    } else if (filter.field === 'tag') {
+      const ids = resolve(tags, filter);
+      test = (task) => (task.tags || []).some(id => ids.includes(id));
+    } else {
+      const ids = resolve(projects, filter);
+      test = (task) => ids.includes(task.project || null);
+    }
+    return filter.negated ? (task) => !test(task) : test;
+  });
+
+  const positive = parsed.terms.filter(term => !term.negated);
+  const phrases = positive.filter(term => term.phrase);
+  const words = positive.filter(term => !term.phrase);
+  const excluded = parsed.terms.filter(term => term.negated);
+
+  const score = (task) => positive.reduce((sum, term) => (
+    sum + 3 * countOccurrences(task.title, term.value) + countOccurrences(task.description, term.value)
+  ), 0);
+
+  const matchesText = (task) => {
+    if (parsed.terms.length === 0) return true;
+    const contains = (term) => countOccurrences(task.title, term.value) + countOccurrences(task.description, term.value) > 0;
+    if (excluded.some(contains)) return false;
+    if (!phrases.every(contains)) return false;
+    return phrases.length > 0 || words.some(contains);
+  };
+
+  return {
+    hasText: positive.length > 0,
+    matches: (task) => matchesText(task) && filterTests.every(test => test(task)),
+    score
+  };
+};
+
+const quoteIfNeeded = (name) => (/\s/.test(name) ? `"${name}"` : name);
+
+/**
+ * Completions for the token under the caret. Each suggestion replaces the
+ * text from `start` to the caret with `insert`.
+ */
+const getSearchSuggestions = (input, caret, { tags = [], projects = [], statuses = [] } = {}) => {
+  let start = caret;
+  while (start > 0 && !isSpace(input[start - 1])) start--;
+
+  let token = input.slice(start, caret);
+  let prefix = '';
+  if (token.startsWith('-')) {
+    prefix = '-';
+    token = token.slice(1);
+  }
+
+  const colon = token.indexOf(':');
+  if (colon === -1) {
+    if (!token || token.startsWith('"')) return [];
+    return Object.entries(SEARCH_FIELDS)
+      .filter(([name]) => name.startsWith(token.toLowerCase()) && name !== token.toLowerCase())
+      .map(([name, field]) => ({
+        label: `${name}:`,
+        description: field.description,
+        start,
+        insert: `${prefix}${name}:`
+      }));
+  }
+
+  const name = token.slice(0, colon).toLowerCase();
+  const field = SEARCH_FIELDS[name];
+  if (!field) return [];
+
+  let head = `${prefix}${token.slice(0, colon + 1)}`;
+  let value = token.slice(colon + 1);
+  if (value.startsWith('!')) {
+    head += '!';
+    value = value.slice(1);
+  }
+
+  let options;
+  if (field.type === 'date') {
+    const op = DATE_OPERATORS.find(candidate => value.startsWith(candidate)) || '';
+    head += op;
+    value = value.slice(op.length);
+    options = op ? ['today'] : ['today', '<today', '>today', '<=', '>=', ...(field.allowNone ? ['none'] : [])];
+  } else {
+    // Complete the last entry of a comma-separated list
+    const comma = value.lastIndexOf(',');
+    head += value.slice(0, comma + 1);
+    value = value.slice(comma + 1);
+    if (field.type === 'enum') {
+      options = field.values;
+    } else if (field.type === 'status') {
+      options = statuses.map(status => status.key);
+    } else {
+      const items = name === 'tag' ? tags : projects;
+      options = [...items.map(item => quoteIfNeeded(item.name)), ...(field.allowNone ? ['none'] : [])];
+    }
+  }
+
+  const typed = value.replace(/^"/, '').toLowerCase();
+  return options
+    .filter(option => option.replace(/^"/, '').toLowerCase().startsWith(typed) && option !== value)
+    .map(option => {
+      const complete = !['<=', '>='].includes(option);
+      return {
+        label: option,
+        description: field.description,
+        start,
+        insert: `${head}${option}${complete ? ' ' : ''}`
+      };
+    });
+};
+
+export {
+  SEARCH_FIELDS,
+  SearchSyntaxError,
+  parseSearchQuery,
+  compileSearchQuery,
+  getSearchSuggestions
+};
@@ -0,0 +1,25 @@
+// Formatting for tracked time, which the API reports in seconds
+
+// Compact total, e.g. "2h 05m", "45m" or "30s"
+const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${total}s`;
+};
+
+// Running clock, e.g. "1:02:03" or "4:05"
+const formatElapsed = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+export {
+  formatDuration,
+  formatElapsed
+};
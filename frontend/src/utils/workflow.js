@@ -0,0 +1,72 @@
+// Workflow status helpers
+// Mirrors backend/models/Workflow.js so the mock API and the UI apply the
+// same rules.
+//
+// A workflow is an ordered list of statuses:
+//   { key, name, category, color, transitions }
+// `category` (todo, doing or done) is what the app goes by; `transitions`
+// lists the keys a task may move to next, where an empty list allows any.
+
+const CATEGORIES = ['todo', 'doing', 'done'];
+
+const CATEGORY_LABELS = {
+  todo: 'To Do',
+  doing: 'In Progress',
+  done: 'Done'
+};
+
+const DEFAULT_STATUSES = [
+  { key: 'pending', name: 'Pending', category: 'todo', color: '#6b7280', transitions: [] },
+  { key: 'in-progress', name: 'In Progress', category: 'doing', color: '#3b82f6', transitions: [] },
+  { key: 'completed', name: 'Completed', category: 'done', color: '#22c55e', transitions: [] }
+];
+
+const getStatus = (statuses, key) => statuses.find(status => status.key === key) || null;
+
+// Status new tasks start in: the first "todo" status
+const getDefaultStatus = (statuses) => statuses.find(status => status.category === 'todo');
+
+const canTransition = (statuses, from, to) => {
+  if (from === to) return true;
+  const current = getStatus(statuses, from);
+  if (!current || !current.transitions?.length) return true;
+  return current.transitions.includes(to);
+};
+
+// Statuses a task in `from` may be set to, in workflow order (including `from`)
+const getAllowedStatuses = (statuses, from) => statuses.filter(status => canTransition(statuses, from, status.key));
+
+// Status key derived from a name, unique among `statuses`
+const makeStatusKey = (name, statuses) => {
+  const base = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 30) || 'status';
+  let key = base;
+  for (let n = 2; statuses.some(status => status.key === key); n++) key = `${base}-${n}`;
+  return key;
+};
+
+// Problems that would stop the workflow from saving, or null
+const validateWorkflow = (statuses) => {
+  if (statuses.some(status => !status.name.trim())) return 'Every status needs a name';
+  for (const category of ['todo', 'done']) {
+    if (!statuses.some(status => status.category === category)) {
+      return `The workflow needs at least one "${CATEGORY_LABELS[category]}" status`;
+    }
+  }
+  return null;
+};
+
+export {
+  CATEGORIES,
+  CATEGORY_LABELS,
+  DEFAULT_STATUSES,
+  getStatus,
+  getDefaultStatus,
+  canTransition,
+  getAllowedStatuses,
+  makeStatusKey,
+  validateWorkflow
+};